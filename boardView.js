@@ -0,0 +1,190 @@
+// boardView.js
+// Renders the Kanban board view: one column per status, with a card for every checklist item
+// across all milestones. Dragging a card to another column changes the item's status.
+
+import { getStatuses, subscribeToStatuses } from './statusManager.js';
+import { subscribe, getRoadmapState, getItem, updateItem } from './roadmapStore.js';
+import { confirmStatusChange } from './roadmapUi.js';
+
+// --- DOM Element References ---
+const boardViewDiv = document.getElementById('board-view');
+
+// --- State ---
+let isVisible = false;
+
+// --- Private Helper Functions ---
+
+/**
+ * Creates the card for a single checklist item.
+ * @param {object} item - Item from the roadmap store.
+ * @param {object} milestone - The item's parent milestone.
+ * @returns {HTMLElement} The card element.
+ */
+function _createBoardCard(item, milestone) {
+  const card = document.createElement('div');
+  card.classList.add('board-card', 'card', 'p-2', 'mb-2', 'shadow-sm');
+  card.dataset.itemId = item.id;
+
+  const text = document.createElement('div');
+  text.classList.add('small', 'mb-1');
+  text.textContent = item.text || '(empty)';
+  if (!item.text) text.classList.add('text-muted', 'fst-italic');
+
+  const milestoneTag = document.createElement('span');
+  milestoneTag.classList.add('badge', 'bg-secondary', 'text-truncate', 'mw-100', 'align-self-start');
+  milestoneTag.textContent = milestone.title || 'Untitled Milestone';
+  milestoneTag.title = `Milestone: ${milestone.title}`;
+
+  card.appendChild(text);
+
+  // Sub-tasks name their parent item
+  const parent = item.parentId && milestone.items.find(i => i.id === item.parentId);
+  if (parent) {
+    const parentLine = document.createElement('div');
+    parentLine.classList.add('small', 'text-muted', 'text-truncate', 'mb-1');
+    parentLine.textContent = `↳ ${parent.text || '(empty)'}`;
+    card.appendChild(parentLine);
+  }
+
+  // Assignee and due date, when set
+  const details = [item.assignee, item.dueDate && `Due ${item.dueDate}`].filter(Boolean);
+  if (details.length > 0) {
+    const detailsLine = document.createElement('div');
+    detailsLine.classList.add('small', 'text-muted', 'mb-1');
+    detailsLine.textContent = details.join(' · ');
+    card.appendChild(detailsLine);
+  }
+
+  card.appendChild(milestoneTag);
+  return card;
+}
+
+/**
+ * Creates one status column with its cards.
+ * @param {object} status - Status object ({ name, icon, category, color, description }).
+ * @param {Array<{ item: object, milestone: object }>} entries - Items currently in this status.
+ * @returns {HTMLElement} The column element.
+ */
+function _createBoardColumn(status, entries) {
+  const column = document.createElement('div');
+  column.classList.add('board-column', 'border', 'rounded', 'p-2', 'bg-light', 'd-flex', 'flex-column');
+  column.dataset.statusCategory = status.category;
+  column.style.setProperty('--status-color', status.color);
+  if (status.description) column.title = status.description;
+
+  const header = document.createElement('div');
+  header.classList.add('d-flex', 'justify-content-between', 'align-items-center', 'mb-2');
+  const title = document.createElement('h3');
+  title.classList.add('h6', 'fw-semibold', 'mb-0');
+  title.textContent = `${status.icon} ${status.name}`;
+  const count = document.createElement('span');
+  count.classList.add('badge', 'rounded-pill', 'bg-dark');
+  count.textContent = entries.length;
+  header.appendChild(title);
+  header.appendChild(count);
+
+  const cardsContainer = document.createElement('div');
+  cardsContainer.classList.add('board-cards', 'flex-grow-1');
+  cardsContainer.dataset.status = status.name;
+  entries.forEach(({ item, milestone }) => cardsContainer.appendChild(_createBoardCard(item, milestone)));
+
+  column.appendChild(header);
+  column.appendChild(cardsContainer);
+  _initializeSortableOnColumn(cardsContainer);
+  return column;
+}
+
+/**
+ * Initializes SortableJS on a column so cards can be dragged between statuses.
+ * @param {HTMLElement} cardsContainer - The '.board-cards' element.
+ */
+function _initializeSortableOnColumn(cardsContainer) {
+  // Ensure Sortable library is loaded
+  if (typeof Sortable === 'undefined') {
+    console.error('SortableJS library not loaded.');
+    return;
+  }
+
+  new Sortable(cardsContainer, {
+    group: 'board-cards', // Allow dragging between status columns
+    animation: 150,
+    ghostClass: 'sortable-ghost',
+    chosenClass: 'sortable-chosen',
+    onEnd: function (evt) {
+      const newStatusName = evt.to.dataset.status;
+      const itemId = evt.item.dataset.itemId;
+      if (evt.from !== evt.to && newStatusName) {
+        const hasSubItems = getRoadmapState().milestones.some(m => m.items.some(i => i.parentId === itemId));
+        if (hasSubItems) {
+          alert(`"${getItem(itemId)?.text || 'This item'}" has sub-tasks; its status follows theirs.`);
+          renderBoard();
+        } else if (confirmStatusChange(itemId, newStatusName)) {
+          // Same store update as the status dropdown in the list view (re-renders the board and autosaves)
+          updateItem(itemId, { status: newStatusName });
+        } else {
+          renderBoard(); // Put the card back
+        }
+      } else {
+        renderBoard(); // Cards are ordered by milestone, so undo any reordering within a column
+      }
+    }
+  });
+}
+
+// --- Public API ---
+
+/**
+ * Renders the board from the current roadmap store state and status definitions.
+ */
+export function renderBoard() {
+  if (!boardViewDiv) return;
+  boardViewDiv.innerHTML = '';
+
+  const statuses = getStatuses();
+  const entriesByStatus = new Map(statuses.map(s => [s.name, []]));
+  const { milestones } = getRoadmapState();
+  milestones.forEach(milestone => {
+    milestone.items.forEach(item => {
+      // Items with an unknown status go into the first column, like the list view's fallback
+      const column = entriesByStatus.get(item.status) || entriesByStatus.get(statuses[0]?.name);
+      column?.push({ item, milestone });
+    });
+  });
+
+  if (milestones.every(m => m.items.length === 0)) {
+    const emptyMessage = document.createElement('p');
+    emptyMessage.classList.add('text-center', 'text-muted', 'p-4', 'mb-0');
+    emptyMessage.textContent = 'Add checklist items to your milestones to see them on the board.';
+    boardViewDiv.appendChild(emptyMessage);
+    return;
+  }
+
+  const columnsRow = document.createElement('div');
+  columnsRow.classList.add('board-columns', 'd-flex', 'gap-3', 'overflow-x-auto', 'pb-2');
+  statuses.forEach(status => {
+    columnsRow.appendChild(_createBoardColumn(status, entriesByStatus.get(status.name)));
+  });
+  boardViewDiv.appendChild(columnsRow);
+}
+
+/**
+ * Shows or hides the board view. The board re-renders from the store while visible.
+ * Exported for use by the main script's view switcher.
+ * @param {boolean} visible - Whether the board should be shown.
+ */
+export function setBoardVisible(visible) {
+  isVisible = visible;
+  if (!boardViewDiv) return;
+  boardViewDiv.classList.toggle('d-none', !visible);
+  if (visible) renderBoard();
+}
+
+// --- Store & Status Subscriptions ---
+
+// Keep the board current while it is shown (item edits, undo/redo, and status legend changes)
+subscribe(() => {
+  if (isVisible) renderBoard();
+});
+subscribeToStatuses(() => {
+  if (isVisible) renderBoard();
+});
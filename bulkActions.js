@@ -0,0 +1,268 @@
+// bulkActions.js
+// Multi-select of checklist items in the list view (Ctrl/Cmd-click to toggle, Shift-click for a range) and the
+// bulk action bar for the selection: set status, move to another milestone, duplicate and delete, also from the
+// keyboard. Each action is a single roadmap store change, so it is one undo step and schedules one autosave.
+
+import { getStatuses, subscribeToStatuses } from './statusManager.js';
+import { subscribe, getRoadmapState, updateItems, moveItems, duplicateItems, removeItems } from './roadmapStore.js';
+import { getOpenBlockers } from './roadmapProgress.js';
+import { subscribeToFilter } from './filterBar.js';
+
+// --- DOM Element References ---
+const listViewDiv = document.getElementById('list-view');
+const roadmapOutputDiv = document.getElementById('roadmap-output');
+const bulkActionBar = document.getElementById('bulk-action-bar');
+const selectionCountSpan = document.getElementById('bulk-selection-count');
+const bulkStatusSelect = document.getElementById('bulk-status-select');
+const bulkMoveSelect = document.getElementById('bulk-move-select');
+const bulkDuplicateButton = document.getElementById('bulk-duplicate-button');
+const bulkDeleteButton = document.getElementById('bulk-delete-button');
+const bulkClearButton = document.getElementById('bulk-clear-button');
+
+// --- Constants ---
+const MAX_STATUS_SHORTCUTS = 9; // Keys 1-9 set the first nine statuses
+
+// --- State ---
+let selectedItemIds = new Set();
+let anchorItemId = null; // The item a Shift-click range starts from
+
+// --- Private Helper Functions ---
+
+/**
+ * Returns the item rows the user can currently see, in list order (not filtered out or in a collapsed milestone).
+ * @returns {Array<HTMLElement>} The '.checklist-item' elements.
+ */
+function _getVisibleItemElements() {
+  if (!roadmapOutputDiv) return [];
+  return [...roadmapOutputDiv.querySelectorAll('.checklist-item')]
+    .filter(element => !element.closest('.is-filtered-out, .milestone-section.is-collapsed'));
+}
+
+/**
+ * Checks whether keyboard focus is in a field that uses the keys itself.
+ * @returns {boolean}
+ */
+function _isTypingInField() {
+  return Boolean(document.activeElement?.matches('input, textarea, select, [contenteditable="true"]'));
+}
+
+/**
+ * Replaces the selection and refreshes the highlighting and the action bar.
+ * @param {Iterable<string>} itemIds - The selected item IDs.
+ */
+function _setSelection(itemIds) {
+  selectedItemIds = new Set(itemIds);
+  _renderSelection();
+}
+
+/**
+ * Fills the action bar's status and milestone menus; the first option of each is a prompt.
+ */
+function _populateActionMenus() {
+  if (bulkStatusSelect) {
+    bulkStatusSelect.innerHTML = '';
+    bulkStatusSelect.appendChild(new Option('Set status...', ''));
+    getStatuses().forEach((status, index) => {
+      const shortcut = index < MAX_STATUS_SHORTCUTS ? ` (${index + 1})` : '';
+      bulkStatusSelect.appendChild(new Option(`${status.icon} ${status.name}${shortcut}`, status.name));
+    });
+  }
+  if (bulkMoveSelect) {
+    bulkMoveSelect.innerHTML = '';
+    bulkMoveSelect.appendChild(new Option('Move to milestone...', ''));
+    getRoadmapState().milestones.forEach(milestone => {
+      bulkMoveSelect.appendChild(new Option(milestone.title || 'Untitled Milestone', milestone.id));
+    });
+  }
+}
+
+/**
+ * Highlights the selected items and shows the action bar while anything is selected.
+ */
+function _renderSelection() {
+  roadmapOutputDiv?.querySelectorAll('.checklist-item').forEach(element => {
+    element.classList.toggle('is-selected', selectedItemIds.has(element.dataset.itemId));
+  });
+  if (!bulkActionBar) return;
+  const wasHidden = bulkActionBar.classList.contains('d-none');
+  bulkActionBar.classList.toggle('d-none', selectedItemIds.size === 0);
+  if (selectionCountSpan) {
+    selectionCountSpan.textContent = `${selectedItemIds.size} item${selectedItemIds.size === 1 ? '' : 's'} selected`;
+  }
+  if (wasHidden && selectedItemIds.size > 0) _populateActionMenus();
+}
+
+/**
+ * Drops selected items that no longer exist (deleted, undone) or are hidden by the filter bar,
+ * so bulk actions never reach items the user cannot see.
+ */
+function _pruneSelection() {
+  const visibleIds = new Set(_getVisibleItemElements().map(element => element.dataset.itemId));
+  _setSelection([...selectedItemIds].filter(id => visibleIds.has(id)));
+}
+
+/**
+ * Handles Ctrl/Cmd-clicks (toggle one item) and Shift-clicks (select a range) on item rows.
+ * Runs in the capture phase so a modified click never also triggers the row's own buttons.
+ * @param {MouseEvent} event - The click event object.
+ */
+function _handleItemClick(event) {
+  const isToggle = event.ctrlKey || event.metaKey;
+  if (!isToggle && !event.shiftKey) return;
+  const itemElement = event.target.closest('.checklist-item');
+  if (!itemElement) return;
+  event.preventDefault();
+  event.stopPropagation();
+
+  const itemId = itemElement.dataset.itemId;
+  const visibleIds = _getVisibleItemElements().map(element => element.dataset.itemId);
+  const anchorIndex = visibleIds.indexOf(anchorItemId);
+  if (event.shiftKey && anchorIndex !== -1) {
+    const itemIndex = visibleIds.indexOf(itemId);
+    const range = visibleIds.slice(Math.min(anchorIndex, itemIndex), Math.max(anchorIndex, itemIndex) + 1);
+    _setSelection(isToggle ? [...selectedItemIds, ...range] : range); // Ctrl/Cmd+Shift adds the range
+    return;
+  }
+
+  const selection = new Set(selectedItemIds);
+  if (selection.has(itemId)) {
+    selection.delete(itemId);
+  } else {
+    selection.add(itemId);
+  }
+  anchorItemId = itemId;
+  _setSelection(selection);
+}
+
+/**
+ * Sets the status of every selected item. Asks first if some would be done while items blocking them are open.
+ * Items with sub-tasks keep their rolled-up status.
+ * @param {string} statusName - The status to set.
+ */
+function _applyStatus(statusName) {
+  const roadmap = getRoadmapState();
+  const status = roadmap.statuses.find(s => s.name === statusName);
+  if (!status || selectedItemIds.size === 0) return;
+
+  if (status.category === 'done') {
+    const blockedItems = roadmap.milestones
+      .flatMap(milestone => milestone.items)
+      .filter(item => selectedItemIds.has(item.id) && getOpenBlockers(roadmap, item).length > 0);
+    if (blockedItems.length > 0) {
+      const list = blockedItems.map(item => `- ${item.text || '(empty item)'}`).join('\n');
+      if (!confirm(`${blockedItems.length} of the selected items ${blockedItems.length === 1 ? 'is' : 'are'} still blocked by open items:\n${list}\n\nMark all as "${statusName}" anyway?`)) {
+        return;
+      }
+    }
+  }
+  updateItems([...selectedItemIds], { status: statusName });
+}
+
+/**
+ * Moves the selected items to the end of a milestone.
+ * @param {string} milestoneId - The destination milestone ID.
+ */
+function _applyMove(milestoneId) {
+  if (!milestoneId || selectedItemIds.size === 0) return;
+  moveItems([...selectedItemIds], milestoneId);
+}
+
+/**
+ * Duplicates the selected items and selects the copies.
+ */
+function _duplicateSelection() {
+  if (selectedItemIds.size === 0) return;
+  const copyIds = duplicateItems([...selectedItemIds]);
+  anchorItemId = null;
+  _setSelection(copyIds);
+}
+
+/**
+ * Deletes the selected items (and their sub-tasks) after confirmation.
+ */
+function _deleteSelection() {
+  if (selectedItemIds.size === 0) return;
+  const items = getRoadmapState().milestones.flatMap(milestone => milestone.items);
+  const subItemCount = items.filter(item => item.parentId && selectedItemIds.has(item.parentId) && !selectedItemIds.has(item.id)).length;
+  const subItemNote = subItemCount > 0 ? ` and ${subItemCount} sub-task${subItemCount === 1 ? '' : 's'}` : '';
+  if (!confirm(`Delete ${selectedItemIds.size} selected item${selectedItemIds.size === 1 ? '' : 's'}${subItemNote}?`)) return;
+  removeItems([...selectedItemIds]);
+  anchorItemId = null;
+  _setSelection([]);
+}
+
+/**
+ * Handles the bulk keyboard shortcuts while the list view is shown and no text field has focus:
+ * Ctrl/Cmd+A selects all visible items; with a selection, 1-9 set a status, M opens the move menu,
+ * Ctrl/Cmd+D duplicates, Delete/Backspace deletes and Escape clears the selection.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function _handleBulkShortcut(event) {
+  if (listViewDiv?.classList.contains('d-none') || _isTypingInField() || event.altKey) return;
+  const withModifier = event.ctrlKey || event.metaKey;
+  const key = event.key.toLowerCase();
+
+  if (withModifier && key === 'a') {
+    const visibleIds = _getVisibleItemElements().map(element => element.dataset.itemId);
+    if (visibleIds.length === 0) return;
+    event.preventDefault();
+    _setSelection(visibleIds);
+    return;
+  }
+  if (selectedItemIds.size === 0) return;
+
+  if (withModifier && key === 'd') {
+    event.preventDefault(); // Instead of the browser's bookmark shortcut
+    _duplicateSelection();
+  } else if (withModifier) {
+    return; // Leave other shortcuts (e.g. undo) alone
+  } else if (key === 'escape') {
+    _setSelection([]);
+  } else if (key === 'delete' || key === 'backspace') {
+    event.preventDefault();
+    _deleteSelection();
+  } else if (/^[1-9]$/.test(key)) {
+    const status = getStatuses()[Number(key) - 1];
+    if (status) _applyStatus(status.name);
+  } else if (key === 'm' && bulkMoveSelect) {
+    event.preventDefault();
+    bulkMoveSelect.focus();
+  }
+}
+
+// --- Public API ---
+
+/**
+ * Attaches the multi-select and action bar listeners and keeps the selection in sync with the roadmap.
+ * Exported to be called once during app initialization.
+ */
+export function initializeBulkActions() {
+  if (roadmapOutputDiv) roadmapOutputDiv.addEventListener('click', _handleItemClick, true); // Capture phase
+  document.addEventListener('keydown', _handleBulkShortcut);
+
+  if (bulkStatusSelect) {
+    bulkStatusSelect.addEventListener('change', () => {
+      _applyStatus(bulkStatusSelect.value);
+      bulkStatusSelect.value = ''; // Back to the prompt option
+    });
+  }
+  if (bulkMoveSelect) {
+    bulkMoveSelect.addEventListener('change', () => {
+      _applyMove(bulkMoveSelect.value);
+      bulkMoveSelect.value = '';
+    });
+  }
+  if (bulkDuplicateButton) bulkDuplicateButton.addEventListener('click', _duplicateSelection);
+  if (bulkDeleteButton) bulkDeleteButton.addEventListener('click', _deleteSelection);
+  if (bulkClearButton) bulkClearButton.addEventListener('click', () => _setSelection([]));
+
+  // The list view may have re-rendered, removed items or renamed milestones
+  subscribe(() => {
+    _pruneSelection();
+    if (selectedItemIds.size > 0) _populateActionMenus();
+  });
+  subscribeToStatuses(() => {
+    if (selectedItemIds.size > 0) _populateActionMenus();
+  });
+  subscribeToFilter(_pruneSelection);
+}
@@ -7,15 +7,28 @@ export const AVAILABLE_EMOJIS = [
     '💡', '🧠', '📝', '⚙️', '🛑', '✋', '⏳', '🐛', '✅', '🚀', '👥', '🔍', '💻', '🚩', '⚠️', '📄', '❓' // Added fallback/default
 ];
 
+// What a status means, independent of its (user-editable) name. Progress, filters, exports and views
+// use the category, so e.g. "Completed" and a custom "Shipped" both count as done.
+// Each category's color is the default color for statuses in it.
+export const STATUS_CATEGORIES = [
+    { value: 'todo', label: 'To Do', color: '#6c757d' },
+    { value: 'active', label: 'Active', color: '#0d6efd' },
+    { value: 'done', label: 'Done', color: '#198754' },
+    { value: 'blocked', label: 'Blocked', color: '#dc3545' },
+    { value: 'at-risk', label: 'At Risk', color: '#fd7e14' }
+];
+
 export const DEFAULT_STATUSES = [
-    { name: 'Not Started', icon: '📝' }, // Use Emoji
-    { name: 'In Progress', icon: '⚙️' }, // Use Emoji
-    { name: 'Completed', icon: '✅' }, // Use Emoji
-    { name: 'Blocked', icon: '🛑' }, // Use Emoji
-    { name: 'At Risk', icon: '⚠️' } // Use Emoji
+    { name: 'Not Started', icon: '📝', category: 'todo', color: '#6c757d', description: 'Work has not begun.' }, // Use Emoji
+    { name: 'In Progress', icon: '⚙️', category: 'active', color: '#0d6efd', description: 'Work is underway.' }, // Use Emoji
+    { name: 'Completed', icon: '✅', category: 'done', color: '#198754', description: 'Work is finished.' }, // Use Emoji
+    { name: 'Blocked', icon: '🛑', category: 'blocked', color: '#dc3545', description: 'Work cannot continue until something else is resolved.' }, // Use Emoji
+    { name: 'At Risk', icon: '⚠️', category: 'at-risk', color: '#fd7e14', description: 'Work is underway but may miss its date.' } // Use Emoji
 ];
 
-export const API_CONFIG = {
-    WORD: { endpoint: 'https://api.example.com/convert/docx', key: 'YOUR_API_KEY' },
-    PPT: { endpoint: 'https://api.example.com/convert/pptx', key: 'YOUR_API_KEY' }
-};
+// Version of the roadmap data format (JSON exports, local drafts). Increase it whenever the shape
+// of milestones or items changes, and add a step for the previous version in roadmapMigrations.js.
+export const ROADMAP_SCHEMA_VERSION = 2;
+
+// Milestones and items due within this many days are flagged as due soon (users can change it in the deadlines panel).
+export const DUE_SOON_DEFAULT_DAYS = 7;
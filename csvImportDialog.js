@@ -0,0 +1,147 @@
+// csvImportDialog.js
+// The column-mapping dialog for CSV imports: lists the roadmap fields with a menu of the file's columns
+// (pre-selected from the header names) above a preview of the first rows, and reports the user's choice.
+
+import { CSV_FIELDS } from './roadmapCsv.js';
+
+// --- DOM Element References ---
+const csvImportModal = document.getElementById('csv-import-modal');
+const csvImportSummary = document.getElementById('csv-import-summary');
+const csvColumnMappingDiv = document.getElementById('csv-column-mapping');
+const csvImportErrorDiv = document.getElementById('csv-import-error');
+const csvImportPreviewDiv = document.getElementById('csv-import-preview');
+const csvImportConfirmButton = document.getElementById('csv-import-confirm');
+
+// --- Constants ---
+const PREVIEW_ROW_COUNT = 5;
+
+// --- State ---
+let resolveRequest = null; // Settles the promise of the open dialog when it closes
+let confirmedMapping = null;
+
+// --- Private Helper Functions ---
+
+/**
+ * Renders one column menu per roadmap field.
+ * @param {Array<string>} headers - The file's header row.
+ * @param {object} suggestedMapping - Column index by field key; -1 for none.
+ */
+function _renderMappingFields(headers, suggestedMapping) {
+  csvColumnMappingDiv.innerHTML = '';
+  CSV_FIELDS.forEach(field => {
+    const column = document.createElement('div');
+    column.className = 'col-sm-6';
+
+    const label = document.createElement('label');
+    label.className = 'form-label small mb-1';
+    label.htmlFor = `csv-map-${field.key}`;
+    label.textContent = field.header;
+
+    const select = document.createElement('select');
+    select.className = 'form-select form-select-sm';
+    select.id = `csv-map-${field.key}`;
+    select.dataset.field = field.key;
+    select.appendChild(new Option('(not imported)', '-1'));
+    headers.forEach((header, index) => select.appendChild(new Option(header.trim() || `Column ${index + 1}`, String(index))));
+    select.value = String(suggestedMapping[field.key] ?? -1);
+
+    column.append(label, select);
+    csvColumnMappingDiv.appendChild(column);
+  });
+}
+
+/**
+ * Renders the header row and the first data rows as a table.
+ * @param {Array<string>} headers - The file's header row.
+ * @param {Array<Array<string>>} rows - The data rows.
+ */
+function _renderPreview(headers, rows) {
+  const table = document.createElement('table');
+  table.className = 'table table-sm table-bordered mb-0';
+  const headRow = table.createTHead().insertRow();
+  headers.forEach((header, index) => {
+    const cell = document.createElement('th');
+    cell.textContent = header.trim() || `Column ${index + 1}`;
+    headRow.appendChild(cell);
+  });
+  const body = table.createTBody();
+  rows.slice(0, PREVIEW_ROW_COUNT).forEach(row => {
+    const tableRow = body.insertRow();
+    headers.forEach((_, index) => { tableRow.insertCell().textContent = row[index] ?? ''; });
+  });
+  csvImportPreviewDiv.replaceChildren(table);
+}
+
+/**
+ * Reads the chosen column for each field from the menus.
+ * @returns {object} Column index by field key; -1 for fields that are not imported.
+ */
+function _readMapping() {
+  const mapping = {};
+  csvColumnMappingDiv.querySelectorAll('select[data-field]').forEach(select => {
+    mapping[select.dataset.field] = Number(select.value);
+  });
+  return mapping;
+}
+
+/**
+ * Accepts the mapping and closes the dialog, unless neither milestones nor items would be imported.
+ */
+function _handleConfirm() {
+  const mapping = _readMapping();
+  if (mapping.milestoneTitle < 0 && mapping.text < 0) {
+    csvImportErrorDiv.textContent = 'Choose the column holding the milestone titles or the item text.';
+    csvImportErrorDiv.classList.remove('d-none');
+    return;
+  }
+  confirmedMapping = mapping;
+  bootstrap.Modal.getOrCreateInstance(csvImportModal).hide();
+}
+
+// --- Public API ---
+
+/**
+ * Opens the column-mapping dialog for a CSV file.
+ * Exported for importManager.js.
+ * @param {string} fileName - The file name, shown in the dialog.
+ * @param {Array<string>} headers - The file's header row.
+ * @param {Array<Array<string>>} rows - The data rows, for the preview.
+ * @param {object} suggestedMapping - Column index by field key to pre-select; -1 for none.
+ * @returns {Promise<object | null>} The chosen mapping (column index by field key, -1 for fields not imported),
+ *   or null if the user cancelled.
+ */
+export function requestCsvColumnMapping(fileName, headers, rows, suggestedMapping) {
+  if (!csvImportModal || !csvColumnMappingDiv) {
+    console.error("CSV import dialog not found in the page.");
+    return Promise.resolve(null);
+  }
+
+  resolveRequest?.(null); // A dialog still open from an earlier import counts as cancelled
+  confirmedMapping = null;
+  if (csvImportSummary) {
+    csvImportSummary.textContent = `${rows.length} row${rows.length === 1 ? '' : 's'} in "${fileName}". ` +
+      'Choose the column that holds each field. Rows are grouped into milestones by milestone title.';
+  }
+  csvImportErrorDiv?.classList.add('d-none');
+  _renderMappingFields(headers, suggestedMapping);
+  if (csvImportPreviewDiv) _renderPreview(headers, rows);
+
+  return new Promise(resolve => {
+    resolveRequest = resolve;
+    bootstrap.Modal.getOrCreateInstance(csvImportModal).show();
+  });
+}
+
+/**
+ * Attaches the dialog's listeners.
+ * Exported to be called once during app initialization.
+ */
+export function initializeCsvImportDialog() {
+  if (!csvImportModal) return;
+  if (csvImportConfirmButton) csvImportConfirmButton.addEventListener('click', _handleConfirm);
+  // Closing the dialog any other way (Cancel, the close button, Escape) cancels the import
+  csvImportModal.addEventListener('hidden.bs.modal', () => {
+    resolveRequest?.(confirmedMapping);
+    resolveRequest = null;
+  });
+}
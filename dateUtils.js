@@ -0,0 +1,74 @@
+// dateUtils.js
+// Helpers for the YYYY-MM-DD date strings stored on milestones (from <input type="date">).
+// Day arithmetic is done in UTC so daylight-saving changes never shift a date.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a YYYY-MM-DD string into a day number (days since the Unix epoch).
+ * @param {string} isoDate - The date string.
+ * @returns {number | null} The day number, or null if the string is empty or invalid.
+ */
+export function toDayNumber(isoDate) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(isoDate || '');
+  if (!match) return null;
+  const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (isNaN(time)) return null;
+  const dayNumber = Math.round(time / MS_PER_DAY);
+  // Date.UTC rolls impossible days over (2026-02-30 becomes March 2), so check the date survives the round trip
+  return fromDayNumber(dayNumber) === isoDate ? dayNumber : null;
+}
+
+/**
+ * Converts a day number back into a YYYY-MM-DD string.
+ * @param {number} dayNumber - Days since the Unix epoch.
+ * @returns {string} The date string.
+ */
+export function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * MS_PER_DAY).toISOString().slice(0, 10);
+}
+
+/**
+ * Returns today's local date as a YYYY-MM-DD string.
+ * @returns {string} Today's date.
+ */
+export function todayIsoDate() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Returns the number of days from one date to another (negative if `to` is earlier).
+ * @param {string} fromIsoDate - Start date (YYYY-MM-DD).
+ * @param {string} toIsoDate - End date (YYYY-MM-DD).
+ * @returns {number | null} The difference in days, or null if either date is invalid.
+ */
+export function daysBetween(fromIsoDate, toIsoDate) {
+  const from = toDayNumber(fromIsoDate);
+  const to = toDayNumber(toIsoDate);
+  return from === null || to === null ? null : to - from;
+}
+
+/**
+ * Adds a number of days to a date.
+ * @param {string} isoDate - The date (YYYY-MM-DD).
+ * @param {number} days - Days to add (may be negative).
+ * @returns {string} The shifted date, or the input unchanged if it is invalid.
+ */
+export function addDays(isoDate, days) {
+  const dayNumber = toDayNumber(isoDate);
+  return dayNumber === null ? isoDate : fromDayNumber(dayNumber + days);
+}
+
+/**
+ * Formats a YYYY-MM-DD string for display using the browser locale (same format as the milestone header).
+ * @param {string} isoDate - The date string.
+ * @returns {string} The formatted date, or an empty string if invalid.
+ */
+export function formatDisplayDate(isoDate) {
+  if (toDayNumber(isoDate) === null) return '';
+  const options = { year: 'numeric', month: '2-digit', day: '2-digit' };
+  return new Date(isoDate + 'T00:00:00').toLocaleDateString(undefined, options);
+}
@@ -0,0 +1,208 @@
+// deadlinePanel.js
+// Overdue and due-soon deadlines: the side panel listing them across the current roadmap, and the
+// user's due-soon window (kept in localStorage). The list view highlights the same deadlines (see roadmapUi.js).
+
+import { DUE_SOON_DEFAULT_DAYS } from './config.js';
+import { subscribe, getRoadmapState } from './roadmapStore.js';
+import { getDeadlines } from './roadmapProgress.js';
+import { setMilestoneCollapsed } from './roadmapUi.js';
+import { todayIsoDate, formatDisplayDate } from './dateUtils.js';
+
+// --- DOM Element References ---
+const deadlinePanelDiv = document.getElementById('deadline-panel');
+const deadlineCountBadge = document.getElementById('deadline-count');
+const dueSoonDaysInput = document.getElementById('due-soon-days');
+const overdueListDiv = document.getElementById('overdue-list');
+const dueSoonListDiv = document.getElementById('due-soon-list');
+
+// --- Constants ---
+const DUE_SOON_DAYS_STORAGE_KEY = 'roadmapDueSoonDays';
+const MAX_DUE_SOON_DAYS = 365;
+const HIGHLIGHT_DURATION_MS = 2000; // How long an element stays highlighted after jumping to it
+
+// --- State ---
+let dueSoonDays = _loadDueSoonDays();
+// Listeners notified whenever the due-soon window changes (e.g. the list view's highlighting)
+const settingsListeners = new Set();
+// Switches the roadmap view; passed in by the app so this panel doesn't import the views (see initializeDeadlinePanel)
+let showRoadmapView = () => {};
+
+// --- Private Helper Functions ---
+
+/**
+ * Reads the due-soon window from localStorage.
+ * @returns {number} The number of days (DUE_SOON_DEFAULT_DAYS if not set or invalid).
+ */
+function _loadDueSoonDays() {
+  const stored = Number.parseInt(localStorage.getItem(DUE_SOON_DAYS_STORAGE_KEY), 10);
+  return Number.isInteger(stored) && stored >= 0 && stored <= MAX_DUE_SOON_DAYS ? stored : DUE_SOON_DEFAULT_DAYS;
+}
+
+/**
+ * Describes how far away a deadline is, e.g. "3 days overdue", "Due today" or "Due in 2 days".
+ * @param {number} daysLeft - Days until the date (negative when overdue).
+ * @returns {string} The text.
+ */
+function _describeDaysLeft(daysLeft) {
+  const plural = count => `${count} day${count === 1 ? '' : 's'}`;
+  if (daysLeft < 0) return `${plural(-daysLeft)} overdue`;
+  if (daysLeft === 0) return 'Due today';
+  return `Due in ${plural(daysLeft)}`;
+}
+
+/**
+ * Fills one of the panel's lists with deadline entries.
+ * @param {HTMLElement | null} listDiv - The list container.
+ * @param {Array<object>} entries - Deadline entries from getDeadlines.
+ * @param {string} emptyText - Text shown when there are no entries.
+ */
+function _renderDeadlineList(listDiv, entries, emptyText) {
+  if (!listDiv) return;
+  listDiv.innerHTML = '';
+  if (entries.length === 0) {
+    listDiv.innerHTML = `<span class="list-group-item text-muted small">${emptyText}</span>`;
+    return;
+  }
+
+  entries.forEach(entry => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.classList.add('list-group-item', 'list-group-item-action', 'small');
+    button.dataset.deadlineType = entry.type;
+    button.dataset.deadlineId = entry.id;
+    button.dataset.milestoneId = entry.milestoneId;
+
+    const title = document.createElement('div');
+    title.classList.add('fw-semibold', 'text-truncate');
+    title.textContent = entry.type === 'milestone'
+      ? (entry.title || 'Untitled Milestone')
+      : (entry.title || '(empty item)');
+
+    const details = document.createElement('div');
+    details.classList.add('text-muted');
+    const context = entry.type === 'milestone' ? 'Milestone' : `Item in ${entry.milestoneTitle || 'Untitled Milestone'}`;
+    details.textContent = `${context} · ${_describeDaysLeft(entry.daysLeft)} (${formatDisplayDate(entry.date)})`;
+
+    button.appendChild(title);
+    button.appendChild(details);
+    listDiv.appendChild(button);
+  });
+}
+
+/**
+ * Scrolls the list view to a milestone or item and briefly highlights it.
+ * @param {string} type - 'milestone' or 'item'.
+ * @param {string} id - The milestone or item ID.
+ * @param {string} milestoneId - The ID of the milestone (itself or the item's).
+ */
+function _scrollToDeadline(type, id, milestoneId) {
+  showRoadmapView('list'); // The entry may be hidden in the timeline or board view
+  if (type === 'item') setMilestoneCollapsed(milestoneId, false); // Items of collapsed milestones are hidden
+  const element = type === 'milestone'
+    ? document.getElementById(id)
+    : document.querySelector(`.checklist-item[data-item-id="${CSS.escape(id)}"]`);
+  if (!element) return;
+
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  element.classList.add('deadline-highlight');
+  setTimeout(() => element.classList.remove('deadline-highlight'), HIGHLIGHT_DURATION_MS);
+}
+
+/**
+ * Handles clicks on panel entries: closes the panel and jumps to the milestone or item.
+ * @param {Event} event - The click event object.
+ */
+function _handleDeadlineListClick(event) {
+  const entry = event.target.closest('[data-deadline-id]');
+  if (!entry) return;
+  if (deadlinePanelDiv && typeof bootstrap !== 'undefined') {
+    bootstrap.Offcanvas.getInstance(deadlinePanelDiv)?.hide();
+  }
+  _scrollToDeadline(entry.dataset.deadlineType, entry.dataset.deadlineId, entry.dataset.milestoneId);
+}
+
+/**
+ * Handles edits to the due-soon window: stores valid values and refreshes the panel and highlighting.
+ */
+function _handleDueSoonDaysChange() {
+  const days = Number.parseInt(dueSoonDaysInput.value, 10);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_DUE_SOON_DAYS) {
+    dueSoonDaysInput.value = dueSoonDays; // Put the last valid value back
+    return;
+  }
+  if (days === dueSoonDays) return;
+  dueSoonDays = days;
+  localStorage.setItem(DUE_SOON_DAYS_STORAGE_KEY, String(days));
+  renderDeadlinePanel();
+  settingsListeners.forEach(listener => listener());
+}
+
+// --- Public API ---
+
+/**
+ * Returns the current due-soon window.
+ * @returns {number} Milestones and items due within this many days are due soon.
+ */
+export function getDueSoonDays() {
+  return dueSoonDays;
+}
+
+/**
+ * Registers a listener that is called after the due-soon window changes.
+ * @param {Function} listener - The callback (receives no arguments; use getCurrentDeadlines()).
+ * @returns {Function} A function that removes the listener again.
+ */
+export function subscribeToDeadlineSettings(listener) {
+  settingsListeners.add(listener);
+  return () => settingsListeners.delete(listener);
+}
+
+/**
+ * Finds the overdue and due-soon milestones and items of the current roadmap, as of today.
+ * @param {object} [roadmap] - Roadmap state already read from the store; read from it when omitted.
+ * @returns {{ overdue: Array<object>, dueSoon: Array<object> }} See getDeadlines in roadmapProgress.js.
+ */
+export function getCurrentDeadlines(roadmap = getRoadmapState()) {
+  return getDeadlines(roadmap, { today: todayIsoDate(), dueSoonDays });
+}
+
+/**
+ * Refreshes the panel's lists and the count badge on the button that opens it.
+ */
+export function renderDeadlinePanel() {
+  const { overdue, dueSoon } = getCurrentDeadlines();
+  _renderDeadlineList(overdueListDiv, overdue, 'Nothing is overdue.');
+  _renderDeadlineList(dueSoonListDiv, dueSoon,
+    dueSoonDays === 0 ? 'Nothing is due today.' : `Nothing is due in the next ${dueSoonDays} days.`);
+
+  if (deadlineCountBadge) {
+    const count = overdue.length + dueSoon.length;
+    deadlineCountBadge.textContent = count;
+    deadlineCountBadge.classList.toggle('d-none', count === 0);
+    // Red when something is overdue, amber when things are only due soon
+    deadlineCountBadge.classList.toggle('text-bg-danger', overdue.length > 0);
+    deadlineCountBadge.classList.toggle('text-bg-warning', overdue.length === 0);
+  }
+}
+
+/**
+ * Attaches the panel's event listeners and keeps it in sync with the roadmap store.
+ * Exported to be called once during app initialization.
+ * @param {Function} showView - Switches the roadmap view (see showRoadmapView in roadmapViews.js); used to
+ *   bring up the list view before jumping to a deadline.
+ */
+export function initializeDeadlinePanel(showView) {
+  showRoadmapView = showView;
+  if (dueSoonDaysInput) {
+    dueSoonDaysInput.max = MAX_DUE_SOON_DAYS;
+    dueSoonDaysInput.value = dueSoonDays;
+    dueSoonDaysInput.addEventListener('change', _handleDueSoonDaysChange);
+  }
+  if (overdueListDiv) overdueListDiv.addEventListener('click', _handleDeadlineListClick);
+  if (dueSoonListDiv) dueSoonListDiv.addEventListener('click', _handleDeadlineListClick);
+  // Recalculate on opening too, in case the date changed since the last edit
+  if (deadlinePanelDiv) deadlinePanelDiv.addEventListener('show.bs.offcanvas', renderDeadlinePanel);
+
+  subscribe(renderDeadlinePanel);
+  renderDeadlinePanel();
+}
@@ -0,0 +1,291 @@
+// docxBuilder.js
+// Builds Word documents (.docx) from roadmap data in the browser, so Word export needs no conversion service.
+// The document has the roadmap name as its title, the completion summary, the status legend as a table, and
+// per milestone a Heading 2 with its dates, purpose and a checklist table (status icon and name, item, assignee,
+// due date, effort). Headings use Word's built-in heading styles, so they appear in the navigation pane.
+// Like roadmapStore.js, this module has no DOM access.
+
+import { STATUS_CATEGORIES } from './config.js';
+import { getMilestoneProgress, getRoadmapSummary, getSlipReport, getCriticalPath } from './roadmapProgress.js';
+import { createZip } from './zipArchive.js';
+import { XML_DECLARATION, escapeXml, relationshipsXml, packageRelationshipsXml, contentTypesXml, corePropertiesXml } from './officeXml.js';
+
+// --- Constants ---
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CONTENT_WIDTH = 9360; // Letter paper with 1-inch margins, in twentieths of a point
+const MUTED_COLOR = '666666';
+const BORDER_COLOR = 'CCCCCC';
+const HEADER_FILL = 'F1F3F5';
+const FALLBACK_ICON = '❓';
+
+// Column widths (summing to CONTENT_WIDTH)
+const LEGEND_COLUMNS = [{ title: 'Icon', width: 700 }, { title: 'Status', width: 2200 }, { title: 'Category', width: 1600 }, { title: 'Description', width: 4860 }];
+const CHECKLIST_COLUMNS = [{ title: 'Status', width: 1900 }, { title: 'Item', width: 3960 }, { title: 'Assignee', width: 1400 }, { title: 'Due', width: 1100 }, { title: 'Effort', width: 1000 }];
+const SLIP_REPORT_COLUMNS = [{ title: 'Milestone', width: 2400 }, { title: 'Original', width: 1300 }, { title: 'Current', width: 1300 }, { title: 'Days Slipped', width: 1100 }, { title: 'Date Changes', width: 3260 }];
+
+// --- Private Helper Functions: WordprocessingML ---
+
+/**
+ * Builds a run of text; line breaks in the text become Word line breaks.
+ * @param {string} text - The text.
+ * @param {object} [format={}]
+ * @param {boolean} [format.bold] - Bold text.
+ * @param {boolean} [format.italic] - Italic text.
+ * @param {string} [format.color] - Hex color ('#198754' or '198754').
+ * @param {number} [format.size] - Font size in points.
+ * @returns {string} A <w:r> element.
+ */
+function _run(text, { bold = false, italic = false, color = '', size = 0 } = {}) {
+  const properties = [
+    bold ? '<w:b/>' : '',
+    italic ? '<w:i/>' : '',
+    color ? `<w:color w:val="${color.replace('#', '')}"/>` : '',
+    size ? `<w:sz w:val="${size * 2}"/><w:szCs w:val="${size * 2}"/>` : ''
+  ].join('');
+  const content = String(text).split('\n')
+    .map(line => `<w:t xml:space="preserve">${escapeXml(line)}</w:t>`)
+    .join('<w:br/>');
+  return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${content}</w:r>`;
+}
+
+/**
+ * Builds a paragraph.
+ * @param {string | Array<string>} runs - The paragraph's runs (see _run).
+ * @param {object} [format={}]
+ * @param {string} [format.style] - Paragraph style ID (e.g. 'Heading1').
+ * @param {number} [format.indent] - Left indent in twentieths of a point.
+ * @param {number} [format.spacingAfter] - Space after the paragraph in twentieths of a point.
+ * @returns {string} A <w:p> element.
+ */
+function _paragraph(runs, { style = '', indent = 0, spacingAfter = null } = {}) {
+  const properties = [
+    style ? `<w:pStyle w:val="${style}"/>` : '',
+    spacingAfter !== null ? `<w:spacing w:after="${spacingAfter}"/>` : '',
+    indent ? `<w:ind w:left="${indent}"/>` : ''
+  ].join('');
+  return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${Array.isArray(runs) ? runs.join('') : runs}</w:p>`;
+}
+
+/**
+ * Builds a table with a shaded header row that repeats on each page.
+ * @param {Array<{ title: string, width: number }>} columns - Column headings and widths.
+ * @param {Array<Array<string | Array<string>>>} rows - Per row, per cell: runs, or an array of paragraphs
+ *   (strings starting with '<w:p>') for cells with several paragraphs.
+ * @returns {string} A <w:tbl> element.
+ */
+function _table(columns, rows) {
+  const border = `w:val="single" w:sz="4" w:space="0" w:color="${BORDER_COLOR}"`;
+  const cellParagraphs = content => (Array.isArray(content) && content[0]?.startsWith('<w:p>')
+    ? content.join('')
+    : _paragraph(content, { spacingAfter: 40 }));
+  const cell = (content, column, fill = '') => `<w:tc><w:tcPr><w:tcW w:w="${column.width}" w:type="dxa"/>`
+    + `${fill ? `<w:shd w:val="clear" w:color="auto" w:fill="${fill}"/>` : ''}</w:tcPr>${cellParagraphs(content)}</w:tc>`;
+
+  const headerRow = '<w:tr><w:trPr><w:tblHeader/></w:trPr>'
+    + columns.map(column => cell(_run(column.title, { bold: true }), column, HEADER_FILL)).join('')
+    + '</w:tr>';
+  const bodyRows = rows.map(row => '<w:tr><w:trPr><w:cantSplit/></w:trPr>'
+    + row.map((content, index) => cell(content, columns[index])).join('')
+    + '</w:tr>').join('');
+
+  return `<w:tbl><w:tblPr><w:tblW w:w="${CONTENT_WIDTH}" w:type="dxa"/>`
+    + `<w:tblBorders><w:top ${border}/><w:left ${border}/><w:bottom ${border}/><w:right ${border}/>`
+    + `<w:insideH ${border}/><w:insideV ${border}/></w:tblBorders><w:tblLayout w:type="fixed"/></w:tblPr>`
+    + `<w:tblGrid>${columns.map(column => `<w:gridCol w:w="${column.width}"/>`).join('')}</w:tblGrid>`
+    + `${headerRow}${bodyRows}</w:tbl>`
+    + _paragraph('', { spacingAfter: 120 }); // Word needs a paragraph between tables
+}
+
+// --- Private Helper Functions: Roadmap Sections ---
+
+/**
+ * Builds the completion summary paragraph (the figures of the summary strip above the milestones).
+ * @param {object} roadmap - Roadmap data.
+ * @returns {string} WordprocessingML.
+ */
+function _summaryXml(roadmap) {
+  const summary = getRoadmapSummary(roadmap);
+  return _paragraph([
+    _run(`${summary.percent}% complete`, { bold: true }),
+    _run(` (${summary.done} of ${summary.total} items done) · `),
+    _run(`Blocked items: ${summary.blocked}`, { color: '#dc3545' }),
+    _run(' · '),
+    _run(`At-risk items: ${summary.atRisk}`, { color: '#fd7e14' }),
+    _run(` · Slipped milestones: ${summary.slippedMilestones} of ${summary.milestones}`)
+  ]);
+}
+
+/**
+ * Builds the status legend table.
+ * @param {Array<object>} statuses - The status legend.
+ * @returns {string} WordprocessingML.
+ */
+function _legendXml(statuses) {
+  const rows = statuses.map(status => [
+    _run(status.icon || FALLBACK_ICON),
+    _run(status.name, { bold: true, color: status.color }),
+    _run(STATUS_CATEGORIES.find(c => c.value === status.category)?.label || ''),
+    _run(status.description || '', { color: MUTED_COLOR })
+  ]);
+  return _paragraph(_run('Status Legend'), { style: 'Heading1' }) + _table(LEGEND_COLUMNS, rows);
+}
+
+/**
+ * Builds one checklist table row: status, the item (sub-items indented, with blockers and notes below it),
+ * assignee, due date and effort.
+ * @param {object} item - Item from the roadmap store.
+ * @param {Array<object>} statuses - The status legend.
+ * @param {Map<string, string>} itemTexts - Descriptions of the exported items by ID (to name blockers).
+ * @returns {Array<string | Array<string>>} The row's cells.
+ */
+function _checklistRow(item, statuses, itemTexts) {
+  const status = statuses.find(s => s.name === item.status) || { name: item.status || 'Unknown', icon: FALLBACK_ICON };
+  const indent = item.parentId ? 280 : 0;
+  const itemParagraphs = [
+    _paragraph(_run(`${item.parentId ? '↳ ' : ''}${item.text.trim() || '(empty)'}`), { indent, spacingAfter: 40 })
+  ];
+  // Blockers left out of a filtered export are not named
+  const blockers = (item.blockedBy || []).filter(id => itemTexts.has(id)).map(id => itemTexts.get(id) || '(empty)');
+  if (blockers.length > 0) {
+    itemParagraphs.push(_paragraph(_run(`Blocked by: ${blockers.join(', ')}`, { color: MUTED_COLOR, size: 9 }), { indent, spacingAfter: 40 }));
+  }
+  if (item.notes) {
+    itemParagraphs.push(_paragraph(_run(item.notes, { italic: true, color: MUTED_COLOR, size: 9 }), { indent, spacingAfter: 40 }));
+  }
+
+  return [
+    [_run(`${status.icon} `), _run(status.name, { bold: true, color: status.color })],
+    itemParagraphs,
+    _run(item.assignee || ''),
+    _run(item.dueDate || ''),
+    _run(item.effort !== null && item.effort !== undefined ? `${item.effort} ${item.effortUnit}` : '')
+  ];
+}
+
+/**
+ * Builds the milestone sections: a heading, the dates and progress line, the purpose and the checklist table.
+ * @param {object} roadmap - Roadmap data.
+ * @returns {string} WordprocessingML.
+ */
+function _milestonesXml(roadmap) {
+  const itemTexts = new Map(roadmap.milestones.flatMap(m => m.items.map(item => [item.id, item.text.trim()])));
+  const milestoneTitles = new Map(roadmap.milestones.map(m => [m.id, m.title.trim() || 'Untitled Milestone']));
+  const criticalPath = getCriticalPath(roadmap);
+
+  return roadmap.milestones.map(milestone => {
+    let xml = _paragraph(_run(milestoneTitles.get(milestone.id)), { style: 'Heading2' });
+
+    const { currentCompletionDate: current, originalCompletionDate: original } = milestone;
+    let dates = current ? `Target date: ${current}` : 'Target date: Not set';
+    if (original && original !== current) dates += ` (Original: ${original})`;
+    const progress = getMilestoneProgress(milestone, roadmap.statuses);
+    const metaRuns = [_run(`${dates} · Progress: ${progress.done} of ${progress.total} done (${progress.percent}%)`, { color: MUTED_COLOR })];
+    // Dependencies left out of a filtered export are not named
+    const dependencies = (milestone.dependsOn || []).filter(id => milestoneTitles.has(id)).map(id => milestoneTitles.get(id));
+    if (dependencies.length > 0) metaRuns.push(_run(`\nDepends on: ${dependencies.join(', ')}`, { color: MUTED_COLOR }));
+    if (criticalPath.includes(milestone.id)) metaRuns.push(_run(' · '), _run('Critical path', { bold: true, color: '#dc3545' }));
+    xml += _paragraph(metaRuns);
+
+    if (milestone.purpose.trim()) {
+      xml += milestone.purpose.trim().split(/\n\s*\n/).map(paragraph => _paragraph(_run(paragraph))).join('');
+    }
+    if (milestone.items.length > 0) {
+      xml += _table(CHECKLIST_COLUMNS, milestone.items.map(item => _checklistRow(item, roadmap.statuses, itemTexts)));
+    } else {
+      xml += _paragraph(_run('No items added for this milestone.', { italic: true }));
+    }
+    return xml;
+  }).join('');
+}
+
+/**
+ * Builds the schedule slip report section (see getSlipReport).
+ * @param {object} roadmap - Roadmap data.
+ * @returns {string} WordprocessingML.
+ */
+function _slipReportXml(roadmap) {
+  const heading = _paragraph(_run('Schedule Slip Report'), { style: 'Heading1' });
+  const rows = getSlipReport(roadmap);
+  if (rows.length === 0) {
+    return heading + _paragraph(_run('No milestones have an original target date yet.', { italic: true }));
+  }
+  return heading + _table(SLIP_REPORT_COLUMNS, rows.map(row => [
+    _run(row.title.trim() || 'Untitled Milestone'),
+    _run(row.originalCompletionDate),
+    _run(row.currentCompletionDate || 'Not set'),
+    _run(row.daysSlipped > 0 ? `+${row.daysSlipped}` : String(row.daysSlipped), { color: row.daysSlipped > 0 ? '#dc3545' : '' }),
+    row.dateChanges.length > 0
+      ? _run(row.dateChanges.map(change => {
+          const reason = change.reason ? ` — ${change.reason}` : '';
+          return `${change.changedAt.slice(0, 10)}: ${change.from || 'no date'} → ${change.to || 'no date'}${reason}`;
+        }).join('\n'))
+      : _run('None', { italic: true })
+  ]));
+}
+
+// --- Private Helper Functions: Package Parts ---
+
+/**
+ * Builds the style definitions: body text, the title and Word's built-in Heading 1 and Heading 2.
+ * @returns {string} The styles part.
+ */
+function _stylesXml() {
+  const heading = (level, size, spaceBefore) => `<w:style w:type="paragraph" w:styleId="Heading${level}">`
+    + `<w:name w:val="heading ${level}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/>`
+    + `<w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="${spaceBefore}" w:after="80"/><w:outlineLvl w:val="${level - 1}"/></w:pPr>`
+    + `<w:rPr><w:b/><w:color w:val="1F3864"/><w:sz w:val="${size * 2}"/><w:szCs w:val="${size * 2}"/></w:rPr></w:style>`;
+
+  return `${XML_DECLARATION}<w:styles xmlns:w="${WORD_NAMESPACE}">`
+    + '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>'
+    + '<w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>'
+    + '<w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>'
+    + '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>'
+    + '<w:pPr><w:jc w:val="center"/><w:spacing w:after="240"/></w:pPr><w:rPr><w:b/><w:sz w:val="48"/><w:szCs w:val="48"/></w:rPr></w:style>'
+    + heading(1, 16, 360)
+    + heading(2, 13, 280)
+    + '<w:style w:type="table" w:default="1" w:styleId="TableNormal"><w:name w:val="Normal Table"/><w:uiPriority w:val="99"/><w:semiHidden/>'
+    + '<w:tblPr><w:tblInd w:w="0" w:type="dxa"/><w:tblCellMar><w:top w:w="40" w:type="dxa"/><w:left w:w="100" w:type="dxa"/>'
+    + '<w:bottom w:w="40" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>'
+    + '</w:styles>';
+}
+
+// --- Public API ---
+
+/**
+ * Builds a Word document for a roadmap.
+ * @param {object} roadmap - Roadmap data ({ roadmapName, milestones, statuses }).
+ * @param {object} [options={}]
+ * @param {boolean} [options.includeSlipReport=false] - Whether to add the schedule slip report at the end.
+ * @returns {Uint8Array} The .docx file contents.
+ */
+export function buildRoadmapDocx(roadmap, { includeSlipReport = false } = {}) {
+  const title = roadmap.roadmapName.trim() || 'Product Roadmap';
+  const statuses = Array.isArray(roadmap.statuses) ? roadmap.statuses : [];
+  const createdAt = new Date();
+
+  const body = _paragraph(_run(title), { style: 'Title' })
+    + _summaryXml(roadmap)
+    + (statuses.length > 0 ? _legendXml(statuses) : '')
+    + _paragraph(_run('Roadmap Milestones'), { style: 'Heading1' })
+    + _milestonesXml(roadmap)
+    + (includeSlipReport ? _slipReportXml(roadmap) : '');
+  const section = `<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>`;
+  const documentXml = `${XML_DECLARATION}<w:document xmlns:w="${WORD_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}"><w:body>${body}${section}</w:body></w:document>`;
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: contentTypesXml([
+        { partName: 'word/document.xml', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml' },
+        { partName: 'word/styles.xml', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml' }
+      ])
+    },
+    { name: '_rels/.rels', content: packageRelationshipsXml('word/document.xml') },
+    { name: 'docProps/core.xml', content: corePropertiesXml(title, createdAt) },
+    { name: 'word/document.xml', content: documentXml },
+    { name: 'word/styles.xml', content: _stylesXml() },
+    { name: 'word/_rels/document.xml.rels', content: relationshipsXml([{ id: 'rId1', type: 'styles', target: 'styles.xml' }]) }
+  ], createdAt);
+}
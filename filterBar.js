@@ -0,0 +1,140 @@
+// filterBar.js
+// The list view's search and filter bar: full-text search, status, date range and "hide completed".
+// Non-matching milestones and items are only hidden (see roadmapUi.js), so the roadmap store, autosave and
+// exports are unaffected unless "export filtered view" is chosen.
+
+import { getStatuses, subscribeToStatuses } from './statusManager.js';
+import { getRoadmapState } from './roadmapStore.js';
+import { getEmptyFilter, isFilterActive, filterRoadmap } from './roadmapFilter.js';
+
+// --- DOM Element References ---
+const filterTextInput = document.getElementById('filter-text');
+const filterStatusesDiv = document.getElementById('filter-statuses');
+const filterDateFromInput = document.getElementById('filter-date-from');
+const filterDateToInput = document.getElementById('filter-date-to');
+const filterHideCompletedCheckbox = document.getElementById('filter-hide-completed');
+const clearFilterButton = document.getElementById('filter-clear-button');
+
+// --- State ---
+let criteria = getEmptyFilter();
+// Listeners notified whenever the criteria change (the list view hides what does not match)
+const filterListeners = new Set();
+
+// --- Private Helper Functions ---
+
+/**
+ * Stores new criteria and notifies listeners.
+ * @param {object} newCriteria - The filter criteria.
+ */
+function _setCriteria(newCriteria) {
+  criteria = newCriteria;
+  if (clearFilterButton) clearFilterButton.disabled = !isFilterActive(criteria);
+  filterListeners.forEach(listener => listener());
+}
+
+/**
+ * Renders one toggle button per status of the current roadmap, keeping selected statuses that still exist.
+ */
+function _renderStatusToggles() {
+  if (!filterStatusesDiv) return;
+  const statuses = getStatuses();
+  filterStatusesDiv.innerHTML = '';
+
+  statuses.forEach((status, index) => {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.classList.add('btn-check');
+    checkbox.id = `filter-status-${index}`;
+    checkbox.value = status.name;
+    checkbox.autocomplete = 'off';
+    checkbox.checked = criteria.statuses.includes(status.name);
+
+    const label = document.createElement('label');
+    label.classList.add('btn', 'btn-outline-secondary', 'btn-sm');
+    label.htmlFor = checkbox.id;
+    label.textContent = `${status.icon} ${status.name}`;
+
+    filterStatusesDiv.appendChild(checkbox);
+    filterStatusesDiv.appendChild(label);
+  });
+
+  // Drop statuses that were renamed or removed (or belong to the previous roadmap)
+  const names = statuses.map(s => s.name);
+  const keptStatuses = criteria.statuses.filter(name => names.includes(name));
+  if (keptStatuses.length !== criteria.statuses.length) {
+    _setCriteria({ ...criteria, statuses: keptStatuses });
+  }
+}
+
+/**
+ * Reads the criteria from the filter bar's inputs.
+ */
+function _handleFilterInput() {
+  _setCriteria({
+    text: filterTextInput?.value || '',
+    statuses: filterStatusesDiv ? [...filterStatusesDiv.querySelectorAll('.btn-check:checked')].map(cb => cb.value) : [],
+    dateFrom: filterDateFromInput?.value || '',
+    dateTo: filterDateToInput?.value || '',
+    hideCompleted: Boolean(filterHideCompletedCheckbox?.checked)
+  });
+}
+
+/**
+ * Resets all inputs and shows everything again.
+ */
+function _handleClearFilterClick() {
+  if (filterTextInput) filterTextInput.value = '';
+  filterStatusesDiv?.querySelectorAll('.btn-check').forEach(cb => { cb.checked = false; });
+  if (filterDateFromInput) filterDateFromInput.value = '';
+  if (filterDateToInput) filterDateToInput.value = '';
+  if (filterHideCompletedCheckbox) filterHideCompletedCheckbox.checked = false;
+  _setCriteria(getEmptyFilter());
+}
+
+// --- Public API ---
+
+/**
+ * Checks whether any filter is set.
+ * @returns {boolean}
+ */
+export function isRoadmapFiltered() {
+  return isFilterActive(criteria);
+}
+
+/**
+ * Returns the current roadmap reduced to what the filter bar shows.
+ * @param {object} [roadmap] - Roadmap state already read from the store; read from it when omitted.
+ * @returns {object} The filtered roadmap ({ roadmapName, milestones, statuses }); the full roadmap when no filter is set.
+ */
+export function getFilteredRoadmap(roadmap = getRoadmapState()) {
+  return isFilterActive(criteria) ? filterRoadmap(roadmap, criteria) : roadmap;
+}
+
+/**
+ * Registers a listener that is called after the filter criteria change.
+ * @param {Function} listener - The callback (receives no arguments; use getFilteredRoadmap()).
+ * @returns {Function} A function that removes the listener again.
+ */
+export function subscribeToFilter(listener) {
+  filterListeners.add(listener);
+  return () => filterListeners.delete(listener);
+}
+
+/**
+ * Builds the status toggles and attaches the filter bar's event listeners.
+ * Exported to be called once during app initialization.
+ */
+export function initializeFilterBar() {
+  _renderStatusToggles();
+  subscribeToStatuses(_renderStatusToggles);
+
+  [filterTextInput, filterDateFromInput, filterDateToInput].forEach(input => {
+    if (input) input.addEventListener('input', _handleFilterInput);
+  });
+  if (filterStatusesDiv) filterStatusesDiv.addEventListener('change', _handleFilterInput);
+  if (filterHideCompletedCheckbox) filterHideCompletedCheckbox.addEventListener('change', _handleFilterInput);
+  if (clearFilterButton) {
+    clearFilterButton.disabled = true;
+    clearFilterButton.addEventListener('click', _handleClearFilterClick);
+  }
+}
@@ -0,0 +1,178 @@
+// historyManager.js
+// Undo/redo history for roadmap edits.
+// Keeps snapshots of the roadmap store (including the roadmap's statuses) and restores them on undo/redo.
+
+import { subscribe, getRoadmapState, loadRoadmap } from './roadmapStore.js';
+
+// --- DOM Element References ---
+const undoButton = document.getElementById('undo-button');
+const redoButton = document.getElementById('redo-button');
+
+// --- Constants ---
+const MAX_HISTORY_ENTRIES = 100;
+// Consecutive edits of the same field within this window are merged into one undo step (e.g. typing).
+const COALESCE_WINDOW_MS = 1500;
+// Store actions that history ignores: its own restores, and status edits (with any item remaps), which
+// statusManager records as one step once the legend change is complete (see recordHistoryCheckpoint).
+const IGNORED_ACTIONS = ['restore', 'statuses-updated'];
+// Item fields edited by typing; consecutive keystrokes in one of them form a single undo step.
+const TYPED_ITEM_FIELDS = ['text', 'assignee', 'effort', 'notes'];
+
+// --- State ---
+let undoStack = [];
+let redoStack = [];
+let currentSnapshot = null;
+let lastCoalesceKey = null;
+let lastCheckpointTime = 0;
+
+// --- Private Helper Functions ---
+
+/**
+ * Captures the current roadmap, including its statuses, as one snapshot.
+ * @returns {object} The snapshot ({ roadmapName, milestones, statuses }).
+ */
+function _captureSnapshot() {
+  return getRoadmapState();
+}
+
+/**
+ * Determines which undo step a store change can be merged into, if any.
+ * @param {object} event - The store change event.
+ * @returns {string | null} The coalesce key, or null if the change is its own step.
+ */
+function _coalesceKeyForStoreEvent(event) {
+  switch (event.action) {
+    case 'name-updated':
+      return 'roadmap-name';
+    case 'milestone-updated':
+      return `milestone:${event.milestoneId}:${event.fields.join(',')}`;
+    case 'item-updated':
+      return event.fields.every(field => TYPED_ITEM_FIELDS.includes(field)) ? `item:${event.itemId}:${event.fields.join(',')}` : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Enables/disables the undo and redo toolbar buttons.
+ */
+function _updateHistoryButtons() {
+  if (undoButton) undoButton.disabled = undoStack.length === 0;
+  if (redoButton) redoButton.disabled = redoStack.length === 0;
+}
+
+/**
+ * Applies a snapshot to the roadmap store (the status legend follows the store).
+ * @param {object} snapshot - The snapshot to restore.
+ */
+function _applySnapshot(snapshot) {
+  currentSnapshot = snapshot;
+  lastCoalesceKey = null; // Never merge a new edit into a restored state
+  loadRoadmap(snapshot, { action: 'restore' });
+  _updateHistoryButtons();
+}
+
+/**
+ * Handles roadmap store changes by recording them as undo steps.
+ * @param {object} event - The store change event.
+ */
+function _handleStoreChange(event) {
+  if (event.action === 'load') {
+    resetHistory(); // A freshly loaded roadmap starts with an empty history
+    return;
+  }
+  if (IGNORED_ACTIONS.includes(event.action)) return;
+  recordHistoryCheckpoint(_coalesceKeyForStoreEvent(event));
+}
+
+// --- Public API ---
+
+/**
+ * Records the current roadmap and statuses as a new undo step.
+ * Called automatically for store changes; statusManager calls it after legend edits.
+ * @param {string | null} [coalesceKey=null] - Edits with the same key in quick succession are merged.
+ */
+export function recordHistoryCheckpoint(coalesceKey = null) {
+  const snapshot = _captureSnapshot();
+  if (currentSnapshot && JSON.stringify(snapshot) === JSON.stringify(currentSnapshot)) {
+    return; // Nothing actually changed
+  }
+
+  const now = Date.now();
+  const canCoalesce = coalesceKey !== null && coalesceKey === lastCoalesceKey && (now - lastCheckpointTime) < COALESCE_WINDOW_MS;
+  if (!canCoalesce && currentSnapshot) {
+    undoStack.push(currentSnapshot);
+    if (undoStack.length > MAX_HISTORY_ENTRIES) {
+      undoStack.shift(); // Drop the oldest step
+    }
+  }
+
+  currentSnapshot = snapshot;
+  redoStack = []; // A new edit invalidates the redo path
+  lastCoalesceKey = coalesceKey;
+  lastCheckpointTime = now;
+  _updateHistoryButtons();
+}
+
+/**
+ * Clears the undo/redo stacks and takes the current state as the new baseline.
+ */
+export function resetHistory() {
+  undoStack = [];
+  redoStack = [];
+  currentSnapshot = _captureSnapshot();
+  lastCoalesceKey = null;
+  _updateHistoryButtons();
+}
+
+/**
+ * Reverts the most recent roadmap or status edit.
+ */
+export function undo() {
+  if (undoStack.length === 0) return;
+  redoStack.push(currentSnapshot);
+  _applySnapshot(undoStack.pop());
+}
+
+/**
+ * Re-applies the most recently undone edit.
+ */
+export function redo() {
+  if (redoStack.length === 0) return;
+  undoStack.push(currentSnapshot);
+  _applySnapshot(redoStack.pop());
+}
+
+/**
+ * Handles Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) keyboard shortcuts (Cmd on macOS).
+ * Fields outside the roadmap (login, AI prompt) keep the browser's native undo.
+ * Exported for use in the main script's keydown listener.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+export function handleHistoryShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+  const key = event.key.toLowerCase();
+  if (key !== 'z' && key !== 'y') return;
+
+  const target = event.target;
+  const isTextField = target.matches?.('input, textarea, select, [contenteditable="true"]');
+  if (isTextField && !target.closest('#exportable-content') && target.id !== 'roadmap-name') {
+    return;
+  }
+
+  event.preventDefault();
+  if (key === 'y' || event.shiftKey) {
+    redo();
+  } else {
+    undo();
+  }
+}
+
+/**
+ * Starts recording history for roadmap store changes.
+ * Exported to be called once during app initialization.
+ */
+export function initializeHistory() {
+  resetHistory();
+  subscribe(_handleStoreChange);
+}
@@ -0,0 +1,203 @@
+// importManager.js
+// Reads roadmap files exported with "Export JSON" or "Export Markdown" (or hand-written Markdown task lists)
+// and CSV files (one row per item, columns mapped by the user), validates them against the export schema,
+// and prepares the imported roadmap's statuses before it is loaded.
+
+import { ROADMAP_SCHEMA_VERSION } from './config.js';
+import { getStatuses } from './statusManager.js';
+import { migrateRoadmapData } from './roadmapMigrations.js';
+import { validateRoadmapJson } from './roadmapValidation.js';
+import { parseRoadmapMarkdown } from './roadmapMarkdown.js';
+import { parseCsv, guessCsvColumnMapping, buildRoadmapFromCsv } from './roadmapCsv.js';
+import { requestCsvColumnMapping } from './csvImportDialog.js';
+
+// --- Constants ---
+const MAX_REPORTED_ERRORS = 10;
+const MARKDOWN_FILE_PATTERN = /\.(md|markdown)$/i;
+const CSV_FILE_PATTERN = /\.csv$/i;
+
+// --- Private Helper Functions: Statuses ---
+
+/**
+ * Collects the status names used by items that are not in the given status list.
+ * @param {Array<object>} milestones - Validated milestones.
+ * @param {Array<object>} statuses - The known statuses.
+ * @returns {Array<string>} Unknown status names, in order of first use.
+ */
+function _findUnknownStatusNames(milestones, statuses) {
+  const knownNames = new Set(statuses.map(s => s.name));
+  const unknownNames = new Set();
+  milestones.forEach(milestone => {
+    (milestone.items || []).forEach(item => {
+      if (item.status && !knownNames.has(item.status)) unknownNames.add(item.status);
+    });
+  });
+  return [...unknownNames];
+}
+
+/**
+ * Asks the user which existing status an unknown status should become.
+ * Suggests a case-insensitive match if there is one; re-asks until a valid name is entered.
+ * @param {string} unknownName - The status name from the file.
+ * @param {Array<string>} knownNames - Names in the user's status legend.
+ * @returns {string | null} The chosen status name, or null if the user cancelled.
+ */
+function _promptStatusMapping(unknownName, knownNames) {
+  const suggestion = knownNames.find(name => name.toLowerCase() === unknownName.trim().toLowerCase()) || knownNames[0];
+  let answer = suggestion;
+  while (true) {
+    answer = prompt(`Map the imported status "${unknownName}" to which of your statuses?\n\n${knownNames.join(', ')}`, answer);
+    if (answer === null) return null;
+    const match = knownNames.find(name => name.toLowerCase() === answer.trim().toLowerCase());
+    if (match) return match;
+    alert(`"${answer}" is not one of your statuses.`);
+  }
+}
+
+/**
+ * Reconciles unknown status names with the current status legend (for files without their own status list):
+ * either adds them to the imported roadmap's statuses or maps each one to an existing status.
+ * @param {Array<string>} unknownNames - Status names not in the legend.
+ * @param {Array<object>} legendStatuses - The current status legend.
+ * @returns {{ mapping: object, statuses: Array<object> } | null} Map of unknown name to the status name to use,
+ *   and the statuses for the imported roadmap; or null if the user cancelled.
+ */
+function _reconcileStatuses(unknownNames, legendStatuses) {
+  const mapping = {};
+  if (unknownNames.length === 0) return { mapping, statuses: legendStatuses };
+
+  const addToLegend = confirm(
+    `The imported roadmap uses ${unknownNames.length} status(es) that are not in your status legend: ${unknownNames.join(', ')}.\n\n` +
+    "OK: add them to the roadmap's status legend.\n" +
+    "Cancel: map each one to one of your existing statuses."
+  );
+
+  if (addToLegend) {
+    unknownNames.forEach(name => { mapping[name] = name; });
+    return { mapping, statuses: [...legendStatuses, ...unknownNames.map(name => ({ name, icon: '❓' }))] };
+  }
+
+  const knownNames = legendStatuses.map(s => s.name);
+  for (const name of unknownNames) {
+    const target = _promptStatusMapping(name, knownNames);
+    if (target === null) return null;
+    mapping[name] = target;
+  }
+  return { mapping, statuses: legendStatuses };
+}
+
+// --- Private Helper Functions: Reading Files ---
+
+/**
+ * Alerts the user about errors that make an import file unusable.
+ * @param {string} fileName - The file name.
+ * @param {Array<string>} errors - The error messages.
+ */
+function _alertImportErrors(fileName, errors) {
+  const shownErrors = errors.slice(0, MAX_REPORTED_ERRORS).map(e => `- ${e}`).join('\n');
+  const moreErrors = errors.length > MAX_REPORTED_ERRORS ? `\n...and ${errors.length - MAX_REPORTED_ERRORS} more.` : '';
+  alert(`Import failed: "${fileName}" is not a valid roadmap file.\n\n${shownErrors}${moreErrors}`);
+}
+
+/**
+ * Reads a CSV file into roadmap data, asking the user which column holds which field.
+ * The roadmap is named after the file. Values that cannot be read are listed, and the user can import the
+ * rest of the file with those values left empty.
+ * @param {File} file - The selected file.
+ * @returns {Promise<object | null>} Roadmap data in the current schema (without statuses),
+ *   or null if the file is empty or unreadable (after alerting) or the user cancelled.
+ */
+async function _readCsvImport(file) {
+  const [headers, ...rows] = parseCsv(await file.text());
+  if (!headers || rows.length === 0) {
+    alert(`Import failed: "${file.name}" needs a header row and at least one row of data.`);
+    return null;
+  }
+
+  const mapping = await requestCsvColumnMapping(file.name, headers, rows, guessCsvColumnMapping(headers));
+  if (!mapping) return null;
+  const { milestones, errors } = buildRoadmapFromCsv(rows, mapping, getStatuses());
+  if (errors.length > 0) {
+    // The unreadable values are left empty; the user decides whether the rest is worth importing
+    console.warn("Values left empty in CSV import file:", errors);
+    const shownErrors = errors.slice(0, MAX_REPORTED_ERRORS).map(e => `- ${e}`).join('\n');
+    const moreErrors = errors.length > MAX_REPORTED_ERRORS ? `\n...and ${errors.length - MAX_REPORTED_ERRORS} more (see the browser console).` : '';
+    const problemRows = [...new Set(errors.map(e => e.match(/^Row (\d+):/)?.[1]).filter(Boolean))];
+    const rowList = problemRows.length > 0 ? `\n\nRows with problems: ${problemRows.join(', ')}.` : '';
+    if (!confirm(`Some values in "${file.name}" could not be read and will be left empty:\n\n${shownErrors}${moreErrors}${rowList}\n\nImport the rest of the file?`)) {
+      return null;
+    }
+  }
+  return { schemaVersion: ROADMAP_SCHEMA_VERSION, roadmapName: file.name.replace(CSV_FILE_PATTERN, ''), milestones };
+}
+
+// --- Public API ---
+
+/**
+ * Reads, validates and prepares a roadmap JSON, Markdown (.md, .markdown) or CSV file for loading.
+ * Files carry their own status list; for files without one, asks how to handle status names
+ * that are not in the current legend. Alerts the user about invalid files.
+ * @param {File} file - The selected file.
+ * @returns {Promise<object | null>} Roadmap data ({ roadmapName, milestones, statuses }),
+ *   or null if the file is invalid or the user cancelled.
+ */
+export async function prepareRoadmapImport(file) {
+  let data;
+  if (MARKDOWN_FILE_PATTERN.test(file.name) || file.type === 'text/markdown') {
+    // Parsed into the current schema, then checked like any JSON file
+    data = { schemaVersion: ROADMAP_SCHEMA_VERSION, ...parseRoadmapMarkdown(await file.text(), getStatuses()) };
+    if (data.milestones.length === 0) {
+      alert(`Import failed: "${file.name}" has no milestone headings or task-list items ("- [ ] ...").`);
+      return null;
+    }
+  } else if (CSV_FILE_PATTERN.test(file.name) || file.type === 'text/csv') {
+    data = await _readCsvImport(file);
+    if (!data) return null;
+  } else {
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      console.error("Error reading import file:", error);
+      alert(`Import failed: "${file.name}" is not a valid JSON file.`);
+      return null;
+    }
+  }
+
+  // Files from older app versions (including the legacy 'periods' format) are upgraded first
+  try {
+    data = migrateRoadmapData(data);
+  } catch (error) {
+    console.error("Could not migrate import file:", error);
+    alert(`Import failed: ${error.message}`);
+    return null;
+  }
+
+  const errors = validateRoadmapJson(data);
+  if (errors.length > 0) {
+    console.error("Invalid roadmap import file:", errors);
+    _alertImportErrors(file.name, errors);
+    return null;
+  }
+
+  if (Array.isArray(data.statuses) && data.statuses.length > 0) {
+    // Item statuses missing from the file's own list are added (with a '❓' icon) when loaded
+    return { roadmapName: data.roadmapName || '', milestones: data.milestones, statuses: data.statuses };
+  }
+
+  const legendStatuses = getStatuses();
+  const reconciled = _reconcileStatuses(_findUnknownStatusNames(data.milestones, legendStatuses), legendStatuses);
+  if (!reconciled) return null; // Cancelled while mapping statuses
+  const { mapping, statuses } = reconciled;
+
+  return {
+    roadmapName: data.roadmapName || '',
+    statuses,
+    milestones: data.milestones.map(milestone => ({
+      ...milestone,
+      items: (milestone.items || []).map(item => ({
+        ...item,
+        status: mapping[item.status] || item.status
+      }))
+    }))
+  };
+}
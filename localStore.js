@@ -0,0 +1,141 @@
+// localStore.js
+// Offline-first persistence of the roadmap in IndexedDB.
+// Keeps the working draft (restored on the next visit, also for anonymous users) and a
+// pending-sync queue of roadmap snapshots that could not be saved to Supabase yet.
+// Like roadmapStore.js, this module has no DOM access.
+
+// --- Constants ---
+const DB_NAME = 'roadmap-generator';
+const DB_VERSION = 1;
+const DRAFT_STORE = 'draft';
+const PENDING_SYNC_STORE = 'pendingSync';
+const DRAFT_KEY = 'current';
+const NEW_ROADMAP_KEY = 'new'; // Queue key for a roadmap that has never been saved to the cloud
+
+// --- State ---
+let dbPromise = null;
+
+// --- Private Helper Functions ---
+
+/**
+ * Opens (and on first use creates) the IndexedDB database.
+ * @returns {Promise<IDBDatabase | null>} The database, or null if IndexedDB is unavailable.
+ */
+function _openDatabase() {
+  if (dbPromise) return dbPromise;
+  if (typeof indexedDB === 'undefined') {
+    console.warn("IndexedDB is not available; the roadmap will not be stored on this device.");
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  dbPromise = new Promise(resolve => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(DRAFT_STORE)) db.createObjectStore(DRAFT_STORE);
+      if (!db.objectStoreNames.contains(PENDING_SYNC_STORE)) db.createObjectStore(PENDING_SYNC_STORE, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.error("Error opening local roadmap database:", request.error);
+      resolve(null); // Fall back to cloud-only saving
+    };
+  });
+  return dbPromise;
+}
+
+/**
+ * Runs a single request against an object store.
+ * @param {string} storeName - The object store.
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+ * @param {Function} makeRequest - Receives the store and returns an IDBRequest.
+ * @returns {Promise<*>} The request result (undefined if IndexedDB is unavailable).
+ */
+async function _runRequest(storeName, mode, makeRequest) {
+  const db = await _openDatabase();
+  if (!db) return undefined;
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = makeRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Returns the queue key for a roadmap.
+ * @param {string | null} roadmapId - Supabase ID of the roadmap, or null if never saved to the cloud.
+ * @returns {string} The key.
+ */
+function _pendingSyncKey(roadmapId) {
+  return roadmapId ? String(roadmapId) : NEW_ROADMAP_KEY;
+}
+
+// --- Public API: Working Draft ---
+
+/**
+ * Stores the working draft.
+ * @param {{ roadmap: object, roadmapId: string | null, cloudUpdatedAt: string | null }} draft -
+ *   The roadmap data, the Supabase row it belongs to, and that row's updated_at when last synced.
+ * @returns {Promise<void>}
+ */
+export async function saveLocalDraft(draft) {
+  await _runRequest(DRAFT_STORE, 'readwrite', store => store.put({ ...draft, savedAt: new Date().toISOString() }, DRAFT_KEY));
+}
+
+/**
+ * Reads the working draft stored on this device.
+ * @returns {Promise<object | null>} The draft (see saveLocalDraft), or null if there is none.
+ */
+export async function loadLocalDraft() {
+  return (await _runRequest(DRAFT_STORE, 'readonly', store => store.get(DRAFT_KEY))) || null;
+}
+
+/**
+ * Removes the working draft (e.g. on logout).
+ * @returns {Promise<void>}
+ */
+export async function clearLocalDraft() {
+  await _runRequest(DRAFT_STORE, 'readwrite', store => store.delete(DRAFT_KEY));
+}
+
+// --- Public API: Pending-Sync Queue ---
+
+/**
+ * Queues a roadmap snapshot for syncing to Supabase. A newer snapshot of the same roadmap
+ * replaces the queued one, since each entry holds the complete roadmap.
+ * @param {{ roadmap: object, roadmapId: string | null, cloudUpdatedAt: string | null }} entry - The snapshot to sync.
+ * @returns {Promise<void>}
+ */
+export async function queuePendingSync(entry) {
+  const key = _pendingSyncKey(entry.roadmapId);
+  await _runRequest(PENDING_SYNC_STORE, 'readwrite', store => store.put({ ...entry, key, queuedAt: new Date().toISOString() }));
+}
+
+/**
+ * Returns all queued snapshots, oldest first.
+ * @returns {Promise<Array<object>>} The queue entries.
+ */
+export async function getPendingSyncEntries() {
+  const entries = (await _runRequest(PENDING_SYNC_STORE, 'readonly', store => store.getAll())) || [];
+  return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+/**
+ * Removes the queued snapshot of a roadmap (after it was synced or discarded).
+ * @param {string | null} roadmapId - Supabase ID of the roadmap, or null for a never-saved roadmap.
+ * @returns {Promise<void>}
+ */
+export async function removePendingSync(roadmapId) {
+  await _runRequest(PENDING_SYNC_STORE, 'readwrite', store => store.delete(_pendingSyncKey(roadmapId)));
+}
+
+/**
+ * Empties the pending-sync queue (e.g. on logout).
+ * @returns {Promise<void>}
+ */
+export async function clearPendingSync() {
+  await _runRequest(PENDING_SYNC_STORE, 'readwrite', store => store.clear());
+}
@@ -0,0 +1,84 @@
+// officeXml.js
+// Shared parts of the Office Open XML exports (docxBuilder.js, pptxBuilder.js): XML escaping and the
+// package parts every Office file needs (content types, relationships, document properties).
+// Like roadmapStore.js, this module has no DOM access.
+
+// --- Constants ---
+export const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+// Relationship types between the parts of a document are this URL plus '/styles', '/slide' etc.
+export const OFFICE_RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CORE_PROPERTIES_RELATIONSHIP_TYPE = 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties';
+
+// --- Public API ---
+
+/**
+ * Escapes text for XML, dropping control characters XML cannot contain.
+ * @param {*} text - Raw text.
+ * @returns {string} Escaped text.
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Builds a relationships part (a .rels file), which links a part to the parts it uses.
+ * @param {Array<{ id: string, type: string, target: string }>} relationships - Relationship IDs, types
+ *   (short names like 'styles' are relative to OFFICE_RELATIONSHIP_TYPE) and targets relative to the part.
+ * @returns {string} The relationships XML.
+ */
+export function relationshipsXml(relationships) {
+  return `${XML_DECLARATION}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+    + relationships.map(({ id, type, target }) => {
+      const fullType = type.includes('://') ? type : `${OFFICE_RELATIONSHIP_TYPE}/${type}`;
+      return `<Relationship Id="${id}" Type="${fullType}" Target="${escapeXml(target)}"/>`;
+    }).join('')
+    + '</Relationships>';
+}
+
+/**
+ * Builds the package's root relationships: the main document and the document properties.
+ * @param {string} mainPartName - Path of the main part (e.g. 'word/document.xml').
+ * @returns {string} The contents of _rels/.rels.
+ */
+export function packageRelationshipsXml(mainPartName) {
+  return relationshipsXml([
+    { id: 'rId1', type: 'officeDocument', target: mainPartName },
+    { id: 'rId2', type: CORE_PROPERTIES_RELATIONSHIP_TYPE, target: 'docProps/core.xml' }
+  ]);
+}
+
+/**
+ * Builds the content types part, which declares the type of every XML part in the package.
+ * @param {Array<{ partName: string, contentType: string }>} parts - Paths of the parts (without the
+ *   leading '/') and their content types; the document properties part is added automatically.
+ * @returns {string} The contents of [Content_Types].xml.
+ */
+export function contentTypesXml(parts) {
+  return `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + [...parts, { partName: 'docProps/core.xml', contentType: 'application/vnd.openxmlformats-package.core-properties+xml' }]
+      .map(({ partName, contentType }) => `<Override PartName="/${partName}" ContentType="${contentType}"/>`).join('')
+    + '</Types>';
+}
+
+/**
+ * Builds the document properties (the title shown in File > Info).
+ * @param {string} title - The document title.
+ * @param {Date} createdAt - The creation time.
+ * @returns {string} The contents of docProps/core.xml.
+ */
+export function corePropertiesXml(title, createdAt) {
+  const timestamp = createdAt.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  return `${XML_DECLARATION}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" `
+    + 'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">'
+    + `<dc:title>${escapeXml(title)}</dc:title>`
+    + `<dcterms:created xsi:type="dcterms:W3CDTF">${timestamp}</dcterms:created>`
+    + `<dcterms:modified xsi:type="dcterms:W3CDTF">${timestamp}</dcterms:modified>`
+    + '</cp:coreProperties>';
+}
@@ -0,0 +1,798 @@
+// pdfBuilder.js
+// Builds PDF documents from roadmap data in the browser. Text is written as PDF text in the standard Helvetica
+// fonts, not as images of rendered HTML, so it can be selected, searched and copied. The document has a cover
+// page with the overall progress, a table of contents with page numbers, the status legend, a section per
+// milestone and, optionally, the schedule slip report. A milestone that fits on a page is never split; a longer
+// one breaks between items and continues under its repeated heading. Every page after the cover has the roadmap
+// name and export date at the top and its page number at the bottom.
+// Like roadmapStore.js, this module has no DOM access.
+
+import { STATUS_CATEGORIES } from './config.js';
+import { getMilestoneProgress, getRoadmapSummary, getSlipReport, getDependencyConflicts, getCriticalPath } from './roadmapProgress.js';
+import { todayIsoDate, formatDisplayDate } from './dateUtils.js';
+
+// --- Constants ---
+const PAGE_SIZES = { portrait: { width: 612, height: 792 }, landscape: { width: 792, height: 612 } }; // US Letter, in points
+const SIDE_MARGIN = 54;
+const TOP_MARGIN = 66; // Below the page header
+const BOTTOM_MARGIN = 60; // Above the page footer
+const LINE_SPACING = 1.3;
+const CELL_PADDING = 4;
+// The app's palette (see scss/_custom_variables.scss) and Bootstrap's status colors
+const COLORS = { text: '006D77', body: '212529', muted: '6C757D', accent: 'E29578', light: 'EDF6F9', track: 'DEE2E6', headerFill: 'F1F3F5', done: '198754', danger: 'DC3545', warning: 'FD7E14' };
+const STYLES = {
+  title: { font: 'bold', size: 30, color: COLORS.text },
+  heading1: { font: 'bold', size: 16, color: COLORS.text },
+  heading2: { font: 'bold', size: 13, color: COLORS.text },
+  body: { font: 'regular', size: 10, color: COLORS.body },
+  cell: { font: 'regular', size: 9, color: COLORS.body },
+  cellBold: { font: 'bold', size: 9, color: COLORS.text },
+  small: { font: 'regular', size: 8.5, color: COLORS.muted },
+  note: { font: 'italic', size: 8.5, color: COLORS.muted }
+};
+const FONT_RESOURCES = { regular: 'F1', bold: 'F2', italic: 'F3' };
+const BASE_FONTS = { F1: 'Helvetica', F2: 'Helvetica-Bold', F3: 'Helvetica-Oblique' };
+const LEGEND_COLUMNS = [{ title: 'Status', share: 0.25 }, { title: 'Category', share: 0.18 }, { title: 'Description', share: 0.57 }];
+const CHECKLIST_COLUMNS = [{ title: 'Status', share: 0.19 }, { title: 'Item', share: 0.45 }, { title: 'Assignee', share: 0.14 }, { title: 'Due', share: 0.12 }, { title: 'Effort', share: 0.1 }];
+const SLIP_REPORT_COLUMNS = [{ title: 'Milestone', share: 0.26 }, { title: 'Original', share: 0.13 }, { title: 'Current', share: 0.13 }, { title: 'Days Slipped', share: 0.12 }, { title: 'Date Changes', share: 0.36 }];
+const ELLIPSIS = '\x85'; // "…" in WinAnsiEncoding
+
+// Characters that WinAnsiEncoding (Windows-1252), the encoding used with the standard fonts, places at 128-159.
+// Latin-1 characters (160-255) keep their Unicode code.
+const WIN_ANSI_EXTRAS = new Map([
+  ['€', 0x80], ['‚', 0x82], ['ƒ', 0x83], ['„', 0x84], ['…', 0x85], ['†', 0x86], ['‡', 0x87], ['ˆ', 0x88], ['‰', 0x89],
+  ['Š', 0x8a], ['‹', 0x8b], ['Œ', 0x8c], ['Ž', 0x8e], ['‘', 0x91], ['’', 0x92], ['“', 0x93], ['”', 0x94], ['•', 0x95],
+  ['–', 0x96], ['—', 0x97], ['˜', 0x98], ['™', 0x99], ['š', 0x9a], ['›', 0x9b], ['œ', 0x9c], ['ž', 0x9e], ['Ÿ', 0x9f]
+]);
+
+// Glyph widths of the standard fonts for WinAnsiEncoding codes 32-255, in thousandths of the font size
+// (from Adobe's font metrics; Helvetica-Oblique has the widths of Helvetica)
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278,
+  584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944,
+  667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500,
+  278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584, 350, 556, 350, 222, 556, 333, 1000, 556, 556, 333, 1000, 667, 333, 1000, 350, 611, 350,
+  350, 222, 222, 333, 333, 350, 556, 1000, 333, 1000, 500, 333, 944, 350, 500, 667, 278, 333, 556, 556, 556, 556, 260, 556, 333, 737, 370, 556,
+  584, 333, 737, 333, 400, 584, 333, 333, 333, 556, 537, 278, 333, 333, 365, 556, 834, 834, 834, 611, 667, 667, 667, 667, 667, 667, 1000, 722,
+  667, 667, 667, 667, 278, 278, 278, 278, 722, 722, 778, 778, 778, 778, 778, 584, 778, 722, 722, 722, 722, 667, 667, 611, 556, 556, 556, 556,
+  556, 556, 889, 500, 556, 556, 556, 556, 278, 278, 278, 278, 556, 556, 556, 556, 556, 556, 556, 584, 611, 556, 556, 556, 556, 500, 556, 500
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333,
+  584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944,
+  667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556,
+  333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584, 350, 556, 350, 278, 556, 500, 1000, 556, 556, 333, 1000, 667, 333, 1000, 350, 611, 350,
+  350, 278, 278, 500, 500, 350, 556, 1000, 333, 1000, 556, 333, 944, 350, 500, 667, 278, 333, 556, 556, 556, 556, 280, 556, 333, 737, 370, 556,
+  584, 333, 737, 333, 400, 584, 333, 333, 333, 611, 556, 278, 333, 333, 365, 556, 834, 834, 834, 611, 722, 722, 722, 722, 722, 722, 1000, 722,
+  667, 667, 667, 667, 278, 278, 278, 278, 722, 722, 778, 778, 778, 778, 778, 584, 778, 722, 722, 722, 722, 667, 667, 611, 556, 556, 556, 556,
+  556, 556, 889, 556, 556, 556, 556, 556, 278, 278, 278, 278, 611, 611, 611, 611, 611, 611, 611, 584, 611, 611, 611, 611, 611, 556, 611, 556
+];
+
+// --- Private Helper Functions: Text ---
+
+/**
+ * Converts text to WinAnsiEncoding, one character per byte. The standard fonts have no glyphs outside it, so
+ * other characters (emoji, most non-Latin scripts) become "?"; emoji joiners and line breaks are dropped.
+ * @param {*} text - Raw text (one line).
+ * @returns {string} The encoded text.
+ */
+function _toWinAnsi(text) {
+  let encoded = '';
+  for (const char of String(text).normalize('NFC')) {
+    const code = char.codePointAt(0);
+    if (code === 0x09) encoded += ' ';
+    else if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) encoded += char;
+    else if (WIN_ANSI_EXTRAS.has(char)) encoded += String.fromCharCode(WIN_ANSI_EXTRAS.get(char));
+    else if (code > 159 && code !== 0x200d && code !== 0xfe0f) encoded += '?';
+  }
+  return encoded;
+}
+
+/**
+ * Measures encoded text.
+ * @param {string} text - WinAnsi-encoded text (see _toWinAnsi).
+ * @param {{ font: string, size: number }} style - The text style.
+ * @returns {number} The width in points.
+ */
+function _textWidth(text, style) {
+  const widths = style.font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let units = 0;
+  for (let i = 0; i < text.length; i++) units += widths[text.charCodeAt(i) - 32] ?? 0;
+  return units * style.size / 1000;
+}
+
+/**
+ * Wraps text into lines that fit a width, breaking between words (or inside words wider than a line).
+ * @param {*} text - Raw text; line breaks start new lines.
+ * @param {object} style - The text style (see STYLES).
+ * @param {number} maxWidth - The line width in points.
+ * @param {number} [indent=0] - Indent of every line, in points.
+ * @returns {Array<{ text: string, style: object, indent: number }>} The lines, WinAnsi-encoded.
+ */
+function _wrapText(text, style, maxWidth, indent = 0) {
+  const lines = [];
+  const available = maxWidth - indent;
+  String(text).split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    _toWinAnsi(paragraph).split(' ').forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (_textWidth(candidate, style) <= available) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = word;
+      while (line.length > 1 && _textWidth(line, style) > available) {
+        let end = line.length - 1;
+        while (end > 1 && _textWidth(line.slice(0, end), style) > available) end--;
+        lines.push(line.slice(0, end));
+        line = line.slice(end);
+      }
+    });
+    lines.push(line);
+  });
+  return lines.map(line => ({ text: line, style, indent }));
+}
+
+/**
+ * Shortens text to fit a width on one line, ending it with an ellipsis.
+ * @param {*} text - Raw text.
+ * @param {object} style - The text style.
+ * @param {number} maxWidth - The width in points.
+ * @returns {string} The WinAnsi-encoded text, shortened if needed.
+ */
+function _fitText(text, style, maxWidth) {
+  let encoded = _toWinAnsi(String(text).replace(/\s+/g, ' '));
+  if (_textWidth(encoded, style) <= maxWidth) return encoded;
+  while (encoded.length > 0 && _textWidth(encoded + ELLIPSIS, style) > maxWidth) encoded = encoded.slice(0, -1);
+  return encoded.trimEnd() + ELLIPSIS;
+}
+
+// --- Private Helper Functions: Drawing ---
+// Positions are in points from the top left corner of the page; PDF content streams measure from the bottom left.
+
+/**
+ * Formats a number for a content stream.
+ * @param {number} value - The number.
+ * @returns {string} The number with at most two decimals.
+ */
+function _number(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+/**
+ * Converts a hex color to PDF color components.
+ * @param {string} hex - Hex color ('#198754' or '198754').
+ * @returns {string} The red, green and blue components (0-1).
+ */
+function _rgb(hex) {
+  const value = /^#?([0-9a-f]{6})$/i.exec(hex || '')?.[1] || COLORS.body;
+  return [0, 2, 4].map(start => _number(parseInt(value.slice(start, start + 2), 16) / 255)).join(' ');
+}
+
+/**
+ * Escapes encoded text for a PDF string literal.
+ * @param {string} text - WinAnsi-encoded text.
+ * @returns {string} The string literal.
+ */
+function _pdfString(text) {
+  return `(${text.replace(/[\\()]/g, '\\$&')})`;
+}
+
+/**
+ * Draws one line of text.
+ * @param {{ height: number, operations: Array<string> }} page - The page.
+ * @param {string} text - WinAnsi-encoded text.
+ * @param {number} x - Left edge.
+ * @param {number} baseline - Baseline position from the top of the page.
+ * @param {object} style - The text style.
+ */
+function _drawText(page, text, x, baseline, style) {
+  if (!text) return;
+  page.operations.push(`BT /${FONT_RESOURCES[style.font]} ${_number(style.size)} Tf ${_rgb(style.color)} rg `
+    + `${_number(x)} ${_number(page.height - baseline)} Td ${_pdfString(text)} Tj ET`);
+}
+
+/**
+ * Draws a filled rectangle.
+ * @param {{ height: number, operations: Array<string> }} page - The page.
+ * @param {{ x: number, y: number, w: number, h: number }} box - Position of the top left corner and size.
+ * @param {string} color - Hex fill color.
+ */
+function _drawRect(page, { x, y, w, h }, color) {
+  page.operations.push(`${_rgb(color)} rg ${_number(x)} ${_number(page.height - y - h)} ${_number(w)} ${_number(h)} re f`);
+}
+
+/**
+ * Draws a horizontal line.
+ * @param {{ height: number, operations: Array<string> }} page - The page.
+ * @param {number} x - Left end.
+ * @param {number} y - Position from the top of the page.
+ * @param {number} width - Length.
+ * @param {string} color - Hex line color.
+ * @param {number} [lineWidth=0.5] - Line thickness.
+ */
+function _drawRule(page, x, y, width, color, lineWidth = 0.5) {
+  const pdfY = _number(page.height - y);
+  page.operations.push(`${_rgb(color)} RG ${_number(lineWidth)} w ${_number(x)} ${pdfY} m ${_number(x + width)} ${pdfY} l S`);
+}
+
+/**
+ * Draws runs of differently styled text on one line.
+ * @param {{ height: number, operations: Array<string> }} page - The page.
+ * @param {Array<{ text: string, style: object }>} runs - The runs, WinAnsi-encoded.
+ * @param {number} x - Left edge, or the center if `centered`.
+ * @param {number} baseline - Baseline position from the top of the page.
+ * @param {boolean} [centered=false] - Whether to center the line on x.
+ */
+function _drawRuns(page, runs, x, baseline, centered = false) {
+  let left = centered ? x - runs.reduce((width, run) => width + _textWidth(run.text, run.style), 0) / 2 : x;
+  runs.forEach(run => {
+    _drawText(page, run.text, left, baseline, run.style);
+    left += _textWidth(run.text, run.style);
+  });
+}
+
+/**
+ * Draws a progress bar: a grey track with the completed share filled in green.
+ * @param {{ height: number, operations: Array<string> }} page - The page.
+ * @param {{ x: number, y: number, w: number, h: number }} box - Position and size.
+ * @param {number} percent - Completion (0-100).
+ */
+function _drawProgressBar(page, box, percent) {
+  _drawRect(page, box, COLORS.track);
+  if (percent > 0) _drawRect(page, { ...box, w: box.w * Math.min(percent, 100) / 100 }, COLORS.done);
+}
+
+// --- Private Helper Functions: Rows ---
+// Pages are filled with rows: bands across the content width that are only split between pages when they are
+// taller than a page. Text rows hold cells of wrapped lines; other rows draw themselves.
+
+/**
+ * Creates a text row.
+ * @param {Array<{ x: number, width: number, lines: Array<object>, align?: string }>} cells - Cells, with their
+ *   left edge relative to the content area, width and lines (see _wrapText); align is 'left' or 'right'.
+ * @param {object} [options={}]
+ * @param {number} [options.spaceBefore=0] - Space above the row, in points.
+ * @param {number} [options.padding=CELL_PADDING] - Space above and below the lines.
+ * @param {string} [options.fill] - Hex background color.
+ * @param {string} [options.rule] - Hex color of a line below the row.
+ * @returns {object} The row.
+ */
+function _textRow(cells, options = {}) {
+  const { spaceBefore = 0, padding = CELL_PADDING } = options;
+  const linesHeight = Math.max(0, ...cells.map(cell => cell.lines.reduce((height, line) => height + line.style.size * LINE_SPACING, 0)));
+  return { cells, options, height: spaceBefore + padding * 2 + linesHeight };
+}
+
+/**
+ * Creates a one-cell text row across the content width.
+ * @param {*} text - Raw text.
+ * @param {object} style - The text style.
+ * @param {number} contentWidth - The content width.
+ * @param {object} [options={}] - Row options (see _textRow).
+ * @returns {object} The row.
+ */
+function _paragraphRow(text, style, contentWidth, options = {}) {
+  return _textRow([{ x: 0, width: contentWidth, lines: _wrapText(text, style, contentWidth) }], { padding: 2, ...options });
+}
+
+/**
+ * Creates a table row from cell contents, with the columns' widths and padding.
+ * @param {Array<{ share: number }>} columns - The columns (see LEGEND_COLUMNS), with their share of the width.
+ * @param {Array<Array<object>>} cellLines - Each cell's lines (see _wrapText), wrapped to the column width.
+ * @param {object} [options={}] - Row options (see _textRow).
+ * @returns {object} The row.
+ */
+function _tableRow(columns, cellLines, options = {}) {
+  return _textRow(cellLines.map((lines, index) => ({ ...columns[index], lines })), { rule: COLORS.track, ...options });
+}
+
+/**
+ * Lays out table columns across the content width.
+ * @param {Array<{ title: string, share: number }>} columns - The columns.
+ * @param {number} contentWidth - The content width.
+ * @returns {Array<{ title: string, x: number, width: number }>} The columns with the position and width of their text.
+ */
+function _layOutColumns(columns, contentWidth) {
+  let left = 0;
+  return columns.map(column => {
+    const width = column.share * contentWidth;
+    const laidOut = { title: column.title, x: left + CELL_PADDING, width: width - 2 * CELL_PADDING };
+    left += width;
+    return laidOut;
+  });
+}
+
+/**
+ * Creates a table's header row.
+ * @param {Array<{ title: string, x: number, width: number }>} columns - The laid-out columns.
+ * @returns {object} The row.
+ */
+function _tableHeaderRow(columns) {
+  return _tableRow(columns, columns.map(column => _wrapText(column.title, STYLES.cellBold, column.width)), { fill: COLORS.headerFill });
+}
+
+/**
+ * Splits a text row that does not fit in the space left on a page between its lines.
+ * @param {object} row - The text row.
+ * @param {number} available - The space left, in points.
+ * @returns {Array<object> | null} The part that fits and the rest, or null if not even one line fits.
+ */
+function _splitTextRow(row, available) {
+  const { spaceBefore = 0, padding = CELL_PADDING } = row.options;
+  const splits = row.cells.map(cell => {
+    let height = spaceBefore + padding * 2;
+    let count = 0;
+    while (count < cell.lines.length && height + cell.lines[count].style.size * LINE_SPACING <= available) {
+      height += cell.lines[count].style.size * LINE_SPACING;
+      count++;
+    }
+    return count;
+  });
+  if (splits.every(count => count === 0)) return null;
+  return [
+    _textRow(row.cells.map((cell, index) => ({ ...cell, lines: cell.lines.slice(0, splits[index]) })), row.options),
+    _textRow(row.cells.map((cell, index) => ({ ...cell, lines: cell.lines.slice(splits[index]) })), { ...row.options, spaceBefore: 0 })
+  ];
+}
+
+// --- Private Helper Functions: Page Layout ---
+
+/**
+ * Starts a new page.
+ * @param {object} layout - The layout state (see buildRoadmapPdf).
+ */
+function _startPage(layout) {
+  layout.page = { height: layout.height, operations: [], links: [] };
+  layout.pages.push(layout.page);
+  layout.y = TOP_MARGIN;
+}
+
+/**
+ * Draws a row at the current position and moves below it. Rows that start a table of contents entry record
+ * where they were placed.
+ * @param {object} layout - The layout state.
+ * @param {object} row - The row.
+ */
+function _drawRow(layout, row) {
+  const { page, y } = layout;
+  const left = SIDE_MARGIN;
+  if (row.tocEntry) Object.assign(row.tocEntry, { pageIndex: layout.pages.length - 1, y });
+  if (row.draw) {
+    row.draw(page, left, y);
+  } else {
+    const { spaceBefore = 0, padding = CELL_PADDING, fill, rule } = row.options;
+    const top = y + spaceBefore;
+    if (fill) _drawRect(page, { x: left, y: top, w: layout.contentWidth, h: row.height - spaceBefore }, fill);
+    row.cells.forEach(cell => {
+      let lineTop = top + padding;
+      cell.lines.forEach(line => {
+        const x = cell.align === 'right' ? left + cell.x + cell.width - _textWidth(line.text, line.style) : left + cell.x + line.indent;
+        _drawText(page, line.text, x, lineTop + line.style.size, line.style);
+        lineTop += line.style.size * LINE_SPACING;
+      });
+    });
+    if (rule) _drawRule(page, left, y + row.height, layout.contentWidth, rule);
+  }
+  layout.y += row.height;
+}
+
+/**
+ * Places a section's rows. A section that fits on a page is moved to a new page rather than split; a longer one
+ * starts where it is if its lead (heading up to its first item) fits. Rows that do not fit in the space left go on
+ * a new page after their `continuation` rows (a "(continued)" heading and the table header); rows taller than a
+ * page are split between lines.
+ * @param {object} layout - The layout state.
+ * @param {Array<object>} rows - The section's rows.
+ * @param {number} [leadCount=rows.length] - How many rows at the start must stay together.
+ */
+function _placeSection(layout, rows, leadCount = rows.length) {
+  const height = rows.reduce((total, row) => total + row.height, 0);
+  const leadHeight = rows.slice(0, leadCount).reduce((total, row) => total + row.height, 0);
+  const pageSpace = layout.bottom - TOP_MARGIN;
+  const needed = height <= pageSpace ? height : Math.min(leadHeight, pageSpace);
+  if (layout.y > TOP_MARGIN && layout.y + needed > layout.bottom) _startPage(layout);
+
+  rows.forEach(row => {
+    const startContinuedPage = () => {
+      _startPage(layout);
+      (row.continuation || []).forEach(continuationRow => _drawRow(layout, continuationRow));
+    };
+    if (layout.y + row.height > layout.bottom && row.height <= pageSpace) startContinuedPage();
+    let remaining = row;
+    while (remaining.cells && layout.y + remaining.height > layout.bottom) {
+      const parts = _splitTextRow(remaining, layout.bottom - layout.y);
+      if (!parts) break;
+      _drawRow(layout, parts[0]);
+      startContinuedPage();
+      remaining = parts[1];
+    }
+    _drawRow(layout, remaining);
+  });
+}
+
+// --- Private Helper Functions: Roadmap Sections ---
+
+/**
+ * Builds the status legend section.
+ * @param {Array<object>} statuses - The status legend.
+ * @param {number} contentWidth - The content width.
+ * @param {object} tocEntry - The section's table of contents entry.
+ * @returns {Array<object>} The rows.
+ */
+function _legendRows(statuses, contentWidth, tocEntry) {
+  const columns = _layOutColumns(LEGEND_COLUMNS, contentWidth);
+  const heading = { ..._paragraphRow('Status Legend', STYLES.heading1, contentWidth, { padding: 6 }), tocEntry };
+  const continuation = [_paragraphRow('Status Legend (continued)', STYLES.heading1, contentWidth, { padding: 6 }), _tableHeaderRow(columns)];
+  const rows = statuses.map(status => ({
+    ..._tableRow(columns, [
+      _wrapText(status.name, { ...STYLES.cellBold, color: status.color || COLORS.text }, columns[0].width),
+      _wrapText(STATUS_CATEGORIES.find(c => c.value === status.category)?.label || '', STYLES.cell, columns[1].width),
+      _wrapText(status.description || '', { ...STYLES.cell, color: COLORS.muted }, columns[2].width)
+    ]),
+    continuation
+  }));
+  return [heading, _tableHeaderRow(columns), ...rows];
+}
+
+/**
+ * Builds the lines of a milestone's dates, progress, dependencies and schedule warnings.
+ * @param {object} milestone - Milestone data.
+ * @param {object} roadmap - Roadmap data.
+ * @param {{ conflictIds: Set<string>, milestoneTitles: Map<string, string> }} context
+ * @param {number} contentWidth - The content width.
+ * @returns {Array<object>} The lines (see _wrapText).
+ */
+function _milestoneMetaLines(milestone, roadmap, { conflictIds, milestoneTitles }, contentWidth) {
+  const { currentCompletionDate: current, originalCompletionDate: original } = milestone;
+  let dates = current ? `Target date: ${current}` : 'Target date: Not set';
+  if (original && original !== current) dates += ` (Original: ${original})`;
+  const progress = getMilestoneProgress(milestone, roadmap.statuses);
+  const lines = _wrapText(`${dates} · Progress: ${progress.done} of ${progress.total} done (${progress.percent}%)`, STYLES.small, contentWidth);
+  // Dependencies left out of a filtered export are not named
+  const dependencies = (milestone.dependsOn || []).filter(id => milestoneTitles.has(id)).map(id => milestoneTitles.get(id));
+  if (dependencies.length > 0) lines.push(..._wrapText(`Depends on: ${dependencies.join(', ')}`, STYLES.small, contentWidth));
+  if (conflictIds.has(milestone.id)) {
+    lines.push(..._wrapText('Target is before a milestone it depends on', { ...STYLES.small, color: COLORS.danger }, contentWidth));
+  }
+  return lines;
+}
+
+/**
+ * Builds one checklist row: status, the item (sub-items indented, with blockers and notes below it), assignee,
+ * due date and effort.
+ * @param {object} item - Item from the roadmap store.
+ * @param {Array<object>} statuses - The status legend.
+ * @param {Map<string, string>} itemTexts - Descriptions of the exported items by ID (to name blockers).
+ * @param {Array<object>} columns - The laid-out checklist columns.
+ * @returns {Array<Array<object>>} The row's cell lines.
+ */
+function _checklistCells(item, statuses, itemTexts, columns) {
+  const status = statuses.find(s => s.name === item.status) || { name: item.status || 'Unknown' };
+  const indent = item.parentId ? 10 : 0;
+  const itemLines = _wrapText(item.text.trim() || '(empty)', STYLES.cell, columns[1].width, indent);
+  // Blockers left out of a filtered export are not named
+  const blockers = (item.blockedBy || []).filter(id => itemTexts.has(id)).map(id => itemTexts.get(id) || '(empty)');
+  if (blockers.length > 0) itemLines.push(..._wrapText(`Blocked by: ${blockers.join(', ')}`, STYLES.small, columns[1].width, indent));
+  if (item.notes) itemLines.push(..._wrapText(item.notes, STYLES.note, columns[1].width, indent));
+
+  return [
+    _wrapText(status.name, { ...STYLES.cellBold, color: status.color || COLORS.text }, columns[0].width),
+    itemLines,
+    _wrapText(item.assignee || '', STYLES.cell, columns[2].width),
+    _wrapText(item.dueDate || '', STYLES.cell, columns[3].width),
+    _wrapText(item.effort !== null && item.effort !== undefined ? `${item.effort} ${item.effortUnit}` : '', STYLES.cell, columns[4].width)
+  ];
+}
+
+/**
+ * Builds a milestone's section: its heading (marked if it is on the critical path), dates and progress,
+ * purpose and checklist table.
+ * @param {object} milestone - Milestone data.
+ * @param {object} roadmap - Roadmap data.
+ * @param {{ criticalPath: Array<string>, conflictIds: Set<string>, milestoneTitles: Map<string, string>,
+ *   itemTexts: Map<string, string> }} context
+ * @param {number} contentWidth - The content width.
+ * @param {object} tocEntry - The milestone's table of contents entry.
+ * @returns {{ rows: Array<object>, leadCount: number }} The rows, and how many must stay together.
+ */
+function _milestoneSection(milestone, roadmap, context, contentWidth, tocEntry) {
+  const title = context.milestoneTitles.get(milestone.id);
+  const onCriticalPath = context.criticalPath.includes(milestone.id);
+  const tagText = _toWinAnsi('Critical path');
+  const tagStyle = { ...STYLES.cellBold, color: COLORS.accent };
+  const titleWidth = onCriticalPath ? contentWidth - _textWidth(tagText, tagStyle) - 12 : contentWidth;
+  const headingRow = (text, spaceBefore) => _textRow([
+    { x: 0, width: titleWidth, lines: _wrapText(text, STYLES.heading2, titleWidth) },
+    ...(onCriticalPath ? [{ x: 0, width: contentWidth, align: 'right', lines: [{ text: tagText, style: tagStyle, indent: 0 }] }] : [])
+  ], { spaceBefore, padding: 3, rule: COLORS.track });
+
+  const continuedHeading = headingRow(`${title} (continued)`, 0);
+  const progress = getMilestoneProgress(milestone, roadmap.statuses);
+  const rows = [
+    { ...headingRow(title, 16), tocEntry },
+    _textRow([{ x: 0, width: contentWidth, lines: _milestoneMetaLines(milestone, roadmap, context, contentWidth) }], { padding: 3 }),
+    { height: 10, draw: (page, left, top) => _drawProgressBar(page, { x: left, y: top + 1, w: contentWidth, h: 4 }, progress.percent) }
+  ];
+  milestone.purpose.trim().split(/\n\s*\n/).filter(Boolean).forEach(paragraph => {
+    rows.push({ ..._paragraphRow(paragraph, STYLES.body, contentWidth, { spaceBefore: 2 }), continuation: [continuedHeading] });
+  });
+
+  if (milestone.items.length === 0) {
+    rows.push(_paragraphRow('No items added for this milestone.', { ...STYLES.body, font: 'italic' }, contentWidth, { spaceBefore: 4 }));
+    return { rows, leadCount: rows.length };
+  }
+  const columns = _layOutColumns(CHECKLIST_COLUMNS, contentWidth);
+  const headerRow = _tableHeaderRow(columns);
+  rows.push({ ...headerRow, options: { ...headerRow.options, spaceBefore: 6 }, height: headerRow.height + 6 });
+  const continuation = [continuedHeading, headerRow];
+  milestone.items.forEach(item => {
+    rows.push({ ..._tableRow(columns, _checklistCells(item, roadmap.statuses, context.itemTexts, columns)), continuation });
+  });
+  return { rows, leadCount: rows.length - milestone.items.length + 1 };
+}
+
+/**
+ * Builds the schedule slip report section (see getSlipReport).
+ * @param {object} roadmap - Roadmap data.
+ * @param {number} contentWidth - The content width.
+ * @param {object} tocEntry - The section's table of contents entry.
+ * @returns {Array<object>} The rows.
+ */
+function _slipReportRows(roadmap, contentWidth, tocEntry) {
+  const heading = { ..._paragraphRow('Schedule Slip Report', STYLES.heading1, contentWidth, { padding: 6 }), tocEntry };
+  const reportRows = getSlipReport(roadmap);
+  if (reportRows.length === 0) {
+    return [heading, _paragraphRow('No milestones have an original target date yet.', { ...STYLES.body, font: 'italic' }, contentWidth)];
+  }
+
+  const columns = _layOutColumns(SLIP_REPORT_COLUMNS, contentWidth);
+  const continuation = [_paragraphRow('Schedule Slip Report (continued)', STYLES.heading1, contentWidth, { padding: 6 }), _tableHeaderRow(columns)];
+  const rows = reportRows.map(row => {
+    const changes = row.dateChanges.length > 0
+      ? row.dateChanges.flatMap(change => {
+          const reason = change.reason ? ` — ${change.reason}` : '';
+          return _wrapText(`${change.changedAt.slice(0, 10)}: ${change.from || 'no date'} -> ${change.to || 'no date'}${reason}`, STYLES.cell, columns[4].width);
+        })
+      : _wrapText('None', { ...STYLES.cell, font: 'italic' }, columns[4].width);
+    return {
+      ..._tableRow(columns, [
+        _wrapText(row.title.trim() || 'Untitled Milestone', STYLES.cell, columns[0].width),
+        _wrapText(row.originalCompletionDate, STYLES.cell, columns[1].width),
+        _wrapText(row.currentCompletionDate || 'Not set', STYLES.cell, columns[2].width),
+        _wrapText(row.daysSlipped > 0 ? `+${row.daysSlipped}` : String(row.daysSlipped),
+          { ...STYLES.cell, color: row.daysSlipped > 0 ? COLORS.danger : COLORS.body }, columns[3].width),
+        changes
+      ]),
+      continuation
+    };
+  });
+  return [heading, _tableHeaderRow(columns), ...rows];
+}
+
+// --- Private Helper Functions: Front Matter and Page Furniture ---
+
+/**
+ * Draws the cover page: the roadmap name, the export date and the completion summary.
+ * @param {object} page - The first page.
+ * @param {object} layout - The layout state.
+ * @param {object} roadmap - Roadmap data.
+ * @param {string} title - The roadmap name.
+ * @param {string} exportDate - The formatted export date.
+ */
+function _drawCoverPage(page, layout, roadmap, title, exportDate) {
+  const center = layout.width / 2;
+  _drawRect(page, { x: 0, y: 0, w: layout.width, h: 10 }, COLORS.accent);
+
+  let y = layout.height * 0.3;
+  _wrapText(title, STYLES.title, layout.contentWidth).forEach(line => {
+    _drawRuns(page, [line], center, y + STYLES.title.size, true);
+    y += STYLES.title.size * 1.2;
+  });
+  _drawRule(page, center - 60, y + 14, 120, COLORS.accent, 2);
+  _drawRuns(page, [{ text: _toWinAnsi(`Exported ${exportDate}`), style: { ...STYLES.body, size: 12, color: COLORS.muted } }], center, y + 40, true);
+
+  const summary = getRoadmapSummary(roadmap);
+  const box = { x: SIDE_MARGIN + layout.contentWidth * 0.15, y: y + 70, w: layout.contentWidth * 0.7, h: 104 };
+  const textStyle = { ...STYLES.body, size: 11 };
+  _drawRect(page, box, COLORS.light);
+  _drawRuns(page, [
+    { text: `${summary.percent}% complete`, style: { ...STYLES.heading2, size: 16 } },
+    { text: _toWinAnsi(` (${summary.done} of ${summary.total} items done)`), style: textStyle }
+  ], center, box.y + 30, true);
+  _drawProgressBar(page, { x: box.x + 24, y: box.y + 42, w: box.w - 48, h: 8 }, summary.percent);
+  _drawRuns(page, [
+    { text: `Blocked items: ${summary.blocked}`, style: { ...textStyle, color: COLORS.danger } },
+    { text: _toWinAnsi(' · '), style: textStyle },
+    { text: `At-risk items: ${summary.atRisk}`, style: { ...textStyle, color: COLORS.warning } }
+  ], center, box.y + 70, true);
+  _drawRuns(page, [{ text: `Slipped milestones: ${summary.slippedMilestones} of ${summary.milestones}`, style: textStyle }], center, box.y + 88, true);
+}
+
+/**
+ * Draws the table of contents on its pages, with dot leaders, page numbers and links to the sections.
+ * @param {Array<object>} tocPages - The pages reserved for the table of contents.
+ * @param {Array<{ title: string, level: number, pageIndex: number, y: number }>} entries - The entries, placed.
+ * @param {number} entriesPerPage - How many entries fit on each page (the first also has the heading).
+ * @param {object} layout - The layout state.
+ */
+function _drawTableOfContents(tocPages, entries, entriesPerPage, layout) {
+  const lineHeight = STYLES.body.size * 2;
+  const numberWidth = _textWidth('0000', STYLES.body);
+  const dotWidth = _textWidth('.', STYLES.body);
+  tocPages.forEach((page, pageNumber) => {
+    let y = TOP_MARGIN;
+    _drawText(page, pageNumber === 0 ? 'Contents' : 'Contents (continued)', SIDE_MARGIN, y + STYLES.heading1.size, STYLES.heading1);
+    y += STYLES.heading1.size * 2.5;
+
+    entries.slice(pageNumber * entriesPerPage, (pageNumber + 1) * entriesPerPage).forEach(entry => {
+      const style = entry.level === 0 ? { ...STYLES.body, font: 'bold', color: COLORS.text } : STYLES.body;
+      const left = SIDE_MARGIN + entry.level * 16;
+      const baseline = y + STYLES.body.size;
+      const titleText = _fitText(entry.title, style, layout.contentWidth - entry.level * 16 - numberWidth - 12);
+      const pageText = String(entry.pageIndex + 1);
+      const titleRight = left + _textWidth(titleText, style) + 4;
+      const numberLeft = SIDE_MARGIN + layout.contentWidth - _textWidth(pageText, STYLES.body);
+      _drawText(page, titleText, left, baseline, style);
+      _drawText(page, '.'.repeat(Math.max(0, Math.floor((numberLeft - 4 - titleRight) / dotWidth))), titleRight, baseline, { ...STYLES.body, color: COLORS.muted });
+      _drawText(page, pageText, numberLeft, baseline, STYLES.body);
+      page.links.push({ box: { x: left, y: y - 3, w: SIDE_MARGIN + layout.contentWidth - left, h: lineHeight - 2 }, pageIndex: entry.pageIndex, top: entry.y });
+      y += lineHeight;
+    });
+  });
+}
+
+/**
+ * Draws the header (roadmap name and export date) and the footer (page number) of a page.
+ * @param {object} page - The page.
+ * @param {object} layout - The layout state.
+ * @param {string} title - The roadmap name.
+ * @param {string} exportDate - The formatted export date.
+ * @param {number} number - The page number.
+ */
+function _drawHeaderAndFooter(page, layout, title, exportDate, number) {
+  const dateText = _toWinAnsi(`Exported ${exportDate}`);
+  const dateLeft = SIDE_MARGIN + layout.contentWidth - _textWidth(dateText, STYLES.small);
+  _drawText(page, _fitText(title, STYLES.small, dateLeft - SIDE_MARGIN - 24), SIDE_MARGIN, 38, STYLES.small);
+  _drawText(page, dateText, dateLeft, 38, STYLES.small);
+  _drawRule(page, SIDE_MARGIN, 44, layout.contentWidth, COLORS.track);
+
+  const pageText = `Page ${number} of ${layout.pages.length}`;
+  _drawText(page, pageText, (layout.width - _textWidth(pageText, STYLES.small)) / 2, layout.height - 30, STYLES.small);
+}
+
+// --- Private Helper Functions: File Structure ---
+
+/**
+ * Encodes a text string for the document information dictionary, which (unlike page text) may use any Unicode.
+ * @param {string} text - The text.
+ * @returns {string} A UTF-16 hex string.
+ */
+function _pdfTextString(text) {
+  let hex = 'FEFF';
+  for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+  return `<${hex.toUpperCase()}>`;
+}
+
+/**
+ * Writes the PDF file: catalog, page tree, document information, fonts, then each page with its content stream
+ * and link annotations, followed by the cross-reference table.
+ * @param {Array<{ operations: Array<string>, links: Array<object> }>} pages - The pages.
+ * @param {{ width: number, height: number, title: string, createdAt: Date }} documentInfo
+ * @returns {Uint8Array} The file contents.
+ */
+function _writePdf(pages, { width, height, title, createdAt }) {
+  // Objects 1-6 are the catalog, page tree, information and fonts; page objects are numbered from 7
+  let nextNumber = 7;
+  const pageNumbers = pages.map(page => {
+    const numbers = { page: nextNumber, content: nextNumber + 1, links: page.links.map((_, index) => nextNumber + 2 + index) };
+    nextNumber += 2 + page.links.length;
+    return numbers;
+  });
+  const timestamp = createdAt.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  const fontReferences = Object.keys(BASE_FONTS).map((name, index) => `/${name} ${4 + index} 0 R`).join(' ');
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageNumbers.map(numbers => `${numbers.page} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    `<< /Title ${_pdfTextString(title)} /CreationDate (D:${timestamp}Z) >>`,
+    ...Object.values(BASE_FONTS).map(baseFont => `<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`)
+  ];
+  pages.forEach((page, index) => {
+    const numbers = pageNumbers[index];
+    const annotations = numbers.links.length > 0 ? ` /Annots [${numbers.links.map(number => `${number} 0 R`).join(' ')}]` : '';
+    const content = page.operations.join('\n');
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << ${fontReferences} >> >> /Contents ${numbers.content} 0 R${annotations} >>`,
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+      ...page.links.map(({ box, pageIndex, top }) => `<< /Type /Annot /Subtype /Link /Border [0 0 0] `
+        + `/Rect [${_number(box.x)} ${_number(height - box.y - box.h)} ${_number(box.x + box.w)} ${_number(height - box.y)}] `
+        + `/Dest [${pageNumbers[pageIndex].page} 0 R /XYZ 0 ${_number(height - top + 12)} null] >>`)
+    );
+  });
+
+  // Page text is one byte per character, so string offsets are byte offsets
+  let file = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+  const offsets = objects.map((object, index) => {
+    const offset = file.length;
+    file += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const crossReferenceOffset = file.length;
+  file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+    + offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+    + `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${crossReferenceOffset}\n%%EOF\n`;
+
+  const bytes = new Uint8Array(file.length);
+  for (let i = 0; i < file.length; i++) bytes[i] = file.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+// --- Public API ---
+
+/**
+ * Builds a PDF document for a roadmap.
+ * @param {object} roadmap - Roadmap data ({ roadmapName, milestones, statuses }).
+ * @param {object} [options={}]
+ * @param {boolean} [options.includeSlipReport=false] - Whether to add the schedule slip report at the end.
+ * @param {'portrait' | 'landscape'} [options.orientation='portrait'] - The page orientation (US Letter).
+ * @returns {Uint8Array} The .pdf file contents.
+ */
+export function buildRoadmapPdf(roadmap, { includeSlipReport = false, orientation = 'portrait' } = {}) {
+  const title = roadmap.roadmapName.trim() || 'Product Roadmap';
+  const roadmapData = { ...roadmap, statuses: Array.isArray(roadmap.statuses) ? roadmap.statuses : [] };
+  const exportDate = formatDisplayDate(todayIsoDate());
+  const { width, height } = PAGE_SIZES[orientation] || PAGE_SIZES.portrait;
+  const layout = { width, height, contentWidth: width - 2 * SIDE_MARGIN, bottom: height - BOTTOM_MARGIN, pages: [], page: null, y: 0 };
+  const context = {
+    criticalPath: getCriticalPath(roadmapData),
+    conflictIds: new Set(getDependencyConflicts(roadmapData).map(conflict => conflict.milestoneId)),
+    milestoneTitles: new Map(roadmapData.milestones.map(m => [m.id, m.title.trim() || 'Untitled Milestone'])),
+    itemTexts: new Map(roadmapData.milestones.flatMap(m => m.items.map(item => [item.id, item.text.trim()])))
+  };
+
+  // Table of contents entries get their page once their section is placed
+  const legendEntry = { title: 'Status Legend', level: 0 };
+  const milestonesEntry = { title: 'Roadmap Milestones', level: 0 };
+  const milestoneEntries = roadmapData.milestones.map(milestone => ({ title: context.milestoneTitles.get(milestone.id), level: 1 }));
+  const slipReportEntry = { title: 'Schedule Slip Report', level: 0 };
+  const tocEntries = [
+    ...(roadmapData.statuses.length > 0 ? [legendEntry] : []),
+    milestonesEntry,
+    ...milestoneEntries,
+    ...(includeSlipReport ? [slipReportEntry] : [])
+  ];
+
+  // The cover and table of contents pages come first and are drawn once the page numbers are known
+  _startPage(layout);
+  const entriesPerPage = Math.floor((layout.bottom - TOP_MARGIN - STYLES.heading1.size * 2.5) / (STYLES.body.size * 2));
+  const tocPageCount = Math.ceil(tocEntries.length / entriesPerPage);
+  for (let i = 0; i < tocPageCount; i++) _startPage(layout);
+  const tocPages = layout.pages.slice(1);
+
+  _startPage(layout);
+  if (roadmapData.statuses.length > 0) _placeSection(layout, _legendRows(roadmapData.statuses, layout.contentWidth, legendEntry));
+  const milestonesHeading = { ..._paragraphRow('Roadmap Milestones', STYLES.heading1, layout.contentWidth, { spaceBefore: 18, padding: 6 }), tocEntry: milestonesEntry };
+  if (roadmapData.milestones.length === 0) {
+    _placeSection(layout, [milestonesHeading, _paragraphRow('No milestones to show.', { ...STYLES.body, font: 'italic' }, layout.contentWidth)]);
+  }
+  roadmapData.milestones.forEach((milestone, index) => {
+    const { rows, leadCount } = _milestoneSection(milestone, roadmapData, context, layout.contentWidth, milestoneEntries[index]);
+    // The section heading stays with the first milestone
+    const heading = index === 0 ? [milestonesHeading] : [];
+    _placeSection(layout, [...heading, ...rows], heading.length + leadCount);
+  });
+  if (includeSlipReport) {
+    _startPage(layout);
+    _placeSection(layout, _slipReportRows(roadmapData, layout.contentWidth, slipReportEntry), 3);
+  }
+
+  _drawCoverPage(layout.pages[0], layout, roadmapData, title, exportDate);
+  _drawTableOfContents(tocPages, tocEntries, entriesPerPage, layout);
+  layout.pages.forEach((page, index) => {
+    if (index > 0) _drawHeaderAndFooter(page, layout, title, exportDate, index + 1);
+  });
+
+  return _writePdf(layout.pages, { width, height, title, createdAt: new Date() });
+}
@@ -0,0 +1,665 @@
+// pptxBuilder.js
+// Builds PowerPoint decks (.pptx) from roadmap data in the browser, so PowerPoint export needs no conversion
+// service. The deck has a title slide with the roadmap name and overall progress, a timeline overview (target
+// dates, slips from the original dates, today), and a slide per milestone with its dates, slip, purpose and
+// items grouped by status, continued on further slides when a milestone has many items. The schedule slip
+// report can be added at the end.
+// Like roadmapStore.js, this module has no DOM access.
+
+import { getMilestoneProgress, getRoadmapSummary, getSlipReport, getDependencyConflicts, getCriticalPath } from './roadmapProgress.js';
+import { toDayNumber, fromDayNumber, daysBetween, todayIsoDate } from './dateUtils.js';
+import { createZip } from './zipArchive.js';
+import { XML_DECLARATION, escapeXml, relationshipsXml, packageRelationshipsXml, contentTypesXml, corePropertiesXml } from './officeXml.js';
+
+// --- Constants ---
+const NAMESPACES = 'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" '
+  + 'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" '
+  + 'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+const EMU_PER_INCH = 914400;
+const SLIDE_WIDTH = 13 + 1 / 3; // 16:9, in inches
+const SLIDE_HEIGHT = 7.5;
+const MARGIN = 0.5;
+// The app's palette (see scss/_custom_variables.scss) and Bootstrap's status colors
+const COLORS = { text: '006D77', muted: '6C757D', accent: 'E29578', light: 'EDF6F9', track: 'DEE2E6', white: 'FFFFFF', done: '198754', danger: 'DC3545', warning: 'FD7E14' };
+const FALLBACK_ICON = '❓';
+const RANGE_PADDING_DAYS = 14; // As in the timeline view
+const MAX_AXIS_LABELS = 12;
+const MAX_TIMELINE_LABEL_LENGTH = 40;
+const MAX_ITEM_LINES_PER_SLIDE = 14; // Status headings and items; the rest continue on another slide
+const SHAPE_TREE_GROUP = '<p:nvGrpSpPr><p:cNvPr id="1" name=""/><p:cNvGrpSpPr/><p:nvPr/></p:nvGrpSpPr>'
+  + '<p:grpSpPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/><a:chOff x="0" y="0"/><a:chExt cx="0" cy="0"/></a:xfrm></p:grpSpPr>';
+
+// --- Private Helper Functions: DrawingML ---
+
+/**
+ * Converts inches to English Metric Units, the unit of slide coordinates.
+ * @param {number} inches - The length in inches.
+ * @returns {number} The length in EMU.
+ */
+function _emu(inches) {
+  return Math.round(inches * EMU_PER_INCH);
+}
+
+/**
+ * Shortens text to a maximum length, ending it with an ellipsis.
+ * @param {string} text - The text.
+ * @param {number} maxLength - The maximum length.
+ * @returns {string} The text, shortened if needed.
+ */
+function _truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1).trimEnd()}…` : text;
+}
+
+/**
+ * Builds a run of text.
+ * @param {string} text - The text (one line).
+ * @param {object} [format={}]
+ * @param {number} [format.size=14] - Font size in points.
+ * @param {boolean} [format.bold] - Bold text.
+ * @param {boolean} [format.italic] - Italic text.
+ * @param {string} [format.color] - Hex color ('#198754' or '198754'); the roadmap text color by default.
+ * @returns {string} An <a:r> element.
+ */
+function _textRun(text, { size = 14, bold = false, italic = false, color = COLORS.text } = {}) {
+  return `<a:r><a:rPr lang="en-US" sz="${Math.round(size * 100)}"${bold ? ' b="1"' : ''}${italic ? ' i="1"' : ''} dirty="0">`
+    + `<a:solidFill><a:srgbClr val="${(color || COLORS.text).replace('#', '').toUpperCase()}"/></a:solidFill></a:rPr>`
+    + `<a:t>${escapeXml(text)}</a:t></a:r>`;
+}
+
+/**
+ * Builds a paragraph of text.
+ * @param {string | Array<string>} runs - The paragraph's runs (see _textRun).
+ * @param {object} [format={}]
+ * @param {'l' | 'ctr' | 'r'} [format.align='l'] - Alignment.
+ * @param {boolean} [format.bullet] - Whether the paragraph is a bullet point.
+ * @param {number} [format.spaceBefore] - Space before the paragraph in points.
+ * @returns {string} An <a:p> element.
+ */
+function _textParagraph(runs, { align = 'l', bullet = false, spaceBefore = 0 } = {}) {
+  const indent = bullet ? ` marL="${_emu(0.25)}" indent="${_emu(-0.25)}"` : '';
+  const spacing = spaceBefore ? `<a:spcBef><a:spcPts val="${spaceBefore * 100}"/></a:spcBef>` : '';
+  const bulletXml = bullet ? '<a:buFont typeface="Arial"/><a:buChar char="•"/>' : '<a:buNone/>';
+  return `<a:p><a:pPr algn="${align}"${indent}>${spacing}${bulletXml}</a:pPr>${[].concat(runs).join('')}</a:p>`;
+}
+
+/**
+ * Creates an empty slide to add shapes to.
+ * @returns {{ shapes: Array<string> }} The slide.
+ */
+function _createSlide() {
+  return { shapes: [] };
+}
+
+/**
+ * Adds a shape (a text box, or a filled or outlined rectangle, diamond etc.) to a slide.
+ * @param {{ shapes: Array<string> }} slide - The slide.
+ * @param {{ x: number, y: number, w: number, h: number }} box - Position and size in inches.
+ * @param {object} [options={}]
+ * @param {string} [options.name='Shape'] - Shape name, shown in PowerPoint's selection pane.
+ * @param {string} [options.geometry='rect'] - Preset shape ('rect', 'roundRect', 'diamond').
+ * @param {string} [options.fill] - Fill color; no fill if empty.
+ * @param {string} [options.line] - Outline color; no outline if empty.
+ * @param {number} [options.lineWidth=1] - Outline width in points.
+ * @param {Array<string>} [options.paragraphs=[]] - Text paragraphs (see _textParagraph).
+ * @param {'t' | 'ctr' | 'b'} [options.anchor='t'] - Vertical text alignment.
+ */
+function _addShape(slide, box, { name = 'Shape', geometry = 'rect', fill = '', line = '', lineWidth = 1, paragraphs = [], anchor = 't' } = {}) {
+  const id = slide.shapes.length + 2; // ID 1 is the slide's shape tree
+  const transform = `<a:xfrm><a:off x="${_emu(box.x)}" y="${_emu(box.y)}"/>`
+    + `<a:ext cx="${_emu(Math.max(box.w, 0.01))}" cy="${_emu(Math.max(box.h, 0.01))}"/></a:xfrm>`;
+  const fillXml = fill ? `<a:solidFill><a:srgbClr val="${fill}"/></a:solidFill>` : '<a:noFill/>';
+  const lineXml = line
+    ? `<a:ln w="${Math.round(lineWidth * 12700)}"><a:solidFill><a:srgbClr val="${line}"/></a:solidFill></a:ln>`
+    : '<a:ln><a:noFill/></a:ln>';
+  const text = paragraphs.length > 0 ? paragraphs.join('') : '<a:p><a:endParaRPr lang="en-US" dirty="0"/></a:p>';
+
+  slide.shapes.push(`<p:sp><p:nvSpPr><p:cNvPr id="${id}" name="${escapeXml(name)} ${id}"/>`
+    + `<p:cNvSpPr${paragraphs.length > 0 ? ' txBox="1"' : ''}/><p:nvPr/></p:nvSpPr>`
+    + `<p:spPr>${transform}<a:prstGeom prst="${geometry}"><a:avLst/></a:prstGeom>${fillXml}${lineXml}</p:spPr>`
+    + `<p:txBody><a:bodyPr wrap="square" lIns="45720" tIns="22860" rIns="45720" bIns="22860" anchor="${anchor}"><a:normAutofit/></a:bodyPr>`
+    + `<a:lstStyle/>${text}</p:txBody></p:sp>`);
+}
+
+/**
+ * Adds a slide title with an accent line below it.
+ * @param {{ shapes: Array<string> }} slide - The slide.
+ * @param {string} title - The title.
+ */
+function _addSlideTitle(slide, title) {
+  _addShape(slide, { x: MARGIN, y: 0.3, w: SLIDE_WIDTH - 2 * MARGIN, h: 0.75 }, {
+    name: 'Title',
+    anchor: 'b',
+    paragraphs: [_textParagraph(_textRun(_truncate(title, 70), { size: 28, bold: true }))]
+  });
+  _addShape(slide, { x: MARGIN, y: 1.07, w: 1.2, h: 0.05 }, { name: 'Accent', fill: COLORS.accent });
+}
+
+/**
+ * Adds a horizontal progress bar.
+ * @param {{ shapes: Array<string> }} slide - The slide.
+ * @param {{ x: number, y: number, w: number, h: number }} box - The bar's position and size in inches.
+ * @param {number} percent - The completion percentage.
+ */
+function _addProgressBar(slide, box, percent) {
+  _addShape(slide, box, { name: 'Progress Track', geometry: 'roundRect', fill: COLORS.track });
+  if (percent > 0) {
+    _addShape(slide, { ...box, w: (box.w * percent) / 100 }, { name: 'Progress', geometry: 'roundRect', fill: COLORS.done });
+  }
+}
+
+// --- Private Helper Functions: Slides ---
+
+/**
+ * Builds the title slide: the roadmap name and the overall progress.
+ * @param {object} roadmap - Roadmap data.
+ * @param {string} title - The roadmap name.
+ * @returns {{ shapes: Array<string> }} The slide.
+ */
+function _titleSlide(roadmap, title) {
+  const slide = _createSlide();
+  const summary = getRoadmapSummary(roadmap);
+  _addShape(slide, { x: 0, y: 0, w: SLIDE_WIDTH, h: SLIDE_HEIGHT }, { name: 'Background', fill: COLORS.light });
+  _addShape(slide, { x: 0, y: 0, w: SLIDE_WIDTH, h: 0.25 }, { name: 'Band', fill: COLORS.text });
+  _addShape(slide, { x: 1, y: 1.6, w: SLIDE_WIDTH - 2, h: 1.6 }, {
+    name: 'Title',
+    anchor: 'b',
+    paragraphs: [_textParagraph(_textRun(title, { size: 40, bold: true }), { align: 'ctr' })]
+  });
+  _addShape(slide, { x: 1, y: 3.3, w: SLIDE_WIDTH - 2, h: 0.5 }, {
+    name: 'Subtitle',
+    paragraphs: [_textParagraph(_textRun(`Roadmap overview · ${todayIsoDate()}`, { size: 16, color: COLORS.muted }), { align: 'ctr' })]
+  });
+  _addProgressBar(slide, { x: (SLIDE_WIDTH - 8) / 2, y: 4.2, w: 8, h: 0.3 }, summary.percent);
+  _addShape(slide, { x: 1, y: 4.6, w: SLIDE_WIDTH - 2, h: 0.5 }, {
+    name: 'Progress Summary',
+    paragraphs: [_textParagraph([
+      _textRun(`${summary.percent}% complete`, { size: 20, bold: true }),
+      _textRun(` (${summary.done} of ${summary.total} items done)`, { size: 16 })
+    ], { align: 'ctr' })]
+  });
+  _addShape(slide, { x: 1, y: 5.15, w: SLIDE_WIDTH - 2, h: 0.5 }, {
+    name: 'Risks',
+    paragraphs: [_textParagraph([
+      _textRun(`Blocked items: ${summary.blocked}`, { color: COLORS.danger }),
+      _textRun(' · ', { color: COLORS.muted }),
+      _textRun(`At-risk items: ${summary.atRisk}`, { color: COLORS.warning }),
+      _textRun(` · Slipped milestones: ${summary.slippedMilestones} of ${summary.milestones}`, { color: COLORS.muted })
+    ], { align: 'ctr' })]
+  });
+  return slide;
+}
+
+/**
+ * Lists the first day of every month inside a day range, for the timeline axis.
+ * @param {{ start: number, end: number }} range - Day numbers of the range.
+ * @returns {Array<{ day: number, label: string }>} Month starts with labels like "Mar 2026".
+ */
+function _monthStarts(range) {
+  const monthStarts = [];
+  const cursor = new Date(`${fromDayNumber(range.start)}T00:00:00`);
+  cursor.setDate(1);
+  cursor.setMonth(cursor.getMonth() + 1);
+  for (;;) {
+    const day = toDayNumber(`${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}-01`);
+    if (day > range.end) break;
+    monthStarts.push({ day, label: cursor.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }) });
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+  return monthStarts;
+}
+
+/**
+ * Builds the timeline overview: like the timeline view, a row per dated milestone with its target date,
+ * the slip from its original date, and a line for today.
+ * @param {object} roadmap - Roadmap data.
+ * @returns {{ shapes: Array<string> }} The slide.
+ */
+function _timelineSlide(roadmap) {
+  const slide = _createSlide();
+  _addSlideTitle(slide, 'Timeline');
+
+  const dated = roadmap.milestones.filter(m => toDayNumber(m.currentCompletionDate) !== null || toDayNumber(m.originalCompletionDate) !== null);
+  const undated = roadmap.milestones.filter(m => !dated.includes(m));
+  if (dated.length === 0) {
+    _addShape(slide, { x: MARGIN, y: 1.5, w: SLIDE_WIDTH - 2 * MARGIN, h: 0.5 }, {
+      name: 'No Dates',
+      paragraphs: [_textParagraph(_textRun('No milestones have target dates yet.', { italic: true, color: COLORS.muted }))]
+    });
+    return slide;
+  }
+
+  const days = dated.flatMap(m => [toDayNumber(m.currentCompletionDate), toDayNumber(m.originalCompletionDate)]).filter(day => day !== null);
+  const range = { start: Math.min(...days) - RANGE_PADDING_DAYS, end: Math.max(...days) + RANGE_PADDING_DAYS };
+  const labelWidth = 3;
+  const trackX = MARGIN + labelWidth + 0.2;
+  const trackWidth = SLIDE_WIDTH - MARGIN - trackX;
+  const toX = day => trackX + ((day - range.start) / (range.end - range.start)) * trackWidth;
+
+  // Axis with month labels
+  const axisY = 1.35;
+  _addShape(slide, { x: trackX, y: axisY + 0.35, w: trackWidth, h: 0.01 }, { name: 'Axis', fill: COLORS.track });
+  const monthStarts = _monthStarts(range);
+  const step = Math.max(1, Math.ceil(monthStarts.length / MAX_AXIS_LABELS));
+  monthStarts.filter((_, index) => index % step === 0).forEach(({ day, label }) => {
+    _addShape(slide, { x: toX(day) - 0.6, y: axisY, w: 1.2, h: 0.3 }, {
+      name: 'Month',
+      paragraphs: [_textParagraph(_textRun(label, { size: 10, color: COLORS.muted }), { align: 'ctr' })]
+    });
+    _addShape(slide, { x: toX(day), y: axisY + 0.3, w: 0.01, h: 0.1 }, { name: 'Tick', fill: COLORS.muted });
+  });
+
+  const rowsY = 1.9;
+  const rowHeight = Math.min(0.5, (SLIDE_HEIGHT - 1.2 - rowsY) / dated.length);
+  const fontSize = rowHeight >= 0.4 ? 12 : rowHeight >= 0.28 ? 10 : 8;
+  const markerSize = Math.min(0.22, rowHeight * 0.6);
+
+  const todayDay = toDayNumber(todayIsoDate());
+  if (todayDay >= range.start && todayDay <= range.end) {
+    _addShape(slide, { x: toX(todayDay) - 0.01, y: rowsY - 0.1, w: 0.02, h: dated.length * rowHeight + 0.1 }, { name: 'Today', fill: COLORS.text });
+    _addShape(slide, { x: toX(todayDay) - 0.5, y: rowsY + dated.length * rowHeight, w: 1, h: 0.3 }, {
+      name: 'Today Label',
+      paragraphs: [_textParagraph(_textRun('Today', { size: 9, bold: true }), { align: 'ctr' })]
+    });
+  }
+
+  const criticalPath = getCriticalPath(roadmap);
+  const conflictIds = new Set(getDependencyConflicts(roadmap).map(conflict => conflict.milestoneId));
+  dated.forEach((milestone, index) => {
+    const y = rowsY + index * rowHeight;
+    const centerY = y + rowHeight / 2;
+    const isCritical = criticalPath.includes(milestone.id);
+    const hasConflict = conflictIds.has(milestone.id);
+    const title = _truncate(milestone.title.trim() || 'Untitled Milestone', MAX_TIMELINE_LABEL_LENGTH);
+    _addShape(slide, { x: MARGIN, y, w: labelWidth, h: rowHeight }, {
+      name: 'Milestone',
+      anchor: 'ctr',
+      paragraphs: [_textParagraph(_textRun(`${hasConflict ? '⚠ ' : ''}${title}`, {
+        size: fontSize,
+        bold: isCritical,
+        color: hasConflict ? COLORS.danger : isCritical ? COLORS.accent : COLORS.text
+      }))]
+    });
+    _addShape(slide, { x: trackX, y: centerY, w: trackWidth, h: 0.005 }, { name: 'Row', fill: COLORS.light });
+
+    const currentDay = toDayNumber(milestone.currentCompletionDate);
+    const originalDay = toDayNumber(milestone.originalCompletionDate);
+    if (currentDay !== null && originalDay !== null && currentDay !== originalDay) {
+      const slipped = currentDay > originalDay;
+      _addShape(slide, { x: toX(Math.min(currentDay, originalDay)), y: centerY - 0.04, w: Math.abs(toX(currentDay) - toX(originalDay)), h: 0.08 }, {
+        name: slipped ? 'Slip' : 'Pulled In',
+        geometry: 'roundRect',
+        fill: slipped ? COLORS.danger : COLORS.done
+      });
+    }
+    if (originalDay !== null && originalDay !== currentDay) {
+      _addShape(slide, { x: toX(originalDay) - markerSize / 2, y: centerY - markerSize / 2, w: markerSize, h: markerSize }, {
+        name: 'Original Date', geometry: 'diamond', fill: COLORS.white, line: COLORS.muted, lineWidth: 1.5
+      });
+    }
+    if (currentDay !== null) {
+      const markerX = toX(currentDay);
+      _addShape(slide, { x: markerX - markerSize / 2, y: centerY - markerSize / 2, w: markerSize, h: markerSize }, {
+        name: 'Target Date', geometry: 'diamond', fill: COLORS.accent, line: isCritical ? COLORS.text : '', lineWidth: 2
+      });
+      // The date goes right of the marker, or left of it near the right edge
+      const labelOnLeft = markerX + markerSize / 2 + 1.2 > SLIDE_WIDTH - 0.1;
+      _addShape(slide, { x: labelOnLeft ? markerX - markerSize / 2 - 1.15 : markerX + markerSize / 2 + 0.05, y, w: 1.1, h: rowHeight }, {
+        name: 'Date',
+        anchor: 'ctr',
+        paragraphs: [_textParagraph(_textRun(milestone.currentCompletionDate, { size: Math.min(fontSize, 9), color: COLORS.muted }), { align: labelOnLeft ? 'r' : 'l' })]
+      });
+    }
+  });
+
+  const notes = [];
+  if (undated.length > 0) {
+    notes.push(_textParagraph(_textRun(`No target date: ${undated.map(m => m.title.trim() || 'Untitled Milestone').join(', ')}`, { size: 10, color: COLORS.muted })));
+  }
+  notes.push(_textParagraph(_textRun('◆ Target date   ◇ Original date   Red bar: slipped   Green bar: pulled in   Bold: critical path   ⚠ Target before a dependency',
+    { size: 10, color: COLORS.muted })));
+  _addShape(slide, { x: MARGIN, y: SLIDE_HEIGHT - 0.95, w: SLIDE_WIDTH - 2 * MARGIN, h: 0.55 }, { name: 'Key', anchor: 'b', paragraphs: notes });
+  return slide;
+}
+
+/**
+ * Builds a milestone's dates line: the target and original dates and the slip between them.
+ * @param {object} milestone - Milestone data.
+ * @returns {Array<string>} The line's runs.
+ */
+function _milestoneDateRuns(milestone) {
+  const { currentCompletionDate: current, originalCompletionDate: original } = milestone;
+  const runs = [_textRun(`Target: ${current || 'Not set'}`, { size: 16, bold: true })];
+  if (original && original !== current) runs.push(_textRun(` · Original: ${original}`, { size: 16 }));
+  const slipDays = current && original ? daysBetween(original, current) : null;
+  if (slipDays > 0) {
+    runs.push(_textRun(' · ', { size: 16 }), _textRun(`Slipped ${slipDays} day${slipDays === 1 ? '' : 's'}`, { size: 16, bold: true, color: COLORS.danger }));
+  } else if (slipDays < 0) {
+    runs.push(_textRun(' · ', { size: 16 }), _textRun(`Pulled in ${-slipDays} day${slipDays === -1 ? '' : 's'}`, { size: 16, bold: true, color: COLORS.done }));
+  } else if (slipDays === 0) {
+    runs.push(_textRun(' · On schedule', { size: 16, color: COLORS.muted }));
+  }
+  return runs;
+}
+
+/**
+ * Groups a milestone's items by status, in legend order; statuses missing from the legend come last.
+ * @param {Array<object>} items - The milestone's items.
+ * @param {Array<object>} statuses - The status legend.
+ * @returns {Array<{ status: object, items: Array<object> }>} The non-empty groups.
+ */
+function _groupItemsByStatus(items, statuses) {
+  const unknownNames = [...new Set(items.map(item => item.status))].filter(name => !statuses.some(s => s.name === name));
+  return [
+    ...statuses.map(status => ({ name: status.name, status })),
+    ...unknownNames.map(name => ({ name, status: { name: name || 'No status', icon: FALLBACK_ICON } }))
+  ]
+    .map(({ name, status }) => ({ status, items: items.filter(item => item.status === name) }))
+    .filter(group => group.items.length > 0);
+}
+
+/**
+ * Splits a milestone's status groups into pages of at most MAX_ITEM_LINES_PER_SLIDE lines (a status heading or
+ * an item each). A group cut off by a page break gets its heading again on the next page.
+ * @param {Array<{ status: object, items: Array<object> }>} groups - The status groups.
+ * @returns {Array<Array<{ type: 'heading' | 'item', group?: object, item?: object, continued?: boolean }>>} The pages.
+ */
+function _paginateItemLines(groups) {
+  const pages = [[]];
+  groups.forEach(group => {
+    if (pages.at(-1).length >= MAX_ITEM_LINES_PER_SLIDE - 1) pages.push([]); // No heading alone at the bottom
+    pages.at(-1).push({ type: 'heading', group });
+    group.items.forEach(item => {
+      if (pages.at(-1).length >= MAX_ITEM_LINES_PER_SLIDE) pages.push([{ type: 'heading', group, continued: true }]);
+      pages.at(-1).push({ type: 'item', item });
+    });
+  });
+  return pages;
+}
+
+/**
+ * Builds the text paragraphs for one page of a milestone's items.
+ * @param {Array<object>} lines - The page's lines (see _paginateItemLines).
+ * @param {Map<string, string>} itemTexts - Descriptions of the milestone's items by ID (to name parents).
+ * @returns {Array<string>} The paragraphs.
+ */
+function _itemLineParagraphs(lines, itemTexts) {
+  return lines.map((line, index) => {
+    if (line.type === 'heading') {
+      const { status, items } = line.group;
+      return _textParagraph([
+        _textRun(`${status.icon || FALLBACK_ICON} ${status.name}`, { size: 14, bold: true, color: status.color }),
+        _textRun(` (${items.length}${line.continued ? ', continued' : ''})`, { size: 12, color: COLORS.muted })
+      ], { spaceBefore: index > 0 ? 8 : 0 });
+    }
+    const { item } = line;
+    const details = [
+      item.parentId && itemTexts.has(item.parentId) && `part of "${_truncate(itemTexts.get(item.parentId) || '(empty)', 40)}"`,
+      item.assignee && `@${item.assignee}`,
+      item.dueDate && `due ${item.dueDate}`,
+      item.effort !== null && item.effort !== undefined && `${item.effort} ${item.effortUnit}`
+    ].filter(Boolean);
+    const runs = [_textRun(`${item.parentId ? '↳ ' : ''}${_truncate(item.text.trim() || '(empty)', 120)}`, { size: 13 })];
+    if (details.length > 0) runs.push(_textRun(`  ${details.join(' · ')}`, { size: 11, color: COLORS.muted }));
+    return _textParagraph(runs, { bullet: true });
+  });
+}
+
+/**
+ * Builds the slides for one milestone: the first with its dates, slip, progress, dependencies and purpose,
+ * and as many as its items need, grouped by status.
+ * @param {object} milestone - Milestone data.
+ * @param {object} roadmap - Roadmap data.
+ * @param {{ criticalPath: Array<string>, conflictIds: Set<string>, milestoneTitles: Map<string, string> }} context
+ * @returns {Array<{ shapes: Array<string> }>} The slides.
+ */
+function _milestoneSlides(milestone, roadmap, { criticalPath, conflictIds, milestoneTitles }) {
+  const title = milestoneTitles.get(milestone.id);
+  const itemTexts = new Map(milestone.items.map(item => [item.id, item.text.trim()]));
+  const pages = _paginateItemLines(_groupItemsByStatus(milestone.items, roadmap.statuses));
+  const contentWidth = SLIDE_WIDTH - 2 * MARGIN;
+
+  return pages.map((lines, pageIndex) => {
+    const slide = _createSlide();
+    if (pageIndex > 0) {
+      _addSlideTitle(slide, `${title} (continued)`);
+      _addShape(slide, { x: MARGIN, y: 1.3, w: contentWidth, h: 5.6 }, { name: 'Items', paragraphs: _itemLineParagraphs(lines, itemTexts) });
+      return slide;
+    }
+
+    _addSlideTitle(slide, title);
+    _addShape(slide, { x: MARGIN, y: 1.2, w: contentWidth, h: 0.4 }, { name: 'Dates', paragraphs: [_textParagraph(_milestoneDateRuns(milestone))] });
+
+    const progress = getMilestoneProgress(milestone, roadmap.statuses);
+    const statusRuns = [_textRun(`Progress: ${progress.done} of ${progress.total} done (${progress.percent}%)`, { size: 12, color: COLORS.muted })];
+    // Dependencies left out of a filtered export are not named
+    const dependencies = (milestone.dependsOn || []).filter(id => milestoneTitles.has(id)).map(id => milestoneTitles.get(id));
+    if (dependencies.length > 0) statusRuns.push(_textRun(` · Depends on: ${dependencies.join(', ')}`, { size: 12, color: COLORS.muted }));
+    if (criticalPath.includes(milestone.id)) statusRuns.push(_textRun(' · ', { size: 12, color: COLORS.muted }), _textRun('Critical path', { size: 12, bold: true, color: COLORS.accent }));
+    if (conflictIds.has(milestone.id)) statusRuns.push(_textRun(' · ⚠ Target is before a milestone it depends on', { size: 12, color: COLORS.danger }));
+    _addShape(slide, { x: MARGIN, y: 1.6, w: contentWidth, h: 0.35 }, { name: 'Status', paragraphs: [_textParagraph(statusRuns)] });
+    _addProgressBar(slide, { x: MARGIN, y: 2.02, w: contentWidth, h: 0.1 }, progress.percent);
+
+    const purpose = milestone.purpose.trim();
+    let itemsBox = { x: MARGIN, y: 2.3, w: contentWidth, h: 4.6 };
+    if (purpose) {
+      const purposeWidth = 4.3;
+      _addShape(slide, { x: MARGIN, y: 2.3, w: purposeWidth, h: 4.6 }, {
+        name: 'Purpose',
+        fill: COLORS.light,
+        paragraphs: [
+          _textParagraph(_textRun('Purpose', { size: 14, bold: true })),
+          ...purpose.split('\n').map(line => _textParagraph(_textRun(line, { size: 13 }), { spaceBefore: 4 }))
+        ]
+      });
+      itemsBox = { x: MARGIN + purposeWidth + 0.3, y: 2.3, w: contentWidth - purposeWidth - 0.3, h: 4.6 };
+    }
+    _addShape(slide, itemsBox, {
+      name: 'Items',
+      paragraphs: lines.length > 0
+        ? _itemLineParagraphs(lines, itemTexts)
+        : [_textParagraph(_textRun('No items added for this milestone.', { size: 13, italic: true, color: COLORS.muted }))]
+    });
+    return slide;
+  });
+}
+
+/**
+ * Builds the schedule slip report slides (see getSlipReport): per milestone, its original and current target
+ * dates and days slipped, with each recorded date change below.
+ * @param {object} roadmap - Roadmap data.
+ * @returns {Array<{ shapes: Array<string> }>} The slides.
+ */
+function _slipReportSlides(roadmap) {
+  const lines = getSlipReport(roadmap).flatMap((row, index) => {
+    const slipText = row.daysSlipped > 0 ? `+${row.daysSlipped} days` : `${row.daysSlipped} days`;
+    const heading = _textParagraph([
+      _textRun(_truncate(row.title.trim() || 'Untitled Milestone', 60), { size: 14, bold: true }),
+      _textRun(`  ${row.originalCompletionDate} → ${row.currentCompletionDate || 'Not set'}  `, { size: 13 }),
+      _textRun(slipText, { size: 13, bold: true, color: row.daysSlipped > 0 ? COLORS.danger : COLORS.muted })
+    ], { spaceBefore: index > 0 ? 8 : 0 });
+    const changes = row.dateChanges.map(change => {
+      const reason = change.reason ? ` — ${change.reason}` : '';
+      return _textParagraph(_textRun(`${change.changedAt.slice(0, 10)}: ${change.from || 'no date'} → ${change.to || 'no date'}${reason}`,
+        { size: 11, color: COLORS.muted }), { bullet: true });
+    });
+    return [heading, ...changes];
+  });
+  if (lines.length === 0) {
+    lines.push(_textParagraph(_textRun('No milestones have an original target date yet.', { size: 13, italic: true, color: COLORS.muted })));
+  }
+
+  const slides = [];
+  for (let start = 0; start < lines.length; start += MAX_ITEM_LINES_PER_SLIDE) {
+    const slide = _createSlide();
+    _addSlideTitle(slide, start === 0 ? 'Schedule Slip Report' : 'Schedule Slip Report (continued)');
+    _addShape(slide, { x: MARGIN, y: 1.3, w: SLIDE_WIDTH - 2 * MARGIN, h: 5.6 }, {
+      name: 'Slip Report',
+      paragraphs: lines.slice(start, start + MAX_ITEM_LINES_PER_SLIDE)
+    });
+    slides.push(slide);
+  }
+  return slides;
+}
+
+/**
+ * Adds the roadmap name and the slide number at the bottom of a slide.
+ * @param {{ shapes: Array<string> }} slide - The slide.
+ * @param {string} title - The roadmap name.
+ * @param {number} number - The slide number.
+ * @param {number} total - The number of slides.
+ */
+function _addFooter(slide, title, number, total) {
+  _addShape(slide, { x: MARGIN, y: SLIDE_HEIGHT - 0.45, w: 8, h: 0.3 }, {
+    name: 'Footer',
+    paragraphs: [_textParagraph(_textRun(_truncate(title, 80), { size: 10, color: COLORS.muted }))]
+  });
+  _addShape(slide, { x: SLIDE_WIDTH - MARGIN - 1.5, y: SLIDE_HEIGHT - 0.45, w: 1.5, h: 0.3 }, {
+    name: 'Slide Number',
+    paragraphs: [_textParagraph(_textRun(`${number} / ${total}`, { size: 10, color: COLORS.muted }), { align: 'r' })]
+  });
+}
+
+// --- Private Helper Functions: Package Parts ---
+
+/**
+ * Builds the theme: the app's colors and Calibri; slides set their colors directly.
+ * @returns {string} The theme part.
+ */
+function _themeXml() {
+  const color = (name, value) => `<a:${name}><a:srgbClr val="${value}"/></a:${name}>`;
+  const solidFill = '<a:solidFill><a:schemeClr val="phClr"/></a:solidFill>';
+  const font = '<a:latin typeface="Calibri"/><a:ea typeface=""/><a:cs typeface=""/>';
+  return `${XML_DECLARATION}<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="Roadmap"><a:themeElements>`
+    + '<a:clrScheme name="Roadmap">'
+    + color('dk1', '212529') + color('lt1', COLORS.white) + color('dk2', COLORS.text) + color('lt2', COLORS.light)
+    + color('accent1', COLORS.accent) + color('accent2', COLORS.text) + color('accent3', '83C5BE')
+    + color('accent4', 'FFDDD2') + color('accent5', COLORS.done) + color('accent6', COLORS.danger)
+    + color('hlink', '0D6EFD') + color('folHlink', '6F42C1')
+    + '</a:clrScheme>'
+    + `<a:fontScheme name="Roadmap"><a:majorFont>${font}</a:majorFont><a:minorFont>${font}</a:minorFont></a:fontScheme>`
+    + '<a:fmtScheme name="Roadmap">'
+    + `<a:fillStyleLst>${solidFill.repeat(3)}</a:fillStyleLst>`
+    + `<a:lnStyleLst>${`<a:ln w="6350">${solidFill}</a:ln>`.repeat(3)}</a:lnStyleLst>`
+    + `<a:effectStyleLst>${'<a:effectStyle><a:effectLst/></a:effectStyle>'.repeat(3)}</a:effectStyleLst>`
+    + `<a:bgFillStyleLst>${solidFill.repeat(3)}</a:bgFillStyleLst>`
+    + '</a:fmtScheme></a:themeElements><a:objectDefaults/><a:extraClrSchemeLst/></a:theme>';
+}
+
+/**
+ * Builds the slide master and its single blank layout, which every slide uses.
+ * @returns {{ master: string, layout: string }} The slide master and slide layout parts.
+ */
+function _masterAndLayoutXml() {
+  const colorMap = 'bg1="lt1" tx1="dk1" bg2="lt2" tx2="dk2" accent1="accent1" accent2="accent2" accent3="accent3" '
+    + 'accent4="accent4" accent5="accent5" accent6="accent6" hlink="hlink" folHlink="folHlink"';
+  return {
+    master: `${XML_DECLARATION}<p:sldMaster ${NAMESPACES}><p:cSld><p:bg><p:bgRef idx="1001"><a:schemeClr val="bg1"/></p:bgRef></p:bg>`
+      + `<p:spTree>${SHAPE_TREE_GROUP}</p:spTree></p:cSld><p:clrMap ${colorMap}/>`
+      + '<p:sldLayoutIdLst><p:sldLayoutId id="2147483649" r:id="rId1"/></p:sldLayoutIdLst></p:sldMaster>',
+    layout: `${XML_DECLARATION}<p:sldLayout ${NAMESPACES} type="blank" preserve="1"><p:cSld name="Blank">`
+      + `<p:spTree>${SHAPE_TREE_GROUP}</p:spTree></p:cSld><p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sldLayout>`
+  };
+}
+
+// --- Public API ---
+
+/**
+ * Builds a PowerPoint deck for a roadmap.
+ * @param {object} roadmap - Roadmap data ({ roadmapName, milestones, statuses }).
+ * @param {object} [options={}]
+ * @param {boolean} [options.includeSlipReport=false] - Whether to add the schedule slip report at the end.
+ * @returns {Uint8Array} The .pptx file contents.
+ */
+export function buildRoadmapPptx(roadmap, { includeSlipReport = false } = {}) {
+  const title = roadmap.roadmapName.trim() || 'Product Roadmap';
+  const roadmapData = { ...roadmap, statuses: Array.isArray(roadmap.statuses) ? roadmap.statuses : [] };
+  const createdAt = new Date();
+  const context = {
+    criticalPath: getCriticalPath(roadmapData),
+    conflictIds: new Set(getDependencyConflicts(roadmapData).map(conflict => conflict.milestoneId)),
+    milestoneTitles: new Map(roadmapData.milestones.map(m => [m.id, m.title.trim() || 'Untitled Milestone']))
+  };
+
+  const slides = [
+    _titleSlide(roadmapData, title),
+    _timelineSlide(roadmapData),
+    ...roadmapData.milestones.flatMap(milestone => _milestoneSlides(milestone, roadmapData, context)),
+    ...(includeSlipReport ? _slipReportSlides(roadmapData) : [])
+  ];
+  slides.forEach((slide, index) => {
+    if (index > 0) _addFooter(slide, title, index + 1, slides.length);
+  });
+
+  const slideFiles = slides.flatMap((slide, index) => [
+    {
+      name: `ppt/slides/slide${index + 1}.xml`,
+      content: `${XML_DECLARATION}<p:sld ${NAMESPACES}><p:cSld><p:spTree>${SHAPE_TREE_GROUP}${slide.shapes.join('')}</p:spTree></p:cSld>`
+        + '<p:clrMapOvr><a:masterClrMapping/></p:clrMapOvr></p:sld>'
+    },
+    {
+      name: `ppt/slides/_rels/slide${index + 1}.xml.rels`,
+      content: relationshipsXml([{ id: 'rId1', type: 'slideLayout', target: '../slideLayouts/slideLayout1.xml' }])
+    }
+  ]);
+  const slideIds = slides.map((_, index) => `<p:sldId id="${256 + index}" r:id="rId${index + 3}"/>`).join('');
+  const propertyRelationshipId = slides.length + 3;
+  const { master, layout } = _masterAndLayoutXml();
+  const presentationType = 'application/vnd.openxmlformats-officedocument.presentationml';
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      content: contentTypesXml([
+        { partName: 'ppt/presentation.xml', contentType: `${presentationType}.presentation.main+xml` },
+        { partName: 'ppt/presProps.xml', contentType: `${presentationType}.presProps+xml` },
+        { partName: 'ppt/viewProps.xml', contentType: `${presentationType}.viewProps+xml` },
+        { partName: 'ppt/tableStyles.xml', contentType: `${presentationType}.tableStyles+xml` },
+        { partName: 'ppt/theme/theme1.xml', contentType: 'application/vnd.openxmlformats-officedocument.theme+xml' },
+        { partName: 'ppt/slideMasters/slideMaster1.xml', contentType: `${presentationType}.slideMaster+xml` },
+        { partName: 'ppt/slideLayouts/slideLayout1.xml', contentType: `${presentationType}.slideLayout+xml` },
+        ...slides.map((_, index) => ({ partName: `ppt/slides/slide${index + 1}.xml`, contentType: `${presentationType}.slide+xml` }))
+      ])
+    },
+    { name: '_rels/.rels', content: packageRelationshipsXml('ppt/presentation.xml') },
+    { name: 'docProps/core.xml', content: corePropertiesXml(title, createdAt) },
+    {
+      name: 'ppt/presentation.xml',
+      content: `${XML_DECLARATION}<p:presentation ${NAMESPACES} saveSubsetFonts="1">`
+        + '<p:sldMasterIdLst><p:sldMasterId id="2147483648" r:id="rId1"/></p:sldMasterIdLst>'
+        + `<p:sldIdLst>${slideIds}</p:sldIdLst>`
+        + `<p:sldSz cx="${_emu(SLIDE_WIDTH)}" cy="${_emu(SLIDE_HEIGHT)}"/><p:notesSz cx="6858000" cy="9144000"/></p:presentation>`
+    },
+    {
+      name: 'ppt/_rels/presentation.xml.rels',
+      content: relationshipsXml([
+        { id: 'rId1', type: 'slideMaster', target: 'slideMasters/slideMaster1.xml' },
+        { id: 'rId2', type: 'theme', target: 'theme/theme1.xml' },
+        ...slides.map((_, index) => ({ id: `rId${index + 3}`, type: 'slide', target: `slides/slide${index + 1}.xml` })),
+        { id: `rId${propertyRelationshipId}`, type: 'presProps', target: 'presProps.xml' },
+        { id: `rId${propertyRelationshipId + 1}`, type: 'viewProps', target: 'viewProps.xml' },
+        { id: `rId${propertyRelationshipId + 2}`, type: 'tableStyles', target: 'tableStyles.xml' }
+      ])
+    },
+    { name: 'ppt/presProps.xml', content: `${XML_DECLARATION}<p:presentationPr ${NAMESPACES}/>` },
+    { name: 'ppt/viewProps.xml', content: `${XML_DECLARATION}<p:viewPr ${NAMESPACES}><p:normalViewPr/><p:gridSpacing cx="76200" cy="76200"/></p:viewPr>` },
+    {
+      name: 'ppt/tableStyles.xml',
+      content: `${XML_DECLARATION}<a:tblStyleLst xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" def="{5C22544A-7EE6-4342-B048-85BDC9FD1C3A}"/>`
+    },
+    { name: 'ppt/theme/theme1.xml', content: _themeXml() },
+    { name: 'ppt/slideMasters/slideMaster1.xml', content: master },
+    {
+      name: 'ppt/slideMasters/_rels/slideMaster1.xml.rels',
+      content: relationshipsXml([
+        { id: 'rId1', type: 'slideLayout', target: '../slideLayouts/slideLayout1.xml' },
+        { id: 'rId2', type: 'theme', target: '../theme/theme1.xml' }
+      ])
+    },
+    { name: 'ppt/slideLayouts/slideLayout1.xml', content: layout },
+    {
+      name: 'ppt/slideLayouts/_rels/slideLayout1.xml.rels',
+      content: relationshipsXml([{ id: 'rId1', type: 'slideMaster', target: '../slideMasters/slideMaster1.xml' }])
+    },
+    ...slideFiles
+  ], createdAt);
+}
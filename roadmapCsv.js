@@ -0,0 +1,281 @@
+// roadmapCsv.js
+// Converts roadmaps to and from CSV for spreadsheets: one row per checklist item, with its milestone's title,
+// dates and purpose repeated on every row (milestones without items get one row with an empty item).
+// The import side parses the file and builds milestones and items from a user-chosen column mapping.
+// Like roadmapStore.js, this module has no DOM access.
+
+import { createId } from './roadmapStore.js';
+import { toDayNumber } from './dateUtils.js';
+
+// --- Constants ---
+
+/**
+ * The roadmap fields a CSV column can hold, in export column order.
+ * `aliases` are other header names (lowercase) that suggest the field when importing.
+ */
+export const CSV_FIELDS = [
+  { key: 'milestoneTitle', header: 'Milestone', aliases: ['milestone title', 'phase', 'epic'] },
+  { key: 'currentCompletionDate', header: 'Target Date', aliases: ['milestone target date', 'target', 'completion date'] },
+  { key: 'originalCompletionDate', header: 'Original Date', aliases: ['original completion date', 'baseline date', 'original target date'] },
+  { key: 'purpose', header: 'Purpose', aliases: ['milestone purpose', 'description', 'goal'] },
+  { key: 'id', header: 'Item ID', aliases: ['id', 'key', 'issue key', 'task id'] },
+  { key: 'parentId', header: 'Parent ID', aliases: ['parent', 'parent item id', 'parent key'] },
+  { key: 'text', header: 'Item', aliases: ['item text', 'task', 'title', 'name'] },
+  { key: 'status', header: 'Status', aliases: ['item status', 'state'] },
+  { key: 'assignee', header: 'Assignee', aliases: ['owner', 'assigned to'] },
+  { key: 'dueDate', header: 'Due Date', aliases: ['due', 'item due date'] },
+  { key: 'effort', header: 'Effort', aliases: ['estimate', 'points', 'story points'] },
+  { key: 'effortUnit', header: 'Effort Unit', aliases: ['unit'] },
+  { key: 'blockedBy', header: 'Blocked By', aliases: ['blockers', 'blocked by ids', 'depends on'] },
+  { key: 'notes', header: 'Notes', aliases: ['comments', 'details'] }
+];
+
+const MILESTONE_FIELDS = ['currentCompletionDate', 'originalCompletionDate', 'purpose'];
+const DATE_FIELDS = ['currentCompletionDate', 'originalCompletionDate'];
+const DEFAULT_MILESTONE_TITLE = 'Imported Items';
+const DELIMITERS = [',', ';', '\t'];
+// Item IDs in the Blocked By column are separated by commas (or semicolons, in hand-made files)
+const ID_LIST_SEPARATOR = ', ';
+const ID_LIST_PATTERN = /[,;]/;
+
+// --- Private Helper Functions ---
+
+/**
+ * Quotes a CSV value if it contains a delimiter, quote or line break.
+ * @param {*} value - The value (null and undefined become empty).
+ * @returns {string} The CSV field.
+ */
+function _toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",;\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Picks the delimiter of a CSV file from its first line: spreadsheets in many locales save with
+ * semicolons, and copies from a spreadsheet are tab-separated.
+ * @param {string} text - The CSV text.
+ * @returns {string} ',', ';' or a tab.
+ */
+function _detectDelimiter(text) {
+  const firstLine = text.split('\n', 1)[0].replace(/"[^"]*"/g, ''); // Delimiters inside quotes don't count
+  return DELIMITERS.reduce((best, delimiter) => (
+    firstLine.split(delimiter).length > firstLine.split(best).length ? delimiter : best
+  ), ',');
+}
+
+/**
+ * Returns the export header of a field, for messages.
+ * @param {string} key - The field key (see CSV_FIELDS).
+ * @returns {string} The header.
+ */
+function _header(key) {
+  return CSV_FIELDS.find(field => field.key === key).header;
+}
+
+// --- Public API ---
+
+/**
+ * Writes a roadmap as CSV with a header row (see CSV_FIELDS) and one row per item. Items keep their IDs,
+ * so sub-items (Parent ID) and blocked-by links survive a round trip through a spreadsheet.
+ * @param {object} roadmap - Roadmap data ({ milestones }).
+ * @returns {string} The CSV text, with CRLF line endings as spreadsheets expect.
+ */
+export function roadmapToCsv(roadmap) {
+  const rows = [CSV_FIELDS.map(field => field.header)];
+  // Blockers left out of a filtered export are not listed
+  const itemIds = new Set(roadmap.milestones.flatMap(milestone => milestone.items.map(item => item.id)));
+  roadmap.milestones.forEach(milestone => {
+    const milestoneValues = {
+      milestoneTitle: milestone.title,
+      currentCompletionDate: milestone.currentCompletionDate,
+      originalCompletionDate: milestone.originalCompletionDate,
+      purpose: milestone.purpose
+    };
+    const items = milestone.items.length > 0 ? milestone.items : [{}];
+    items.forEach(item => {
+      const values = {
+        ...item,
+        effortUnit: item.effort !== null && item.effort !== undefined ? item.effortUnit : '',
+        blockedBy: (item.blockedBy || []).filter(id => itemIds.has(id)).join(ID_LIST_SEPARATOR),
+        ...milestoneValues
+      };
+      rows.push(CSV_FIELDS.map(field => values[field.key]));
+    });
+  });
+  return rows.map(row => row.map(_toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses CSV text (RFC 4180 quoting; comma, semicolon or tab separated).
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string>>} The rows, without blank lines.
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+  const delimiter = _detectDelimiter(source);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Suggests which column holds each field, by matching header names (case-insensitive) to the
+ * field's export header or one of its aliases.
+ * @param {Array<string>} headers - The file's header row.
+ * @returns {object} Column index by field key; -1 for fields without a matching column.
+ */
+export function guessCsvColumnMapping(headers) {
+  const normalizedHeaders = headers.map(header => header.trim().toLowerCase());
+  const mapping = {};
+  CSV_FIELDS.forEach(field => {
+    const names = [field.header.toLowerCase(), ...field.aliases];
+    mapping[field.key] = normalizedHeaders.findIndex(header => names.includes(header));
+  });
+  return mapping;
+}
+
+/**
+ * Builds milestones and items from CSV data rows. Rows are grouped into milestones by milestone title
+ * (in order of first appearance); rows without one go into an "Imported Items" milestone. A milestone's
+ * dates and purpose come from the first of its rows that has them. Rows without item text only add the milestone.
+ * Status names matching a known status except for case are corrected to it. Items keep the file's IDs, which
+ * the Parent ID and Blocked By columns refer to; rows without one get a new ID.
+ * Values that cannot be read (dates, effort, unknown or duplicate IDs) are left empty and reported, so one bad
+ * cell does not stop the rest of the file from importing.
+ * @param {Array<Array<string>>} rows - The data rows (without the header row).
+ * @param {object} mapping - Column index by field key (see CSV_FIELDS); -1 for unmapped fields.
+ * @param {Array<object>} statuses - The known statuses.
+ * @returns {{ milestones: Array<object>, errors: Array<string> }} Milestone data for the roadmap store,
+ *   and messages for the values that were left empty (with 1-based row numbers counting the header row).
+ */
+export function buildRoadmapFromCsv(rows, mapping, statuses) {
+  const milestones = [];
+  const milestonesByTitle = new Map();
+  const errors = []; // { rowNumber, message }, sorted by row at the end
+  const itemRows = new Map(); // File item ID -> { item, milestone, rowNumber }
+  const links = []; // Parent and blocked-by references, resolved once every item is known
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2; // After the header row
+    const value = key => (mapping[key] >= 0 ? (row[mapping[key]] ?? '').trim() : '');
+
+    const title = value('milestoneTitle') || DEFAULT_MILESTONE_TITLE;
+    let milestone = milestonesByTitle.get(title);
+    if (!milestone) {
+      milestone = { id: createId(), title, purpose: '', currentCompletionDate: '', originalCompletionDate: '', items: [] };
+      milestonesByTitle.set(title, milestone);
+      milestones.push(milestone);
+    }
+    MILESTONE_FIELDS.forEach(key => {
+      if (milestone[key]) return;
+      const fieldValue = value(key);
+      if (DATE_FIELDS.includes(key) && fieldValue && toDayNumber(fieldValue) === null) {
+        errors.push({ rowNumber, message: `${_header(key)} "${fieldValue}" is not a YYYY-MM-DD date.` });
+        return;
+      }
+      milestone[key] = fieldValue;
+    });
+
+    const text = value('text');
+    if (!text) return;
+    const statusName = value('status');
+    const item = {
+      id: value('id'),
+      text,
+      status: statuses.find(s => s.name.toLowerCase() === statusName.toLowerCase())?.name || statusName,
+      assignee: value('assignee'),
+      dueDate: value('dueDate'),
+      effort: null,
+      effortUnit: value('effortUnit').toLowerCase() === 'days' ? 'days' : 'points',
+      notes: value('notes'),
+      parentId: '',
+      blockedBy: []
+    };
+    if (item.id && itemRows.has(item.id)) {
+      errors.push({ rowNumber, message: `Item ID "${item.id}" is already used in row ${itemRows.get(item.id).rowNumber}; the item gets a new ID.` });
+      item.id = '';
+    }
+    if (!item.id) item.id = createId();
+    itemRows.set(item.id, { item, milestone, rowNumber });
+
+    const effort = value('effort');
+    if (effort) {
+      const number = Number(effort.replace(',', '.')); // Decimal commas from spreadsheets
+      if (Number.isFinite(number) && number >= 0) {
+        item.effort = number;
+      } else {
+        errors.push({ rowNumber, message: `Effort "${effort}" is not a number.` });
+      }
+    }
+    if (item.dueDate && toDayNumber(item.dueDate) === null) {
+      errors.push({ rowNumber, message: `Due Date "${item.dueDate}" is not a YYYY-MM-DD date.` });
+      item.dueDate = '';
+    }
+    links.push({
+      item,
+      milestone,
+      rowNumber,
+      parentId: value('parentId'),
+      blockerIds: value('blockedBy').split(ID_LIST_PATTERN).map(id => id.trim()).filter(Boolean)
+    });
+    milestone.items.push(item);
+  });
+
+  links.forEach(({ item, milestone, rowNumber, parentId, blockerIds }) => {
+    if (parentId) {
+      const parent = itemRows.get(parentId);
+      if (!parent) {
+        errors.push({ rowNumber, message: `Parent ID "${parentId}" does not match any item.` });
+      } else if (parent.milestone !== milestone) {
+        errors.push({ rowNumber, message: `Parent ID "${parentId}" is an item of another milestone.` });
+      } else {
+        item.parentId = parentId;
+      }
+    }
+    blockerIds.forEach(blockerId => {
+      if (itemRows.has(blockerId)) {
+        item.blockedBy.push(blockerId);
+      } else {
+        errors.push({ rowNumber, message: `Blocked By "${blockerId}" does not match any item.` });
+      }
+    });
+  });
+
+  milestones.forEach(milestone => {
+    if (!milestone.originalCompletionDate) milestone.originalCompletionDate = milestone.currentCompletionDate;
+  });
+  errors.sort((a, b) => a.rowNumber - b.rowNumber);
+  return { milestones, errors: errors.map(({ rowNumber, message }) => `Row ${rowNumber}: ${message}`) };
+}
@@ -0,0 +1,93 @@
+// roadmapDiff.js
+// Compares two roadmap snapshots (e.g. saved versions) at milestone and item level.
+// Milestones and items are matched by their stable IDs, so moves and reordering are not reported as changes.
+// Like roadmapStore.js, this module has no DOM access.
+
+import { daysBetween } from './dateUtils.js';
+
+// --- Private Helper Functions ---
+
+/**
+ * Indexes the milestones and items of a roadmap by ID.
+ * @param {object} roadmap - Roadmap data ({ roadmapName, milestones }).
+ * @returns {{ milestones: Map<string, object>, items: Map<string, { item: object, milestone: object }> }} The indexes.
+ */
+function _indexRoadmap(roadmap) {
+  const milestones = new Map();
+  const items = new Map();
+  (Array.isArray(roadmap?.milestones) ? roadmap.milestones : []).forEach(milestone => {
+    milestones.set(milestone.id, milestone);
+    (Array.isArray(milestone.items) ? milestone.items : []).forEach(item => {
+      items.set(item.id, { item, milestone });
+    });
+  });
+  return { milestones, items };
+}
+
+// --- Public API ---
+
+/**
+ * Computes the differences between two roadmap snapshots.
+ * @param {object} before - The older roadmap data.
+ * @param {object} after - The newer roadmap data.
+ * @returns {{
+ *   milestonesAdded: Array<object>,
+ *   milestonesRemoved: Array<object>,
+ *   itemsAdded: Array<{ item: object, milestone: object }>,
+ *   itemsRemoved: Array<{ item: object, milestone: object }>,
+ *   statusChanges: Array<{ item: object, milestone: object, fromStatus: string, toStatus: string }>,
+ *   dateChanges: Array<{ milestone: object, fromDate: string, toDate: string, days: number | null }>
+ * }} The changes. Positive `days` in dateChanges means the milestone slipped.
+ */
+export function diffRoadmaps(before, after) {
+  const oldIndex = _indexRoadmap(before);
+  const newIndex = _indexRoadmap(after);
+  const diff = {
+    milestonesAdded: [],
+    milestonesRemoved: [],
+    itemsAdded: [],
+    itemsRemoved: [],
+    statusChanges: [],
+    dateChanges: []
+  };
+
+  newIndex.milestones.forEach((milestone, id) => {
+    const oldMilestone = oldIndex.milestones.get(id);
+    if (!oldMilestone) {
+      diff.milestonesAdded.push(milestone);
+    } else if ((oldMilestone.currentCompletionDate || '') !== (milestone.currentCompletionDate || '')) {
+      diff.dateChanges.push({
+        milestone,
+        fromDate: oldMilestone.currentCompletionDate || '',
+        toDate: milestone.currentCompletionDate || '',
+        days: daysBetween(oldMilestone.currentCompletionDate, milestone.currentCompletionDate)
+      });
+    }
+  });
+  oldIndex.milestones.forEach((milestone, id) => {
+    if (!newIndex.milestones.has(id)) diff.milestonesRemoved.push(milestone);
+  });
+
+  newIndex.items.forEach((entry, id) => {
+    const oldEntry = oldIndex.items.get(id);
+    if (!oldEntry) {
+      diff.itemsAdded.push(entry);
+    } else if (oldEntry.item.status !== entry.item.status) {
+      diff.statusChanges.push({ ...entry, fromStatus: oldEntry.item.status, toStatus: entry.item.status });
+    }
+  });
+  oldIndex.items.forEach((entry, id) => {
+    if (!newIndex.items.has(id)) diff.itemsRemoved.push(entry);
+  });
+
+  return diff;
+}
+
+/**
+ * Checks whether a diff contains any changes.
+ * @param {object} diff - Result of diffRoadmaps.
+ * @returns {boolean}
+ */
+export function isDiffEmpty(diff) {
+  return Object.values(diff).every(changes => changes.length === 0);
+}
@@ -0,0 +1,91 @@
+// roadmapFilter.js
+// Matches milestones and items against the list view's filter criteria (text, statuses, date range,
+// hide completed). Used to hide non-matching elements and for "export filtered view".
+// Like roadmapStore.js, this module has no DOM access.
+
+// --- Private Helper Functions ---
+
+/**
+ * Checks whether a text contains the (lower-cased) search text.
+ * @param {string} text - Text to search.
+ * @param {string} search - Lower-cased search text.
+ * @returns {boolean}
+ */
+function _includesText(text, search) {
+  return typeof text === 'string' && text.toLowerCase().includes(search);
+}
+
+/**
+ * Checks whether a date lies within the criteria's date range. With a range set, undated entries never match.
+ * @param {string} isoDate - The date (YYYY-MM-DD) or ''.
+ * @param {object} criteria - The filter criteria.
+ * @returns {boolean}
+ */
+function _isInDateRange(isoDate, { dateFrom, dateTo }) {
+  if (!dateFrom && !dateTo) return true;
+  if (!isoDate) return false;
+  // YYYY-MM-DD strings compare chronologically
+  return (!dateFrom || isoDate >= dateFrom) && (!dateTo || isoDate <= dateTo);
+}
+
+// --- Public API ---
+
+/**
+ * Returns criteria that match everything.
+ * @returns {{ text: string, statuses: Array<string>, dateFrom: string, dateTo: string, hideCompleted: boolean }}
+ *   Criteria: search text, status names to show (empty = all), date range (YYYY-MM-DD, '' = open) and
+ *   whether to hide items in a done-category status.
+ */
+export function getEmptyFilter() {
+  return { text: '', statuses: [], dateFrom: '', dateTo: '', hideCompleted: false };
+}
+
+/**
+ * Checks whether any criterion is set.
+ * @param {object} criteria - The filter criteria.
+ * @returns {boolean}
+ */
+export function isFilterActive(criteria) {
+  return Boolean(criteria.text.trim() || criteria.statuses.length > 0 || criteria.dateFrom || criteria.dateTo || criteria.hideCompleted);
+}
+
+/**
+ * Returns a copy of the roadmap with only the milestones and items matching the criteria.
+ * An item matches when its status is selected, it is not hidden as completed, its due date (or else its
+ * milestone's target date) is within the range, and the search text is found in its description or in
+ * its milestone's title or purpose; the parent of a matching sub-task is kept too. A milestone is kept when any of its items match, or when the criteria
+ * only concern the milestone itself (text and date range) and it matches those.
+ * @param {object} roadmap - Roadmap data ({ roadmapName, milestones, statuses }).
+ * @param {object} criteria - The filter criteria (see getEmptyFilter).
+ * @returns {object} The filtered roadmap (milestones are shallow copies holding the matching items; items are not copied).
+ */
+export function filterRoadmap(roadmap, criteria) {
+  const search = criteria.text.trim().toLowerCase();
+  const selectedStatuses = new Set(criteria.statuses);
+  const doneStatuses = new Set((roadmap.statuses || []).filter(s => s.category === 'done').map(s => s.name));
+
+  const milestones = roadmap.milestones.flatMap(milestone => {
+    const milestoneTextMatches = !search || _includesText(milestone.title, search) || _includesText(milestone.purpose, search);
+    const matchingIds = new Set(milestone.items.filter(item =>
+      (selectedStatuses.size === 0 || selectedStatuses.has(item.status)) &&
+      !(criteria.hideCompleted && doneStatuses.has(item.status)) &&
+      _isInDateRange(item.dueDate || milestone.currentCompletionDate, criteria) &&
+      (milestoneTextMatches || _includesText(item.text, search))
+    ).map(item => item.id));
+    // Sub-tasks are shown inside their parent, so a matching sub-task keeps its parent
+    milestone.items.forEach(item => {
+      if (item.parentId && matchingIds.has(item.id)) matchingIds.add(item.parentId);
+    });
+    const items = milestone.items.filter(item => matchingIds.has(item.id));
+
+    const isCompleted = milestone.items.length > 0 && milestone.items.every(item => doneStatuses.has(item.status));
+    const milestoneMatches = milestoneTextMatches &&
+      selectedStatuses.size === 0 &&
+      !(criteria.hideCompleted && isCompleted) &&
+      _isInDateRange(milestone.currentCompletionDate, criteria);
+
+    return items.length > 0 || milestoneMatches ? [{ ...milestone, items }] : [];
+  });
+
+  return { ...roadmap, milestones };
+}
@@ -0,0 +1,311 @@
+// roadmapMarkdown.js
+// Converts roadmaps to and from Markdown for wikis and pull requests: the roadmap name as the title, the status
+// legend, and one section per milestone with its dates, purpose and items as task-list bullets.
+// The parser also reads hand-written task lists ("- [ ] ..." / "- [x] ..."), with or without status names.
+// Like roadmapStore.js, this module has no DOM access.
+
+import { createId } from './roadmapStore.js';
+
+// --- Constants ---
+const LEGEND_HEADING = 'Status Legend';
+const DEFAULT_MILESTONE_LEVEL = 2;
+const DEFAULT_STATUS_ICON = '❓';
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const TASK_PATTERN = /^(\s*)[-*+]\s+\[([ xX])\]\s?(.*)$/;
+const NOTE_PATTERN = /^\s+>\s?(.*)$/;
+// "- 📝 **Not Started** (todo, #6c757d) — Work has not begun."
+const LEGEND_ENTRY_PATTERN = /^[-*+]\s+(?:(\S+)\s+)?\*\*(.+?)\*\*(?:\s+\(([\w-]+)(?:,\s*(#[0-9a-f]{6}))?\))?(?:\s+[—–-]\s+(.*))?$/i;
+// "**Target date:** 2026-03-01 (original: 2026-02-01)"
+const TARGET_DATE_PATTERN = /^\*\*Target date:\*\*\s*(\d{4}-\d{2}-\d{2})(?:\s*\(original:\s*(\d{4}-\d{2}-\d{2})\))?\s*$/i;
+const DEPENDS_ON_PATTERN = /^\*\*Depends on:\*\*\s*(.*?)\s*$/i;
+// Dependencies are written as quoted titles ("Alpha", "Beta, phase 2"); hand-written lists may leave them unquoted
+const DEPENDENCY_PATTERN = /\s*"((?:[^"\\]|\\.)*)"|[^,]+/g;
+// Purpose lines that would read as a task bullet or a heading are escaped with a backslash ("\- [ ] ...")
+const PURPOSE_ESCAPE_PATTERN = /^(\s*)(?=[-*+]\s+\[[ xX]\]|#{1,6}\s)/;
+const PURPOSE_UNESCAPE_PATTERN = /^\\(?=[-*+]\s+\[[ xX]\]|#{1,6}\s)/;
+// Item details follow the description: "Write the spec — @Ana · due 2026-03-01 · 3 points"
+const DETAILS_SEPARATOR = ' — ';
+const DETAIL_SEPARATOR = ' · ';
+
+// --- Private Helper Functions: Export ---
+
+/**
+ * Renders one checklist item as a task-list bullet (sub-items indented), followed by its notes as a quote.
+ * @param {object} item - Item from the roadmap store.
+ * @param {Array<object>} statuses - The roadmap's statuses.
+ * @returns {Array<string>} The Markdown lines.
+ */
+function _itemToMarkdown(item, statuses) {
+  const status = statuses.find(s => s.name === item.status);
+  const checkbox = status?.category === 'done' ? 'x' : ' ';
+  const indent = item.parentId ? '  ' : '';
+  const details = [
+    item.assignee && `@${item.assignee}`,
+    item.dueDate && `due ${item.dueDate}`,
+    item.effort !== null && item.effort !== undefined && `${item.effort} ${item.effortUnit}`
+  ].filter(Boolean);
+
+  let line = `${indent}- [${checkbox}] ${status?.icon || DEFAULT_STATUS_ICON} **${item.status}**`;
+  if (item.text.trim()) line += ` ${item.text.trim()}`;
+  if (details.length > 0) line += `${DETAILS_SEPARATOR}${details.join(DETAIL_SEPARATOR)}`;
+  const noteLines = item.notes ? item.notes.split('\n').map(noteLine => `${indent}  > ${noteLine}`) : [];
+  return [line, ...noteLines];
+}
+
+/**
+ * Quotes a milestone title for the "Depends on" line, so commas in titles do not split it.
+ * @param {string} title - The milestone title.
+ * @returns {string} The title in double quotes, with quotes and backslashes escaped.
+ */
+function _quoteTitle(title) {
+  return `"${title.replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Escapes the purpose lines the parser would otherwise read as task bullets or headings.
+ * @param {string} purpose - The milestone purpose.
+ * @returns {string} The purpose, safe to place in a milestone section.
+ */
+function _escapePurpose(purpose) {
+  return purpose.split('\n').map(line => line.replace(PURPOSE_ESCAPE_PATTERN, '$1\\')).join('\n');
+}
+
+// --- Private Helper Functions: Import ---
+
+/**
+ * Reads the milestone titles of a "Depends on" line: quoted as written by roadmapToMarkdown, or a plain
+ * comma-separated list.
+ * @param {string} text - The text after "**Depends on:**".
+ * @returns {Array<string>} The titles.
+ */
+function _parseDependsOnTitles(text) {
+  return [...text.matchAll(DEPENDENCY_PATTERN)]
+    .map(match => (match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[0].trim()))
+    .filter(Boolean);
+}
+
+/**
+ * Reads one item detail written by _itemToMarkdown.
+ * @param {string} text - The detail, e.g. "@Ana", "due 2026-03-01" or "3 points".
+ * @returns {object | null} The item fields it sets, or null if it is not a detail.
+ */
+function _parseItemDetail(text) {
+  const detail = text.trim();
+  let match;
+  if ((match = detail.match(/^@(.+)$/))) return { assignee: match[1].trim() };
+  if ((match = detail.match(/^due (\d{4}-\d{2}-\d{2})$/i))) return { dueDate: match[1] };
+  if ((match = detail.match(/^(\d+(?:\.\d+)?) (points|days)$/i))) return { effort: Number(match[1]), effortUnit: match[2].toLowerCase() };
+  return null;
+}
+
+/**
+ * Reads a task-list bullet's text: an optional status icon and **status name**, the description and
+ * optional details. Without a recognizable status, the checkbox decides: done or not started.
+ * A bold word is only taken as the status if it names a known status or follows a status icon.
+ * @param {string} text - The text after the checkbox.
+ * @param {boolean} checked - Whether the box is ticked.
+ * @param {Array<object>} statuses - Known statuses (the file's legend, or the current one).
+ * @returns {object} Item data for the roadmap store.
+ */
+function _parseTaskText(text, checked, statuses) {
+  let rest = text.trim();
+  const iconStatus = statuses.find(s => s.icon && (rest === s.icon || rest.startsWith(`${s.icon} `)));
+  if (iconStatus) rest = rest.slice(iconStatus.icon.length).trim();
+
+  let statusName = '';
+  const nameMatch = rest.match(/^\*\*(.+?):?\*\*\s*(.*)$/);
+  if (nameMatch && (iconStatus || statuses.some(s => s.name === nameMatch[1].trim()))) {
+    statusName = nameMatch[1].trim();
+    rest = nameMatch[2];
+  } else if (iconStatus) {
+    statusName = iconStatus.name;
+  } else {
+    const fallback = statuses.find(s => s.category === (checked ? 'done' : 'todo')) || (checked ? null : statuses[0]);
+    statusName = fallback?.name || '';
+  }
+
+  const item = { id: createId(), text: '', status: statusName, assignee: '', dueDate: '', effort: null, effortUnit: 'points', notes: '', parentId: '' };
+  const separatorIndex = rest.lastIndexOf(DETAILS_SEPARATOR);
+  if (separatorIndex !== -1) {
+    const details = rest.slice(separatorIndex + DETAILS_SEPARATOR.length).split(DETAIL_SEPARATOR).map(_parseItemDetail);
+    if (details.every(Boolean)) {
+      details.forEach(detail => Object.assign(item, detail));
+      rest = rest.slice(0, separatorIndex);
+    }
+  }
+  item.text = rest.trim();
+  return item;
+}
+
+/**
+ * Creates an empty milestone for the parser to fill.
+ * @param {string} title - The milestone title.
+ * @returns {object} Milestone data, with the titles of its dependencies kept aside until all milestones are known.
+ */
+function _createParsedMilestone(title) {
+  return { id: createId(), title, purpose: '', currentCompletionDate: '', originalCompletionDate: '', dependsOn: [], dependsOnTitles: [], items: [] };
+}
+
+// --- Public API ---
+
+/**
+ * Writes a roadmap as Markdown: "# Name", a "## Status Legend" list, then a "##" section per milestone with
+ * its target date, dependencies (quoted titles), purpose and items ("- [x] ✅ **Completed** Description —
+ * @Assignee · due YYYY-MM-DD · 3 points", sub-items indented, notes quoted below).
+ * @param {object} roadmap - Roadmap data ({ roadmapName, milestones, statuses }).
+ * @returns {string} The Markdown document.
+ */
+export function roadmapToMarkdown(roadmap) {
+  const statuses = Array.isArray(roadmap.statuses) ? roadmap.statuses : [];
+  const titles = new Map(roadmap.milestones.map(m => [m.id, m.title.trim() || 'Untitled Milestone']));
+  const lines = [`# ${roadmap.roadmapName.trim() || 'Untitled Roadmap'}`, ''];
+
+  if (statuses.length > 0) {
+    lines.push(`## ${LEGEND_HEADING}`, '');
+    statuses.forEach(status => {
+      const description = status.description ? `${DETAILS_SEPARATOR}${status.description}` : '';
+      lines.push(`- ${status.icon} **${status.name}** (${status.category}, ${status.color})${description}`);
+    });
+    lines.push('');
+  }
+
+  roadmap.milestones.forEach(milestone => {
+    lines.push(`## ${titles.get(milestone.id)}`, '');
+
+    const metaLines = [];
+    if (milestone.currentCompletionDate) {
+      const original = milestone.originalCompletionDate && milestone.originalCompletionDate !== milestone.currentCompletionDate
+        ? ` (original: ${milestone.originalCompletionDate})`
+        : '';
+      metaLines.push(`**Target date:** ${milestone.currentCompletionDate}${original}`);
+    }
+    // Dependencies left out of a filtered export are not named
+    const dependencies = (milestone.dependsOn || []).filter(id => titles.has(id)).map(id => titles.get(id));
+    if (dependencies.length > 0) metaLines.push(`**Depends on:** ${dependencies.map(_quoteTitle).join(', ')}`);
+    if (metaLines.length > 0) lines.push(metaLines.join('  \n'), ''); // Two trailing spaces: a line break
+
+    if (milestone.purpose.trim()) lines.push(_escapePurpose(milestone.purpose.trim()), '');
+    if (milestone.items.length > 0) {
+      milestone.items.forEach(item => lines.push(..._itemToMarkdown(item, statuses)));
+      lines.push('');
+    }
+  });
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+/**
+ * Reads a roadmap from Markdown written by roadmapToMarkdown, or by hand. The first heading, if it is a
+ * level-1 heading, is the roadmap name; the next heading level down holds the milestones (one "##" section
+ * each). Task-list bullets become items (indented ones sub-items of the bullet above), "> " lines below a
+ * bullet its notes, and other text in a milestone section its purpose. Task bullets before the first
+ * milestone heading go into an "Imported Items" milestone.
+ * @param {string} markdown - The Markdown text.
+ * @param {Array<object>} [fallbackStatuses=[]] - Statuses for recognizing icons and names when the file
+ *   has no status legend (usually the current legend).
+ * @returns {{ roadmapName: string, milestones: Array<object>, statuses?: Array<object> }} Roadmap data;
+ *   statuses only when the file has a legend.
+ */
+export function parseRoadmapMarkdown(markdown, fallbackStatuses = []) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const headings = lines
+    .map((line, index) => ({ index, match: line.match(HEADING_PATTERN) }))
+    .filter(({ match }) => match)
+    .map(({ index, match }) => ({ index, level: match[1].length, text: match[2].trim() }));
+
+  let roadmapName = '';
+  let titleLineIndex = -1;
+  if (headings[0]?.level === 1) {
+    roadmapName = headings[0].text;
+    titleLineIndex = headings[0].index;
+  }
+  const sectionLevels = headings
+    .filter(h => h.index !== titleLineIndex && h.text.toLowerCase() !== LEGEND_HEADING.toLowerCase())
+    .map(h => h.level);
+  const milestoneLevel = sectionLevels.length > 0 ? Math.min(...sectionLevels) : DEFAULT_MILESTONE_LEVEL;
+
+  const legendStatuses = [];
+  const milestones = [];
+  let section = null; // 'legend', a milestone, or null before the first section
+  let parentItem = null; // The last top-level item, which indented bullets belong to
+  let lastItem = null; // The item "> " note lines belong to
+
+  lines.forEach((line, index) => {
+    if (index === titleLineIndex) return;
+    const heading = line.match(HEADING_PATTERN);
+    if (heading && heading[2].trim().toLowerCase() === LEGEND_HEADING.toLowerCase()) {
+      section = 'legend';
+      return;
+    }
+    if (heading && heading[1].length <= milestoneLevel) {
+      section = _createParsedMilestone(heading[2].trim());
+      milestones.push(section);
+      parentItem = null;
+      lastItem = null;
+      return;
+    }
+
+    if (section === 'legend') {
+      const entry = line.trim().match(LEGEND_ENTRY_PATTERN);
+      if (entry) {
+        legendStatuses.push({
+          name: entry[2].trim(),
+          icon: entry[1] || DEFAULT_STATUS_ICON,
+          ...(entry[3] && { category: entry[3].toLowerCase() }),
+          ...(entry[4] && { color: entry[4] }),
+          description: entry[5]?.trim() || ''
+        });
+      }
+      return;
+    }
+
+    const task = line.match(TASK_PATTERN);
+    if (task) {
+      if (!section) {
+        section = _createParsedMilestone('Imported Items');
+        milestones.push(section);
+      }
+      const item = _parseTaskText(task[3], task[2] !== ' ', legendStatuses.length > 0 ? legendStatuses : fallbackStatuses);
+      if (task[1].length > 0 && parentItem) {
+        item.parentId = parentItem.id;
+      } else {
+        parentItem = item;
+      }
+      section.items.push(item);
+      lastItem = item;
+      return;
+    }
+
+    const note = line.match(NOTE_PATTERN);
+    if (note && lastItem) {
+      lastItem.notes = lastItem.notes ? `${lastItem.notes}\n${note[1]}` : note[1];
+      return;
+    }
+    if (!section) return; // Text before the first milestone is not part of the roadmap
+
+    lastItem = null;
+    const text = heading ? heading[2].trim() : line.trim(); // Deeper headings are kept as purpose text
+    const targetDate = text.match(TARGET_DATE_PATTERN);
+    const dependsOn = text.match(DEPENDS_ON_PATTERN);
+    if (targetDate) {
+      section.currentCompletionDate = targetDate[1];
+      section.originalCompletionDate = targetDate[2] || targetDate[1];
+    } else if (dependsOn) {
+      section.dependsOnTitles.push(..._parseDependsOnTitles(dependsOn[1]));
+    } else if (text || section.purpose) {
+      section.purpose += `${text.replace(PURPOSE_UNESCAPE_PATTERN, '')}\n`; // Blank lines between paragraphs are kept
+    }
+  });
+
+  milestones.forEach(milestone => {
+    milestone.purpose = milestone.purpose.trim();
+    milestone.dependsOn = milestone.dependsOnTitles
+      .map(title => milestones.find(m => m !== milestone && m.title === title)?.id)
+      .filter(Boolean);
+    delete milestone.dependsOnTitles;
+  });
+
+  return legendStatuses.length > 0
+    ? { roadmapName, milestones, statuses: legendStatuses }
+    : { roadmapName, milestones };
+}
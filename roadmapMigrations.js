@@ -0,0 +1,126 @@
+// roadmapMigrations.js
+// Upgrades roadmap data saved by older versions of the app to the current format (ROADMAP_SCHEMA_VERSION).
+// Each migration step converts data from one schema version to the next, so a future format change
+// only needs a new step here instead of rejecting older data.
+// Like roadmapStore.js, this module has no DOM access.
+
+import { ROADMAP_SCHEMA_VERSION } from './config.js';
+
+// --- Constants ---
+const LEGACY_PERIODS_VERSION = 0; // Original format: { roadmapName, periods: [...] }, no schemaVersion
+const FIRST_MILESTONES_VERSION = 1; // Milestones format; data saved before schemaVersion existed is this version
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// --- Private Helper Functions ---
+
+/**
+ * Returns the first non-empty string among the given values.
+ * @param {...*} values - Candidate values.
+ * @returns {string} The first non-empty string, or an empty string.
+ */
+function _firstString(...values) {
+  return values.find(value => typeof value === 'string' && value.trim() !== '') || '';
+}
+
+/**
+ * Converts a legacy period item (a plain string or an object) into a checklist item.
+ * @param {*} legacyItem - The period item.
+ * @returns {object} Item data for the milestones format.
+ */
+function _migratePeriodItem(legacyItem) {
+  if (typeof legacyItem === 'string') {
+    return { text: legacyItem };
+  }
+  return {
+    text: _firstString(legacyItem?.text, legacyItem?.description, legacyItem?.name, legacyItem?.title),
+    status: _firstString(legacyItem?.status) // Unknown or missing names are resolved when loaded
+  };
+}
+
+/**
+ * Version 0 -> 1: converts each period into a milestone, and its entries into checklist items.
+ * @param {object} data - Legacy roadmap data with a 'periods' array.
+ * @returns {object} Roadmap data with a 'milestones' array.
+ */
+function _migratePeriodsToMilestones(data) {
+  if (!Array.isArray(data.periods)) {
+    throw new Error('The roadmap is marked as format version 0, but has no "periods" list.');
+  }
+  const milestones = data.periods.map((period, index) => {
+    const endDate = _firstString(period?.endDate, period?.date, period?.dueDate);
+    const validDate = DATE_PATTERN.test(endDate) ? endDate : '';
+    const legacyItems = [period?.items, period?.tasks, period?.features].find(Array.isArray) || [];
+    return {
+      title: _firstString(period?.title, period?.name, period?.label) || `Period ${index + 1}`,
+      purpose: _firstString(period?.purpose, period?.description, period?.goal),
+      currentCompletionDate: validDate,
+      originalCompletionDate: validDate,
+      items: legacyItems.map(_migratePeriodItem)
+    };
+  });
+
+  const { periods, ...rest } = data;
+  return { ...rest, roadmapName: _firstString(data.roadmapName, data.title, data.name), milestones };
+}
+
+/**
+ * Version 1 -> 2: milestones gained a date-change log and dependencies, items gained a parent and blockers.
+ * The new fields are optional and default to empty when the roadmap is loaded, so the data is kept as it is.
+ * @param {object} data - Roadmap data in version 1.
+ * @returns {object} The same data.
+ */
+function _migrateToLinkedItems(data) {
+  return data;
+}
+
+// Migration steps, keyed by the schema version they upgrade from.
+const MIGRATIONS = {
+  [LEGACY_PERIODS_VERSION]: _migratePeriodsToMilestones,
+  [FIRST_MILESTONES_VERSION]: _migrateToLinkedItems
+};
+
+// --- Public API ---
+
+/**
+ * Determines the schema version of roadmap data.
+ * @param {object} data - Roadmap data from storage, a file or the cloud.
+ * @returns {number} The schema version.
+ */
+export function detectSchemaVersion(data) {
+  if (Number.isInteger(data?.schemaVersion)) return data.schemaVersion;
+  if (Array.isArray(data?.periods)) return LEGACY_PERIODS_VERSION;
+  return FIRST_MILESTONES_VERSION;
+}
+
+/**
+ * Upgrades roadmap data to the current schema version, one step at a time.
+ * @param {object} data - Roadmap data in any supported version.
+ * @returns {object} A copy of the data in the current format, with schemaVersion set.
+ * @throws {Error} If the data is not a roadmap object, its schemaVersion is invalid or from a newer app version,
+ *   it does not have the shape of its version, or a step is missing. The message can be shown to the user.
+ */
+export function migrateRoadmapData(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('The data is not a roadmap object.');
+  }
+  if (data.schemaVersion !== undefined && !(Number.isInteger(data.schemaVersion) && data.schemaVersion >= 0)) {
+    throw new Error('The roadmap format version (schemaVersion) is invalid. Is this a roadmap exported with "Export as JSON"?');
+  }
+  let version = detectSchemaVersion(data);
+  if (version > ROADMAP_SCHEMA_VERSION) {
+    throw new Error(`The roadmap uses format version ${version}, which is newer than this app supports (${ROADMAP_SCHEMA_VERSION}).`);
+  }
+
+  let migrated = { ...data };
+  while (version < ROADMAP_SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration is available for roadmap format version ${version}.`);
+    }
+    migrated = migrate(migrated);
+    version++;
+    console.log(`Migrated roadmap data to format version ${version}.`);
+  }
+  migrated.schemaVersion = ROADMAP_SCHEMA_VERSION;
+  return migrated;
+}
@@ -0,0 +1,277 @@
+// roadmapProgress.js
+// Progress figures derived from item statuses: per-milestone completion and the roadmap-level summary.
+// Items count as done, blocked or at risk by their status category (see STATUS_CATEGORIES), never by status name.
+// Items with sub-items are not counted themselves: their status is rolled up from the sub-items, which are.
+// Also the schedule slip report built from each milestone's target-date change log, the overdue and
+// due-soon deadlines, and the schedule checks on milestone dependencies (conflicts and the critical path).
+// Like roadmapStore.js, this module has no DOM access.
+
+import { daysBetween } from './dateUtils.js';
+
+// --- Private Helper Functions ---
+
+/**
+ * Builds a lookup from status name to category.
+ * @param {Array<object>} statuses - Status definitions ({ name, category }).
+ * @returns {Map<string, string>} Category by status name.
+ */
+function _categoriesByName(statuses) {
+  return new Map((Array.isArray(statuses) ? statuses : []).map(s => [s.name, s.category]));
+}
+
+/**
+ * Lists the items that count towards progress figures, leaving out items with sub-items.
+ * @param {object} milestone - Milestone data with items.
+ * @returns {Array<object>} The counted items.
+ */
+function _countedItems(milestone) {
+  const items = Array.isArray(milestone?.items) ? milestone.items : [];
+  const parentIds = new Set(items.map(item => item.parentId).filter(Boolean));
+  return items.filter(item => !parentIds.has(item.id));
+}
+
+/**
+ * Classifies an unfinished milestone's or item's date relative to today.
+ * @param {string} isoDate - The target or due date (YYYY-MM-DD).
+ * @param {string} today - Today's date (YYYY-MM-DD).
+ * @param {number} dueSoonDays - How many days ahead count as due soon.
+ * @returns {{ state: 'overdue' | 'due-soon', daysLeft: number } | null} Null if the date is invalid or further out.
+ */
+function _deadlineState(isoDate, today, dueSoonDays) {
+  const daysLeft = daysBetween(today, isoDate);
+  if (daysLeft === null) return null;
+  if (daysLeft < 0) return { state: 'overdue', daysLeft };
+  if (daysLeft <= dueSoonDays) return { state: 'due-soon', daysLeft };
+  return null;
+}
+
+/**
+ * Calculates the completion percentage, rounded down so 100% means everything is done.
+ * @param {number} done - Number of done items.
+ * @param {number} total - Number of items.
+ * @returns {number} The percentage (0 when there are no items).
+ */
+function _percent(done, total) {
+  return total > 0 ? Math.floor((done / total) * 100) : 0;
+}
+
+// --- Public API ---
+
+/**
+ * Calculates how far along a milestone is (items with sub-items are counted through their sub-items).
+ * @param {object} milestone - Milestone data with items.
+ * @param {Array<object>} statuses - The roadmap's status definitions.
+ * @returns {{ done: number, total: number, percent: number }} The progress.
+ */
+export function getMilestoneProgress(milestone, statuses) {
+  const categories = _categoriesByName(statuses);
+  const items = _countedItems(milestone);
+  const done = items.filter(item => categories.get(item.status) === 'done').length;
+  return { done, total: items.length, percent: _percent(done, items.length) };
+}
+
+/**
+ * Counts how many of an item's sub-items are done.
+ * @param {object} milestone - Milestone data with items.
+ * @param {string} parentId - The parent item's ID.
+ * @param {Array<object>} statuses - The roadmap's status definitions.
+ * @returns {{ done: number, total: number }} The sub-item progress (total is 0 for items without sub-items).
+ */
+export function getSubItemProgress(milestone, parentId, statuses) {
+  const categories = _categoriesByName(statuses);
+  const children = (Array.isArray(milestone?.items) ? milestone.items : []).filter(item => item.parentId === parentId);
+  return { done: children.filter(item => categories.get(item.status) === 'done').length, total: children.length };
+}
+
+/**
+ * Lists the items blocking an item that are not done yet (blockers may be in any milestone).
+ * @param {object} roadmap - Roadmap data ({ milestones, statuses }).
+ * @param {object} item - The blocked item (with blockedBy IDs).
+ * @returns {Array<{ item: object, milestone: object }>} The open blockers, in blockedBy order.
+ */
+export function getOpenBlockers(roadmap, item) {
+  const categories = _categoriesByName(roadmap?.statuses);
+  const locations = new Map();
+  (Array.isArray(roadmap?.milestones) ? roadmap.milestones : []).forEach(milestone => {
+    (Array.isArray(milestone.items) ? milestone.items : []).forEach(other => locations.set(other.id, { item: other, milestone }));
+  });
+  return (Array.isArray(item?.blockedBy) ? item.blockedBy : [])
+    .map(id => locations.get(id))
+    .filter(location => location && categories.get(location.item.status) !== 'done');
+}
+
+/**
+ * Checks whether a milestone's target date has slipped past its original completion date.
+ * @param {object} milestone - Milestone data.
+ * @returns {boolean}
+ */
+export function isMilestoneSlipped(milestone) {
+  const { currentCompletionDate, originalCompletionDate } = milestone || {};
+  // YYYY-MM-DD strings compare chronologically
+  return Boolean(currentCompletionDate && originalCompletionDate && currentCompletionDate > originalCompletionDate);
+}
+
+/**
+ * Summarizes the whole roadmap (items with sub-items are counted through their sub-items).
+ * @param {object} roadmap - Roadmap data ({ milestones, statuses }).
+ * @returns {{ done: number, total: number, percent: number, blocked: number, atRisk: number,
+ *   slippedMilestones: number, milestones: number }} The summary.
+ */
+export function getRoadmapSummary(roadmap) {
+  const categories = _categoriesByName(roadmap?.statuses);
+  const milestones = Array.isArray(roadmap?.milestones) ? roadmap.milestones : [];
+  const summary = { done: 0, total: 0, percent: 0, blocked: 0, atRisk: 0, slippedMilestones: 0, milestones: milestones.length };
+
+  milestones.forEach(milestone => {
+    if (isMilestoneSlipped(milestone)) summary.slippedMilestones++;
+    _countedItems(milestone).forEach(item => {
+      const category = categories.get(item.status);
+      summary.total++;
+      if (category === 'done') summary.done++;
+      if (category === 'blocked') summary.blocked++;
+      if (category === 'at-risk') summary.atRisk++;
+    });
+  });
+  summary.percent = _percent(summary.done, summary.total);
+  return summary;
+}
+
+/**
+ * Lists how far each milestone's target date has moved from its original completion date.
+ * Milestones without an original date are left out.
+ * @param {object} roadmap - Roadmap data ({ milestones }).
+ * @returns {Array<{ title: string, originalCompletionDate: string, currentCompletionDate: string,
+ *   daysSlipped: number, dateChanges: Array<object> }>} One row per milestone, in roadmap order.
+ *   daysSlipped is negative when the milestone was pulled in.
+ */
+export function getSlipReport(roadmap) {
+  const milestones = Array.isArray(roadmap?.milestones) ? roadmap.milestones : [];
+  return milestones
+    .filter(milestone => milestone.originalCompletionDate)
+    .map(milestone => ({
+      title: milestone.title,
+      originalCompletionDate: milestone.originalCompletionDate,
+      currentCompletionDate: milestone.currentCompletionDate,
+      daysSlipped: daysBetween(milestone.originalCompletionDate, milestone.currentCompletionDate) ?? 0,
+      dateChanges: Array.isArray(milestone.dateChanges) ? milestone.dateChanges : []
+    }));
+}
+
+/**
+ * Finds the milestones and items whose dates have passed or are coming up, among those not done yet.
+ * A milestone counts while it has unfinished items; an item counts while its status is not in the done category.
+ * @param {object} roadmap - Roadmap data ({ milestones, statuses }).
+ * @param {object} options
+ * @param {string} options.today - Today's date (YYYY-MM-DD).
+ * @param {number} options.dueSoonDays - How many days ahead count as due soon (0 = due today only).
+ * @returns {{ overdue: Array<object>, dueSoon: Array<object> }} Entries ({ type: 'milestone' | 'item', id,
+ *   milestoneId, title, milestoneTitle, date, daysLeft }), soonest date first. daysLeft is negative when overdue.
+ */
+export function getDeadlines(roadmap, { today, dueSoonDays }) {
+  const categories = _categoriesByName(roadmap?.statuses);
+  const milestones = Array.isArray(roadmap?.milestones) ? roadmap.milestones : [];
+  const deadlines = { overdue: [], dueSoon: [] };
+
+  const addEntry = (type, id, milestone, title, date) => {
+    const result = _deadlineState(date, today, dueSoonDays);
+    if (!result) return;
+    const entry = { type, id, milestoneId: milestone.id, title, milestoneTitle: milestone.title, date, daysLeft: result.daysLeft };
+    (result.state === 'overdue' ? deadlines.overdue : deadlines.dueSoon).push(entry);
+  };
+
+  milestones.forEach(milestone => {
+    const items = Array.isArray(milestone.items) ? milestone.items : [];
+    const unfinishedItems = items.filter(item => categories.get(item.status) !== 'done');
+    if (unfinishedItems.length > 0 && milestone.currentCompletionDate) {
+      addEntry('milestone', milestone.id, milestone, milestone.title, milestone.currentCompletionDate);
+    }
+    unfinishedItems.forEach(item => {
+      if (item.dueDate) addEntry('item', item.id, milestone, item.text, item.dueDate);
+    });
+  });
+
+  const byDate = (a, b) => a.date.localeCompare(b.date);
+  deadlines.overdue.sort(byDate);
+  deadlines.dueSoon.sort(byDate);
+  return deadlines;
+}
+
+/**
+ * Lists the milestones that depend on a milestone, directly or through other milestones.
+ * @param {object} roadmap - Roadmap data ({ milestones }).
+ * @param {string} milestoneId - The upstream milestone's ID.
+ * @returns {Array<string>} IDs of the downstream milestones, in roadmap order.
+ */
+export function getDownstreamMilestoneIds(roadmap, milestoneId) {
+  const milestones = Array.isArray(roadmap?.milestones) ? roadmap.milestones : [];
+  const downstreamIds = new Set();
+  const pending = [milestoneId];
+  while (pending.length > 0) {
+    const upstreamId = pending.pop();
+    milestones.forEach(milestone => {
+      if ((milestone.dependsOn || []).includes(upstreamId) && !downstreamIds.has(milestone.id) && milestone.id !== milestoneId) {
+        downstreamIds.add(milestone.id);
+        pending.push(milestone.id);
+      }
+    });
+  }
+  return milestones.filter(m => downstreamIds.has(m.id)).map(m => m.id);
+}
+
+/**
+ * Finds milestones whose target date is earlier than the target date of a milestone they depend on.
+ * Dependencies without target dates on both ends cannot conflict.
+ * @param {object} roadmap - Roadmap data ({ milestones }).
+ * @returns {Array<{ milestoneId: string, dependencyId: string, date: string, dependencyDate: string, title: string,
+ *   dependencyTitle: string }>} One entry per conflicting dependency, in roadmap order.
+ */
+export function getDependencyConflicts(roadmap) {
+  const milestones = Array.isArray(roadmap?.milestones) ? roadmap.milestones : [];
+  const byId = new Map(milestones.map(m => [m.id, m]));
+  return milestones.flatMap(milestone => (milestone.dependsOn || [])
+    .map(dependencyId => byId.get(dependencyId))
+    // YYYY-MM-DD strings compare chronologically
+    .filter(dependency => dependency && milestone.currentCompletionDate && dependency.currentCompletionDate &&
+      milestone.currentCompletionDate < dependency.currentCompletionDate)
+    .map(dependency => ({
+      milestoneId: milestone.id,
+      dependencyId: dependency.id,
+      date: milestone.currentCompletionDate,
+      dependencyDate: dependency.currentCompletionDate,
+      title: milestone.title,
+      dependencyTitle: dependency.title
+    })));
+}
+
+/**
+ * Finds the critical path: the chain of dependencies leading up to the latest target date among milestones
+ * that have dependencies. From that milestone, the path steps back through the dependency with the latest
+ * target date until it reaches a milestone without dated dependencies. Undated milestones are skipped.
+ * @param {object} roadmap - Roadmap data ({ milestones }).
+ * @returns {Array<string>} Milestone IDs, upstream first; empty if no dated milestone depends on another dated one.
+ */
+export function getCriticalPath(roadmap) {
+  const milestones = Array.isArray(roadmap?.milestones) ? roadmap.milestones : [];
+  const byId = new Map(milestones.map(m => [m.id, m]));
+  const datedDependencies = milestone => (milestone.dependsOn || [])
+    .map(id => byId.get(id))
+    .filter(dependency => dependency?.currentCompletionDate);
+
+  let end = null;
+  milestones.forEach(milestone => {
+    if (!milestone.currentCompletionDate || datedDependencies(milestone).length === 0) return;
+    if (!end || milestone.currentCompletionDate > end.currentCompletionDate) end = milestone;
+  });
+  if (!end) return [];
+
+  const path = [end.id];
+  let current = end;
+  for (;;) {
+    const next = datedDependencies(current)
+      .reduce((latest, dependency) => (!latest || dependency.currentCompletionDate > latest.currentCompletionDate ? dependency : latest), null);
+    if (!next || path.includes(next.id)) break; // The store prevents cycles; guard against hand-edited data anyway
+    path.unshift(next.id);
+    current = next;
+  }
+  return path;
+}
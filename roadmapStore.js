@@ -0,0 +1,932 @@
+// roadmapStore.js
+// In-memory model of the current roadmap (name, milestones and their checklist items).
+// This is the single source of truth that the UI, save/load and exporters read from.
+// It has no DOM access, so the data logic can run (and be tested) outside the browser.
+
+import { DEFAULT_STATUSES, STATUS_CATEGORIES } from './config.js';
+import { addDays } from './dateUtils.js';
+
+// --- Constants ---
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// --- State ---
+// Each roadmap carries its own status definitions ({ name, icon, category, color, description }), saved together with it.
+let state = { roadmapName: '', milestones: [], statuses: JSON.parse(JSON.stringify(DEFAULT_STATUSES)) };
+const listeners = new Set();
+
+// --- Private Helper Functions ---
+
+/**
+ * Returns a deep copy of a plain data value so callers can never mutate internal state.
+ * @param {*} value - JSON-serializable value.
+ * @returns {*} The copy.
+ */
+function _clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Notifies every subscriber that the roadmap changed.
+ * @param {string} action - Short name of the mutation (e.g. 'item-updated', 'load').
+ * @param {object} [detail={}] - Extra information about the change (ids, changed fields).
+ */
+function _emit(action, detail = {}) {
+  const event = { action, ...detail };
+  listeners.forEach(listener => {
+    try {
+      listener(event);
+    } catch (e) {
+      console.error(`[roadmapStore.js] Listener failed while handling "${action}":`, e);
+    }
+  });
+}
+
+/**
+ * Generates a new random UUID (v4) for a milestone or item.
+ * IDs are assigned once and never derived from position, so they survive reordering, moves and reloads.
+ * @returns {string} The new ID.
+ */
+function _generateId() {
+  if (typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  // Fallback for insecure contexts (plain http), where randomUUID is unavailable
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // Version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+  const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Returns the given ID if it is a non-empty string not used anywhere in the roadmap yet,
+ * otherwise a freshly generated one. Existing IDs (including older non-UUID ones) are kept as-is.
+ * @param {*} candidateId - The ID supplied with incoming data.
+ * @returns {string} A unique ID.
+ */
+function _uniqueId(candidateId) {
+  if (typeof candidateId === 'string' && candidateId && !_findMilestone(candidateId) && !_findItemLocation(candidateId)) {
+    return candidateId;
+  }
+  return _generateId();
+}
+
+/**
+ * Normalizes an effort estimate to a non-negative number or null (accepts numeric strings, e.g. from AI output).
+ * @param {*} value - Raw effort value.
+ * @returns {number | null} The effort, or null if not set.
+ */
+function _normalizeEffort(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Builds a clean status object. Statuses saved before categories existed get the category and color
+ * of the built-in status with the same name, or the 'todo' category.
+ * @param {object} status - Raw status definition with a non-empty (trimmed) name.
+ * @param {string} name - The trimmed name.
+ * @returns {object} The normalized status ({ name, icon, category, color, description }).
+ */
+function _normalizeStatus(status, name) {
+  const builtIn = DEFAULT_STATUSES.find(s => s.name.toLowerCase() === name.toLowerCase());
+  const category = STATUS_CATEGORIES.some(c => c.value === status?.category) ? status.category : (builtIn?.category || 'todo');
+  const categoryColor = STATUS_CATEGORIES.find(c => c.value === category).color;
+  return {
+    name,
+    icon: typeof status?.icon === 'string' && status.icon ? status.icon : '❓',
+    category,
+    color: COLOR_PATTERN.test(status?.color) ? status.color : (builtIn?.category === category ? builtIn.color : categoryColor),
+    description: typeof status?.description === 'string' ? status.description : ''
+  };
+}
+
+/**
+ * Builds a clean status list: entries need a non-empty name (duplicates are dropped).
+ * @param {*} statuses - Raw status definitions.
+ * @returns {Array<object> | null} The statuses, or null if there are none.
+ */
+function _normalizeStatuses(statuses) {
+  if (!Array.isArray(statuses)) return null;
+  const normalized = [];
+  statuses.forEach(status => {
+    const name = typeof status?.name === 'string' ? status.name.trim() : '';
+    if (name && !normalized.some(s => s.name === name)) {
+      normalized.push(_normalizeStatus(status, name));
+    }
+  });
+  return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * Adds a definition (with a '❓' icon) for every status used by an item but missing from the status list,
+ * so items are never silently moved to another status.
+ */
+function _addMissingStatuses() {
+  state.milestones.forEach(milestone => {
+    milestone.items.forEach(item => {
+      if (!state.statuses.some(s => s.name === item.status)) {
+        state.statuses.push(_normalizeStatus({ icon: '❓' }, item.status));
+      }
+    });
+  });
+}
+
+/**
+ * Builds a clean item object from loosely-shaped input data.
+ * Items without a status get the roadmap's first status.
+ * @param {object | null} itemData - Raw item data (from storage, AI or the UI).
+ * @returns {object} The normalized item.
+ */
+function _normalizeItem(itemData) {
+  const rawStatus = typeof itemData?.status === 'string' ? itemData.status.trim() : '';
+  return {
+    id: _uniqueId(itemData?.id),
+    text: typeof itemData?.text === 'string' ? itemData.text : '',
+    status: rawStatus || state.statuses[0]?.name || 'Not Started',
+    assignee: typeof itemData?.assignee === 'string' ? itemData.assignee : '',
+    dueDate: typeof itemData?.dueDate === 'string' ? itemData.dueDate : '',
+    effort: _normalizeEffort(itemData?.effort),
+    effortUnit: itemData?.effortUnit === 'days' ? 'days' : 'points',
+    notes: typeof itemData?.notes === 'string' ? itemData.notes : '',
+    parentId: typeof itemData?.parentId === 'string' ? itemData.parentId : '',
+    blockedBy: _normalizeIdList(itemData?.blockedBy)
+  };
+}
+
+/**
+ * Builds a clean list of linked IDs ("blocked by", "depends on"): non-empty strings, without duplicates.
+ * @param {*} ids - Raw ID list.
+ * @returns {Array<string>} The IDs.
+ */
+function _normalizeIdList(ids) {
+  return Array.isArray(ids) ? [...new Set(ids.filter(id => typeof id === 'string' && id))] : [];
+}
+
+/**
+ * Builds a clean target-date change log: entries need a changedAt timestamp; dates are kept as strings.
+ * @param {*} dateChanges - Raw log entries.
+ * @returns {Array<object>} The log ({ from, to, changedAt, reason }), oldest first.
+ */
+function _normalizeDateChanges(dateChanges) {
+  if (!Array.isArray(dateChanges)) return [];
+  return dateChanges
+    .filter(change => typeof change?.changedAt === 'string' && change.changedAt)
+    .map(change => ({
+      from: typeof change.from === 'string' ? change.from : '',
+      to: typeof change.to === 'string' ? change.to : '',
+      changedAt: change.changedAt,
+      reason: typeof change.reason === 'string' ? change.reason : ''
+    }))
+    .sort((a, b) => a.changedAt.localeCompare(b.changedAt));
+}
+
+/**
+ * Builds a clean milestone object from loosely-shaped input data.
+ * Items are not copied here; callers add them once the milestone is in the state so that
+ * item IDs are checked for uniqueness against it.
+ * @param {object | null} milestoneData - Raw milestone data.
+ * @returns {object} The normalized milestone (with an empty items array).
+ */
+function _normalizeMilestone(milestoneData) {
+  return {
+    id: _uniqueId(milestoneData?.id),
+    title: typeof milestoneData?.title === 'string' && milestoneData.title ? milestoneData.title : `Milestone ${state.milestones.length + 1}`,
+    purpose: typeof milestoneData?.purpose === 'string' ? milestoneData.purpose : '',
+    currentCompletionDate: milestoneData?.currentCompletionDate || '',
+    originalCompletionDate: milestoneData?.originalCompletionDate || '',
+    dateChanges: _normalizeDateChanges(milestoneData?.dateChanges),
+    dependsOn: _normalizeIdList(milestoneData?.dependsOn),
+    items: []
+  };
+}
+
+/**
+ * Finds a milestone object by ID (internal reference, not a copy).
+ * @param {string} milestoneId - The milestone ID.
+ * @returns {object | undefined} The milestone, if found.
+ */
+function _findMilestone(milestoneId) {
+  return state.milestones.find(m => m.id === milestoneId);
+}
+
+/**
+ * Finds an item and its parent milestone by item ID (internal references).
+ * @param {string} itemId - The item ID.
+ * @returns {{ milestone: object, item: object, index: number } | null} The location, or null.
+ */
+function _findItemLocation(itemId) {
+  for (const milestone of state.milestones) {
+    const index = milestone.items.findIndex(i => i.id === itemId);
+    if (index !== -1) {
+      return { milestone, item: milestone.items[index], index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Returns the category of a status name ('todo' if the status is unknown).
+ * @param {string} statusName - The status name.
+ * @returns {string} The category.
+ */
+function _categoryOf(statusName) {
+  return state.statuses.find(s => s.name === statusName)?.category || 'todo';
+}
+
+/**
+ * Returns the sub-items of an item, in order.
+ * @param {object} milestone - The milestone holding the item.
+ * @param {string} parentId - The parent item's ID ('' for the milestone's top-level items).
+ * @returns {Array<object>} The items (internal references).
+ */
+function _childrenOf(milestone, parentId) {
+  return milestone.items.filter(i => i.parentId === parentId);
+}
+
+/**
+ * Inserts items among the siblings under a parent, keeping each sub-item directly after its parent's
+ * other sub-items (milestone items are stored parent first, then its sub-items).
+ * @param {object} milestone - The destination milestone.
+ * @param {Array<object>} items - The item followed by its own sub-items, if any.
+ * @param {string} parentId - The parent item's ID, or '' for a top-level item.
+ * @param {number} [siblingIndex] - Position among the siblings; appends when omitted or out of range.
+ */
+function _insertItems(milestone, items, parentId, siblingIndex) {
+  const siblings = _childrenOf(milestone, parentId);
+  let flatIndex;
+  if (siblingIndex !== undefined && siblingIndex < siblings.length) {
+    flatIndex = milestone.items.indexOf(siblings[siblingIndex]);
+  } else if (parentId) {
+    const last = siblings[siblings.length - 1] || milestone.items.find(i => i.id === parentId);
+    flatIndex = milestone.items.indexOf(last) + 1;
+  } else {
+    flatIndex = milestone.items.length;
+  }
+  milestone.items.splice(flatIndex, 0, ...items);
+}
+
+/**
+ * Sets a parent item's status from its sub-items: done when all are done, otherwise blocked or at risk
+ * when any is, to do while none has started, and active in between. The parent keeps its status if it is
+ * already in that category, or if the roadmap has no status in the category.
+ * @param {object} milestone - The milestone holding the parent.
+ * @param {string} parentId - The parent item's ID ('' is ignored).
+ * @returns {boolean} Whether the parent's status changed.
+ */
+function _rollUpStatus(milestone, parentId) {
+  const parent = parentId ? milestone.items.find(i => i.id === parentId) : null;
+  const children = parent ? _childrenOf(milestone, parentId) : [];
+  if (children.length === 0) return false;
+
+  const categories = children.map(child => _categoryOf(child.status));
+  let category = 'active';
+  if (categories.every(c => c === 'done')) category = 'done';
+  else if (categories.includes('blocked')) category = 'blocked';
+  else if (categories.includes('at-risk')) category = 'at-risk';
+  else if (categories.every(c => c === 'todo')) category = 'todo';
+
+  const status = state.statuses.find(s => s.category === category);
+  if (!status || _categoryOf(parent.status) === category) return false;
+  parent.status = status.name;
+  return true;
+}
+
+/**
+ * Rolls up the status of parents whose sub-items changed.
+ * Called before the change is emitted, so every subscriber (and undo snapshot) sees a consistent roadmap.
+ * @param {object} milestone - The milestone holding the parents.
+ * @param {Array<string>} parentIds - IDs of the parents ('' entries are ignored).
+ * @returns {Array<{ milestoneId: string, itemId: string }>} The parents whose status changed.
+ */
+function _rollUpParents(milestone, parentIds) {
+  return [...new Set(parentIds)]
+    .filter(parentId => _rollUpStatus(milestone, parentId))
+    .map(parentId => ({ milestoneId: milestone.id, itemId: parentId }));
+}
+
+/**
+ * Reports rolled-up parent statuses, after the change that caused them has been emitted.
+ * @param {Array<{ milestoneId: string, itemId: string }>} rolledUp - Parents from _rollUpParents.
+ */
+function _emitRollUps(rolledUp) {
+  rolledUp.forEach(({ milestoneId, itemId }) => _emit('item-updated', { milestoneId, itemId, fields: ['status'] }));
+}
+
+/**
+ * Rolls up the status of every parent item (e.g. after status categories changed).
+ * @returns {Array<string>} IDs of the parents whose status changed.
+ */
+function _rollUpAll() {
+  return state.milestones.flatMap(milestone =>
+    milestone.items.filter(item => _rollUpStatus(milestone, item.id)).map(item => item.id)
+  );
+}
+
+/**
+ * Repairs item links after loading: sub-items only nest one level deep under an item of the same milestone
+ * (others become top-level items), each parent's sub-items follow it, parent statuses are rolled up, and
+ * "blocked by" links to missing items or to the item itself are dropped.
+ */
+function _normalizeItemLinks() {
+  const itemIds = new Set();
+  state.milestones.forEach(milestone => {
+    const parentIds = new Map(milestone.items.map(item => [item.id, item.parentId]));
+    milestone.items.forEach(item => {
+      // The parent must be a top-level item of this milestone
+      if (item.parentId && (item.parentId === item.id || parentIds.get(item.parentId) !== '')) {
+        item.parentId = '';
+      }
+    });
+    milestone.items = _childrenOf(milestone, '').flatMap(item => [item, ..._childrenOf(milestone, item.id)]);
+    milestone.items.forEach(item => itemIds.add(item.id));
+  });
+  _rollUpAll();
+  state.milestones.forEach(milestone => {
+    milestone.items.forEach(item => {
+      item.blockedBy = item.blockedBy.filter(id => id !== item.id && itemIds.has(id));
+    });
+  });
+}
+
+/**
+ * Checks whether a milestone depends on another one, directly or through other milestones.
+ * @param {string} milestoneId - The dependent milestone's ID.
+ * @param {string} dependencyId - The possible (upstream) dependency's ID.
+ * @returns {boolean}
+ */
+function _dependsOn(milestoneId, dependencyId) {
+  const visited = new Set();
+  const pending = [milestoneId];
+  while (pending.length > 0) {
+    const milestone = _findMilestone(pending.pop());
+    if (!milestone || visited.has(milestone.id)) continue;
+    visited.add(milestone.id);
+    if (milestone.dependsOn.includes(dependencyId)) return true;
+    pending.push(...milestone.dependsOn);
+  }
+  return false;
+}
+
+/**
+ * Repairs milestone dependencies after loading: links to missing milestones or to the milestone itself are
+ * dropped, and so is any link that would close a cycle (the first links, in roadmap order, win).
+ */
+function _normalizeMilestoneLinks() {
+  const milestoneIds = new Set(state.milestones.map(m => m.id));
+  const requested = new Map(state.milestones.map(m => [m.id, m.dependsOn]));
+  state.milestones.forEach(milestone => { milestone.dependsOn = []; });
+  state.milestones.forEach(milestone => {
+    requested.get(milestone.id).forEach(dependencyId => {
+      if (dependencyId !== milestone.id && milestoneIds.has(dependencyId) && !_dependsOn(dependencyId, milestone.id)) {
+        milestone.dependsOn.push(dependencyId);
+      }
+    });
+  });
+}
+
+/**
+ * Sets a milestone's target date and logs the change (see rescheduleMilestone).
+ * @param {object} milestone - The milestone (internal reference).
+ * @param {string} newDate - The new target date (YYYY-MM-DD, or '').
+ * @param {string} reason - Why the date moved.
+ * @returns {Array<string>} The changed fields (empty if the date did not change).
+ */
+function _setTargetDate(milestone, newDate, reason) {
+  const from = milestone.currentCompletionDate;
+  if (from === newDate) return [];
+
+  const fields = ['currentCompletionDate'];
+  milestone.currentCompletionDate = newDate;
+  if (from) {
+    milestone.dateChanges.push({ from, to: newDate, changedAt: new Date().toISOString(), reason });
+    fields.push('dateChanges');
+  }
+  if (!milestone.originalCompletionDate && (from || newDate)) {
+    milestone.originalCompletionDate = from || newDate;
+    fields.push('originalCompletionDate');
+  }
+  return fields;
+}
+
+// --- Subscriptions ---
+
+/**
+ * Registers a listener that is called after every change to the roadmap.
+ * The listener receives an event object: { action, ...detail }.
+ * @param {Function} listener - The callback.
+ * @returns {Function} A function that removes the listener again.
+ */
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// --- Readers ---
+
+/**
+ * Returns a deep copy of the full roadmap state: { roadmapName, milestones, statuses }.
+ * @returns {object} The roadmap state.
+ */
+export function getRoadmapState() {
+  return _clone(state);
+}
+
+/**
+ * Returns a deep copy of the roadmap's status definitions (cheaper than copying the whole state).
+ * @returns {Array<object>} The statuses ({ name, icon, category, color, description }).
+ */
+export function getRoadmapStatuses() {
+  return _clone(state.statuses);
+}
+
+/**
+ * Returns a deep copy of a single milestone.
+ * @param {string} milestoneId - The milestone ID.
+ * @returns {object | null} The milestone, or null if not found.
+ */
+export function getMilestone(milestoneId) {
+  const milestone = _findMilestone(milestoneId);
+  return milestone ? _clone(milestone) : null;
+}
+
+/**
+ * Returns a deep copy of a single item.
+ * @param {string} itemId - The item ID.
+ * @returns {object | null} The item, or null if not found.
+ */
+export function getItem(itemId) {
+  const location = _findItemLocation(itemId);
+  return location ? _clone(location.item) : null;
+}
+
+/**
+ * Returns whether the roadmap currently has at least one milestone.
+ * @returns {boolean}
+ */
+export function hasMilestones() {
+  return state.milestones.length > 0;
+}
+
+// --- IDs ---
+
+/**
+ * Generates a new milestone or item ID, for code that builds roadmap data to load (e.g. importers that have to
+ * link sub-items to their parent before the data reaches the store).
+ * @returns {string} A new random UUID.
+ */
+export function createId() {
+  return _generateId();
+}
+
+// --- Roadmap-level Mutations ---
+
+/**
+ * Replaces the whole roadmap with the given data (e.g. after load or AI generation).
+ * @param {object} data - Object with roadmapName, milestones and (optionally) statuses.
+ * @param {object} [options={}]
+ * @param {Array<object>} [options.fallbackStatuses] - Statuses for data saved without any (older records, AI output);
+ *   if omitted, the current status list is kept.
+ * @param {string} [options.action='load'] - Action name reported to subscribers.
+ */
+export function loadRoadmap(data, { fallbackStatuses, action = 'load' } = {}) {
+  state = {
+    roadmapName: typeof data?.roadmapName === 'string' ? data.roadmapName : '',
+    milestones: [],
+    statuses: _normalizeStatuses(data?.statuses) || _normalizeStatuses(fallbackStatuses) || state.statuses
+  };
+  (Array.isArray(data?.milestones) ? data.milestones : []).forEach(milestoneData => {
+    const milestone = _normalizeMilestone(milestoneData);
+    state.milestones.push(milestone);
+    (Array.isArray(milestoneData?.items) ? milestoneData.items : []).forEach(itemData => {
+      milestone.items.push(_normalizeItem(itemData));
+    });
+  });
+  _addMissingStatuses();
+  _normalizeItemLinks();
+  _normalizeMilestoneLinks();
+  _emit(action);
+}
+
+/**
+ * Replaces the roadmap's status definitions (edited in the status legend).
+ * Item statuses can be rewritten in the same change (e.g. to follow a rename), so subscribers never see items
+ * whose status is missing from the list, and parents roll up from the rewritten statuses.
+ * @param {Array<object>} statuses - The statuses ({ name, icon, category, color, description }); must not be empty.
+ * @param {Function | null} [mapStatus=null] - Receives an item's status name, returns the new one; when omitted,
+ *   item statuses are not touched.
+ */
+export function setRoadmapStatuses(statuses, mapStatus = null) {
+  const normalized = _normalizeStatuses(statuses);
+  if (!normalized) {
+    console.error("[roadmapStore.js] Refusing to set an empty status list.");
+    return;
+  }
+  state.statuses = normalized;
+  const changedItemIds = [];
+  if (mapStatus) {
+    state.milestones.forEach(milestone => {
+      milestone.items.forEach(item => {
+        const newStatus = mapStatus(item.status);
+        if (newStatus !== item.status) {
+          item.status = newStatus;
+          changedItemIds.push(item.id);
+        }
+      });
+    });
+  }
+  // Parent statuses follow their sub-items' categories
+  changedItemIds.push(..._rollUpAll().filter(id => !changedItemIds.includes(id)));
+  _emit('statuses-updated', { itemIds: changedItemIds });
+}
+
+/**
+ * Updates the roadmap name.
+ * @param {string} name - The new name.
+ */
+export function setRoadmapName(name) {
+  if (state.roadmapName === name) return;
+  state.roadmapName = name;
+  _emit('name-updated');
+}
+
+// --- Milestone Mutations ---
+
+/**
+ * Adds a milestone (and any items it carries).
+ * @param {object | null} [milestoneData=null] - Optional data to pre-populate the milestone.
+ * @param {number} [index] - Position to insert at; appends when omitted.
+ * @returns {object} A copy of the added milestone.
+ */
+export function addMilestone(milestoneData = null, index = state.milestones.length) {
+  const milestone = _normalizeMilestone(milestoneData);
+  state.milestones.splice(index, 0, milestone);
+  (Array.isArray(milestoneData?.items) ? milestoneData.items : []).forEach(itemData => {
+    milestone.items.push(_normalizeItem(itemData));
+  });
+  _normalizeItemLinks();
+  _normalizeMilestoneLinks();
+  _emit('milestone-added', { milestoneId: milestone.id });
+  return _clone(milestone);
+}
+
+/**
+ * Updates fields on a milestone.
+ * @param {string} milestoneId - The milestone ID.
+ * @param {object} changes - Fields to overwrite (title, purpose, currentCompletionDate, originalCompletionDate).
+ */
+export function updateMilestone(milestoneId, changes) {
+  const milestone = _findMilestone(milestoneId);
+  if (!milestone) {
+    console.warn(`[roadmapStore.js] Cannot update unknown milestone "${milestoneId}".`);
+    return;
+  }
+  const changedFields = Object.keys(changes).filter(key => key !== 'id' && key !== 'items' && milestone[key] !== changes[key]);
+  if (changedFields.length === 0) return;
+  changedFields.forEach(key => { milestone[key] = changes[key]; });
+  _emit('milestone-updated', { milestoneId, fields: changedFields });
+}
+
+/**
+ * Moves a milestone's target date and appends the change to its date-change log.
+ * Setting the first date is not logged: it becomes the original completion date, which is never changed afterwards.
+ * @param {string} milestoneId - The milestone ID.
+ * @param {string} newDate - The new target date (YYYY-MM-DD, or '' to clear it).
+ * @param {object} [options={}]
+ * @param {string} [options.reason=''] - Why the date moved.
+ */
+export function rescheduleMilestone(milestoneId, newDate, { reason = '' } = {}) {
+  const milestone = _findMilestone(milestoneId);
+  if (!milestone) {
+    console.warn(`[roadmapStore.js] Cannot reschedule unknown milestone "${milestoneId}".`);
+    return;
+  }
+  const fields = _setTargetDate(milestone, newDate, reason);
+  if (fields.length === 0) return;
+  _emit('milestone-updated', { milestoneId, fields });
+}
+
+/**
+ * Moves the target dates of several milestones by the same number of days, as one change (e.g. cascading
+ * a slip to the milestones that depend on the one that slipped). Each move is logged like rescheduleMilestone.
+ * Milestones without a target date are left alone.
+ * @param {Array<string>} milestoneIds - The milestone IDs.
+ * @param {number} days - Days to move the dates by (negative to pull them in).
+ * @param {object} [options={}]
+ * @param {string} [options.reason=''] - Why the dates moved.
+ */
+export function shiftMilestoneDates(milestoneIds, days, { reason = '' } = {}) {
+  if (!days) return;
+  const shiftedIds = [];
+  milestoneIds.forEach(milestoneId => {
+    const milestone = _findMilestone(milestoneId);
+    if (!milestone?.currentCompletionDate) return;
+    const newDate = addDays(milestone.currentCompletionDate, days);
+    if (newDate && _setTargetDate(milestone, newDate, reason).length > 0) shiftedIds.push(milestoneId);
+  });
+  if (shiftedIds.length === 0) return;
+  _emit('milestones-shifted', { milestoneIds: shiftedIds });
+}
+
+/**
+ * Sets the milestones a milestone depends on (they have to be reached first).
+ * @param {string} milestoneId - The milestone ID.
+ * @param {Array<string>} dependencyIds - IDs of the upstream milestones; unknown IDs and the milestone itself are ignored.
+ * @returns {Array<string>} IDs that were refused because they depend on this milestone themselves (a cycle).
+ */
+export function setMilestoneDependencies(milestoneId, dependencyIds) {
+  const milestone = _findMilestone(milestoneId);
+  if (!milestone) {
+    console.warn(`[roadmapStore.js] Cannot set dependencies of unknown milestone "${milestoneId}".`);
+    return [];
+  }
+  const candidates = [...new Set(dependencyIds)].filter(id => id !== milestoneId && _findMilestone(id));
+  const refusedIds = candidates.filter(id => _dependsOn(id, milestoneId));
+  const dependsOn = candidates.filter(id => !refusedIds.includes(id));
+  if (JSON.stringify(dependsOn) !== JSON.stringify(milestone.dependsOn)) {
+    milestone.dependsOn = dependsOn;
+    _emit('milestone-updated', { milestoneId, fields: ['dependsOn'] });
+  }
+  return refusedIds;
+}
+
+/**
+ * Moves a milestone to another position in the roadmap.
+ * @param {string} milestoneId - The milestone ID.
+ * @param {number} toIndex - The milestone's new position.
+ */
+export function moveMilestone(milestoneId, toIndex) {
+  const index = state.milestones.findIndex(m => m.id === milestoneId);
+  if (index === -1) {
+    console.warn(`[roadmapStore.js] Cannot move unknown milestone "${milestoneId}".`);
+    return;
+  }
+  const newIndex = Math.max(0, Math.min(toIndex, state.milestones.length - 1));
+  if (newIndex === index) return;
+  const [milestone] = state.milestones.splice(index, 1);
+  state.milestones.splice(newIndex, 0, milestone);
+  _emit('milestone-moved', { milestoneId });
+}
+
+/**
+ * Removes a milestone and all of its items, and drops other milestones' dependencies on it.
+ * @param {string} milestoneId - The milestone ID.
+ */
+export function removeMilestone(milestoneId) {
+  const index = state.milestones.findIndex(m => m.id === milestoneId);
+  if (index === -1) return;
+  state.milestones.splice(index, 1);
+  state.milestones.forEach(milestone => {
+    milestone.dependsOn = milestone.dependsOn.filter(id => id !== milestoneId);
+  });
+  _emit('milestone-removed', { milestoneId });
+}
+
+// --- Item Mutations ---
+
+/**
+ * Adds a checklist item to a milestone, or as a sub-item of one of its top-level items.
+ * @param {string} milestoneId - The parent milestone ID.
+ * @param {object | null} [itemData=null] - Optional item data (text, status, detail fields, parentId, blockedBy).
+ * @param {number} [index] - Position among its siblings (the milestone's top-level items, or the parent's
+ *   sub-items); appends when omitted.
+ * @returns {object | null} A copy of the added item, or null if the milestone or parent does not exist.
+ */
+export function addItem(milestoneId, itemData = null, index) {
+  const milestone = _findMilestone(milestoneId);
+  if (!milestone) {
+    console.warn(`[roadmapStore.js] Cannot add item to unknown milestone "${milestoneId}".`);
+    return null;
+  }
+  const item = _normalizeItem(itemData);
+  if (item.parentId && !_childrenOf(milestone, '').some(i => i.id === item.parentId)) {
+    console.warn(`[roadmapStore.js] Cannot add sub-item to "${item.parentId}": not a top-level item of milestone "${milestoneId}".`);
+    return null;
+  }
+  const itemIds = new Set(state.milestones.flatMap(m => m.items.map(i => i.id)));
+  item.blockedBy = item.blockedBy.filter(id => itemIds.has(id));
+  _insertItems(milestone, [item], item.parentId, index);
+  const rolledUp = _rollUpParents(milestone, [item.parentId]);
+  _emit('item-added', { milestoneId, itemId: item.id });
+  _emitRollUps(rolledUp);
+  return _clone(item);
+}
+
+/**
+ * Updates fields on a checklist item.
+ * The status of an item with sub-items follows them, so status changes to such items are ignored.
+ * @param {string} itemId - The item ID.
+ * @param {object} changes - Fields to overwrite (text, status, assignee, dueDate, effort, effortUnit, notes).
+ *   Use moveItem to change parentId and setItemBlockers to change blockedBy.
+ */
+export function updateItem(itemId, changes) {
+  const location = _findItemLocation(itemId);
+  if (!location) {
+    console.warn(`[roadmapStore.js] Cannot update unknown item "${itemId}".`);
+    return;
+  }
+  const { item, milestone } = location;
+  const hasChildren = _childrenOf(milestone, itemId).length > 0;
+  const changedFields = Object.keys(changes).filter(key =>
+    !['id', 'parentId', 'blockedBy'].includes(key) &&
+    !(key === 'status' && hasChildren) &&
+    item[key] !== changes[key]
+  );
+  if (changedFields.length === 0) return;
+  changedFields.forEach(key => { item[key] = changes[key]; });
+  const rolledUp = changedFields.includes('status') ? _rollUpParents(milestone, [item.parentId]) : [];
+  _emit('item-updated', { milestoneId: milestone.id, itemId, fields: changedFields });
+  _emitRollUps(rolledUp);
+}
+
+/**
+ * Sets the items that block a checklist item (in any milestone).
+ * @param {string} itemId - The item ID.
+ * @param {Array<string>} blockerIds - IDs of the blocking items; unknown IDs and the item itself are ignored.
+ */
+export function setItemBlockers(itemId, blockerIds) {
+  const location = _findItemLocation(itemId);
+  if (!location) {
+    console.warn(`[roadmapStore.js] Cannot set blockers of unknown item "${itemId}".`);
+    return;
+  }
+  const blockedBy = [...new Set(blockerIds)].filter(id => id !== itemId && _findItemLocation(id));
+  if (JSON.stringify(blockedBy) === JSON.stringify(location.item.blockedBy)) return;
+  location.item.blockedBy = blockedBy;
+  _emit('item-updated', { milestoneId: location.milestone.id, itemId, fields: ['blockedBy'] });
+}
+
+/**
+ * Removes a checklist item together with its sub-items, and drops "blocked by" links to them.
+ * @param {string} itemId - The item ID.
+ */
+export function removeItem(itemId) {
+  const location = _findItemLocation(itemId);
+  if (!location) return;
+  const { milestone, item } = location;
+  const removedIds = new Set([itemId, ..._childrenOf(milestone, itemId).map(i => i.id)]);
+  milestone.items = milestone.items.filter(i => !removedIds.has(i.id));
+  state.milestones.forEach(m => m.items.forEach(i => {
+    i.blockedBy = i.blockedBy.filter(id => !removedIds.has(id));
+  }));
+  const rolledUp = _rollUpParents(milestone, [item.parentId]);
+  _emit('item-removed', { milestoneId: milestone.id, itemId });
+  _emitRollUps(rolledUp);
+}
+
+/**
+ * Moves a checklist item (with its sub-items) within its milestone or to another milestone,
+ * optionally into or out of a parent item.
+ * @param {string} itemId - The item ID.
+ * @param {string} toMilestoneId - The destination milestone ID.
+ * @param {number} toIndex - The position among the destination siblings (top-level items, or the parent's sub-items).
+ * @param {object} [options={}]
+ * @param {string} [options.parentId=''] - The destination parent item, or '' for a top-level item.
+ *   Items that have sub-items cannot become sub-items themselves.
+ */
+export function moveItem(itemId, toMilestoneId, toIndex, { parentId = '' } = {}) {
+  const location = _findItemLocation(itemId);
+  const destination = _findMilestone(toMilestoneId);
+  if (!location || !destination) {
+    console.warn(`[roadmapStore.js] Cannot move item "${itemId}" to milestone "${toMilestoneId}".`);
+    return;
+  }
+  const { milestone: source, item } = location;
+  const children = _childrenOf(source, itemId);
+  const isValidParent = !parentId || (parentId !== itemId && _childrenOf(destination, '').some(i => i.id === parentId));
+  if (!isValidParent || (parentId && children.length > 0)) {
+    console.warn(`[roadmapStore.js] Cannot move item "${itemId}" under "${parentId}": sub-items only nest one level deep.`);
+    return;
+  }
+  const oldParentId = item.parentId;
+  if (source === destination && oldParentId === parentId && _childrenOf(source, parentId).indexOf(item) === toIndex) return;
+
+  const movedItems = [item, ...children];
+  source.items = source.items.filter(i => !movedItems.includes(i));
+  item.parentId = parentId;
+  _insertItems(destination, movedItems, parentId, toIndex);
+  const rolledUp = [..._rollUpParents(source, [oldParentId]), ..._rollUpParents(destination, [parentId])];
+  _emit('item-moved', { fromMilestoneId: source.id, milestoneId: toMilestoneId, itemId });
+  _emitRollUps(rolledUp);
+}
+
+// --- Bulk Item Mutations ---
+// Each changes several items as a single change: one event, so one undo step and one autosave.
+
+/**
+ * Resolves a selection of item IDs to the items to act on, in roadmap order. Unknown IDs are dropped, and so
+ * are sub-items whose parent is selected too (they go along with their parent).
+ * @param {Array<string>} itemIds - The selected item IDs.
+ * @returns {Array<{ milestone: object, item: object }>} The items (internal references).
+ */
+function _resolveSelection(itemIds) {
+  const selectedIds = new Set(itemIds);
+  return state.milestones.flatMap(milestone => milestone.items
+    .filter(item => selectedIds.has(item.id) && !(item.parentId && selectedIds.has(item.parentId)))
+    .map(item => ({ milestone, item })));
+}
+
+/**
+ * Updates the same fields on several checklist items (e.g. setting their status).
+ * Like updateItem, the status of items with sub-items is left to the roll-up.
+ * @param {Array<string>} itemIds - The item IDs.
+ * @param {object} changes - Fields to overwrite (text, status, assignee, dueDate, effort, effortUnit, notes).
+ */
+export function updateItems(itemIds, changes) {
+  const selectedIds = new Set(itemIds);
+  const changedItemIds = [];
+  const changedFields = new Set();
+  let rolledUp = [];
+  state.milestones.forEach(milestone => {
+    const parentIds = [];
+    milestone.items.forEach(item => {
+      if (!selectedIds.has(item.id)) return;
+      const hasChildren = _childrenOf(milestone, item.id).length > 0;
+      const fields = Object.keys(changes).filter(key =>
+        !['id', 'parentId', 'blockedBy'].includes(key) &&
+        !(key === 'status' && hasChildren) &&
+        item[key] !== changes[key]
+      );
+      if (fields.length === 0) return;
+      fields.forEach(key => {
+        item[key] = changes[key];
+        changedFields.add(key);
+      });
+      changedItemIds.push(item.id);
+      if (fields.includes('status')) parentIds.push(item.parentId);
+    });
+    rolledUp = [...rolledUp, ..._rollUpParents(milestone, parentIds)];
+  });
+  if (changedItemIds.length === 0) return;
+  rolledUp.forEach(({ itemId }) => {
+    if (!changedItemIds.includes(itemId)) changedItemIds.push(itemId);
+  });
+  _emit('items-updated', { itemIds: changedItemIds, fields: [...changedFields] });
+}
+
+/**
+ * Removes several checklist items together with their sub-items, and drops "blocked by" links to them.
+ * @param {Array<string>} itemIds - The item IDs.
+ */
+export function removeItems(itemIds) {
+  const selection = _resolveSelection(itemIds);
+  if (selection.length === 0) return;
+  const removedIds = new Set(selection.flatMap(({ milestone, item }) => [item.id, ..._childrenOf(milestone, item.id).map(i => i.id)]));
+  state.milestones.forEach(milestone => {
+    const parentIds = milestone.items.filter(i => removedIds.has(i.id)).map(i => i.parentId);
+    milestone.items = milestone.items.filter(i => !removedIds.has(i.id));
+    milestone.items.forEach(i => {
+      i.blockedBy = i.blockedBy.filter(id => !removedIds.has(id));
+    });
+    _rollUpParents(milestone, parentIds.filter(parentId => !removedIds.has(parentId)));
+  });
+  _emit('items-removed', { itemIds: [...removedIds] });
+}
+
+/**
+ * Moves several checklist items (with their sub-items) to the end of another milestone, as top-level items.
+ * Items that are already top-level items of that milestone stay where they are.
+ * @param {Array<string>} itemIds - The item IDs.
+ * @param {string} toMilestoneId - The destination milestone ID.
+ */
+export function moveItems(itemIds, toMilestoneId) {
+  const destination = _findMilestone(toMilestoneId);
+  if (!destination) {
+    console.warn(`[roadmapStore.js] Cannot move items to unknown milestone "${toMilestoneId}".`);
+    return;
+  }
+  const selection = _resolveSelection(itemIds).filter(({ milestone, item }) => milestone !== destination || item.parentId);
+  if (selection.length === 0) return;
+
+  selection.forEach(({ milestone: source, item }) => {
+    const movedItems = [item, ..._childrenOf(source, item.id)];
+    const oldParentId = item.parentId;
+    source.items = source.items.filter(i => !movedItems.includes(i));
+    item.parentId = '';
+    _insertItems(destination, movedItems, '');
+    _rollUpParents(source, [oldParentId]);
+  });
+  _emit('items-moved', { milestoneId: toMilestoneId, itemIds: selection.map(({ item }) => item.id) });
+}
+
+/**
+ * Duplicates several checklist items (with their sub-items). Each copy is placed right after its original.
+ * @param {Array<string>} itemIds - The item IDs.
+ * @returns {Array<string>} IDs of the copies (not of their copied sub-items), in roadmap order.
+ */
+export function duplicateItems(itemIds) {
+  const selection = _resolveSelection(itemIds);
+  if (selection.length === 0) return [];
+
+  const copyIds = selection.map(({ milestone, item }) => {
+    const originals = [item, ..._childrenOf(milestone, item.id)];
+    const copies = originals.map(original => ({ ..._clone(original), id: _uniqueId() }));
+    copies.slice(1).forEach(copy => { copy.parentId = copies[0].id; });
+    milestone.items.splice(milestone.items.indexOf(originals[originals.length - 1]) + 1, 0, ...copies);
+    _rollUpParents(milestone, [item.parentId]);
+    return copies[0].id;
+  });
+  _emit('items-duplicated', { itemIds: copyIds });
+  return copyIds;
+}
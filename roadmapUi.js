@@ -2,19 +2,125 @@
 // Handles milestone creation, rendering, and interactions within the roadmap display area.
 
 import { getStatuses } from './statusManager.js';
-import { debouncedAutoSave } from './script.js';
+import {
+  subscribe,
+  getRoadmapState,
+  getMilestone,
+  getItem,
+  hasMilestones,
+  loadRoadmap,
+  addMilestone,
+  updateMilestone,
+  rescheduleMilestone,
+  shiftMilestoneDates,
+  setMilestoneDependencies,
+  removeMilestone,
+  moveMilestone,
+  addItem,
+  updateItem,
+  setItemBlockers,
+  removeItem,
+  moveItem
+} from './roadmapStore.js';
+import {
+  getMilestoneProgress,
+  getRoadmapSummary,
+  getSubItemProgress,
+  getOpenBlockers,
+  getDownstreamMilestoneIds,
+  getDependencyConflicts,
+  getCriticalPath
+} from './roadmapProgress.js';
+import { daysBetween, formatDisplayDate } from './dateUtils.js';
+import { getCurrentDeadlines, subscribeToDeadlineSettings } from './deadlinePanel.js';
+import { isRoadmapFiltered, getFilteredRoadmap, subscribeToFilter } from './filterBar.js';
 
 // --- DOM Element References ---
 const roadmapOutputDiv = document.getElementById('roadmap-output');
+const roadmapSummaryDiv = document.getElementById('roadmap-summary');
+const filterBarDiv = document.getElementById('roadmap-filter-bar');
+const filterResultSpan = document.getElementById('filter-result');
+const collapseControlsDiv = document.getElementById('milestone-collapse-controls');
 const exportButtonsContainer = document.getElementById('export-buttons-container');
 const addMilestoneButton = document.getElementById('add-milestone-btn');
+const roadmapPlaceholder = document.getElementById('roadmap-placeholder');
 // roadmapNameInput is not directly used here but might be useful contextually if needed later
 
+// --- Store Actions ---
+// Store changes that replace the whole roadmap (load, undo/redo, version restore) or restructure several item lists
+// at once (bulk actions) and therefore require a full re-render.
+// Edits made through this UI already show in the DOM, so other actions are ignored here.
+const FULL_RENDER_ACTIONS = ['load', 'restore', 'version-restored', 'items-removed', 'items-moved', 'items-duplicated'];
+// Milestone fields shown by the date controls in the card header
+const DATE_FIELDS = ['currentCompletionDate', 'originalCompletionDate', 'dateChanges'];
+// Store changes that can affect sub-task counts, rolled-up statuses or blocked-by badges
+// (this also syncs statuses set outside the item rows, e.g. by bulk actions)
+const ITEM_LINK_ACTIONS = ['item-added', 'item-updated', 'items-updated', 'item-removed', 'item-moved', 'milestone-removed', 'statuses-updated'];
+// localStorage key for the IDs of collapsed milestones (view state, kept out of the roadmap data and undo history)
+const COLLAPSED_MILESTONES_STORAGE_KEY = 'roadmapCollapsedMilestones';
+
 // --- State ---
-let milestoneCounter = 0; // Simple counter for unique milestone IDs
+let collapsedMilestoneIds = _loadCollapsedMilestoneIds();
+let isMilestoneSortableInitialized = false;
 
 // --- Private Helper Functions ---
 
+/**
+ * Reads the IDs of collapsed milestones from localStorage.
+ * @returns {Set<string>} The milestone IDs.
+ */
+function _loadCollapsedMilestoneIds() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(COLLAPSED_MILESTONES_STORAGE_KEY) || '[]');
+    return new Set(Array.isArray(parsed) ? parsed.filter(id => typeof id === 'string') : []);
+  } catch (e) {
+    console.error("Error parsing collapsed milestones from localStorage", e);
+    return new Set();
+  }
+}
+
+/**
+ * Writes the IDs of collapsed milestones to localStorage.
+ */
+function _saveCollapsedMilestoneIds() {
+  localStorage.setItem(COLLAPSED_MILESTONES_STORAGE_KEY, JSON.stringify([...collapsedMilestoneIds]));
+}
+
+/**
+ * Shows a milestone card collapsed (header only) or expanded.
+ * @param {HTMLElement} milestoneElement - The milestone container element.
+ * @param {boolean} collapsed - Whether the milestone is collapsed.
+ */
+function _renderMilestoneCollapsed(milestoneElement, collapsed) {
+  milestoneElement.classList.toggle('is-collapsed', collapsed);
+  const collapseButton = milestoneElement.querySelector('.milestone-collapse-btn');
+  if (collapseButton) {
+    collapseButton.textContent = collapsed ? '▸' : '▾';
+    collapseButton.title = collapsed ? 'Expand milestone' : 'Collapse milestone';
+    collapseButton.setAttribute('aria-label', collapseButton.title);
+    collapseButton.setAttribute('aria-expanded', String(!collapsed));
+  }
+}
+
+/**
+ * Shows a status on a checklist item row: its icon, and its color and category (used for styling).
+ * @param {HTMLElement} checklistItem - The checklist item element.
+ * @param {object} statusObj - The status object ({ name, icon, category, color, description }).
+ */
+function _applyStatusDisplay(checklistItem, statusObj) {
+  const itemIcon = checklistItem.querySelector('.checklist-item-status-icon');
+  if (itemIcon) {
+    itemIcon.textContent = statusObj.icon;
+    itemIcon.setAttribute('aria-label', statusObj.name); // Use status name for label
+  }
+  checklistItem.dataset.statusCategory = statusObj.category || 'todo';
+  if (statusObj.color) {
+    checklistItem.style.setProperty('--status-color', statusObj.color);
+  } else {
+    checklistItem.style.removeProperty('--status-color');
+  }
+}
+
 /**
  * Updates the visual icons for all checklist items currently set to a specific status within a milestone.
  * Used after loading a milestone from data.
@@ -26,11 +132,7 @@ function _updateChecklistItemIconsForMilestone(milestoneElement) {
   items.forEach(item => {
     const statusName = item.dataset.status;
     const statusObj = statuses.find(s => s.name === statusName) || { icon: '❓', name: 'Unknown' }; // Provide fallback name
-    const itemIcon = item.querySelector('.checklist-item-status-icon');
-    if (itemIcon) {
-      itemIcon.textContent = statusObj.icon;
-      itemIcon.setAttribute('aria-label', statusObj.name); // Use status name for label
-    }
+    _applyStatusDisplay(item, statusObj);
   });
 }
 
@@ -43,14 +145,33 @@ function _handleAddLineItem(target) {
   const itemsContainer = milestoneSection?.querySelector('.items-container');
 
   if (itemsContainer) {
-    const newItem = createChecklistItemElement(); // Create with default values
-    itemsContainer.appendChild(newItem);
-    debouncedAutoSave();
+    const itemData = addItem(milestoneSection.id); // Create with default values
+    if (itemData) {
+      itemsContainer.appendChild(createChecklistItemElement(itemData));
+      _renderItemLinks();
+    }
   } else {
     console.error("[roadmapUi.js] Could not find items container for adding item.");
   }
 }
 
+/**
+ * Handles adding a sub-task when an item's '+ Sub-task' button is clicked.
+ * @param {HTMLElement} target - The clicked button element.
+ */
+function _handleAddSubItem(target) {
+  const checklistItem = target.closest('.checklist-item');
+  const milestoneSection = target.closest('.milestone-section');
+  const subitemsContainer = checklistItem?.querySelector(':scope > .subitems-container');
+  if (!subitemsContainer || !milestoneSection) return;
+
+  const itemData = addItem(milestoneSection.id, { parentId: checklistItem.dataset.itemId });
+  if (itemData) {
+    subitemsContainer.appendChild(createChecklistItemElement(itemData));
+    _renderItemLinks(); // The parent's status, sub-task count and the new row's controls
+  }
+}
+
 /**
  * Handles deleting a checklist item when its delete button is clicked.
  * @param {HTMLElement} target - The clicked delete button element.
@@ -58,83 +179,269 @@ function _handleAddLineItem(target) {
 function _handleDeleteLineItem(target) {
   const checklistItem = target.closest('.checklist-item');
   if (checklistItem) {
+    const subItemCount = checklistItem.querySelectorAll(':scope > .subitems-container > .checklist-item').length;
+    if (subItemCount > 0 && !confirm(`Delete this item and its ${subItemCount} sub-task${subItemCount === 1 ? '' : 's'}?`)) {
+      return;
+    }
+    removeItem(checklistItem.dataset.itemId);
     checklistItem.remove();
-    debouncedAutoSave();
   }
 }
 
 /**
- * Handles input or blur events on a milestone title. Triggers autosave.
+ * Handles deleting a whole milestone after confirmation.
+ * @param {HTMLElement} target - The clicked delete milestone button.
+ */
+function _handleDeleteMilestone(target) {
+  const milestoneElement = target.closest('.milestone-section');
+  if (milestoneElement) {
+    // Confirmation Dialog
+    if (confirm("Are you sure you want to delete this entire milestone and all its items?")) {
+      removeMilestone(milestoneElement.id);
+      milestoneElement.remove(); // Remove from DOM
+      if (collapsedMilestoneIds.delete(milestoneElement.id)) _saveCollapsedMilestoneIds();
+      updateRoadmapControlsVisibility();
+    }
+  }
+}
+
+/**
+ * Handles input or blur events on a milestone title. Writes the title to the roadmap store.
  * @param {Event} event - The input or blur event object.
  */
 function _handleMilestoneTitleInteraction(event) {
-  // Autosave is triggered on input or blur for the title
-  debouncedAutoSave();
+  const milestoneSection = event.target.closest('.milestone-section');
+  if (milestoneSection) {
+    updateMilestone(milestoneSection.id, { title: event.target.textContent });
+  }
+}
+
+/**
+ * Handles input or blur events on a milestone purpose. Writes the purpose to the roadmap store.
+ * @param {Event} event - The input or blur event object.
+ */
+function _handleMilestonePurposeInteraction(event) {
+  const milestoneSection = event.target.closest('.milestone-section');
+  if (milestoneSection) {
+    updateMilestone(milestoneSection.id, { purpose: event.target.textContent });
+  }
 }
 
 /**
- * Handles the 'change' event on a milestone date input. Triggers autosave.
+ * Writes a milestone's edited target date to the store and logs the change.
+ * Moving an already-set date asks for an optional reason; setting the first date or clearing it does not.
+ * @param {HTMLInputElement} dateInput - The milestone's date input.
+ */
+function _commitMilestoneDate(dateInput) {
+  const milestoneSection = dateInput.closest('.milestone-section');
+  const milestone = milestoneSection ? getMilestone(milestoneSection.id) : null;
+  const newDate = dateInput.value;
+  if (!milestone || milestone.currentCompletionDate === newDate) return;
+
+  let reason = '';
+  if (milestone.currentCompletionDate && newDate) {
+    const answer = prompt(`Reason for moving "${milestone.title}" from ${formatDisplayDate(milestone.currentCompletionDate)} to ${formatDisplayDate(newDate)} (optional):`, '');
+    reason = answer ? answer.trim() : ''; // Cancel keeps the new date, without a reason
+  }
+  rescheduleMilestone(milestone.id, newDate, { reason }); // The store change triggers autosave
+  offerDownstreamShift(milestone.id, milestone.currentCompletionDate, newDate);
+}
+
+/**
+ * Handles the 'change' event on a milestone date input.
+ * While the input has focus (e.g. typing a date digit by digit) the date is committed on blur instead,
+ * so the change log gets one entry per edit rather than one per keystroke.
  * @param {Event} event - The change event object.
  */
 function _handleMilestoneDateChange(event) {
-  // The 'change' event implies the value has potentially been finalized by the user
-  debouncedAutoSave();
+  if (document.activeElement !== event.target) {
+    _commitMilestoneDate(event.target);
+  }
 }
 
 /**
- * Handles the 'blur' event on a milestone date input.
- * Sets the original date display if it hasn't been set yet and the input has a valid date.
- * Autosave is typically triggered by the 'change' event or the main blur listener calling this handler.
+ * Handles the 'blur' event on a milestone date input: commits the edited target date.
  * @param {Event} event - The blur event object.
  */
 function _handleMilestoneDateBlur(event) {
-    const dateInput = event.target;
-    const milestoneSection = dateInput.closest('.milestone-section');
-    const originalDateSpan = milestoneSection?.querySelector('.original-date-display');
-
-    if (originalDateSpan) {
-        const currentOriginal = originalDateSpan.dataset.originalDate;
-        const finalDateStr = dateInput.value; // Read value on blur
-
-        // Set Original Date ONLY if it's not already set AND the final input value is a valid date
-        if (!currentOriginal && finalDateStr) {
-            try {
-                // Basic validation: Attempt to parse and check if it's a valid date object
-                // Adding T00:00:00 helps avoid timezone issues during parsing
-                const dateObj = new Date(finalDateStr + 'T00:00:00');
-                if (isNaN(dateObj.getTime())) {
-                    throw new Error('Invalid date value entered.');
-                }
-                // Optional: Add stricter validation like checking year range if needed
-                // if (dateObj.getFullYear() < 1970 || dateObj.getFullYear() > 2100) {
-                //     throw new Error('Date year out of reasonable range.');
-                // }
-
-                // --- Set the original date details ---
-                originalDateSpan.dataset.originalDate = finalDateStr; // Store raw YYYY-MM-DD
-
-                const options = { year: 'numeric', month: '2-digit', day: '2-digit' };
-                originalDateSpan.textContent = `Original: ${dateObj.toLocaleDateString(undefined, options)}`;
-                originalDateSpan.classList.remove('hidden');
-
-                // Autosave is handled by the main event listener structure calling this,
-                // typically via the 'change' event or the top-level 'blur' listener.
-                // No *extra* debouncedAutoSave() call needed here.
-
-            } catch (e) {
-                console.error("Error parsing/validating date on blur to set original date:", finalDateStr, e);
-                // Optionally clear the input or show an error? For now, just log.
-                // If validation fails, we don't set the original date.
-            }
-        }
-        // No action needed if original date was already set or input is empty on blur.
+  _commitMilestoneDate(event.target);
+}
+
+/**
+ * Formats one date-change log entry, e.g. "06/01/2026: 01/10/2026 → 01/20/2026 (+10 days) — Vendor delay".
+ * @param {object} change - Log entry ({ from, to, changedAt, reason }).
+ * @returns {string} The text.
+ */
+function _formatDateChange(change) {
+  const changedOn = new Date(change.changedAt).toLocaleDateString();
+  const from = formatDisplayDate(change.from) || 'no date';
+  const to = formatDisplayDate(change.to) || 'no date';
+  const days = daysBetween(change.from, change.to);
+  const delta = days ? ` (${days > 0 ? '+' : ''}${days} day${Math.abs(days) === 1 ? '' : 's'})` : '';
+  const reason = change.reason ? ` — ${change.reason}` : '';
+  return `${changedOn}: ${from} → ${to}${delta}${reason}`;
+}
+
+/**
+ * Syncs a milestone card's date controls with the store: target date, original date and the date-change log.
+ * @param {HTMLElement} milestoneElement - The milestone container element.
+ * @param {object} milestone - The milestone from the store.
+ */
+function _renderMilestoneDates(milestoneElement, milestone) {
+  const dateInput = milestoneElement.querySelector('.milestone-date');
+  if (dateInput && document.activeElement !== dateInput) {
+    dateInput.value = milestone.currentCompletionDate; // e.g. after dragging the date in the timeline
+  }
+
+  const originalDateSpan = milestoneElement.querySelector('.original-date-display');
+  if (originalDateSpan) {
+    originalDateSpan.dataset.originalDate = milestone.originalCompletionDate; // Store raw value
+    originalDateSpan.textContent = `Original: ${formatDisplayDate(milestone.originalCompletionDate) || 'Not Set'}`;
+    originalDateSpan.classList.toggle('d-none', !milestone.originalCompletionDate); // Use Bootstrap 'd-none' to hide
+    // Tooltip with the full history
+    originalDateSpan.title = milestone.dateChanges.map(_formatDateChange).join('\n');
+  }
+
+  const logToggle = milestoneElement.querySelector('.date-log-toggle');
+  const logList = milestoneElement.querySelector('.date-change-log ul');
+  const changeCount = milestone.dateChanges.length;
+  if (logToggle) {
+    logToggle.textContent = `${changeCount} date change${changeCount === 1 ? '' : 's'}`;
+    logToggle.classList.toggle('d-none', changeCount === 0);
+  }
+  if (logList) {
+    logList.innerHTML = '';
+    milestone.dateChanges.forEach(change => {
+      const li = document.createElement('li');
+      li.textContent = _formatDateChange(change);
+      logList.appendChild(li);
+    });
+  }
+  if (changeCount === 0) _setDateLogExpanded(milestoneElement, false);
+}
+
+/**
+ * Shows or hides a milestone's date-change log.
+ * @param {HTMLElement} milestoneElement - The milestone container element.
+ * @param {boolean} expanded - Whether to show the log.
+ */
+function _setDateLogExpanded(milestoneElement, expanded) {
+  milestoneElement.querySelector('.date-change-log')?.classList.toggle('d-none', !expanded);
+  milestoneElement.querySelector('.date-log-toggle')?.setAttribute('aria-expanded', String(expanded));
+}
+
+/**
+ * Shows or hides a milestone's dependencies panel, filling its list of milestones when it opens.
+ * @param {HTMLElement} milestoneElement - The '.milestone-section' element.
+ * @param {boolean} expanded - Whether the panel should be shown.
+ */
+function _setDependenciesExpanded(milestoneElement, expanded) {
+  milestoneElement.querySelector('.milestone-dependencies')?.classList.toggle('d-none', !expanded);
+  milestoneElement.querySelector('.dependencies-toggle')?.setAttribute('aria-expanded', String(expanded));
+  if (expanded) _populateDependsOnSelect(milestoneElement.querySelector('.milestone-depends-on'), milestoneElement.id);
+}
+
+/**
+ * Handles clicks on a milestone's dependencies button by toggling the panel.
+ * @param {HTMLElement} toggleButton - The clicked button.
+ */
+function _handleToggleDependencies(toggleButton) {
+  const milestoneSection = toggleButton.closest('.milestone-section');
+  if (milestoneSection) {
+    _setDependenciesExpanded(milestoneSection, toggleButton.getAttribute('aria-expanded') !== 'true');
+  }
+}
+
+/**
+ * Fills a milestone's "Depends on" list with the other milestones of the roadmap.
+ * @param {HTMLSelectElement | null} select - The multi-select.
+ * @param {string} milestoneId - The milestone being edited.
+ */
+function _populateDependsOnSelect(select, milestoneId) {
+  if (!select) return;
+  const dependsOn = getMilestone(milestoneId)?.dependsOn || [];
+  select.innerHTML = '';
+  getRoadmapState().milestones.forEach(milestone => {
+    if (milestone.id === milestoneId) return;
+    const date = milestone.currentCompletionDate ? ` (${formatDisplayDate(milestone.currentCompletionDate)})` : '';
+    select.appendChild(new Option(`${milestone.title || 'Untitled Milestone'}${date}`, milestone.id, false, dependsOn.includes(milestone.id)));
+  });
+}
+
+/**
+ * Handles changes to a milestone's "Depends on" selection. Dependencies that would form a cycle are refused.
+ * @param {Event} event - The change event object.
+ */
+function _handleDependsOnChange(event) {
+  const milestoneSection = event.target.closest('.milestone-section');
+  if (!milestoneSection) return;
+  const dependencyIds = [...event.target.selectedOptions].map(option => option.value);
+  const refusedIds = setMilestoneDependencies(milestoneSection.id, dependencyIds);
+  if (refusedIds.length > 0) {
+    const titles = refusedIds.map(id => `"${getMilestone(id)?.title || 'Untitled Milestone'}"`).join(', ');
+    alert(`${titles} already depend${refusedIds.length === 1 ? 's' : ''} on this milestone, so this milestone cannot depend on ${refusedIds.length === 1 ? 'it' : 'them'}.`);
+    _populateDependsOnSelect(event.target, milestoneSection.id); // Show what was kept
+  }
+}
+
+/**
+ * Flags dependency problems and the critical path on every milestone card: the dependencies button,
+ * a warning when the target date is earlier than that of a milestone it depends on, and the critical-path badge.
+ * @param {object} roadmap - Roadmap state from the store.
+ */
+function _renderMilestoneLinks(roadmap) {
+  const conflicts = getDependencyConflicts(roadmap);
+  const criticalPath = getCriticalPath(roadmap);
+  const titleOf = id => roadmap.milestones.find(m => m.id === id)?.title || 'Untitled Milestone';
+
+  roadmap.milestones.forEach(milestone => {
+    const milestoneElement = document.getElementById(milestone.id);
+    if (!milestoneElement) return;
+
+    const toggle = milestoneElement.querySelector('.dependencies-toggle');
+    if (toggle) {
+      toggle.textContent = milestone.dependsOn.length > 0 ? `🔗 Depends on ${milestone.dependsOn.length}` : '🔗 Dependencies';
+      toggle.title = milestone.dependsOn.length > 0 ? `Depends on: ${milestone.dependsOn.map(titleOf).join(', ')}` : 'Add milestones this one depends on';
+    }
+
+    const ownConflicts = conflicts.filter(conflict => conflict.milestoneId === milestone.id);
+    const descriptions = ownConflicts.map(conflict =>
+      `Target is before "${conflict.dependencyTitle || 'Untitled Milestone'}" (${formatDisplayDate(conflict.dependencyDate)}), which it depends on.`);
+    milestoneElement.classList.toggle('has-dependency-conflict', ownConflicts.length > 0);
+    const conflictBadge = milestoneElement.querySelector('.dependency-conflict-badge');
+    if (conflictBadge) {
+      conflictBadge.classList.toggle('d-none', ownConflicts.length === 0);
+      conflictBadge.textContent = ownConflicts.length > 1 ? `⚠ ${ownConflicts.length} date conflicts` : '⚠ Date conflict';
+      conflictBadge.title = descriptions.join('\n');
+    }
+    const conflictList = milestoneElement.querySelector('.dependency-conflicts');
+    if (conflictList) conflictList.textContent = descriptions.join(' ');
+
+    const isCritical = criticalPath.includes(milestone.id);
+    milestoneElement.classList.toggle('is-critical', isCritical);
+    const criticalBadge = milestoneElement.querySelector('.critical-path-badge');
+    if (criticalBadge) {
+      criticalBadge.classList.toggle('d-none', !isCritical);
+      criticalBadge.title = isCritical ? `Critical path: ${criticalPath.map(titleOf).join(' → ')}` : '';
     }
+  });
+}
+
+/**
+ * Handles clicks on a milestone's "n date changes" button by toggling the log.
+ * @param {HTMLElement} toggleButton - The clicked button.
+ */
+function _handleToggleDateLog(toggleButton) {
+  const milestoneSection = toggleButton.closest('.milestone-section');
+  if (milestoneSection) {
+    _setDateLogExpanded(milestoneSection, toggleButton.getAttribute('aria-expanded') !== 'true');
+  }
 }
 
 
 /**
  * Handles changing the status of a checklist item via its dropdown.
- * Updates the item's data attribute, icon, and triggers autosave.
+ * Updates the item's data attribute, icon, and the roadmap store.
  * @param {Event} event - The change event object.
  */
 function _handleChangeItemStatus(event) {
@@ -142,32 +449,281 @@ function _handleChangeItemStatus(event) {
   const checklistItem = statusDropdown.closest('.checklist-item');
   if (checklistItem) {
     const newStatusName = statusDropdown.value;
+    if (!confirmStatusChange(checklistItem.dataset.itemId, newStatusName)) {
+      statusDropdown.value = checklistItem.dataset.status; // Keep the previous status
+      return;
+    }
     checklistItem.dataset.status = newStatusName; // Update data attribute
 
     // Update the icon displayed in the row
     const statuses = getStatuses();
     const newStatusObj = statuses.find(s => s.name === newStatusName) || { icon: '❓', name: newStatusName }; // Fallback icon/name
-    const itemIcon = checklistItem.querySelector('.checklist-item-status-icon');
-    if (itemIcon) {
-      itemIcon.textContent = newStatusObj.icon;
-      itemIcon.setAttribute('aria-label', newStatusObj.name); // Update aria-label
-    }
-    debouncedAutoSave();
+    _applyStatusDisplay(checklistItem, newStatusObj);
+    updateItem(checklistItem.dataset.itemId, { status: newStatusName });
   }
 }
 
 /**
- * Handles input events on a checklist item's description field. Triggers autosave.
+ * Handles input events on a checklist item's description field. Writes the text to the roadmap store.
  * @param {Event} event - The input event object.
  */
 function _handleItemDescriptionInput(event) {
-  // Autosave is triggered on input for the description
-  debouncedAutoSave();
+  const checklistItem = event.target.closest('.checklist-item');
+  if (checklistItem) {
+    updateItem(checklistItem.dataset.itemId, { text: event.target.value });
+  }
+}
+
+/**
+ * Shows or hides the detail panel (assignee, due date, effort, notes) of a checklist item.
+ * @param {HTMLElement} target - The clicked details toggle button.
+ */
+function _handleToggleItemDetails(target) {
+  const checklistItem = target.closest('.checklist-item');
+  const detailsPanel = checklistItem?.querySelector(':scope > .item-details');
+  if (detailsPanel) {
+    const isExpanded = detailsPanel.classList.toggle('d-none') === false;
+    target.setAttribute('aria-expanded', String(isExpanded));
+    if (isExpanded) {
+      // Offer the roadmap's current items as blockers
+      _populateBlockedBySelect(detailsPanel.querySelector('.item-blocked-by'), checklistItem.dataset.itemId);
+    }
+  }
+}
+
+/**
+ * Handles edits to the fields in a checklist item's detail panel. Writes the field to the roadmap store.
+ * @param {Event} event - The input or change event object.
+ */
+function _handleItemDetailInput(event) {
+  const target = event.target;
+  const checklistItem = target.closest('.checklist-item');
+  const field = target.dataset.field;
+  if (!checklistItem || !field) return;
+
+  let value = target.value;
+  if (field === 'effort') {
+    value = target.value === '' ? null : Math.max(0, parseFloat(target.value) || 0);
+  }
+  updateItem(checklistItem.dataset.itemId, { [field]: value });
+  _updateItemDetailsIndicator(checklistItem);
+}
+
+/**
+ * Marks the details toggle of an item when any detail field has a value, so filled-in details
+ * are noticeable while the panel is collapsed.
+ * @param {HTMLElement} checklistItem - The checklist item element.
+ */
+function _updateItemDetailsIndicator(checklistItem) {
+  const itemData = getItem(checklistItem.dataset.itemId);
+  const toggle = checklistItem.querySelector(':scope > .item-details-toggle');
+  if (!itemData || !toggle) return;
+  const hasDetails = Boolean(itemData.assignee || itemData.dueDate || itemData.effort !== null || itemData.notes);
+  toggle.classList.toggle('text-primary', hasDetails);
+  toggle.classList.toggle('text-muted', !hasDetails);
+}
+
+/**
+ * Creates the collapsible detail panel for a checklist item.
+ * @param {object} itemData - Item from the roadmap store.
+ * @returns {HTMLElement} The detail panel element (hidden initially).
+ */
+function _createItemDetailsPanel(itemData) {
+  const panel = document.createElement('div');
+  panel.classList.add('item-details', 'd-none', 'w-100', 'row', 'g-2', 'ps-4', 'pt-2');
+
+  // Small helper for a labelled field in the panel grid
+  const addField = (columnClass, labelText, control) => {
+    const column = document.createElement('div');
+    column.classList.add(columnClass);
+    const label = document.createElement('label');
+    label.classList.add('form-label', 'small', 'mb-0', 'text-muted', 'w-100');
+    label.textContent = labelText;
+    label.appendChild(control);
+    column.appendChild(label);
+    panel.appendChild(column);
+  };
+
+  const assigneeInput = document.createElement('input');
+  assigneeInput.type = 'text';
+  assigneeInput.classList.add('item-assignee', 'form-control', 'form-control-sm');
+  assigneeInput.dataset.field = 'assignee';
+  assigneeInput.placeholder = 'Who owns this?';
+  assigneeInput.value = itemData.assignee;
+  addField('col-sm-4', 'Assignee', assigneeInput);
+
+  const dueDateInput = document.createElement('input');
+  dueDateInput.type = 'date';
+  dueDateInput.classList.add('item-due-date', 'form-control', 'form-control-sm');
+  dueDateInput.dataset.field = 'dueDate';
+  dueDateInput.value = itemData.dueDate;
+  addField('col-sm-4', 'Due date', dueDateInput);
+
+  // Effort: number plus unit (points or days)
+  const effortGroup = document.createElement('div');
+  effortGroup.classList.add('input-group', 'input-group-sm');
+  const effortInput = document.createElement('input');
+  effortInput.type = 'number';
+  effortInput.min = '0';
+  effortInput.step = '0.5';
+  effortInput.classList.add('item-effort', 'form-control');
+  effortInput.dataset.field = 'effort';
+  effortInput.value = itemData.effort ?? '';
+  const effortUnitSelect = document.createElement('select');
+  effortUnitSelect.classList.add('item-effort-unit', 'form-select', 'flex-grow-0', 'w-auto');
+  effortUnitSelect.dataset.field = 'effortUnit';
+  ['points', 'days'].forEach(unit => {
+    const option = document.createElement('option');
+    option.value = unit;
+    option.textContent = unit;
+    option.selected = itemData.effortUnit === unit;
+    effortUnitSelect.appendChild(option);
+  });
+  effortGroup.appendChild(effortInput);
+  effortGroup.appendChild(effortUnitSelect);
+  addField('col-sm-4', 'Effort estimate', effortGroup);
+
+  const notesInput = document.createElement('textarea');
+  notesInput.classList.add('item-notes', 'form-control', 'form-control-sm');
+  notesInput.dataset.field = 'notes';
+  notesInput.rows = 3;
+  notesInput.placeholder = 'Notes, links, acceptance criteria...';
+  notesInput.value = itemData.notes;
+  addField('col-12', 'Notes', notesInput);
+
+  // Blocked by: any other item of the roadmap (options are filled when the panel opens)
+  const blockedBySelect = document.createElement('select');
+  blockedBySelect.multiple = true;
+  blockedBySelect.size = 4;
+  blockedBySelect.classList.add('item-blocked-by', 'form-select', 'form-select-sm');
+  blockedBySelect.title = 'Ctrl/Cmd-click to select several items';
+  addField('col-12', 'Blocked by', blockedBySelect);
+
+  return panel;
+}
+
+/**
+ * Fills an item's "Blocked by" list with every other item of the roadmap, grouped by milestone.
+ * @param {HTMLSelectElement | null} select - The multi-select.
+ * @param {string} itemId - The item being edited.
+ */
+function _populateBlockedBySelect(select, itemId) {
+  if (!select) return;
+  const blockedBy = getItem(itemId)?.blockedBy || [];
+  select.innerHTML = '';
+  getRoadmapState().milestones.forEach(milestone => {
+    const others = milestone.items.filter(item => item.id !== itemId);
+    if (others.length === 0) return;
+    const group = document.createElement('optgroup');
+    group.label = milestone.title || 'Untitled Milestone';
+    others.forEach(item => {
+      const label = `${item.parentId ? '↳ ' : ''}${item.text || '(empty item)'}`;
+      group.appendChild(new Option(label, item.id, false, blockedBy.includes(item.id)));
+    });
+    select.appendChild(group);
+  });
+}
+
+/**
+ * Handles changes to an item's "Blocked by" selection.
+ * @param {Event} event - The change event object.
+ */
+function _handleBlockedByChange(event) {
+  const checklistItem = event.target.closest('.checklist-item');
+  if (!checklistItem) return;
+  const blockerIds = [...event.target.selectedOptions].map(option => option.value);
+  setItemBlockers(checklistItem.dataset.itemId, blockerIds); // The store change refreshes the blocked badge
+}
+
+/**
+ * Syncs every item row with its links in the store: sub-task controls and count, the rolled-up
+ * (read-only) status of items with sub-tasks, and the "blocked by" badge.
+ * @param {object} [roadmap] - Roadmap state from the store; read from it when omitted (rows added by this UI).
+ */
+function _renderItemLinks(roadmap = getRoadmapState()) {
+  const itemElements = new Map([...roadmapOutputDiv.querySelectorAll('.checklist-item')].map(el => [el.dataset.itemId, el]));
+
+  roadmap.milestones.forEach(milestone => {
+    milestone.items.forEach(item => {
+      const itemElement = itemElements.get(item.id);
+      if (!itemElement) return;
+
+      // Only top-level items can have sub-tasks (one level deep)
+      itemElement.classList.toggle('is-subitem', Boolean(item.parentId));
+      itemElement.querySelector(':scope > .add-subitem-btn')?.classList.toggle('d-none', Boolean(item.parentId));
+      const subItemProgress = getSubItemProgress(milestone, item.id, roadmap.statuses);
+      const subItemBadge = itemElement.querySelector(':scope > .subitem-progress');
+      if (subItemBadge) {
+        subItemBadge.textContent = `${subItemProgress.done}/${subItemProgress.total} sub-tasks`;
+        subItemBadge.classList.toggle('d-none', subItemProgress.total === 0);
+      }
+
+      // The status of an item with sub-tasks is rolled up by the store
+      const statusDropdown = itemElement.querySelector(':scope > .status-dropdown');
+      if (statusDropdown) {
+        statusDropdown.disabled = subItemProgress.total > 0;
+        statusDropdown.title = subItemProgress.total > 0 ? 'Follows the status of the sub-tasks' : '';
+        if (itemElement.dataset.status !== item.status) {
+          statusDropdown.value = item.status;
+          itemElement.dataset.status = item.status;
+          _applyStatusDisplay(itemElement, roadmap.statuses.find(st => st.name === item.status) || { icon: '❓', name: item.status });
+        }
+      }
+
+      const blockedBadge = itemElement.querySelector(':scope > .item-blocked-badge');
+      if (blockedBadge) {
+        const openBlockers = item.blockedBy.length > 0 ? getOpenBlockers(roadmap, item) : [];
+        blockedBadge.classList.toggle('d-none', item.blockedBy.length === 0);
+        blockedBadge.classList.toggle('text-bg-danger', openBlockers.length > 0);
+        blockedBadge.classList.toggle('text-bg-light', openBlockers.length === 0);
+        blockedBadge.textContent = openBlockers.length > 0 ? `⛓ Blocked by ${openBlockers.length}` : '⛓ Unblocked';
+        blockedBadge.title = openBlockers.length > 0
+          ? `Waiting for: ${openBlockers.map(b => b.item.text || '(empty item)').join(', ')}`
+          : 'All blocking items are done';
+      }
+    });
+  });
+}
+
+/**
+ * Initializes SortableJS on the roadmap output so whole milestone cards can be reordered by their handle.
+ * Only done once: the milestone cards are replaced on re-render, the container is not.
+ */
+function _initializeMilestoneSortable() {
+  if (isMilestoneSortableInitialized || !roadmapOutputDiv) return;
+  if (typeof Sortable === 'undefined') {
+    console.error('SortableJS library not loaded.');
+    return;
+  }
+
+  new Sortable(roadmapOutputDiv, {
+    animation: 150,
+    draggable: '.milestone-section', // Skips the placeholder
+    handle: '.milestone-drag-handle',
+    ghostClass: 'sortable-ghost',
+    chosenClass: 'sortable-chosen',
+    onEnd: function (evt) {
+      // Mirror the new order in the store (which triggers autosave); the index counts milestone cards only
+      moveMilestone(evt.item.id, evt.newDraggableIndex);
+    }
+  });
+  isMilestoneSortableInitialized = true;
+}
+
+/**
+ * Handles clicks on a milestone's collapse/expand button.
+ * @param {HTMLElement} collapseButton - The clicked button.
+ */
+function _handleToggleMilestoneCollapsed(collapseButton) {
+  const milestoneSection = collapseButton.closest('.milestone-section');
+  if (milestoneSection) {
+    setMilestoneCollapsed(milestoneSection.id, !milestoneSection.classList.contains('is-collapsed'));
+  }
 }
 
 /**
  * Initializes SortableJS on a single items container.
- * @param {HTMLElement} containerElement - The '.items-container' element.
+ * @param {HTMLElement} containerElement - The '.items-container' element, or an item's '.subitems-container'.
  */
 function _initializeSortableOnContainer(containerElement) {
     if (!containerElement) return;
@@ -178,15 +734,26 @@ function _initializeSortableOnContainer(containerElement) {
         return;
     }
 
+    const isSubitemsContainer = containerElement.classList.contains('subitems-container');
     new Sortable(containerElement, {
-        group: 'shared-items', // Allow dragging between milestone lists
+        group: {
+            name: 'shared-items', // Allow dragging between milestone lists and in and out of sub-task lists
+            // Sub-tasks are one level deep: an item that has sub-tasks cannot become one (nor go into itself)
+            put: isSubitemsContainer
+                ? (to, from, dragEl) => !dragEl.contains(to.el) && !dragEl.querySelector('.subitems-container .checklist-item')
+                : true
+        },
         animation: 150,       // Animation duration
         handle: '.drag-handle', // Specify the drag handle
         ghostClass: 'sortable-ghost', // Class for the placeholder
         chosenClass: 'sortable-chosen', // Class for the dragged item
         onEnd: function (evt) {
-            // Trigger autosave when an item is dropped (order changed)
-            debouncedAutoSave();
+            // Mirror the new position in the store (which triggers autosave)
+            const targetMilestone = evt.to.closest('.milestone-section');
+            const parentItem = evt.to.closest('.checklist-item'); // Set when dropped into a sub-task list
+            if (targetMilestone) {
+                moveItem(evt.item.dataset.itemId, targetMilestone.id, evt.newIndex, { parentId: parentItem?.dataset.itemId || '' });
+            }
         }
     });
 }
@@ -194,51 +761,275 @@ function _initializeSortableOnContainer(containerElement) {
 
 // --- Core Application Logic ---
 
+/**
+ * Shows or hides the export/add milestone buttons and the placeholder
+ * depending on whether the roadmap store has any milestones.
+ * Exported so the main script can apply it during initialization.
+ */
+export function updateRoadmapControlsVisibility() {
+  const roadmapHasMilestones = hasMilestones();
+  if (exportButtonsContainer) exportButtonsContainer.classList.toggle('d-none', !roadmapHasMilestones);
+  if (filterBarDiv) filterBarDiv.classList.toggle('d-none', !roadmapHasMilestones);
+  if (collapseControlsDiv) collapseControlsDiv.classList.toggle('d-none', !roadmapHasMilestones);
+  if (addMilestoneButton) addMilestoneButton.classList.toggle('d-none', !roadmapHasMilestones);
+  if (roadmapPlaceholder) roadmapPlaceholder.classList.toggle('d-none', roadmapHasMilestones);
+}
+
+/**
+ * Shows a milestone's progress (bar and "x of y done") in its card header.
+ * @param {HTMLElement} milestoneElement - The milestone container element.
+ * @param {{ done: number, total: number, percent: number }} progress - The milestone's progress.
+ */
+function _renderMilestoneProgress(milestoneElement, progress) {
+  const bar = milestoneElement.querySelector('.milestone-progress .progress-bar');
+  const label = milestoneElement.querySelector('.milestone-progress-label');
+  if (bar) {
+    bar.style.width = `${progress.percent}%`;
+    bar.parentElement.setAttribute('aria-valuenow', progress.percent);
+  }
+  if (label) label.textContent = `${progress.done} of ${progress.total} done`;
+}
+
+/**
+ * Renders the roadmap summary strip: overall completion, blocked and at-risk items, slipped milestones.
+ * @param {object} roadmap - Roadmap state from the store.
+ */
+function _renderRoadmapSummary(roadmap) {
+  if (!roadmapSummaryDiv) return;
+  const summary = getRoadmapSummary(roadmap);
+  roadmapSummaryDiv.classList.toggle('d-none', summary.milestones === 0);
+
+  const completion = roadmapSummaryDiv.querySelector('[data-summary="completion"]');
+  const bar = roadmapSummaryDiv.querySelector('.progress-bar');
+  const blocked = roadmapSummaryDiv.querySelector('[data-summary="blocked"]');
+  const atRisk = roadmapSummaryDiv.querySelector('[data-summary="at-risk"]');
+  const slipped = roadmapSummaryDiv.querySelector('[data-summary="slipped"]');
+  if (completion) completion.textContent = `${summary.percent}% complete (${summary.done} of ${summary.total} items done)`;
+  if (bar) {
+    bar.style.width = `${summary.percent}%`;
+    bar.parentElement.setAttribute('aria-valuenow', summary.percent);
+  }
+  if (blocked) blocked.textContent = summary.blocked;
+  if (atRisk) atRisk.textContent = summary.atRisk;
+  if (slipped) slipped.textContent = summary.slippedMilestones;
+}
+
+/**
+ * Flags overdue and due-soon milestones and items in the list view (row styling and a badge).
+ * Clears the flags of everything that is no longer overdue or due soon.
+ * @param {object} [roadmap] - Roadmap state from the store; read from it when omitted (due-soon window changes).
+ */
+function _renderDeadlineHighlights(roadmap = getRoadmapState()) {
+  roadmapOutputDiv.querySelectorAll('.is-overdue, .is-due-soon').forEach(element => {
+    element.classList.remove('is-overdue', 'is-due-soon');
+  });
+  roadmapOutputDiv.querySelectorAll('.deadline-badge').forEach(badge => badge.classList.add('d-none'));
+
+  const { overdue, dueSoon } = getCurrentDeadlines(roadmap);
+  const flag = (entry, state) => {
+    const element = entry.type === 'milestone'
+      ? document.getElementById(entry.id)
+      : roadmapOutputDiv.querySelector(`.checklist-item[data-item-id="${CSS.escape(entry.id)}"]`);
+    if (!element) return;
+    element.classList.add(state === 'overdue' ? 'is-overdue' : 'is-due-soon');
+    // The milestone's badge sits in its header; an item's in its row
+    const badge = entry.type === 'milestone'
+      ? element.querySelector('.milestone-dates .deadline-badge')
+      : element.querySelector(':scope > .deadline-badge');
+    if (badge) {
+      badge.textContent = state === 'overdue' ? 'Overdue' : 'Due soon';
+      badge.classList.toggle('text-bg-danger', state === 'overdue');
+      badge.classList.toggle('text-bg-warning', state !== 'overdue');
+      badge.classList.remove('d-none');
+    }
+  };
+  overdue.forEach(entry => flag(entry, 'overdue'));
+  dueSoon.forEach(entry => flag(entry, 'due-soon'));
+}
+
+/**
+ * Creates the (initially hidden) badge that marks a milestone or item as overdue or due soon.
+ * @returns {HTMLElement} The badge element.
+ */
+function _createDeadlineBadge() {
+  const badge = document.createElement('span');
+  badge.classList.add('deadline-badge', 'badge', 'text-nowrap', 'align-self-center', 'd-none');
+  return badge;
+}
+
+/**
+ * Recalculates every milestone progress bar, the summary strip, the dependency flags and the deadline flags
+ * from the roadmap store.
+ * @param {object} roadmap - Roadmap state from the store.
+ */
+function _updateProgressDisplays(roadmap) {
+  roadmap.milestones.forEach(milestone => {
+    const milestoneElement = document.getElementById(milestone.id);
+    if (milestoneElement) _renderMilestoneProgress(milestoneElement, getMilestoneProgress(milestone, roadmap.statuses));
+  });
+  _renderRoadmapSummary(roadmap);
+  _renderMilestoneLinks(roadmap);
+  _renderDeadlineHighlights(roadmap);
+}
+
+/**
+ * Hides the milestones and items that do not match the filter bar (they stay in the DOM and the store).
+ * The milestone or item being edited is never hidden, so typing does not make it disappear.
+ * @param {object} [roadmap] - Roadmap state from the store; read from it when omitted (filter changes).
+ */
+function _applyFilterVisibility(roadmap = getRoadmapState()) {
+  const filteredRoadmap = getFilteredRoadmap(roadmap);
+  const visibleMilestoneIds = new Set(filteredRoadmap.milestones.map(m => m.id));
+  const visibleItemIds = new Set(filteredRoadmap.milestones.flatMap(m => m.items.map(item => item.id)));
+
+  roadmapOutputDiv.querySelectorAll('.milestone-section').forEach(section => {
+    const isHidden = !visibleMilestoneIds.has(section.id) && !section.contains(document.activeElement);
+    section.classList.toggle('is-filtered-out', isHidden);
+  });
+  roadmapOutputDiv.querySelectorAll('.checklist-item').forEach(itemElement => {
+    const isHidden = !visibleItemIds.has(itemElement.dataset.itemId) && !itemElement.contains(document.activeElement);
+    itemElement.classList.toggle('is-filtered-out', isHidden);
+  });
+
+  if (filterResultSpan) {
+    const { milestones } = roadmap;
+    const totalItems = milestones.reduce((count, m) => count + m.items.length, 0);
+    filterResultSpan.textContent = isRoadmapFiltered()
+      ? `Showing ${visibleMilestoneIds.size} of ${milestones.length} milestones and ${visibleItemIds.size} of ${totalItems} items.`
+      : '';
+  }
+}
+
+/**
+ * Rebuilds all milestone sections from the roadmap store.
+ * Called whenever the store is replaced wholesale (load, AI generation).
+ * Exported for use by the main script.
+ */
+export function renderRoadmap() {
+  // Remove rendered milestones but keep static children such as the placeholder
+  roadmapOutputDiv.querySelectorAll('.milestone-section').forEach(section => section.remove());
+
+  const roadmap = getRoadmapState();
+  roadmap.milestones.forEach(milestone => {
+    roadmapOutputDiv.appendChild(createMilestoneElement(milestone));
+  });
+
+  updateRoadmapControlsVisibility();
+  _renderItemLinks(roadmap);
+  _updateProgressDisplays(roadmap);
+  _applyFilterVisibility(roadmap);
+  _initializeMilestoneSortable();
+}
+
+/**
+ * Collapses a milestone card to its header, or expands it again. The state is remembered on this device.
+ * Exported for the deadlines panel, which expands a milestone to show one of its items.
+ * @param {string} milestoneId - The milestone ID.
+ * @param {boolean} collapsed - Whether to collapse the milestone.
+ */
+export function setMilestoneCollapsed(milestoneId, collapsed) {
+  if (collapsed) {
+    collapsedMilestoneIds.add(milestoneId);
+  } else {
+    collapsedMilestoneIds.delete(milestoneId);
+  }
+  _saveCollapsedMilestoneIds();
+  const milestoneElement = document.getElementById(milestoneId);
+  if (milestoneElement) _renderMilestoneCollapsed(milestoneElement, collapsed);
+}
+
+/**
+ * Collapses or expands every milestone of the current roadmap.
+ * Exported for the "Collapse all" / "Expand all" buttons.
+ * @param {boolean} collapsed - Whether to collapse the milestones.
+ */
+export function setAllMilestonesCollapsed(collapsed) {
+  getRoadmapState().milestones.forEach(milestone => {
+    if (collapsed) {
+      collapsedMilestoneIds.add(milestone.id);
+    } else {
+      collapsedMilestoneIds.delete(milestone.id);
+    }
+    const milestoneElement = document.getElementById(milestone.id);
+    if (milestoneElement) _renderMilestoneCollapsed(milestoneElement, collapsed);
+  });
+  _saveCollapsedMilestoneIds();
+}
+
+/**
+ * Asks for confirmation before an item is marked done while items blocking it are still open.
+ * Exported for the board view, whose drag-and-drop changes statuses too.
+ * @param {string} itemId - The item ID.
+ * @param {string} newStatusName - The status about to be set.
+ * @returns {boolean} True if the change may go ahead.
+ */
+export function confirmStatusChange(itemId, newStatusName) {
+  const roadmap = getRoadmapState();
+  const newStatus = roadmap.statuses.find(s => s.name === newStatusName);
+  const item = getItem(itemId);
+  if (!item || newStatus?.category !== 'done') return true;
+
+  const openBlockers = getOpenBlockers(roadmap, item);
+  if (openBlockers.length === 0) return true;
+  const blockerList = openBlockers
+    .map(({ item: blocker, milestone }) => `- ${blocker.text || '(empty item)'} (${milestone.title || 'Untitled Milestone'})`)
+    .join('\n');
+  return confirm(`This item is blocked by ${openBlockers.length} open item${openBlockers.length === 1 ? '' : 's'}:\n${blockerList}\n\nMark it as "${newStatusName}" anyway?`);
+}
+
+/**
+ * After a milestone slipped, offers to move the milestones that depend on it (directly or indirectly)
+ * by the same number of days. The shift is one undo step of its own.
+ * Exported for the timeline view, where target dates are dragged.
+ * @param {string} milestoneId - The milestone that was rescheduled.
+ * @param {string} fromDate - Its previous target date.
+ * @param {string} toDate - Its new target date.
+ */
+export function offerDownstreamShift(milestoneId, fromDate, toDate) {
+  const slipDays = fromDate && toDate ? daysBetween(fromDate, toDate) : null;
+  if (!(slipDays > 0)) return; // Only slips cascade
+
+  const roadmap = getRoadmapState();
+  const downstream = getDownstreamMilestoneIds(roadmap, milestoneId)
+    .map(id => roadmap.milestones.find(m => m.id === id))
+    .filter(milestone => milestone.currentCompletionDate);
+  if (downstream.length === 0) return;
+
+  const title = getMilestone(milestoneId)?.title || 'Untitled Milestone';
+  const titles = downstream.map(m => `- ${m.title || 'Untitled Milestone'} (${formatDisplayDate(m.currentCompletionDate)})`).join('\n');
+  const plural = count => `${count} day${count === 1 ? '' : 's'}`;
+  if (confirm(`"${title}" slipped by ${plural(slipDays)}. Move the ${downstream.length} milestone${downstream.length === 1 ? '' : 's'} depending on it by ${plural(slipDays)} as well?\n${titles}`)) {
+    shiftMilestoneDates(downstream.map(m => m.id), slipDays, { reason: `Cascaded from "${title}"` });
+  }
+}
+
 /**
  * Initializes the roadmap display area. Called when "Generate Roadmap" is clicked.
  * Creates the first default milestone.
  * Exported to be called by the main script's event listener.
+ * @param {Array<object> | null} [statuses=null] - Statuses for the new roadmap (e.g. the default template).
  */
-export function generateRoadmap() {
-  // 1. Clear Previous Output & State
-  roadmapOutputDiv.innerHTML = '';
-  milestoneCounter = 0; // Reset counter for new roadmap
+export function generateRoadmap(statuses = null) {
+  // 1. Clear previous milestones (keeping the roadmap name; statuses are kept unless given)
+  loadRoadmap({ roadmapName: getRoadmapState().roadmapName, milestones: [], statuses });
 
-  // 2. Hide export/add buttons initially (will be shown by addMilestoneSection)
-  exportButtonsContainer.classList.add('hidden');
-  if (addMilestoneButton) {
-    addMilestoneButton.classList.add('hidden');
-  }
-
-  // 3. Add the first default milestone
+  // 2. Add the first default milestone
   addMilestoneSection(); // This will also show the necessary buttons
 }
 
 /**
- * Adds a new milestone section to the roadmap.
+ * Adds a new milestone to the store and renders its section.
  * Can be called initially by generateRoadmap or by the "Add Milestone" button.
  * Exported for use by script.js event listener.
- * @param {object | null} [milestoneData=null] - Optional data to pre-populate the milestone (used during load).
+ * @param {object | null} [milestoneData=null] - Optional data to pre-populate the milestone.
  */
 export function addMilestoneSection(milestoneData = null) {
-  milestoneCounter++;
-  const milestoneId = milestoneData?.id || `milestone-${milestoneCounter}`;
-  // Ensure counter is ahead of any loaded ID numbers
-  if (milestoneData?.id) {
-    const num = parseInt(milestoneData.id.split('-')[1], 10);
-    if (!isNaN(num) && num >= milestoneCounter) { // Use >= to handle potential gaps or reloads
-      milestoneCounter = num + 1;
-    }
-  }
-
-  const milestoneElement = createMilestoneElement(milestoneId, milestoneData);
+  const milestone = addMilestone(milestoneData);
+  const milestoneElement = createMilestoneElement(milestone);
   roadmapOutputDiv.appendChild(milestoneElement);
 
   // Ensure buttons are visible now that there's at least one milestone
-  exportButtonsContainer.classList.remove('hidden');
-  if (addMilestoneButton) {
-    addMilestoneButton.classList.remove('hidden');
-  }
+  updateRoadmapControlsVisibility();
 
   // Optional: Scroll the new milestone into view, especially if added manually
   // if (!milestoneData) { // Only scroll if added manually, not during load
@@ -249,30 +1040,37 @@ export function addMilestoneSection(milestoneData = null) {
 
 /**
  * Creates the HTML structure for a single milestone section.
- * @param {string} milestoneId - The unique ID for this milestone (e.g., "milestone-1").
- * @param {object | null} [milestoneData=null] - Optional data for pre-populating (title, dates, items).
+ * @param {object} milestoneData - Milestone from the roadmap store (id, title, purpose, dates, items).
  * @returns {HTMLElement} The created milestone container element.
  */
-export function createMilestoneElement(milestoneId, milestoneData = null) {
+export function createMilestoneElement(milestoneData) {
   const milestoneContainer = document.createElement('div');
   // Updated classes for card layout (use default border, keep shadow)
   milestoneContainer.classList.add('milestone-section', 'card', 'mb-4', 'border', 'shadow-sm'); // Changed border-light to border
-  milestoneContainer.id = milestoneId;
+  milestoneContainer.id = milestoneData.id;
 
   // --- Milestone Header (Card Header) ---
   const headerDiv = document.createElement('div');
   // Updated classes for card header layout (removed bg-white)
   headerDiv.classList.add('card-header', 'p-3', 'd-flex', 'flex-wrap', 'justify-content-between', 'align-items-center');
 
+  // Drag Handle (reorders whole milestone cards) and Collapse/Expand Button
+  const milestoneDragHandle = document.createElement('span');
+  milestoneDragHandle.classList.add('milestone-drag-handle', 'text-muted', 'me-2');
+  milestoneDragHandle.innerHTML = '☰';
+  milestoneDragHandle.title = 'Drag to reorder milestones';
+  milestoneDragHandle.setAttribute('aria-label', 'Drag to reorder milestones');
+
+  const collapseButton = document.createElement('button');
+  collapseButton.type = 'button';
+  collapseButton.classList.add('milestone-collapse-btn', 'btn', 'btn-link', 'text-decoration-none', 'text-muted', 'p-0', 'me-2');
+
   // Editable Title (changed to h3, updated classes)
   const title = document.createElement('h3'); // Changed to h3
   title.contentEditable = "true";
   // Updated classes for title styling and layout
   title.classList.add('h5', 'mb-0', 'p-1', 'editable-placeholder', 'flex-grow-1', 'me-2', 'border'); // Added border
-  title.textContent = milestoneData?.title || ''; // Default to empty for placeholder
-  if (!milestoneData?.title) { // Set default text only if loading data doesn't provide one
-      title.textContent = `Milestone ${milestoneId.split('-')[1] || milestoneCounter}`;
-  }
+  title.textContent = milestoneData.title || ''; // The store provides a default title for new milestones
   title.setAttribute('role', 'textbox');
   title.setAttribute('aria-label', 'Milestone Title');
   // Placeholder handled by CSS via .editable-placeholder:empty::before
@@ -298,33 +1096,35 @@ export function createMilestoneElement(milestoneId, milestoneData = null) {
   dateInput.value = milestoneData?.currentCompletionDate || '';
   dateLabel.appendChild(dateInput);
 
-  // Original Date Display
+  // Original Date Display (text, visibility and history tooltip are set by _renderMilestoneDates)
   const originalDateSpan = document.createElement('span');
   // Use Bootstrap text utilities
   originalDateSpan.classList.add('original-date-display', 'small', 'text-muted', 'text-nowrap');
-  const originalDateValue = milestoneData?.originalCompletionDate || '';
-  originalDateSpan.dataset.originalDate = originalDateValue; // Store raw value
-
-  if (originalDateValue) {
-    try {
-      const dateObj = new Date(originalDateValue + 'T00:00:00');
-      if (isNaN(dateObj.getTime()) || dateObj.getFullYear() < 1900) {
-        throw new Error('Invalid or unreasonable date stored');
-      }
-      const options = { year: 'numeric', month: '2-digit', day: '2-digit' };
-      originalDateSpan.textContent = `Original: ${dateObj.toLocaleDateString(undefined, options)}`;
-      // No 'hidden' class needed, Bootstrap handles display
-    } catch (e) {
-      console.error("Error parsing/formatting stored original date:", originalDateValue, e);
-      originalDateSpan.textContent = `Original: (Invalid Date)`;
-    }
-  } else {
-    originalDateSpan.textContent = 'Original: Not Set';
-    originalDateSpan.classList.add('d-none'); // Use Bootstrap 'd-none' to hide
-  }
+
+  // Date-Change Log Toggle ("n date changes", hidden until the date has changed)
+  const dateLogToggle = document.createElement('button');
+  dateLogToggle.type = 'button';
+  dateLogToggle.classList.add('date-log-toggle', 'btn', 'btn-link', 'btn-sm', 'p-0', 'text-nowrap', 'd-none');
+  dateLogToggle.setAttribute('aria-expanded', 'false');
+
+  // Dependencies Toggle and dependency flags (set by _renderMilestoneLinks)
+  const dependenciesToggle = document.createElement('button');
+  dependenciesToggle.type = 'button';
+  dependenciesToggle.classList.add('dependencies-toggle', 'btn', 'btn-link', 'btn-sm', 'p-0', 'text-nowrap');
+  dependenciesToggle.setAttribute('aria-expanded', 'false');
+  const conflictBadge = document.createElement('span');
+  conflictBadge.classList.add('dependency-conflict-badge', 'badge', 'text-bg-danger', 'd-none');
+  const criticalBadge = document.createElement('span');
+  criticalBadge.classList.add('critical-path-badge', 'badge', 'text-bg-primary', 'd-none');
+  criticalBadge.textContent = 'Critical path';
 
   datesContainer.appendChild(dateLabel);
+  datesContainer.appendChild(_createDeadlineBadge());
+  datesContainer.appendChild(conflictBadge);
+  datesContainer.appendChild(criticalBadge);
   datesContainer.appendChild(originalDateSpan);
+  datesContainer.appendChild(dateLogToggle);
+  datesContainer.appendChild(dependenciesToggle);
 
   // --- Delete Milestone Button (within Right Group) ---
   const deleteButton = document.createElement('button');
@@ -337,9 +1137,57 @@ export function createMilestoneElement(milestoneId, milestoneData = null) {
   headerRightGroup.appendChild(datesContainer);
   headerRightGroup.appendChild(deleteButton);
 
+  // --- Progress (full width below title and dates) ---
+  const progressDiv = document.createElement('div');
+  progressDiv.classList.add('milestone-progress', 'w-100', 'd-flex', 'align-items-center', 'gap-2', 'mt-2');
+  const progressTrack = document.createElement('div');
+  progressTrack.classList.add('progress', 'flex-grow-1');
+  progressTrack.setAttribute('role', 'progressbar');
+  progressTrack.setAttribute('aria-label', 'Milestone progress');
+  progressTrack.setAttribute('aria-valuemin', '0');
+  progressTrack.setAttribute('aria-valuemax', '100');
+  const progressBar = document.createElement('div');
+  progressBar.classList.add('progress-bar', 'bg-success');
+  progressTrack.appendChild(progressBar);
+  const progressLabel = document.createElement('span');
+  progressLabel.classList.add('milestone-progress-label', 'small', 'text-muted', 'text-nowrap');
+  progressDiv.appendChild(progressTrack);
+  progressDiv.appendChild(progressLabel);
+
   // Assemble Header
+  headerDiv.appendChild(milestoneDragHandle);
+  headerDiv.appendChild(collapseButton);
   headerDiv.appendChild(title);
   headerDiv.appendChild(headerRightGroup); // Add the right group
+  headerDiv.appendChild(progressDiv);
+
+  // --- Date-Change Log (expandable, below the header) ---
+  const dateLogDiv = document.createElement('div');
+  dateLogDiv.classList.add('date-change-log', 'card-body', 'py-2', 'px-3', 'border-top', 'small', 'd-none');
+  const dateLogTitle = document.createElement('p');
+  dateLogTitle.classList.add('fw-bold', 'mb-1', 'text-muted');
+  dateLogTitle.textContent = 'Target date changes:';
+  const dateLogList = document.createElement('ul');
+  dateLogList.classList.add('mb-0', 'ps-3');
+  dateLogDiv.appendChild(dateLogTitle);
+  dateLogDiv.appendChild(dateLogList);
+
+  // --- Dependencies (expandable, below the header; options are filled when it opens) ---
+  const dependenciesDiv = document.createElement('div');
+  dependenciesDiv.classList.add('milestone-dependencies', 'card-body', 'py-2', 'px-3', 'border-top', 'small', 'd-none');
+  const dependsOnLabel = document.createElement('label');
+  dependsOnLabel.classList.add('form-label', 'fw-bold', 'mb-1', 'text-muted');
+  dependsOnLabel.textContent = 'Depends on (reached before this milestone):';
+  const dependsOnSelect = document.createElement('select');
+  dependsOnSelect.multiple = true;
+  dependsOnSelect.size = 4;
+  dependsOnSelect.classList.add('milestone-depends-on', 'form-select', 'form-select-sm');
+  dependsOnSelect.title = 'Ctrl/Cmd-click to select several milestones';
+  dependsOnLabel.appendChild(dependsOnSelect);
+  const conflictList = document.createElement('p');
+  conflictList.classList.add('dependency-conflicts', 'text-danger', 'mb-0', 'mt-1');
+  dependenciesDiv.appendChild(dependsOnLabel);
+  dependenciesDiv.appendChild(conflictList);
 
   // --- Purpose Section (Card Body) ---
   const purposeBody = document.createElement('div');
@@ -380,6 +1228,8 @@ export function createMilestoneElement(milestoneId, milestoneData = null) {
 
   // --- Assemble Card ---
   milestoneContainer.appendChild(headerDiv);
+  milestoneContainer.appendChild(dateLogDiv);
+  milestoneContainer.appendChild(dependenciesDiv);
   milestoneContainer.appendChild(purposeBody); // Add Purpose section
   itemsBody.appendChild(addItemButton); // Add button inside items body
   itemsBody.appendChild(itemsContainer);
@@ -389,7 +1239,11 @@ export function createMilestoneElement(milestoneId, milestoneData = null) {
   if (milestoneData?.items && Array.isArray(milestoneData.items)) {
     milestoneData.items.forEach(itemData => {
       const itemElement = createChecklistItemElement(itemData);
-      itemsContainer.appendChild(itemElement);
+      // Sub-tasks go into their parent's list (the store keeps parents before their sub-tasks)
+      const parentContainer = itemData.parentId
+        ? itemsContainer.querySelector(`.checklist-item[data-item-id="${CSS.escape(itemData.parentId)}"] > .subitems-container`)
+        : null;
+      (parentContainer || itemsContainer).appendChild(itemElement);
     });
     // Ensure dropdowns and icons reflect loaded state
     _updateChecklistItemIconsForMilestone(milestoneContainer); // Update icons after adding all items
@@ -399,21 +1253,28 @@ export function createMilestoneElement(milestoneId, milestoneData = null) {
   const itemsContainerForSortable = milestoneContainer.querySelector('.items-container');
   _initializeSortableOnContainer(itemsContainerForSortable);
 
+  _renderMilestoneProgress(milestoneContainer, getMilestoneProgress(milestoneData, getStatuses()));
+  _renderMilestoneDates(milestoneContainer, milestoneData);
+  _renderMilestoneCollapsed(milestoneContainer, collapsedMilestoneIds.has(milestoneData.id));
+
   return milestoneContainer;
 }
 
 
 /**
  * Creates the HTML structure for a single checklist item.
- * @param {object | null} [itemData=null] - Optional data for pre-populating (text, status).
+ * @param {object} itemData - Item from the roadmap store (id, text, status, assignee, dueDate, effort, effortUnit, notes,
+ *   parentId, blockedBy).
+ * Sub-task count, rolled-up status and the "blocked by" badge are filled in by _renderItemLinks once the row is in the DOM.
  * @returns {HTMLElement} The newly created checklist item div.
  */
-export function createChecklistItemElement(itemData = null) {
+export function createChecklistItemElement(itemData) {
   const itemDiv = document.createElement('div');
   // Updated classes for checklist item layout
   itemDiv.classList.add(
     'checklist-item',
     'd-flex',
+    'flex-wrap', // Lets the detail panel wrap onto its own line
     'align-items-start', // Align items to the start (top)
     'py-3', // Increased vertical padding
     'gap-2', // Reduced gap
@@ -421,6 +1282,7 @@ export function createChecklistItemElement(itemData = null) {
     'border-light' // Lighter border color
    );
    // Removed px-1, border-secondary, border-opacity-50, gap-3
+  itemDiv.dataset.itemId = itemData.id; // Links the element to its item in the roadmap store
 
   // Drag Handle Element
   const dragHandle = document.createElement('span');
@@ -473,6 +1335,32 @@ export function createChecklistItemElement(itemData = null) {
   descriptionInput.placeholder = 'Enter task description...';
   descriptionInput.value = itemData?.text || ''; // Populate text from itemData
 
+  // Details Toggle Button (expands assignee, due date, effort and notes)
+  const detailsToggle = document.createElement('button');
+  detailsToggle.type = 'button';
+  detailsToggle.classList.add('item-details-toggle', 'btn', 'btn-link', 'text-decoration-none', 'p-0', 'pt-1');
+  detailsToggle.innerHTML = '&#9998;'; // Pencil icon
+  detailsToggle.title = 'Show item details';
+  detailsToggle.setAttribute('aria-label', 'Show item details');
+  detailsToggle.setAttribute('aria-expanded', 'false');
+
+  // Add Sub-task Button (hidden on sub-tasks by _renderItemLinks)
+  const addSubItemButton = document.createElement('button');
+  addSubItemButton.type = 'button';
+  addSubItemButton.classList.add('add-subitem-btn', 'btn', 'btn-link', 'btn-sm', 'text-decoration-none', 'p-0', 'pt-1');
+  addSubItemButton.textContent = '+ Sub-task';
+  addSubItemButton.title = 'Add a sub-task to this item';
+
+  // Sub-task count and blocked-by badges
+  const subItemBadge = document.createElement('span');
+  subItemBadge.classList.add('subitem-progress', 'badge', 'text-bg-light', 'align-self-center', 'd-none');
+  const blockedBadge = document.createElement('span');
+  blockedBadge.classList.add('item-blocked-badge', 'badge', 'align-self-center', 'd-none');
+
+  // Sub-task list, indented below the item (also a drop target for dragging items in and out)
+  const subitemsContainer = document.createElement('div');
+  subitemsContainer.classList.add('subitems-container', 'w-100', 'ps-4');
+
   // Delete Button
   const deleteButton = document.createElement('button');
   // Updated classes for delete button (link style)
@@ -481,12 +1369,22 @@ export function createChecklistItemElement(itemData = null) {
   deleteButton.title = 'Delete Item';
   deleteButton.setAttribute('aria-label', 'Delete this item');
 
-  // Append elements in desired order: Handle, Icon, Input (Description), Dropdown, Button
+  // Append elements in desired order: Handle, Icon, Input (Description), Dropdown, Badges, Buttons, Details Panel, Sub-tasks
   itemDiv.appendChild(dragHandle);
   itemDiv.appendChild(itemIcon);
   itemDiv.appendChild(descriptionInput); // Description before dropdown
   itemDiv.appendChild(statusDropdown);
+  itemDiv.appendChild(_createDeadlineBadge()); // Shown by _renderDeadlineHighlights when the due date is near or past
+  itemDiv.appendChild(subItemBadge);
+  itemDiv.appendChild(blockedBadge);
+  itemDiv.appendChild(addSubItemButton);
+  itemDiv.appendChild(detailsToggle);
   itemDiv.appendChild(deleteButton);
+  itemDiv.appendChild(_createItemDetailsPanel(itemData));
+  itemDiv.appendChild(subitemsContainer);
+  _initializeSortableOnContainer(subitemsContainer);
+  _applyStatusDisplay(itemDiv, initialStatusObj);
+  _updateItemDetailsIndicator(itemDiv);
 
   return itemDiv;
 }
@@ -509,21 +1407,33 @@ export function handleRoadmapInteraction(event) {
       _handleAddLineItem(target);
       return; // Handled
     }
+    if (target.matches('.add-subitem-btn')) {
+      _handleAddSubItem(target);
+      return; // Handled
+    }
     if (target.matches('.delete-item-button')) {
       _handleDeleteLineItem(target);
       return; // Handled
     }
-    // --- NEW: Handle Delete Milestone Button Click ---
+    if (target.closest('.item-details-toggle')) {
+      _handleToggleItemDetails(target.closest('.item-details-toggle'));
+      return; // Handled
+    }
     if (target.matches('.delete-milestone-btn')) {
-        const milestoneElement = target.closest('.milestone-section');
-        if (milestoneElement) {
-            // Confirmation Dialog
-            if (confirm("Are you sure you want to delete this entire milestone and all its items?")) {
-                milestoneElement.remove(); // Remove from DOM
-                debouncedAutoSave(); // Trigger autosave
-            }
-        }
-        return; // Handled
+      _handleDeleteMilestone(target);
+      return; // Handled
+    }
+    if (target.matches('.dependencies-toggle')) {
+      _handleToggleDependencies(target);
+      return; // Handled
+    }
+    if (target.matches('.date-log-toggle')) {
+      _handleToggleDateLog(target);
+      return; // Handled
+    }
+    if (target.matches('.milestone-collapse-btn')) {
+      _handleToggleMilestoneCollapsed(target);
+      return; // Handled
     }
   }
 
@@ -537,6 +1447,18 @@ export function handleRoadmapInteraction(event) {
       _handleChangeItemStatus(event);
       return; // Handled
     }
+    if (target.matches('.item-due-date, .item-effort-unit')) {
+      _handleItemDetailInput(event);
+      return; // Handled
+    }
+    if (target.matches('.milestone-depends-on')) {
+      _handleDependsOnChange(event);
+      return; // Handled
+    }
+    if (target.matches('.item-blocked-by')) {
+      _handleBlockedByChange(event);
+      return; // Handled
+    }
   }
 
   // --- Input Events ---
@@ -550,7 +1472,7 @@ export function handleRoadmapInteraction(event) {
     }
     // Match updated purpose element
     if (target.matches('.milestone-purpose[contenteditable="true"]')) {
-        debouncedAutoSave(); // Also trigger autosave for purpose changes
+        _handleMilestonePurposeInteraction(event);
         // Toggle placeholder class based on content
         target.classList.toggle('is-empty', target.textContent.trim() === '');
         return; // Handled
@@ -559,6 +1481,10 @@ export function handleRoadmapInteraction(event) {
       _handleItemDescriptionInput(event);
       return; // Handled
     }
+    if (target.matches('.item-assignee, .item-effort, .item-notes')) {
+      _handleItemDetailInput(event);
+      return; // Handled
+    }
   }
 
   // --- Blur Events (using capture in script.js) ---
@@ -572,14 +1498,13 @@ export function handleRoadmapInteraction(event) {
     }
     // Match updated purpose element
     if (target.matches('.milestone-purpose[contenteditable="true"]')) {
-        debouncedAutoSave(); // Also trigger autosave for purpose changes on blur
+        _handleMilestonePurposeInteraction(event); // Also record purpose changes on blur
         // Ensure placeholder class is correct on blur
         target.classList.toggle('is-empty', target.textContent.trim() === '');
         return; // Handled
     }
     if (target.matches('.milestone-date')) {
-      _handleMilestoneDateBlur(event); // Handle setting original date
-      // Note: Autosave for date is primarily triggered by the 'change' event handler
+      _handleMilestoneDateBlur(event); // Commits the target date (and logs the change)
       return; // Handled
     }
   }
@@ -590,110 +1515,89 @@ export function handleRoadmapInteraction(event) {
 
 /**
  * Updates all status dropdowns in the roadmap items to reflect changes in the global STATUSES array.
+ * Item statuses are remapped in the roadmap store together with the status list (see setRoadmapStatuses),
+ * so the DOM is synced from the store.
  * Exported to be called by statusManager when statuses are added, removed, or renamed.
- * @param {string | null} [oldName=null] - The previous name of the status that might have changed.
- * @param {string | null} [newName=null] - The new name of the status if it changed.
- * @param {string | null} [removedName=null] - The name of a status that was just removed.
  */
-export function updateRoadmapDropdowns(oldName = null, newName = null, removedName = null) {
-  const dropdowns = roadmapOutputDiv.querySelectorAll('.status-dropdown');
+export function updateRoadmapDropdowns() {
   const statuses = getStatuses();
 
+  // Re-populate every dropdown and icon from the store
+  const dropdowns = roadmapOutputDiv.querySelectorAll('.status-dropdown');
   dropdowns.forEach(dropdown => {
     const currentChecklistItem = dropdown.closest('.checklist-item');
-    if (!currentChecklistItem) return;
+    const itemData = currentChecklistItem ? getItem(currentChecklistItem.dataset.itemId) : null;
+    if (!itemData) return;
 
-    let currentSelectedValue = currentChecklistItem.dataset.status; // Get status from data attribute
-    let valueToSelectAfterUpdate = currentSelectedValue;
-    let statusIconNeedsUpdate = false;
-
-    // If a name change occurred and this item had the old name, update the target value
-    if (oldName && newName && oldName !== newName && currentSelectedValue === oldName) {
-      valueToSelectAfterUpdate = newName;
-    }
-
-    let valueFoundInNewOptions = false;
     dropdown.innerHTML = ''; // Clear existing options
-
-    // Re-populate with current statuses
     statuses.forEach((status) => {
       const option = document.createElement('option');
       option.value = status.name;
       option.textContent = status.name;
-      if (status.name === valueToSelectAfterUpdate) {
-        option.selected = true;
-        valueFoundInNewOptions = true;
-      }
+      option.selected = status.name === itemData.status;
       dropdown.appendChild(option);
     });
+    dropdown.value = itemData.status; // Ensure visual selection matches
+    currentChecklistItem.dataset.status = itemData.status;
 
-    // Handle cases where the selected status was removed or doesn't exist anymore
-    if (valueFoundInNewOptions) {
-      // If the value changed due to rename, update the data attribute
-      if (currentChecklistItem.dataset.status !== valueToSelectAfterUpdate) {
-          currentChecklistItem.dataset.status = valueToSelectAfterUpdate;
-          // Icon update is handled by updateChecklistItemIcons if only icon changed,
-          // but if name changed, we might need to update icon here too if not handled elsewhere.
-          // However, statusManager should call updateChecklistItemIcons if icon changes.
-          // Let's assume icon is correct unless status was removed/reset.
-      }
-      dropdown.value = valueToSelectAfterUpdate; // Ensure visual selection matches
-    } else {
-      // The previously selected status is gone (either removed or renamed and wasn't the 'oldName')
-      const firstStatusName = statuses.length > 0 ? statuses[0].name : 'Not Started'; // Fallback
-      currentChecklistItem.dataset.status = firstStatusName; // Update data attribute to fallback
-      if (dropdown.options.length > 0) {
-        dropdown.value = firstStatusName; // Set dropdown to fallback
-        dropdown.options[0].selected = true;
-      }
-      statusIconNeedsUpdate = true; // Icon needs reset to fallback status
-
-      const statusWasRemoved = removedName && currentSelectedValue === removedName;
-      if (statusWasRemoved) {
-        console.warn(`Status "${currentSelectedValue}" was removed. Item reset to "${firstStatusName}".`);
-      } else {
-        console.warn(`Status "${currentSelectedValue}" no longer exists or couldn't map. Item reset to "${firstStatusName}".`);
-      }
-    }
-
-    // Update the icon if it was reset to a fallback status
-    if (statusIconNeedsUpdate) {
-        const fallbackStatusObj = statuses.find(s => s.name === currentChecklistItem.dataset.status) || { icon: '❓', name: currentChecklistItem.dataset.status };
-        const itemIcon = currentChecklistItem.querySelector('.checklist-item-status-icon');
-        if (itemIcon) {
-            itemIcon.textContent = fallbackStatusObj.icon;
-            itemIcon.setAttribute('aria-label', fallbackStatusObj.name);
-        }
-    }
+    const statusObj = statuses.find(s => s.name === itemData.status) || { icon: '❓', name: itemData.status };
+    _applyStatusDisplay(currentChecklistItem, statusObj);
   });
 }
 
 /**
- * Updates the visual icons for all checklist items currently set to a specific status.
- * Exported to be called by statusManager after a status icon has been changed.
- * @param {number} updatedStatusIndex - The index in the STATUSES array of the status whose icon was updated.
+ * Updates the visual icons, colors and categories for all checklist items currently set to a specific status.
+ * Exported to be called by statusManager after a status icon, color or category has been changed.
+ * @param {number} updatedStatusIndex - The index in the STATUSES array of the status that was updated.
  */
 export function updateChecklistItemIcons(updatedStatusIndex) {
   const statuses = getStatuses();
   if (updatedStatusIndex < 0 || updatedStatusIndex >= statuses.length) return;
 
   const updatedStatus = statuses[updatedStatusIndex];
-  const updatedStatusName = updatedStatus.name;
-  const newIcon = updatedStatus.icon;
 
   // Escape the status name for use in the attribute selector
-  const escapedStatusName = CSS.escape(updatedStatusName);
+  const escapedStatusName = CSS.escape(updatedStatus.name);
   const selector = `.checklist-item[data-status="${escapedStatusName}"]`;
 
   const itemsToUpdate = roadmapOutputDiv.querySelectorAll(selector);
 
-  itemsToUpdate.forEach(item => {
-    const itemIcon = item.querySelector('.checklist-item-status-icon');
-    if (itemIcon) {
-      itemIcon.textContent = newIcon;
-      itemIcon.setAttribute('aria-label', updatedStatusName); // Keep aria-label updated
-    }
-  });
+  itemsToUpdate.forEach(item => _applyStatusDisplay(item, updatedStatus));
 }
 
+// --- Store Subscription ---
+
+// Re-render the roadmap whenever the store is replaced wholesale; otherwise keep the progress figures and filter live.
+subscribe(event => {
+  if (FULL_RENDER_ACTIONS.includes(event.action)) {
+    renderRoadmap();
+    return;
+  }
+  if (event.action === 'milestone-updated' && event.fields.some(field => DATE_FIELDS.includes(field))) {
+    // Date changes can also come from the timeline view
+    const milestoneElement = document.getElementById(event.milestoneId);
+    const milestone = getMilestone(event.milestoneId);
+    if (milestoneElement && milestone) _renderMilestoneDates(milestoneElement, milestone);
+  }
+  if (event.action === 'milestones-shifted') {
+    event.milestoneIds.forEach(milestoneId => {
+      const milestoneElement = document.getElementById(milestoneId);
+      const milestone = getMilestone(milestoneId);
+      if (milestoneElement && milestone) _renderMilestoneDates(milestoneElement, milestone);
+    });
+  }
+  // Read the roadmap once for all of the passes below (each read is a deep copy)
+  const roadmap = getRoadmapState();
+  if (ITEM_LINK_ACTIONS.includes(event.action)) {
+    _renderItemLinks(roadmap);
+  }
+  _updateProgressDisplays(roadmap);
+  _applyFilterVisibility(roadmap);
+});
+
+// Re-flag deadlines when the user changes the due-soon window
+subscribeToDeadlineSettings(_renderDeadlineHighlights);
+// Show and hide milestones and items as the filter bar changes
+subscribeToFilter(_applyFilterVisibility);
+
 // No need for explicit export block if using `export function ...` syntax for all exports.
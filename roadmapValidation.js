@@ -0,0 +1,167 @@
+// roadmapValidation.js
+// Checks roadmap data against the export schema before it is imported: JSON files, and Markdown and CSV files
+// once they are converted. Errors are readable messages with the path of the offending value.
+// Like roadmapStore.js, this module has no DOM access.
+
+import { STATUS_CATEGORIES } from './config.js';
+import { toDayNumber } from './dateUtils.js';
+
+// --- Constants ---
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// --- Private Helper Functions ---
+
+/**
+ * Records an error if an optional field is present but not a string.
+ * @param {object} object - The object holding the field.
+ * @param {string} field - Field name.
+ * @param {string} path - Path of the object, used in error messages.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function _checkOptionalString(object, field, path, errors) {
+  if (object[field] !== undefined && object[field] !== null && typeof object[field] !== 'string') {
+    errors.push(`${path}.${field} must be text.`);
+  }
+}
+
+/**
+ * Records an error if an optional date field is present but not a valid YYYY-MM-DD date (empty is allowed).
+ * @param {object} object - The object holding the field.
+ * @param {string} field - Field name.
+ * @param {string} path - Path of the object, used in error messages.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function _checkOptionalDate(object, field, path, errors) {
+  const value = object[field];
+  if (value !== undefined && value !== null && value !== '' && toDayNumber(value) === null) {
+    errors.push(`${path}.${field} must be a date in YYYY-MM-DD format.`);
+  }
+}
+
+/**
+ * Records an error if an optional list of linked IDs is present but not a list of strings.
+ * @param {object} object - The object holding the field.
+ * @param {string} field - Field name.
+ * @param {string} path - Path of the object, used in error messages.
+ * @param {Array<string>} errors - Collected error messages.
+ * @param {string} linkedType - What the IDs refer to ('item' or 'milestone'), used in error messages.
+ */
+function _checkOptionalIdList(object, field, path, errors, linkedType) {
+  const value = object[field];
+  if (value !== undefined && !(Array.isArray(value) && value.every(id => typeof id === 'string'))) {
+    errors.push(`${path}.${field} must be a list of ${linkedType} IDs.`);
+  }
+}
+
+/**
+ * Validates one checklist item.
+ * @param {*} item - The item data.
+ * @param {string} path - Path of the item, used in error messages.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function _validateItem(item, path, errors) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    errors.push(`${path} must be an object.`);
+    return;
+  }
+  ['id', 'text', 'status', 'assignee', 'notes', 'parentId'].forEach(field => _checkOptionalString(item, field, path, errors));
+  _checkOptionalDate(item, 'dueDate', path, errors);
+  if (item.effort !== undefined && item.effort !== null && !(typeof item.effort === 'number' && item.effort >= 0)) {
+    errors.push(`${path}.effort must be a non-negative number or null.`);
+  }
+  if (item.effortUnit !== undefined && !['points', 'days'].includes(item.effortUnit)) {
+    errors.push(`${path}.effortUnit must be "points" or "days".`);
+  }
+  _checkOptionalIdList(item, 'blockedBy', path, errors, 'item');
+}
+
+/**
+ * Validates one entry of a milestone's target-date change log.
+ * @param {*} change - The log entry ({ from, to, changedAt, reason }).
+ * @param {string} path - Path of the entry, used in error messages.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function _validateDateChange(change, path, errors) {
+  if (!change || typeof change !== 'object' || Array.isArray(change)) {
+    errors.push(`${path} must be an object.`);
+    return;
+  }
+  _checkOptionalDate(change, 'from', path, errors);
+  _checkOptionalDate(change, 'to', path, errors);
+  _checkOptionalString(change, 'reason', path, errors);
+  if (typeof change.changedAt !== 'string' || isNaN(Date.parse(change.changedAt))) {
+    errors.push(`${path}.changedAt must be a date and time.`);
+  }
+}
+
+/**
+ * Validates one milestone and its items.
+ * @param {*} milestone - The milestone data.
+ * @param {string} path - Path of the milestone, used in error messages.
+ * @param {Array<string>} errors - Collected error messages.
+ */
+function _validateMilestone(milestone, path, errors) {
+  if (!milestone || typeof milestone !== 'object' || Array.isArray(milestone)) {
+    errors.push(`${path} must be an object.`);
+    return;
+  }
+  ['id', 'title', 'purpose'].forEach(field => _checkOptionalString(milestone, field, path, errors));
+  _checkOptionalDate(milestone, 'currentCompletionDate', path, errors);
+  _checkOptionalDate(milestone, 'originalCompletionDate', path, errors);
+  _checkOptionalIdList(milestone, 'dependsOn', path, errors, 'milestone');
+  if (milestone.dateChanges !== undefined && !Array.isArray(milestone.dateChanges)) {
+    errors.push(`${path}.dateChanges must be a list.`);
+  } else {
+    (milestone.dateChanges || []).forEach((change, index) => _validateDateChange(change, `${path}.dateChanges[${index}]`, errors));
+  }
+  if (milestone.items !== undefined && !Array.isArray(milestone.items)) {
+    errors.push(`${path}.items must be a list.`);
+    return;
+  }
+  (milestone.items || []).forEach((item, index) => _validateItem(item, `${path}.items[${index}]`, errors));
+}
+
+// --- Public API ---
+
+/**
+ * Validates parsed roadmap JSON against the export schema. The data must already be upgraded to the current
+ * schema version (see migrateRoadmapData), which also rejects invalid and newer versions.
+ * @param {*} data - The parsed file contents.
+ * @returns {Array<string>} Error messages (empty if the data is valid).
+ */
+export function validateRoadmapJson(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['The file does not contain a roadmap object.'];
+  }
+
+  _checkOptionalString(data, 'roadmapName', 'roadmap', errors);
+
+  if (!Array.isArray(data.milestones)) {
+    errors.push('milestones must be a list.');
+  } else {
+    data.milestones.forEach((milestone, index) => _validateMilestone(milestone, `milestones[${index}]`, errors));
+  }
+
+  if (data.statuses !== undefined) {
+    if (!Array.isArray(data.statuses)) {
+      errors.push('statuses must be a list.');
+    } else {
+      data.statuses.forEach((status, index) => {
+        if (!status || typeof status.name !== 'string' || !status.name.trim() || typeof status.icon !== 'string') {
+          errors.push(`statuses[${index}] must have a name and an icon.`);
+          return;
+        }
+        // Category, color and description are optional (older exports don't have them)
+        if (status.category !== undefined && !STATUS_CATEGORIES.some(c => c.value === status.category)) {
+          errors.push(`statuses[${index}].category must be one of: ${STATUS_CATEGORIES.map(c => c.value).join(', ')}.`);
+        }
+        if (status.color !== undefined && !(typeof status.color === 'string' && COLOR_PATTERN.test(status.color))) {
+          errors.push(`statuses[${index}].color must be a hex color like #1a2b3c.`);
+        }
+        _checkOptionalString(status, 'description', `statuses[${index}]`, errors);
+      });
+    }
+  }
+  return errors;
+}
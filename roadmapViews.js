@@ -0,0 +1,54 @@
+// roadmapViews.js
+// Switches between the roadmap views: the editable list, the timeline and the Kanban board.
+// Only one view is shown at a time; the view switcher buttons reflect which one.
+
+import { renderRoadmap } from './roadmapUi.js';
+import { setTimelineVisible } from './timelineView.js';
+import { setBoardVisible } from './boardView.js';
+
+// --- DOM Element References ---
+const viewSwitcher = document.getElementById('view-switcher');
+const listViewDiv = document.getElementById('list-view');
+
+// --- Private Helper Functions ---
+
+/**
+ * Handles clicks on the view switcher buttons.
+ * @param {Event} event - The click event object.
+ */
+function _handleViewSwitchClick(event) {
+  const button = event.target.closest('[data-view]');
+  if (button) {
+    showRoadmapView(button.dataset.view);
+  }
+}
+
+// --- Public API ---
+
+/**
+ * Shows one roadmap view (list, timeline or board) and hides the others.
+ * Also handed to the deadlines panel, which switches to the list view to show an entry.
+ * @param {string} viewName - The view to show ('list', 'timeline' or 'board').
+ */
+export function showRoadmapView(viewName) {
+  if (listViewDiv) listViewDiv.classList.toggle('d-none', viewName !== 'list');
+  setTimelineVisible(viewName === 'timeline');
+  setBoardVisible(viewName === 'board');
+  if (viewName === 'list') {
+    renderRoadmap(); // Pick up edits made in other views (e.g. dates dragged on the timeline, cards moved on the board)
+  }
+
+  viewSwitcher?.querySelectorAll('[data-view]').forEach(button => {
+    const isActive = button.dataset.view === viewName;
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-pressed', String(isActive));
+  });
+}
+
+/**
+ * Attaches the view switcher's listener.
+ * Exported to be called once during app initialization.
+ */
+export function initializeRoadmapViews() {
+  if (viewSwitcher) viewSwitcher.addEventListener('click', _handleViewSwitchClick);
+}
@@ -1,12 +1,13 @@
 // statusManager.js
-// Manages status definitions, persistence, and legend UI, including Emoji selection.
+// Manages status definitions and the legend UI, including Emoji selection.
+// Each roadmap carries its own statuses: they live in the roadmap store and are saved with the roadmap.
 
-import { DEFAULT_STATUSES, AVAILABLE_EMOJIS } from './config.js';
+import { AVAILABLE_EMOJIS, STATUS_CATEGORIES } from './config.js';
 // Import UI update functions from roadmapUi.js
 import { updateRoadmapDropdowns, updateChecklistItemIcons } from './roadmapUi.js';
-// Import autosave function from script.js (assuming it's globally accessible or passed)
-// Note: Accessing window.debouncedAutoSave is a temporary workaround. Dependency injection or a shared event bus would be cleaner.
-import { debouncedAutoSave } from './script.js';
+import { subscribe, getRoadmapState, getRoadmapStatuses, setRoadmapStatuses } from './roadmapStore.js';
+// Legend edits are recorded as undo steps (together with any item status remaps they cause)
+import { recordHistoryCheckpoint } from './historyManager.js';
 
 
 // --- DOM Element References ---
@@ -15,64 +16,160 @@ const emojiSelectPopup = document.getElementById('emoji-select-popup');
 
 // --- Status Persistence & State ---
 
-const STATUS_STORAGE_KEY = 'roadmapStatuses';
+// Statuses used to be stored per browser under this key. It is only read (never written) now,
+// as the fallback for roadmaps saved before statuses were stored with the roadmap.
+const LEGACY_STATUS_STORAGE_KEY = 'roadmapStatuses';
+
+// Store actions that replace the active roadmap (and so its statuses)
+const ROADMAP_REPLACED_ACTIONS = ['load', 'restore', 'version-restored'];
 
 /**
- * Loads statuses from localStorage or returns defaults.
- * Includes basic validation.
+ * Loads the statuses of the active roadmap.
  * @returns {Array<object>} The array of status objects.
  */
 function loadStatuses() {
-  const storedStatuses = localStorage.getItem(STATUS_STORAGE_KEY);
-  try {
-    if (storedStatuses) {
-      const parsed = JSON.parse(storedStatuses);
-      // Validation: Check if it's a non-empty array and items have name/icon strings
-      if (Array.isArray(parsed) && parsed.length > 0 && parsed.every(s => s && typeof s.name === 'string' && typeof s.icon === 'string')) {
-        return parsed; // Return the valid parsed array
-      } else {
-        console.warn("Stored statuses format invalid or empty, using defaults.");
-      }
-    }
-  } catch (e) {
-    console.error("Error parsing statuses from localStorage", e);
-  }
-  // Return a deep copy of defaults if loading failed or no stored data found
-  return JSON.parse(JSON.stringify(DEFAULT_STATUSES));
+  return getRoadmapStatuses();
 }
 
-// Load statuses initially - Use 'let' as it will be modified by user actions
+// Working copy of the active roadmap's statuses, edited by the legend - Use 'let' as it is replaced on load
 let STATUSES = loadStatuses();
 
+// Listeners notified whenever the STATUSES array changes (e.g. views with one column per status)
+const statusListeners = new Set();
+
 /**
- * Saves the current STATUSES array to localStorage.
+ * Registers a listener that is called after every change to the status definitions.
+ * @param {Function} listener - The callback (receives no arguments; use getStatuses()).
+ * @returns {Function} A function that removes the listener again.
+ */
+export function subscribeToStatuses(listener) {
+  statusListeners.add(listener);
+  return () => statusListeners.delete(listener);
+}
+
+/**
+ * Saves the current STATUSES array to the active roadmap and notifies status listeners.
+ * The roadmap store change triggers the autosave, so the statuses are stored with the roadmap.
  * Includes validation to prevent saving empty/invalid state.
+ * @param {Function | null} [mapStatus=null] - Rewrites item statuses in the same store change
+ *   (see _createItemStatusMapping); pass it whenever status names change.
  */
-function saveStatuses() {
-  try {
-    // Prevent saving an empty array if something went wrong during modification
-    if (STATUSES && Array.isArray(STATUSES) && STATUSES.length > 0) {
-      localStorage.setItem(STATUS_STORAGE_KEY, JSON.stringify(STATUSES));
+function saveStatuses(mapStatus = null) {
+  // Prevent saving an empty array if something went wrong during modification
+  if (STATUSES && Array.isArray(STATUSES) && STATUSES.length > 0) {
+    setRoadmapStatuses(STATUSES, mapStatus);
+  } else {
+    console.error("Attempted to save empty or invalid STATUSES array. Saving aborted.");
+  }
+  statusListeners.forEach(listener => listener());
+}
+
+/**
+ * Creates the mapping that moves item statuses onto the current STATUSES after names changed:
+ * renamed statuses are followed, and items whose status no longer exists fall back to the first status.
+ * @param {string | null} [oldName=null] - The previous name of a renamed status.
+ * @param {string | null} [newName=null] - Its new name.
+ * @param {string | null} [removedName=null] - The name of a status that was just removed.
+ * @returns {Function} Receives an item's status name, returns the new one.
+ */
+function _createItemStatusMapping(oldName = null, newName = null, removedName = null) {
+  const firstStatusName = STATUSES.length > 0 ? STATUSES[0].name : 'Not Started'; // Fallback
+  return statusName => {
+    // If a name change occurred and this item had the old name, follow the rename
+    if (oldName && newName && oldName !== newName && statusName === oldName) {
+      return newName;
+    }
+    if (STATUSES.some(s => s.name === statusName)) {
+      return statusName;
+    }
+    if (removedName && statusName === removedName) {
+      console.warn(`Status "${statusName}" was removed. Item reset to "${firstStatusName}".`);
     } else {
-      console.error("Attempted to save empty or invalid STATUSES array. Saving aborted.");
-      // Optional recovery: Reload defaults if state becomes critically invalid
-      // STATUSES = JSON.parse(JSON.stringify(DEFAULT_STATUSES));
-      // renderStatusLegend(); // Re-render if recovered
+      console.warn(`Status "${statusName}" no longer exists or couldn't map. Item reset to "${firstStatusName}".`);
     }
-  } catch (e) {
-    console.error("Error saving statuses to localStorage", e);
-  }
+    return firstStatusName;
+  };
 }
 
 /**
  * Getter function for the current statuses. Provides a deep copy.
- * @returns {Array<object>} A deep copy of the current status objects.
+ * Reads the store directly, so it is up to date even for store subscribers that run before this module's.
+ * @returns {Array<object>} A deep copy of the active roadmap's status objects.
  */
 export function getStatuses() {
-  // Return a deep copy to prevent external modification of the internal array
-  return JSON.parse(JSON.stringify(STATUSES));
+  return loadStatuses();
+}
+
+/**
+ * Returns the category of a status in the active roadmap (a STATUS_CATEGORIES value, e.g. 'done').
+ * Use this instead of matching on status names, which users can change.
+ * @param {string} statusName - The status name.
+ * @returns {string} The category ('todo' for unknown names).
+ */
+export function getStatusCategory(statusName) {
+  return STATUSES.find(s => s.name === statusName)?.category || 'todo';
+}
+
+/**
+ * Checks whether a status counts as done (e.g. "Completed", or a custom "Shipped" in the done category).
+ * @param {string} statusName - The status name.
+ * @returns {boolean}
+ */
+export function isDoneStatus(statusName) {
+  return getStatusCategory(statusName) === 'done';
 }
 
+/**
+ * Returns the statuses customized in this browser before they were stored per roadmap, if any.
+ * Includes basic validation.
+ * @returns {Array<object> | null} The legacy status objects, or null.
+ */
+export function getLegacyStatuses() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(LEGACY_STATUS_STORAGE_KEY) || 'null');
+    // Validation: Check if it's a non-empty array and items have name/icon strings
+    if (Array.isArray(parsed) && parsed.length > 0 && parsed.every(s => s && typeof s.name === 'string' && typeof s.icon === 'string')) {
+      return parsed;
+    }
+  } catch (e) {
+    console.error("Error parsing legacy statuses from localStorage", e);
+  }
+  return null;
+}
+
+/**
+ * Replaces the active roadmap's statuses with a template (e.g. an account-level default).
+ * Statuses still used by items but missing from the template are kept, so no item changes status.
+ * @param {Array<object>} templateStatuses - The template's status objects ({ name, icon, category, color, description }).
+ */
+export function applyStatusTemplate(templateStatuses) {
+  const statuses = JSON.parse(JSON.stringify(templateStatuses));
+  const usedNames = new Set(getRoadmapState().milestones.flatMap(m => m.items.map(item => item.status)));
+  STATUSES.forEach(status => {
+    if (usedNames.has(status.name) && !statuses.some(s => s.name === status.name)) {
+      statuses.push(status);
+    }
+  });
+  STATUSES = statuses;
+  saveStatuses(_createItemStatusMapping());
+  renderStatusLegend();
+  updateRoadmapDropdowns();
+  recordHistoryCheckpoint();
+}
+
+/**
+ * Re-reads the statuses whenever another roadmap (or an undo/restore state) is loaded.
+ * @param {object} event - The roadmap store change event.
+ */
+function _handleRoadmapReplaced(event) {
+  if (!ROADMAP_REPLACED_ACTIONS.includes(event.action)) return;
+  STATUSES = loadStatuses();
+  renderStatusLegend();
+  statusListeners.forEach(listener => listener());
+}
+
+subscribe(_handleRoadmapReplaced);
+
 // --- Status Legend Editing ---
 
 /**
@@ -88,7 +185,7 @@ export function renderStatusLegend() {
   STATUSES.forEach((status, index) => {
     const itemDiv = document.createElement('div');
     // Use Bootstrap flex utilities and spacing
-    itemDiv.classList.add('status-definition-item', 'd-flex', 'align-items-center', 'mb-2', 'gap-2'); // Use gap for spacing
+    itemDiv.classList.add('status-definition-item', 'd-flex', 'flex-wrap', 'align-items-center', 'mb-3', 'gap-2'); // Use gap for spacing; the description wraps onto its own line
     itemDiv.dataset.index = index; // Store index for easy reference in event handlers
 
     // Emoji Icon Button (opens popup)
@@ -114,6 +211,30 @@ export function renderStatusLegend() {
     nameInput.classList.add('status-name-input', 'form-control', 'form-control-sm', 'flex-grow-1', 'bg-secondary', 'text-light', 'border-secondary'); // flex-grow-1 takes remaining space
     nameInput.setAttribute('aria-label', `Edit name for status ${status.name}`);
 
+    // Category Select (what the status means for progress, filters and exports)
+    const categorySelect = document.createElement('select');
+    categorySelect.classList.add('status-category-select', 'form-select', 'form-select-sm', 'w-auto');
+    categorySelect.setAttribute('aria-label', `Category of status ${status.name}`);
+    STATUS_CATEGORIES.forEach(category => {
+      categorySelect.appendChild(new Option(category.label, category.value, false, category.value === status.category));
+    });
+
+    // Color Input
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = status.color;
+    colorInput.classList.add('status-color-input', 'form-control', 'form-control-sm', 'form-control-color', 'flex-shrink-0');
+    colorInput.title = 'Status color';
+    colorInput.setAttribute('aria-label', `Color of status ${status.name}`);
+
+    // Input for Description (optional)
+    const descriptionInput = document.createElement('input');
+    descriptionInput.type = 'text';
+    descriptionInput.value = status.description || '';
+    descriptionInput.placeholder = 'Description (optional)';
+    descriptionInput.classList.add('status-description-input', 'form-control', 'form-control-sm', 'w-100');
+    descriptionInput.setAttribute('aria-label', `Description of status ${status.name}`);
+
     // Remove Button for this status
     const removeButton = document.createElement('button');
     removeButton.type = 'button';
@@ -131,7 +252,10 @@ export function renderStatusLegend() {
 
     itemDiv.appendChild(emojiButton);
     itemDiv.appendChild(nameInput);
+    itemDiv.appendChild(categorySelect);
+    itemDiv.appendChild(colorInput);
     itemDiv.appendChild(removeButton);
+    itemDiv.appendChild(descriptionInput);
     editableStatusListDiv.appendChild(itemDiv);
   });
 }
@@ -171,11 +295,11 @@ export function handleLegendClick(event) {
 
       if (confirm(`Are you sure you want to remove the status "${removedStatusName}"? Items using this status will be reassigned.`)) {
         STATUSES.splice(index, 1); // Remove status from the array
-        saveStatuses();
-        debouncedAutoSave(); // Trigger autosave of the main roadmap state
+        // Save, reassigning items that used the removed status
+        saveStatuses(_createItemStatusMapping(null, null, removedStatusName));
         renderStatusLegend(); // Re-render legend (updates indices, enables/disables remove buttons)
-        // Update roadmap dropdowns, passing the removed name for reassignment logic
-        updateRoadmapDropdowns(null, null, removedStatusName);
+        updateRoadmapDropdowns();
+        recordHistoryCheckpoint();
       }
     } else {
         console.warn("Could not determine index for status removal.");
@@ -186,25 +310,35 @@ export function handleLegendClick(event) {
 
 
 /**
- * Handles input events within the editable status legend (specifically name input changes).
- * Updates the STATUSES array, saves to localStorage, and updates relevant UI parts.
- * Prevents saving empty status names.
+ * Handles input events within the editable status legend (name, category, color and description changes).
+ * Updates the STATUSES array, saves it to the active roadmap, and updates relevant UI parts.
+ * Prevents saving empty or duplicate status names.
  * @param {Event} event - The input event object.
  */
 export function handleStatusLegendChange(event) {
   const target = event.target;
+  const itemDiv = target.closest('.status-definition-item');
+  if (!itemDiv) return;
 
-  // Handle Name Input Change
-  if (target.matches('.status-name-input')) {
-    const itemDiv = target.closest('.status-definition-item');
-    if (!itemDiv) return;
+  const index = parseInt(itemDiv.dataset.index, 10);
+  if (isNaN(index) || index < 0 || index >= STATUSES.length) {
+    console.error("Invalid index found on status item:", itemDiv.dataset.index);
+    return;
+  }
 
-    const index = parseInt(itemDiv.dataset.index, 10);
-    if (isNaN(index) || index < 0 || index >= STATUSES.length) {
-      console.error("Invalid index found on status item:", itemDiv.dataset.index);
-      return;
-    }
+  // Handle Category, Color and Description Changes (item names are unaffected, only their display)
+  if (target.matches('.status-category-select, .status-color-input, .status-description-input')) {
+    const field = target.matches('.status-category-select') ? 'category' : target.matches('.status-color-input') ? 'color' : 'description';
+    if (STATUSES[index][field] === target.value) return;
+    STATUSES[index][field] = target.value;
+    saveStatuses();
+    updateChecklistItemIcons(index); // Items show the status color and category
+    recordHistoryCheckpoint(`status-${field}:${index}`); // Dragging a color or typing a description is one undo step
+    return;
+  }
 
+  // Handle Name Input Change
+  if (target.matches('.status-name-input')) {
     const oldName = STATUSES[index].name;
     const newName = target.value;
     const trimmedNewName = newName.trim(); // Trim whitespace
@@ -215,6 +349,12 @@ export function handleStatusLegendChange(event) {
       target.value = oldName; // Revert input field to the previous valid name
       return; // Stop processing
     }
+    // --- Validation: Prevent duplicate names (items refer to statuses by name) ---
+    if (STATUSES.some((s, i) => i !== index && s.name === trimmedNewName)) {
+      alert(`A status named "${trimmedNewName}" already exists.`);
+      target.value = oldName;
+      return;
+    }
 
     // Only proceed if the (trimmed) name actually changed
     if (oldName !== trimmedNewName) {
@@ -223,16 +363,19 @@ export function handleStatusLegendChange(event) {
         target.value = trimmedNewName;
       }
       STATUSES[index].name = trimmedNewName; // Update the name in the array
-      saveStatuses(); // Save the updated statuses array
-      debouncedAutoSave(); // Trigger autosave of the main roadmap state
-      // Update roadmap dropdowns, passing old and new (trimmed) names
-      updateRoadmapDropdowns(oldName, trimmedNewName, null);
+      // Save the updated statuses array; items follow the rename in the same change
+      saveStatuses(_createItemStatusMapping(oldName, trimmedNewName));
+      updateRoadmapDropdowns();
+      recordHistoryCheckpoint(`status-name:${index}`); // Typing a name is one undo step
       // Update aria-labels associated with this status in the legend
       const emojiButton = itemDiv.querySelector('.status-emoji-button');
       const removeButton = itemDiv.querySelector('.remove-status-button');
       if (emojiButton) emojiButton.setAttribute('aria-label', `Change icon for ${trimmedNewName}`);
       if (removeButton) removeButton.setAttribute('aria-label', `Remove status ${trimmedNewName}`);
       target.setAttribute('aria-label', `Edit name for status ${trimmedNewName}`);
+      itemDiv.querySelector('.status-category-select')?.setAttribute('aria-label', `Category of status ${trimmedNewName}`);
+      itemDiv.querySelector('.status-color-input')?.setAttribute('aria-label', `Color of status ${trimmedNewName}`);
+      itemDiv.querySelector('.status-description-input')?.setAttribute('aria-label', `Description of status ${trimmedNewName}`);
     }
   }
   // Note: Emoji changes are handled by handleEmojiGridClick
@@ -254,13 +397,16 @@ export function handleAddStatusClick() {
 
   STATUSES.push({
     name: defaultName,
-    icon: '❓' // Default Emoji icon
+    icon: '❓', // Default Emoji icon
+    category: STATUS_CATEGORIES[0].value,
+    color: STATUS_CATEGORIES[0].color,
+    description: ''
   });
 
-  saveStatuses();         // Save changes to localStorage
-  debouncedAutoSave();    // Trigger autosave of the main roadmap state
+  saveStatuses();         // Save changes to the active roadmap (no item statuses change)
   renderStatusLegend();   // Re-render the legend UI
-  updateRoadmapDropdowns(); // Update dropdowns in the roadmap (no name changes needed here)
+  updateRoadmapDropdowns(); // Offer the new status in the roadmap's dropdowns
+  recordHistoryCheckpoint();
 }
 
 // --- Emoji Popup Logic ---
@@ -367,10 +513,10 @@ function handleEmojiGridClick(event) {
 
         // 3. Save the updated STATUSES array
         saveStatuses();
-        debouncedAutoSave(); // Trigger autosave of the main roadmap state
 
         // 4. Update icons in existing checklist items in the roadmap
         updateChecklistItemIcons(index);
+        recordHistoryCheckpoint();
       }
 
       // 5. Hide Popup regardless of whether the icon changed (user made a selection)
@@ -0,0 +1,147 @@
+// statusTemplates.js
+// Account-level status templates (Supabase table 'status_templates').
+// Logged-in users can save the current roadmap's statuses as a named template, apply a template to the
+// current roadmap, and mark one template as the default for new roadmaps.
+
+import { supabase } from './supabaseClient.js';
+import { DEFAULT_STATUSES } from './config.js';
+import { getStatuses, getLegacyStatuses, applyStatusTemplate } from './statusManager.js';
+
+// --- DOM Element References ---
+const templateControlsDiv = document.getElementById('status-template-controls');
+const templateSelect = document.getElementById('status-template-select');
+const applyTemplateButton = document.getElementById('apply-status-template-button');
+const saveTemplateButton = document.getElementById('save-status-template-button');
+
+// --- State ---
+let currentUserId = null; // ID of the logged-in user, or null
+let templates = []; // The user's templates ({ id, name, statuses, is_default }), sorted by name
+
+// --- Private Helper Functions ---
+
+/**
+ * Fills the template dropdown; the default template is marked and preselected.
+ */
+function _populateTemplateSelect() {
+  if (!templateSelect) return;
+  templateSelect.innerHTML = '';
+  if (templates.length === 0) {
+    templateSelect.appendChild(new Option('No saved templates', ''));
+  }
+  templates.forEach(template => {
+    const label = template.is_default ? `${template.name} (default)` : template.name;
+    templateSelect.appendChild(new Option(label, template.id, false, template.is_default));
+  });
+  templateSelect.disabled = templates.length === 0;
+  if (applyTemplateButton) applyTemplateButton.disabled = templates.length === 0;
+}
+
+/**
+ * Applies the selected template to the current roadmap (undoable).
+ */
+function _handleApplyTemplateClick() {
+  const template = templates.find(t => String(t.id) === templateSelect?.value);
+  if (!template) return;
+  applyStatusTemplate(template.statuses);
+}
+
+/**
+ * Saves the current roadmap's statuses as a template (replacing a template with the same name),
+ * optionally as the default for new roadmaps.
+ */
+async function _handleSaveTemplateClick() {
+  if (!currentUserId) return;
+  const name = prompt("Save the current statuses as a template named:", templates.find(t => t.is_default)?.name || 'My Statuses');
+  if (name === null) return;
+  const trimmedName = name.trim();
+  if (!trimmedName) {
+    alert('Template name cannot be empty.');
+    return;
+  }
+  const isDefault = confirm(`Use "${trimmedName}" as the default statuses for new roadmaps?`);
+
+  try {
+    if (isDefault) {
+      // Only one default per user (also enforced by a unique index)
+      const { error: clearError } = await supabase
+        .from('status_templates')
+        .update({ is_default: false })
+        .eq('user_id', currentUserId)
+        .eq('is_default', true);
+      if (clearError) throw clearError;
+    }
+    const { error } = await supabase
+      .from('status_templates')
+      .upsert({
+        user_id: currentUserId,
+        name: trimmedName,
+        statuses: getStatuses(),
+        is_default: isDefault
+      }, { onConflict: 'user_id,name' });
+    if (error) throw error;
+    console.log(`Saved status template "${trimmedName}".`);
+    await loadStatusTemplates();
+  } catch (error) {
+    console.error("Error saving status template:", error);
+    alert(`Error saving status template: ${error.message}`);
+  }
+}
+
+// --- Public API ---
+
+/**
+ * Fetches the logged-in user's templates and refreshes the dropdown.
+ */
+export async function loadStatusTemplates() {
+  if (!currentUserId) {
+    templates = [];
+    _populateTemplateSelect();
+    return;
+  }
+  try {
+    const { data, error } = await supabase
+      .from('status_templates')
+      .select('id, name, statuses, is_default')
+      .eq('user_id', currentUserId) // RLS enforces this too
+      .order('name', { ascending: true });
+    if (error) throw error;
+    templates = (data || []).filter(t => Array.isArray(t.statuses) && t.statuses.length > 0);
+  } catch (error) {
+    console.error("Error loading status templates:", error);
+    templates = [];
+  }
+  _populateTemplateSelect();
+}
+
+/**
+ * Sets the logged-in user (null after logging out), shows or hides the template controls and loads the templates.
+ * Exported for use by the main script's auth state listener.
+ * @param {string | null} userId - ID of the logged-in user.
+ */
+export function setStatusTemplatesUser(userId) {
+  if (userId === currentUserId) return;
+  currentUserId = userId;
+  if (templateControlsDiv) templateControlsDiv.classList.toggle('d-none', !userId);
+  loadStatusTemplates();
+}
+
+/**
+ * Returns the statuses a new roadmap starts with: the user's default template, else the statuses
+ * customized in this browser before statuses were stored per roadmap, else the built-in defaults.
+ * @returns {Array<object>} A copy of the status objects ({ name, icon, category, color, description }).
+ */
+export function getDefaultTemplateStatuses() {
+  const defaultTemplate = templates.find(t => t.is_default);
+  const statuses = defaultTemplate?.statuses || getLegacyStatuses() || DEFAULT_STATUSES;
+  return JSON.parse(JSON.stringify(statuses));
+}
+
+/**
+ * Attaches the template controls' event listeners.
+ * Exported to be called once during app initialization.
+ */
+export function initializeStatusTemplates() {
+  _populateTemplateSelect();
+  if (applyTemplateButton) applyTemplateButton.addEventListener('click', _handleApplyTemplateClick);
+  if (saveTemplateButton) saveTemplateButton.addEventListener('click', _handleSaveTemplateClick);
+}
@@ -85,12 +85,22 @@ Project Description:
         {
           "id": "item-milestone-1-1",
           "text": "Specific, actionable task for this milestone (e.g., 'Define target audience personas')",
-          "status": "Not Started"
+          "status": "Not Started",
+          "assignee": "",
+          "dueDate": "",
+          "effort": null,
+          "effortUnit": "points",
+          "notes": ""
         },
         {
           "id": "item-milestone-1-2",
           "text": "Another specific task (e.g., 'Conduct competitor analysis')",
-          "status": "Not Started"
+          "status": "Not Started",
+          "assignee": "",
+          "dueDate": "",
+          "effort": null,
+          "effortUnit": "days",
+          "notes": ""
         }
       ]
     },
@@ -104,12 +114,18 @@ Project Description:
         {
           "id": "item-milestone-2-1",
           "text": "Specific task (e.g., 'Set up development environment')",
-          "status": "Not Started"
+          "status": "Not Started",
+          "assignee": "",
+          "dueDate": "",
+          "effort": null,
+          "effortUnit": "days",
+          "notes": ""
         }
       ]
     }
   ]
 }
+Item fields "assignee", "dueDate" (YYYY-MM-DD), "effort" (a number or null), "effortUnit" ("points" or "days") and "notes" are optional details; leave them empty or null when unknown.
 ***CRITICAL: Your response MUST BE ONLY a valid JSON object.
 - DO NOT include any explanatory text, comments, notes, markdown fences (like \`\`\`json), or any other artifacts (like 'regex:' or 'contiguous' or stray words/phrases) BEFORE, AFTER, OR WITHIN the JSON output.
 - The entire response must be parseable as a single, valid JSON object using standard JSON parsers.
@@ -190,6 +206,15 @@ Project Description:
         }
         console.log("Successfully parsed and validated AI response JSON.");
 
+        // Replace the AI's placeholder IDs (e.g. "item-milestone-1-1") with UUIDs, so items and
+        // milestones keep stable IDs once the client saves them
+        roadmapData.milestones.forEach((milestone) => {
+            milestone.id = crypto.randomUUID();
+            if (Array.isArray(milestone.items)) {
+                milestone.items.forEach((item) => { item.id = crypto.randomUUID(); });
+            }
+        });
+
     } catch (parseError) {
         console.error("Function Error: Error parsing AI response as JSON:", parseError);
         console.error("Problematic AI Response Text:", responseText);
@@ -0,0 +1,31 @@
+-- Immutable snapshots of saved roadmaps, written by the client on every manual save
+-- and periodically on autosave (see versionHistory.js).
+create table if not exists public.roadmap_versions (
+    id bigint generated always as identity primary key,
+    roadmap_id uuid not null references public.roadmaps (id) on delete cascade,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    title text not null default 'Untitled Roadmap',
+    roadmap_data jsonb not null default '[]'::jsonb, -- Milestones array, same shape as roadmaps.roadmap_data
+    source text not null default 'manual' check (source in ('manual', 'autosave')),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists roadmap_versions_roadmap_id_created_at_idx
+    on public.roadmap_versions (roadmap_id, created_at desc);
+
+alter table public.roadmap_versions enable row level security;
+
+-- Versions are immutable: users may read and add their own, but there are no update/delete policies.
+create policy "Users can read their own roadmap versions"
+    on public.roadmap_versions for select
+    using (auth.uid() = user_id);
+
+create policy "Users can add versions of their own roadmaps"
+    on public.roadmap_versions for insert
+    with check (
+        auth.uid() = user_id
+        and exists (
+            select 1 from public.roadmaps r
+            where r.id = roadmap_id and r.user_id = auth.uid()
+        )
+    );
@@ -0,0 +1,44 @@
+-- Per-roadmap status definitions ([{ "name": ..., "icon": ..., "category": ..., "color": ..., "description": ... }]),
+-- saved with each roadmap and version. "category" is todo, active, done, blocked or at-risk (see STATUS_CATEGORIES
+-- in config.js); the client fills in defaults for older entries that only have a name and icon.
+-- Null for rows saved before statuses were stored per roadmap; the client then falls back to other statuses.
+alter table public.roadmaps
+    add column if not exists statuses jsonb;
+
+alter table public.roadmap_versions
+    add column if not exists statuses jsonb;
+
+-- Account-level status templates (see statusTemplates.js); "statuses" has the same shape as roadmaps.statuses.
+-- One template per user may be the default for new roadmaps.
+create table if not exists public.status_templates (
+    id bigint generated always as identity primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    name text not null,
+    statuses jsonb not null,
+    is_default boolean not null default false,
+    created_at timestamptz not null default now(),
+    unique (user_id, name)
+);
+
+create unique index if not exists status_templates_one_default_per_user_idx
+    on public.status_templates (user_id)
+    where is_default;
+
+alter table public.status_templates enable row level security;
+
+create policy "Users can read their own status templates"
+    on public.status_templates for select
+    using (auth.uid() = user_id);
+
+create policy "Users can add their own status templates"
+    on public.status_templates for insert
+    with check (auth.uid() = user_id);
+
+create policy "Users can update their own status templates"
+    on public.status_templates for update
+    using (auth.uid() = user_id)
+    with check (auth.uid() = user_id);
+
+create policy "Users can delete their own status templates"
+    on public.status_templates for delete
+    using (auth.uid() = user_id);
@@ -0,0 +1,20 @@
+-- roadmaps.updated_at is set by the database on every insert and update, never by a client clock.
+-- The client only overwrites a row whose updated_at still matches the value it last synced (see
+-- writeRoadmapToCloud in script.js), so every save must move it forward.
+alter table public.roadmaps
+    alter column updated_at set default now();
+
+create or replace function public.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+    new.updated_at = now();
+    return new;
+end;
+$$;
+
+drop trigger if exists roadmaps_set_updated_at on public.roadmaps;
+create trigger roadmaps_set_updated_at
+    before update on public.roadmaps
+    for each row execute function public.set_updated_at();
@@ -0,0 +1,37 @@
+// Tests for dateUtils.js: day arithmetic on YYYY-MM-DD date strings.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toDayNumber, fromDayNumber, todayIsoDate, daysBetween, addDays, formatDisplayDate } from '../dateUtils.js';
+
+test('toDayNumber and fromDayNumber convert both ways', () => {
+  assert.equal(toDayNumber('1970-01-01'), 0);
+  assert.equal(toDayNumber('2026-03-01'), 20513);
+  assert.equal(fromDayNumber(20513), '2026-03-01');
+});
+
+test('toDayNumber rejects anything but valid YYYY-MM-DD dates', () => {
+  ['', null, undefined, '2026-3-1', '03/01/2026', '2026-03-01T00:00', '2026-13-01', '2026-02-30'].forEach(value => {
+    assert.equal(toDayNumber(value), null, String(value));
+  });
+  assert.equal(toDayNumber('2024-02-29'), 19782); // Leap day
+});
+
+test('daysBetween and addDays cross month, year and daylight-saving boundaries', () => {
+  assert.equal(daysBetween('2026-03-01', '2026-03-31'), 30);
+  assert.equal(daysBetween('2026-01-01', '2025-12-31'), -1);
+  assert.equal(daysBetween('2026-01-01', ''), null);
+  assert.equal(addDays('2026-12-30', 3), '2027-01-02');
+  assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+  assert.equal(addDays('not a date', 3), 'not a date');
+});
+
+test('todayIsoDate is a valid local date', () => {
+  assert.notEqual(toDayNumber(todayIsoDate()), null);
+});
+
+test('formatDisplayDate formats valid dates only', () => {
+  assert.equal(formatDisplayDate(''), '');
+  assert.equal(formatDisplayDate('2026-02-30'), '');
+  assert.match(formatDisplayDate('2026-03-01'), /2026/);
+});
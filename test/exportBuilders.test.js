@@ -0,0 +1,139 @@
+// Tests for the export file builders: zipArchive.js and officeXml.js, and the Word, PowerPoint and PDF documents
+// built from a roadmap (docxBuilder.js, pptxBuilder.js, pdfBuilder.js).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crc32 } from 'node:zlib';
+import { createZip } from '../zipArchive.js';
+import { escapeXml, relationshipsXml, contentTypesXml } from '../officeXml.js';
+import { buildRoadmapDocx } from '../docxBuilder.js';
+import { buildRoadmapPptx } from '../pptxBuilder.js';
+import { buildRoadmapPdf } from '../pdfBuilder.js';
+import { DEFAULT_STATUSES } from '../config.js';
+
+const ROADMAP = {
+  roadmapName: 'Launch <Q1> & more',
+  statuses: DEFAULT_STATUSES,
+  milestones: [
+    {
+      id: 'm1', title: 'Design', purpose: 'Agree on the scope.', currentCompletionDate: '2026-03-10',
+      originalCompletionDate: '2026-03-01', dependsOn: [],
+      dateChanges: [{ from: '2026-03-01', to: '2026-03-10', reason: 'Vendor delay', changedAt: '2026-02-01T10:00:00.000Z' }],
+      items: [
+        { id: 'i1', text: 'Write the spec', status: 'Completed', assignee: 'Ana', dueDate: '2026-03-01', effort: 3, effortUnit: 'points', notes: '', parentId: '', blockedBy: [] },
+        { id: 'i2', text: 'Review "café" notes', status: 'In Progress', assignee: '', dueDate: '', effort: null, effortUnit: 'points', notes: 'Ask legal', parentId: 'i1', blockedBy: [] }
+      ]
+    },
+    {
+      id: 'm2', title: 'Build', purpose: '', currentCompletionDate: '2026-04-01', originalCompletionDate: '2026-04-01',
+      dependsOn: ['m1'], dateChanges: [],
+      items: [{ id: 'i3', text: 'Code it', status: 'Blocked', assignee: '', dueDate: '', effort: null, effortUnit: 'points', notes: '', parentId: '', blockedBy: ['i2'] }]
+    }
+  ]
+};
+
+/**
+ * Reads a stored (uncompressed) ZIP archive through its central directory, checking each file's checksum.
+ * @param {Uint8Array} bytes - The archive.
+ * @returns {Map<string, string>} File contents (as UTF-8 text) by path, in archive order.
+ */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const end = bytes.length - 22; // No archive comment
+  assert.equal(view.getUint32(end, true), 0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let position = view.getUint32(end + 16, true);
+  const files = new Map();
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(position, true), 0x02014b50);
+    const crc = view.getUint32(position + 16, true);
+    const size = view.getUint32(position + 20, true);
+    const nameLength = view.getUint16(position + 28, true);
+    const extraLength = view.getUint16(position + 30, true);
+    const commentLength = view.getUint16(position + 32, true);
+    const localOffset = view.getUint32(position + 42, true);
+    const name = decoder.decode(bytes.subarray(position + 46, position + 46 + nameLength));
+
+    assert.equal(view.getUint32(localOffset, true), 0x04034b50);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const content = bytes.subarray(dataStart, dataStart + size);
+    assert.equal(crc32(content), crc, `checksum of ${name}`);
+    files.set(name, decoder.decode(content));
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+// --- ZIP and Office XML Helpers ---
+
+test('createZip stores files with names, contents and checksums', () => {
+  const files = readZip(createZip([
+    { name: 'a.txt', content: 'Hello' },
+    { name: 'folder/ü.txt', content: new TextEncoder().encode('Grüße') },
+    { name: 'empty.txt', content: '' }
+  ]));
+  assert.deepEqual([...files.entries()], [['a.txt', 'Hello'], ['folder/ü.txt', 'Grüße'], ['empty.txt', '']]);
+});
+
+test('escapeXml escapes markup and drops characters XML cannot hold', () => {
+  assert.equal(escapeXml('a < b & "c" > d\u0001\uFFFF'), 'a &lt; b &amp; &quot;c&quot; &gt; d');
+  assert.equal(escapeXml(42), '42');
+});
+
+test('relationshipsXml and contentTypesXml list their entries', () => {
+  assert.match(relationshipsXml([{ id: 'rId1', type: 'styles', target: 'styles.xml' }]),
+    /<Relationship Id="rId1" Type="[^"]+\/styles" Target="styles\.xml"\/>/);
+  assert.match(contentTypesXml([{ partName: 'word/document.xml', contentType: 'x/y' }]),
+    /<Override PartName="\/word\/document\.xml" ContentType="x\/y"\/>/);
+});
+
+// --- Documents ---
+
+test('buildRoadmapDocx writes a Word package with the roadmap content', () => {
+  const files = readZip(buildRoadmapDocx(ROADMAP, { includeSlipReport: true }));
+  assert.deepEqual([...files.keys()], [
+    '[Content_Types].xml', '_rels/.rels', 'docProps/core.xml', 'word/document.xml', 'word/styles.xml', 'word/_rels/document.xml.rels'
+  ]);
+  const document = files.get('word/document.xml');
+  assert.ok(document.includes('Launch &lt;Q1&gt; &amp; more'));
+  assert.ok(document.includes('Review &quot;café&quot; notes'));
+  assert.ok(document.includes('Vendor delay')); // From the slip report
+  assert.ok(!readZip(buildRoadmapDocx(ROADMAP)).get('word/document.xml').includes('Vendor delay'));
+});
+
+test('buildRoadmapPptx writes a deck with a title, timeline and milestone slides', () => {
+  const files = readZip(buildRoadmapPptx(ROADMAP));
+  const slides = [...files.keys()].filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name));
+  assert.ok(slides.length >= 4, `${slides.length} slides`); // Title, timeline and one per milestone
+  assert.equal((files.get('ppt/presentation.xml').match(/<p:sldId /g) || []).length, slides.length);
+  slides.forEach(name => assert.ok(files.has(name.replace('slides/', 'slides/_rels/') + '.rels'), name));
+  assert.ok(files.get('ppt/slides/slide1.xml').includes('Launch &lt;Q1&gt; &amp; more'));
+  const allSlides = slides.map(name => files.get(name)).join('');
+  assert.ok(allSlides.includes('Write the spec'));
+  assert.ok(allSlides.includes('Code it'));
+});
+
+test('buildRoadmapPdf writes a PDF whose cross-reference table points at its objects', () => {
+  const bytes = buildRoadmapPdf(ROADMAP, { includeSlipReport: true });
+  const pdf = String.fromCharCode(...bytes); // One byte per character
+  assert.ok(pdf.startsWith('%PDF-1.4\n'));
+  assert.ok(pdf.endsWith('%%EOF\n'));
+
+  const crossReferenceOffset = Number(pdf.match(/startxref\n(\d+)\n%%EOF\n$/)[1]);
+  assert.ok(pdf.startsWith('xref\n', crossReferenceOffset));
+  const offsets = [...pdf.slice(crossReferenceOffset).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+  offsets.forEach((offset, index) => assert.ok(pdf.startsWith(`${index + 1} 0 obj\n`, offset), `object ${index + 1}`));
+
+  const pageCount = Number(pdf.match(/\/Type \/Pages \/Kids \[[^\]]*\] \/Count (\d+)/)[1]);
+  assert.equal((pdf.match(/\/Type \/Page /g) || []).length, pageCount);
+  assert.ok(pdf.includes('(Write the spec) Tj'));
+  assert.ok(pdf.includes('caf\xE9')); // WinAnsi, not UTF-8
+  assert.ok(pdf.includes('(Schedule Slip Report) Tj'));
+});
+
+test('buildRoadmapPdf lays out landscape pages', () => {
+  const pdf = String.fromCharCode(...buildRoadmapPdf(ROADMAP, { orientation: 'landscape' }));
+  assert.ok(pdf.includes('/MediaBox [0 0 792 612]'));
+  assert.ok(!pdf.includes('Schedule Slip Report'));
+});
@@ -0,0 +1,101 @@
+// Tests for roadmapCsv.js: writing roadmaps as CSV, parsing CSV text and building roadmaps from mapped columns.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CSV_FIELDS, roadmapToCsv, parseCsv, guessCsvColumnMapping, buildRoadmapFromCsv } from '../roadmapCsv.js';
+import { DEFAULT_STATUSES } from '../config.js';
+
+const ROADMAP = {
+  milestones: [
+    {
+      id: 'm1', title: 'Design', purpose: 'Scope, "v1"', currentCompletionDate: '2026-03-10', originalCompletionDate: '2026-03-01',
+      items: [
+        { id: 'i1', text: 'Spec', status: 'Completed', assignee: 'Ana', dueDate: '2026-03-01', effort: 2.5, effortUnit: 'days', notes: 'Line 1\nLine 2', parentId: '', blockedBy: [] },
+        { id: 'i2', text: 'Review', status: 'Not Started', assignee: '', dueDate: '', effort: null, effortUnit: 'points', notes: '', parentId: 'i1', blockedBy: [] }
+      ]
+    },
+    { id: 'm2', title: 'Build', purpose: '', currentCompletionDate: '', originalCompletionDate: '', items: [
+      { id: 'i3', text: 'Code', status: 'In Progress', assignee: '', dueDate: '', effort: null, effortUnit: 'points', notes: '', parentId: '', blockedBy: ['i1', 'i2', 'filtered-out'] }
+    ] },
+    { id: 'm3', title: 'Empty', purpose: '', currentCompletionDate: '', originalCompletionDate: '', items: [] }
+  ]
+};
+
+/**
+ * Parses CSV text and builds a roadmap from it with the columns guessed from its header row.
+ * @param {string} csv - The CSV text.
+ * @returns {{ milestones: Array<object>, errors: Array<string> }} See buildRoadmapFromCsv.
+ */
+function importCsv(csv) {
+  const [headers, ...rows] = parseCsv(csv);
+  return buildRoadmapFromCsv(rows, guessCsvColumnMapping(headers), DEFAULT_STATUSES);
+}
+
+test('roadmapToCsv writes a header row and one row per item', () => {
+  const rows = parseCsv(roadmapToCsv(ROADMAP));
+  assert.deepEqual(rows[0], CSV_FIELDS.map(field => field.header));
+  assert.equal(rows.length, 5); // Header, three items and the empty milestone
+  const column = header => rows[0].indexOf(header);
+  assert.equal(rows[1][column('Purpose')], 'Scope, "v1"');
+  assert.equal(rows[1][column('Notes')], 'Line 1\nLine 2');
+  assert.equal(rows[2][column('Parent ID')], 'i1');
+  assert.equal(rows[2][column('Effort Unit')], ''); // No effort, no unit
+  assert.equal(rows[3][column('Blocked By')], 'i1, i2'); // Items outside the export are left out
+  assert.equal(rows[4][column('Milestone')], 'Empty');
+  assert.equal(rows[4][column('Item')], '');
+});
+
+test('a CSV export reads back with item IDs, sub-items, blockers and notes', () => {
+  const { milestones, errors } = importCsv(roadmapToCsv(ROADMAP));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(milestones.map(m => m.title), ['Design', 'Build', 'Empty']);
+  const [design, build] = milestones;
+  assert.equal(design.currentCompletionDate, '2026-03-10');
+  assert.equal(design.originalCompletionDate, '2026-03-01');
+  assert.deepEqual(design.items[0], { ...ROADMAP.milestones[0].items[0] });
+  assert.equal(design.items[1].parentId, 'i1');
+  assert.deepEqual(build.items[0].blockedBy, ['i1', 'i2']);
+});
+
+test('parseCsv handles semicolons, tabs, quotes, a byte order mark and blank lines', () => {
+  assert.deepEqual(parseCsv('\uFEFFa;b\r\n"x;1";"say ""hi"""\r\n\r\n'), [['a', 'b'], ['x;1', 'say "hi"']]);
+  assert.deepEqual(parseCsv('a\tb\n1\t2'), [['a', 'b'], ['1', '2']]);
+});
+
+test('guessCsvColumnMapping matches headers and aliases case-insensitively', () => {
+  const mapping = guessCsvColumnMapping(['Task', 'EPIC', 'Owner', 'Key', 'Comments']);
+  assert.equal(mapping.text, 0);
+  assert.equal(mapping.milestoneTitle, 1);
+  assert.equal(mapping.assignee, 2);
+  assert.equal(mapping.id, 3);
+  assert.equal(mapping.notes, 4);
+  assert.equal(mapping.status, -1);
+});
+
+test('buildRoadmapFromCsv imports the other rows and leaves unreadable values empty', () => {
+  const { milestones, errors } = importCsv([
+    'Milestone,Target Date,Item ID,Parent ID,Item,Status,Due Date,Effort,Blocked By',
+    'Alpha,03/01/2026,a,,First,completed,2026-3-1,lots,',
+    'Alpha,2026-03-01,b,missing,Second,,,"1,5",a; nope',
+    'Beta,,a,,Duplicate,,,,',
+    'Beta,,c,b,Third,,,,',
+    ',,,,Loose,,,,'
+  ].join('\n'));
+
+  assert.deepEqual(errors, [
+    'Row 2: Target Date "03/01/2026" is not a YYYY-MM-DD date.',
+    'Row 2: Effort "lots" is not a number.',
+    'Row 2: Due Date "2026-3-1" is not a YYYY-MM-DD date.',
+    'Row 3: Parent ID "missing" does not match any item.',
+    'Row 3: Blocked By "nope" does not match any item.',
+    'Row 4: Item ID "a" is already used in row 2; the item gets a new ID.',
+    'Row 5: Parent ID "b" is an item of another milestone.'
+  ]);
+  const [alpha, beta, imported] = milestones;
+  assert.equal(alpha.currentCompletionDate, '2026-03-01'); // From the next row with a valid date
+  assert.deepEqual(alpha.items.map(i => [i.text, i.status, i.dueDate, i.effort]), [['First', 'Completed', '', null], ['Second', '', '', 1.5]]);
+  assert.deepEqual(alpha.items[1].blockedBy, ['a']);
+  assert.notEqual(beta.items[0].id, 'a');
+  assert.equal(beta.items[1].parentId, '');
+  assert.equal(imported.title, 'Imported Items');
+});
@@ -0,0 +1,85 @@
+// Tests for roadmapDiff.js: comparing roadmap snapshots.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffRoadmaps, isDiffEmpty } from '../roadmapDiff.js';
+
+const BEFORE = {
+  roadmapName: 'Launch',
+  milestones: [
+    { id: 'm1', title: 'Alpha', currentCompletionDate: '2026-03-01', items: [
+      { id: 'i1', text: 'Spec', status: 'Completed' },
+      { id: 'i2', text: 'Build', status: 'In Progress' },
+      { id: 'i3', text: 'Docs', status: 'Not Started' }
+    ] },
+    { id: 'm2', title: 'Beta', currentCompletionDate: '2026-04-01', items: [] },
+    { id: 'm3', title: 'Gamma', currentCompletionDate: '', items: [{ id: 'i4', text: 'Polish', status: 'Not Started' }] }
+  ]
+};
+
+test('identical snapshots have an empty diff', () => {
+  const diff = diffRoadmaps(BEFORE, structuredClone(BEFORE));
+  assert.equal(isDiffEmpty(diff), true);
+  assert.equal(isDiffEmpty(diffRoadmaps({}, { milestones: [] })), true);
+});
+
+test('added and removed milestones and items are reported', () => {
+  const after = structuredClone(BEFORE);
+  after.milestones[0].items.splice(2, 1);
+  after.milestones[1].items.push({ id: 'i5', text: 'Beta test', status: 'Not Started' });
+  after.milestones.splice(2, 1);
+  after.milestones.push({ id: 'm4', title: 'GA', currentCompletionDate: '', items: [] });
+  const diff = diffRoadmaps(BEFORE, after);
+  assert.equal(isDiffEmpty(diff), false);
+  assert.deepEqual(diff.milestonesAdded.map(m => m.id), ['m4']);
+  assert.deepEqual(diff.milestonesRemoved.map(m => m.id), ['m3']);
+  assert.deepEqual(diff.itemsAdded.map(e => [e.item.id, e.milestone.id]), [['i5', 'm2']]);
+  assert.deepEqual(diff.itemsRemoved.map(e => [e.item.id, e.milestone.id]), [['i3', 'm1'], ['i4', 'm3']]);
+  assert.deepEqual(diff.statusChanges, []);
+  assert.deepEqual(diff.dateChanges, []);
+});
+
+test('status changes report the old and new status', () => {
+  const after = structuredClone(BEFORE);
+  after.milestones[0].items[1].status = 'Completed';
+  const diff = diffRoadmaps(BEFORE, after);
+  assert.equal(diff.statusChanges.length, 1);
+  assert.equal(diff.statusChanges[0].item.id, 'i2');
+  assert.equal(diff.statusChanges[0].fromStatus, 'In Progress');
+  assert.equal(diff.statusChanges[0].toStatus, 'Completed');
+  assert.deepEqual(diff.itemsAdded, []);
+  assert.deepEqual(diff.itemsRemoved, []);
+});
+
+test('date changes give the slip in days, positive when later', () => {
+  const after = structuredClone(BEFORE);
+  after.milestones[0].currentCompletionDate = '2026-03-15';
+  after.milestones[1].currentCompletionDate = '2026-03-30';
+  after.milestones[2].currentCompletionDate = '2026-05-01';
+  const diff = diffRoadmaps(BEFORE, after);
+  assert.deepEqual(diff.dateChanges.map(c => [c.milestone.id, c.fromDate, c.toDate, c.days]), [
+    ['m1', '2026-03-01', '2026-03-15', 14],
+    ['m2', '2026-04-01', '2026-03-30', -2],
+    ['m3', '', '2026-05-01', null]
+  ]);
+});
+
+test('moving items between milestones and reordering are not reported as changes', () => {
+  const after = structuredClone(BEFORE);
+  const [moved] = after.milestones[0].items.splice(1, 1);
+  after.milestones[1].items.push(moved);
+  after.milestones[0].items.reverse();
+  after.milestones.reverse();
+  assert.equal(isDiffEmpty(diffRoadmaps(BEFORE, after)), true);
+});
+
+test('a moved item whose status changed is reported once, under its new milestone', () => {
+  const after = structuredClone(BEFORE);
+  const [moved] = after.milestones[0].items.splice(1, 1);
+  moved.status = 'Blocked';
+  after.milestones[1].items.push(moved);
+  const diff = diffRoadmaps(BEFORE, after);
+  assert.deepEqual(diff.itemsAdded, []);
+  assert.deepEqual(diff.itemsRemoved, []);
+  assert.deepEqual(diff.statusChanges.map(c => [c.item.id, c.milestone.id, c.fromStatus, c.toStatus]), [['i2', 'm2', 'In Progress', 'Blocked']]);
+});
@@ -0,0 +1,66 @@
+// Tests for roadmapFilter.js: the list view's filter criteria and the filtered roadmap used for exports.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEmptyFilter, isFilterActive, filterRoadmap } from '../roadmapFilter.js';
+import { DEFAULT_STATUSES } from '../config.js';
+
+const ROADMAP = {
+  roadmapName: 'Filtered',
+  statuses: DEFAULT_STATUSES,
+  milestones: [
+    {
+      id: 'm1', title: 'Design', purpose: 'Research phase', currentCompletionDate: '2026-03-01',
+      items: [
+        { id: 'a', text: 'Interviews', status: 'Completed', parentId: '', dueDate: '' },
+        { id: 'b', text: 'Survey', status: 'In Progress', parentId: '', dueDate: '2026-04-15' },
+        { id: 'c', text: 'Write survey questions', status: 'Not Started', parentId: 'b', dueDate: '' }
+      ]
+    },
+    { id: 'm2', title: 'Build', purpose: '', currentCompletionDate: '2026-05-01', items: [] },
+    { id: 'm3', title: 'Done', purpose: '', currentCompletionDate: '', items: [{ id: 'd', text: 'Kickoff', status: 'Completed', parentId: '', dueDate: '' }] }
+  ]
+};
+
+/**
+ * Filters the sample roadmap and lists what is left.
+ * @param {object} criteria - Criteria that differ from the empty filter.
+ * @returns {Array<Array>} [milestone ID, [item IDs]] per kept milestone.
+ */
+function keptIds(criteria) {
+  return filterRoadmap(ROADMAP, { ...getEmptyFilter(), ...criteria }).milestones.map(m => [m.id, m.items.map(i => i.id)]);
+}
+
+test('isFilterActive is false only for empty criteria', () => {
+  assert.equal(isFilterActive(getEmptyFilter()), false);
+  assert.equal(isFilterActive({ ...getEmptyFilter(), text: '  ' }), false);
+  assert.equal(isFilterActive({ ...getEmptyFilter(), hideCompleted: true }), true);
+  assert.equal(isFilterActive({ ...getEmptyFilter(), dateTo: '2026-01-01' }), true);
+});
+
+test('the empty filter keeps everything', () => {
+  assert.deepEqual(keptIds({}), [['m1', ['a', 'b', 'c']], ['m2', []], ['m3', ['d']]]);
+  assert.equal(filterRoadmap(ROADMAP, getEmptyFilter()).roadmapName, 'Filtered');
+});
+
+test('search text matches items, and milestone titles or purposes with all their items', () => {
+  assert.deepEqual(keptIds({ text: 'QUESTIONS' }), [['m1', ['b', 'c']]]); // A matching sub-task keeps its parent
+  assert.deepEqual(keptIds({ text: 'research' }), [['m1', ['a', 'b', 'c']]]);
+  assert.deepEqual(keptIds({ text: 'build' }), [['m2', []]]);
+});
+
+test('status and hide-completed criteria drop milestones without matching items', () => {
+  assert.deepEqual(keptIds({ statuses: ['Not Started'] }), [['m1', ['b', 'c']]]);
+  assert.deepEqual(keptIds({ hideCompleted: true }), [['m1', ['b', 'c']], ['m2', []]]);
+});
+
+test('the date range uses due dates, else the milestone target date', () => {
+  assert.deepEqual(keptIds({ dateFrom: '2026-04-01' }), [['m1', ['b']], ['m2', []]]);
+  assert.deepEqual(keptIds({ dateTo: '2026-03-31' }), [['m1', ['a', 'b', 'c']]]); // b is kept as c's parent
+});
+
+test('filterRoadmap does not change the roadmap', () => {
+  const before = JSON.stringify(ROADMAP);
+  filterRoadmap(ROADMAP, { ...getEmptyFilter(), text: 'survey', hideCompleted: true });
+  assert.equal(JSON.stringify(ROADMAP), before);
+});
@@ -0,0 +1,109 @@
+// Tests for roadmapMarkdown.js: writing roadmaps as Markdown and reading them back, including hand-written task lists.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { roadmapToMarkdown, parseRoadmapMarkdown } from '../roadmapMarkdown.js';
+import { DEFAULT_STATUSES } from '../config.js';
+
+/**
+ * Builds an item as the roadmap store holds it.
+ * @param {object} fields - The fields that differ from an empty item.
+ * @returns {object} The item.
+ */
+function makeItem(fields) {
+  return { text: '', status: 'Not Started', assignee: '', dueDate: '', effort: null, effortUnit: 'points', notes: '', parentId: '', blockedBy: [], ...fields };
+}
+
+const ROADMAP = {
+  roadmapName: 'Launch',
+  statuses: DEFAULT_STATUSES,
+  milestones: [
+    {
+      id: 'm1', title: 'Design, phase 1', purpose: 'Agree on the scope.', currentCompletionDate: '2026-03-10',
+      originalCompletionDate: '2026-03-01', dependsOn: [],
+      items: [
+        makeItem({ id: 'i1', text: 'Write the spec', status: 'Completed', assignee: 'Ana', dueDate: '2026-03-01', effort: 3 }),
+        makeItem({ id: 'i2', text: 'Review it', parentId: 'i1', notes: 'Two reviewers\nat least' })
+      ]
+    },
+    {
+      id: 'm2', title: 'Build "v1"', purpose: 'Checklist for the team:\n- [ ] not an item\n- [x] nor this\n## nor a milestone',
+      currentCompletionDate: '', originalCompletionDate: '', dependsOn: ['m1'], items: []
+    }
+  ]
+};
+
+test('roadmapToMarkdown writes the legend, milestone details and items', () => {
+  const markdown = roadmapToMarkdown(ROADMAP);
+  assert.match(markdown, /^# Launch\n/);
+  assert.match(markdown, /^- ✅ \*\*Completed\*\* \(done, #198754\) — Work is finished\.$/m);
+  assert.match(markdown, /^\*\*Target date:\*\* 2026-03-10 \(original: 2026-03-01\)/m);
+  assert.match(markdown, /^\*\*Depends on:\*\* "Design, phase 1"$/m);
+  assert.match(markdown, /^- \[x\] ✅ \*\*Completed\*\* Write the spec — @Ana · due 2026-03-01 · 3 points$/m);
+  assert.match(markdown, /^ {2}- \[ \] 📝 \*\*Not Started\*\* Review it\n {4}> Two reviewers\n {4}> at least$/m);
+  assert.match(markdown, /^\\- \[ \] not an item$/m);
+});
+
+test('parseRoadmapMarkdown reads back what roadmapToMarkdown wrote', () => {
+  const parsed = parseRoadmapMarkdown(roadmapToMarkdown(ROADMAP));
+  assert.equal(parsed.roadmapName, 'Launch');
+  assert.deepEqual(parsed.statuses.map(s => s.name), DEFAULT_STATUSES.map(s => s.name));
+  assert.equal(parsed.statuses[2].category, 'done');
+
+  const [design, build] = parsed.milestones;
+  assert.equal(parsed.milestones.length, 2);
+  assert.equal(design.title, 'Design, phase 1');
+  assert.equal(design.currentCompletionDate, '2026-03-10');
+  assert.equal(design.originalCompletionDate, '2026-03-01');
+  assert.equal(design.purpose, 'Agree on the scope.');
+
+  const [spec, review] = design.items;
+  assert.deepEqual(
+    { text: spec.text, status: spec.status, assignee: spec.assignee, dueDate: spec.dueDate, effort: spec.effort },
+    { text: 'Write the spec', status: 'Completed', assignee: 'Ana', dueDate: '2026-03-01', effort: 3 }
+  );
+  assert.equal(review.parentId, spec.id);
+  assert.equal(review.notes, 'Two reviewers\nat least');
+});
+
+test('parseRoadmapMarkdown keeps dependencies on titles with commas and quotes', () => {
+  const roadmap = {
+    ...ROADMAP,
+    milestones: [...ROADMAP.milestones, { id: 'm3', title: 'Ship', purpose: '', dependsOn: ['m1', 'm2'], items: [] }]
+  };
+  const [design, build, ship] = parseRoadmapMarkdown(roadmapToMarkdown(roadmap)).milestones;
+  assert.equal(build.title, 'Build "v1"');
+  assert.deepEqual(build.dependsOn, [design.id]);
+  assert.deepEqual(ship.dependsOn, [design.id, build.id]);
+});
+
+test('parseRoadmapMarkdown keeps task bullets and headings in a purpose as text', () => {
+  const build = parseRoadmapMarkdown(roadmapToMarkdown(ROADMAP)).milestones[1];
+  assert.equal(build.purpose, ROADMAP.milestones[1].purpose);
+  assert.deepEqual(build.items, []);
+});
+
+test('parseRoadmapMarkdown reads hand-written task lists', () => {
+  const parsed = parseRoadmapMarkdown([
+    '- [ ] Loose task',
+    '',
+    '## Sprint 1',
+    '**Depends on:** Sprint 2',
+    'Some context.',
+    '- [x] Done thing',
+    '- [ ] **Blocked** Waiting on legal',
+    '',
+    '## Sprint 2',
+    '**Depends on:** Sprint 1, Nowhere'
+  ].join('\n'), DEFAULT_STATUSES);
+
+  assert.equal(parsed.roadmapName, '');
+  assert.equal('statuses' in parsed, false);
+  const [imported, sprint1, sprint2] = parsed.milestones;
+  assert.equal(imported.title, 'Imported Items');
+  assert.equal(imported.items[0].status, 'Not Started');
+  assert.equal(sprint1.purpose, 'Some context.');
+  assert.deepEqual(sprint1.items.map(i => [i.text, i.status]), [['Done thing', 'Completed'], ['Waiting on legal', 'Blocked']]);
+  assert.deepEqual(sprint1.dependsOn, [sprint2.id]);
+  assert.deepEqual(sprint2.dependsOn, [sprint1.id]); // Cycles are left to the store to refuse
+});
@@ -0,0 +1,55 @@
+// Tests for roadmapMigrations.js: detecting the format version of saved roadmaps and upgrading them.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectSchemaVersion, migrateRoadmapData } from '../roadmapMigrations.js';
+import { ROADMAP_SCHEMA_VERSION } from '../config.js';
+
+test('detectSchemaVersion recognizes the legacy periods format and unversioned milestones', () => {
+  assert.equal(detectSchemaVersion({ periods: [] }), 0);
+  assert.equal(detectSchemaVersion({ milestones: [] }), 1);
+  assert.equal(detectSchemaVersion({ schemaVersion: 3, milestones: [] }), 3);
+});
+
+test('migrateRoadmapData converts periods into milestones', () => {
+  const migrated = migrateRoadmapData({
+    title: 'Legacy',
+    periods: [
+      { name: 'Q1', goal: 'Launch', endDate: '2026-03-31', tasks: ['Plan', { description: 'Build', status: 'In Progress' }] },
+      { date: 'next spring' }
+    ]
+  });
+  assert.equal(migrated.schemaVersion, ROADMAP_SCHEMA_VERSION);
+  assert.equal(migrated.roadmapName, 'Legacy');
+  assert.equal('periods' in migrated, false);
+  assert.deepEqual(migrated.milestones[0], {
+    title: 'Q1',
+    purpose: 'Launch',
+    currentCompletionDate: '2026-03-31',
+    originalCompletionDate: '2026-03-31',
+    items: [{ text: 'Plan' }, { text: 'Build', status: 'In Progress' }]
+  });
+  assert.equal(migrated.milestones[1].title, 'Period 2');
+  assert.equal(migrated.milestones[1].currentCompletionDate, ''); // Not a YYYY-MM-DD date
+});
+
+test('migrateRoadmapData keeps current data and sets the version', () => {
+  const data = { roadmapName: 'Current', milestones: [] };
+  const migrated = migrateRoadmapData(data);
+  assert.deepEqual(migrated, { ...data, schemaVersion: ROADMAP_SCHEMA_VERSION });
+  assert.equal(data.schemaVersion, undefined); // The input is not changed
+});
+
+test('migrateRoadmapData keeps version 1 milestones, whose newer fields are optional', () => {
+  const data = { schemaVersion: 1, roadmapName: 'Version 1', milestones: [{ title: 'A', items: [{ text: 'Item' }] }] };
+  assert.deepEqual(migrateRoadmapData(data), { ...data, schemaVersion: ROADMAP_SCHEMA_VERSION });
+});
+
+test('migrateRoadmapData rejects data it cannot upgrade with readable errors', () => {
+  assert.throws(() => migrateRoadmapData(null), /not a roadmap object/);
+  assert.throws(() => migrateRoadmapData([]), /not a roadmap object/);
+  assert.throws(() => migrateRoadmapData({ schemaVersion: '1', milestones: [] }), /schemaVersion\) is invalid/);
+  assert.throws(() => migrateRoadmapData({ schemaVersion: -1, milestones: [] }), /schemaVersion\) is invalid/);
+  assert.throws(() => migrateRoadmapData({ schemaVersion: ROADMAP_SCHEMA_VERSION + 1 }), /newer than this app supports/);
+  assert.throws(() => migrateRoadmapData({ schemaVersion: 0 }), /has no "periods" list/);
+});
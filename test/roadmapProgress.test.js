@@ -0,0 +1,109 @@
+// Tests for roadmapProgress.js: completion figures, the slip report, deadlines and the milestone dependency checks.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getMilestoneProgress, getSubItemProgress, getOpenBlockers, isMilestoneSlipped, getRoadmapSummary, getSlipReport,
+  getDeadlines, getDownstreamMilestoneIds, getDependencyConflicts, getCriticalPath
+} from '../roadmapProgress.js';
+import { DEFAULT_STATUSES } from '../config.js';
+
+// A custom done-category status, to check that progress follows categories rather than names
+const STATUSES = [...DEFAULT_STATUSES, { name: 'Shipped', icon: '🚀', category: 'done', color: '#198754', description: '' }];
+
+const ROADMAP = {
+  statuses: STATUSES,
+  milestones: [
+    {
+      id: 'm1', title: 'Alpha', currentCompletionDate: '2026-03-05', originalCompletionDate: '2026-03-01', dependsOn: [],
+      dateChanges: [{ from: '2026-03-01', to: '2026-03-05', reason: 'Vendor' }],
+      items: [
+        { id: 'a', text: 'Done', status: 'Completed', parentId: '', blockedBy: [], dueDate: '2026-01-01' },
+        { id: 'b', text: 'Shipped', status: 'Shipped', parentId: 'a', blockedBy: [] },
+        { id: 'c', text: 'Stuck', status: 'Blocked', parentId: 'a', blockedBy: ['a', 'd', 'gone'], dueDate: '2026-03-02' }
+      ]
+    },
+    {
+      id: 'm2', title: 'Beta', currentCompletionDate: '2026-03-03', originalCompletionDate: '2026-03-03', dependsOn: ['m1'],
+      items: [{ id: 'd', text: 'Risky', status: 'At Risk', parentId: '', blockedBy: [], dueDate: '2026-03-09' }]
+    },
+    { id: 'm3', title: 'Gamma', currentCompletionDate: '2026-04-01', originalCompletionDate: '', dependsOn: ['m2'], items: [] },
+    { id: 'm4', title: 'Undated', currentCompletionDate: '', originalCompletionDate: '', dependsOn: ['m3'], items: [] }
+  ]
+};
+
+test('getMilestoneProgress counts done-category items, leaving out items with sub-items', () => {
+  assert.deepEqual(getMilestoneProgress(ROADMAP.milestones[0], STATUSES), { done: 1, total: 2, percent: 50 });
+  assert.deepEqual(getMilestoneProgress(ROADMAP.milestones[2], STATUSES), { done: 0, total: 0, percent: 0 });
+});
+
+test('parents rolled up from their sub-items are not counted twice', () => {
+  const roadmap = {
+    statuses: STATUSES,
+    milestones: [{
+      id: 'm', title: 'Rolled up', currentCompletionDate: '', originalCompletionDate: '', dependsOn: [],
+      items: [
+        { id: 'p', text: 'Finished parent', status: 'Completed', parentId: '', blockedBy: [] },
+        { id: 'p1', text: 'Done', status: 'Completed', parentId: 'p', blockedBy: [] },
+        { id: 'p2', text: 'Shipped', status: 'Shipped', parentId: 'p', blockedBy: [] },
+        { id: 'q', text: 'Blocked parent', status: 'Blocked', parentId: '', blockedBy: [] },
+        { id: 'q1', text: 'Stuck', status: 'Blocked', parentId: 'q', blockedBy: [] }
+      ]
+    }]
+  };
+  // Rounded down, so 100% means everything is done
+  assert.deepEqual(getMilestoneProgress(roadmap.milestones[0], STATUSES), { done: 2, total: 3, percent: 66 });
+  assert.deepEqual(getRoadmapSummary(roadmap), { done: 2, total: 3, percent: 66, blocked: 1, atRisk: 0, slippedMilestones: 0, milestones: 1 });
+});
+
+test('getSubItemProgress counts only the sub-items of one parent', () => {
+  assert.deepEqual(getSubItemProgress(ROADMAP.milestones[0], 'a', STATUSES), { done: 1, total: 2 });
+  assert.deepEqual(getSubItemProgress(ROADMAP.milestones[0], 'b', STATUSES), { done: 0, total: 0 });
+});
+
+test('getOpenBlockers lists unfinished blockers across milestones', () => {
+  const blockers = getOpenBlockers(ROADMAP, ROADMAP.milestones[0].items[2]);
+  assert.deepEqual(blockers.map(b => [b.item.id, b.milestone.id]), [['d', 'm2']]);
+});
+
+test('getRoadmapSummary and isMilestoneSlipped', () => {
+  assert.equal(isMilestoneSlipped(ROADMAP.milestones[0]), true);
+  assert.equal(isMilestoneSlipped(ROADMAP.milestones[1]), false);
+  assert.deepEqual(getRoadmapSummary(ROADMAP), { done: 1, total: 3, percent: 33, blocked: 1, atRisk: 1, slippedMilestones: 1, milestones: 4 });
+});
+
+test('getSlipReport lists milestones with an original date', () => {
+  const report = getSlipReport(ROADMAP);
+  assert.deepEqual(report.map(row => [row.title, row.daysSlipped, row.dateChanges.length]), [['Alpha', 4, 1], ['Beta', 0, 0]]);
+});
+
+test('getDeadlines finds overdue and due-soon entries among unfinished work', () => {
+  const { overdue, dueSoon } = getDeadlines(ROADMAP, { today: '2026-03-04', dueSoonDays: 5 });
+  // Item a is done, so its past due date does not count
+  assert.deepEqual(overdue.map(e => [e.type, e.id, e.daysLeft]), [['item', 'c', -2], ['milestone', 'm2', -1]]);
+  assert.deepEqual(dueSoon.map(e => [e.type, e.id, e.daysLeft]), [['milestone', 'm1', 1], ['item', 'd', 5]]);
+  assert.equal(dueSoon[0].milestoneTitle, 'Alpha');
+  assert.deepEqual(getDeadlines(ROADMAP, { today: '2026-03-04', dueSoonDays: 0 }).dueSoon, []);
+});
+
+test('getDownstreamMilestoneIds follows dependencies transitively', () => {
+  assert.deepEqual(getDownstreamMilestoneIds(ROADMAP, 'm1'), ['m2', 'm3', 'm4']);
+  assert.deepEqual(getDownstreamMilestoneIds(ROADMAP, 'm4'), []);
+});
+
+test('getDependencyConflicts flags milestones due before their dependencies', () => {
+  assert.deepEqual(getDependencyConflicts(ROADMAP), [{
+    milestoneId: 'm2', dependencyId: 'm1', date: '2026-03-03', dependencyDate: '2026-03-05', title: 'Beta', dependencyTitle: 'Alpha'
+  }]);
+});
+
+test('getCriticalPath walks back from the latest dated milestone with dependencies', () => {
+  assert.deepEqual(getCriticalPath(ROADMAP), ['m1', 'm2', 'm3']);
+  assert.deepEqual(getCriticalPath({ milestones: [{ id: 'x', currentCompletionDate: '2026-01-01', dependsOn: [] }] }), []);
+  // Hand-edited cycles do not loop forever
+  const cyclic = { milestones: [
+    { id: 'x', currentCompletionDate: '2026-01-01', dependsOn: ['y'] },
+    { id: 'y', currentCompletionDate: '2026-02-01', dependsOn: ['x'] }
+  ] };
+  assert.deepEqual(getCriticalPath(cyclic), ['x', 'y']);
+});
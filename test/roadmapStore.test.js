@@ -0,0 +1,272 @@
+// Tests for roadmapStore.js: loading and normalizing roadmaps, the mutations, the parent-status roll-up
+// and the bulk item operations. Run with `npm test`.
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  subscribe, getRoadmapState, getItem, getMilestone, hasMilestones, loadRoadmap, setRoadmapStatuses, setRoadmapName,
+  addMilestone, updateMilestone, rescheduleMilestone, shiftMilestoneDates, setMilestoneDependencies, moveMilestone,
+  removeMilestone, addItem, updateItem, setItemBlockers, removeItem, moveItem, updateItems, removeItems, moveItems,
+  duplicateItems
+} from '../roadmapStore.js';
+import { DEFAULT_STATUSES } from '../config.js';
+
+/**
+ * Loads a small roadmap: milestone m1 with a parent item p (sub-items c1 and c2) and a plain item a,
+ * and milestone m2 (depending on m1) with item b, which is blocked by a.
+ */
+function loadSample() {
+  loadRoadmap({
+    roadmapName: 'Sample',
+    statuses: DEFAULT_STATUSES,
+    milestones: [
+      {
+        id: 'm1', title: 'Alpha', currentCompletionDate: '2026-03-01',
+        items: [
+          { id: 'p', text: 'Parent', status: 'Not Started' },
+          { id: 'c1', text: 'Child 1', status: 'Not Started', parentId: 'p' },
+          { id: 'c2', text: 'Child 2', status: 'Not Started', parentId: 'p' },
+          { id: 'a', text: 'Plain', status: 'In Progress' }
+        ]
+      },
+      { id: 'm2', title: 'Beta', dependsOn: ['m1'], items: [{ id: 'b', text: 'Blocked one', blockedBy: ['a'] }] }
+    ]
+  });
+}
+
+/**
+ * Records the store events emitted while running a function.
+ * @param {Function} action - The mutation(s) to run.
+ * @returns {Array<object>} The events, in order.
+ */
+function captureEvents(action) {
+  const events = [];
+  const unsubscribe = subscribe(event => events.push(event));
+  try {
+    action();
+  } finally {
+    unsubscribe();
+  }
+  return events;
+}
+
+beforeEach(loadSample);
+
+// --- Loading ---
+
+test('loadRoadmap normalizes items and keeps unknown statuses in the legend', () => {
+  loadRoadmap({
+    roadmapName: 'Loaded',
+    statuses: DEFAULT_STATUSES,
+    milestones: [{ id: 'm', items: [{ id: 'x', text: 'No status' }, { id: 'x', status: 'Custom', effort: '3', effortUnit: 'weeks' }] }]
+  });
+  const state = getRoadmapState();
+  assert.equal(state.milestones[0].title, 'Milestone 1');
+  assert.equal(state.milestones[0].items[0].status, 'Not Started');
+  assert.equal(state.milestones[0].items[1].status, 'Custom');
+  assert.equal(state.milestones[0].items[1].effort, 3);
+  assert.equal(state.milestones[0].items[1].effortUnit, 'points');
+  assert.equal(state.milestones[0].items[0].effort, null);
+  assert.match(state.milestones[0].items[1].id, /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/); // Duplicate IDs get a new UUID
+  assert.ok(state.statuses.some(s => s.name === 'Custom' && s.category === 'todo'));
+});
+
+test('loadRoadmap uses the fallback statuses for data saved without any', () => {
+  const fallbackStatuses = [{ name: 'Open', icon: '📂' }, { name: 'Completed', icon: '📁' }];
+  loadRoadmap({ milestones: [{ items: [{ text: 'No status' }] }] }, { fallbackStatuses });
+  const state = getRoadmapState();
+  // Statuses saved before categories existed take the category of the built-in status with the same name
+  assert.deepEqual(state.statuses.map(s => [s.name, s.category]), [['Open', 'todo'], ['Completed', 'done']]);
+  assert.equal(state.milestones[0].items[0].status, 'Open'); // The first status of the roadmap
+});
+
+test('loadRoadmap repairs item and milestone links', () => {
+  loadRoadmap({
+    roadmapName: 'Links',
+    statuses: DEFAULT_STATUSES,
+    milestones: [
+      {
+        id: 'm1', dependsOn: ['m2', 'missing'],
+        items: [
+          { id: 'child', parentId: 'top' },
+          { id: 'top' },
+          { id: 'grandchild', parentId: 'child' },
+          { id: 'self', blockedBy: ['self', 'top', 'missing'] }
+        ]
+      },
+      { id: 'm2', dependsOn: ['m1'], items: [] }
+    ]
+  });
+  const [m1, m2] = getRoadmapState().milestones;
+  assert.deepEqual(m1.items.map(i => i.id), ['top', 'child', 'grandchild', 'self']);
+  assert.equal(m1.items.find(i => i.id === 'grandchild').parentId, ''); // Only one level of nesting
+  assert.deepEqual(m1.items.find(i => i.id === 'self').blockedBy, ['top']);
+  assert.deepEqual(m1.dependsOn, ['m2']);
+  assert.deepEqual(m2.dependsOn, []); // Would close a cycle
+});
+
+test('readers return copies that cannot change the store', () => {
+  const state = getRoadmapState();
+  state.milestones[0].title = 'Changed';
+  getItem('a').text = 'Changed';
+  assert.equal(getMilestone('m1').title, 'Alpha');
+  assert.equal(getItem('a').text, 'Plain');
+  assert.ok(hasMilestones());
+});
+
+// --- Roadmap and Milestone Mutations ---
+
+test('setRoadmapName emits only when the name changes', () => {
+  assert.equal(captureEvents(() => setRoadmapName('Sample')).length, 0);
+  assert.deepEqual(captureEvents(() => setRoadmapName('Renamed')).map(e => e.action), ['name-updated']);
+  assert.equal(getRoadmapState().roadmapName, 'Renamed');
+});
+
+test('addMilestone, updateMilestone, moveMilestone and removeMilestone', () => {
+  const added = addMilestone({ title: 'Gamma', items: [{ text: 'New' }] }, 1);
+  assert.deepEqual(getRoadmapState().milestones.map(m => m.title), ['Alpha', 'Gamma', 'Beta']);
+  assert.equal(getMilestone(added.id).items.length, 1);
+
+  const events = captureEvents(() => updateMilestone(added.id, { title: 'Gamma 2', purpose: '' }));
+  assert.deepEqual(events, [{ action: 'milestone-updated', milestoneId: added.id, fields: ['title'] }]);
+
+  moveMilestone(added.id, 5);
+  assert.deepEqual(getRoadmapState().milestones.map(m => m.id), ['m1', 'm2', added.id]);
+
+  removeMilestone('m1');
+  assert.deepEqual(getMilestone('m2').dependsOn, []);
+});
+
+test('rescheduleMilestone logs date changes and keeps the original date', () => {
+  rescheduleMilestone('m1', '2026-03-10', { reason: 'Vendor delay' });
+  const milestone = getMilestone('m1');
+  assert.equal(milestone.currentCompletionDate, '2026-03-10');
+  assert.equal(milestone.originalCompletionDate, '2026-03-01');
+  assert.equal(milestone.dateChanges.length, 1);
+  assert.equal(milestone.dateChanges[0].reason, 'Vendor delay');
+
+  rescheduleMilestone('m2', '2026-04-01'); // The first date is not a change
+  assert.equal(getMilestone('m2').dateChanges.length, 0);
+  assert.equal(getMilestone('m2').originalCompletionDate, '2026-04-01');
+});
+
+test('shiftMilestoneDates moves dated milestones in one event', () => {
+  const events = captureEvents(() => shiftMilestoneDates(['m1', 'm2'], 7, { reason: 'Slip' }));
+  assert.deepEqual(events, [{ action: 'milestones-shifted', milestoneIds: ['m1'] }]);
+  assert.equal(getMilestone('m1').currentCompletionDate, '2026-03-08');
+});
+
+test('setMilestoneDependencies refuses cycles', () => {
+  const refused = setMilestoneDependencies('m1', ['m2', 'm1', 'missing']);
+  assert.deepEqual(refused, ['m2']);
+  assert.deepEqual(getMilestone('m1').dependsOn, []);
+});
+
+// --- Item Mutations and the Roll-up ---
+
+test('addItem adds sub-items only under top-level items', () => {
+  const item = addItem('m1', { text: 'Child 3', parentId: 'p' });
+  assert.deepEqual(getMilestone('m1').items.map(i => i.id), ['p', 'c1', 'c2', item.id, 'a']);
+  assert.equal(addItem('m1', { text: 'Too deep', parentId: 'c1' }), null);
+  assert.equal(addItem('missing', { text: 'Nowhere' }), null);
+});
+
+test('updateItem ignores status changes to items with sub-items', () => {
+  const events = captureEvents(() => updateItem('p', { status: 'Completed', text: 'Renamed parent' }));
+  assert.deepEqual(events, [{ action: 'item-updated', milestoneId: 'm1', itemId: 'p', fields: ['text'] }]);
+  assert.equal(getItem('p').status, 'Not Started');
+});
+
+test('parent status rolls up from its sub-items', () => {
+  const events = captureEvents(() => updateItem('c1', { status: 'Completed' }));
+  assert.equal(getItem('p').status, 'In Progress');
+  // The change itself is reported first, then the parent it rolled up to
+  assert.deepEqual(events.map(e => e.itemId), ['c1', 'p']);
+
+  updateItem('c2', { status: 'Blocked' });
+  assert.equal(getItem('p').status, 'Blocked');
+  updateItem('c2', { status: 'At Risk' });
+  assert.equal(getItem('p').status, 'At Risk');
+  updateItem('c2', { status: 'Completed' });
+  assert.equal(getItem('p').status, 'Completed');
+  removeItem('c2');
+  updateItem('c1', { status: 'Not Started' });
+  assert.equal(getItem('p').status, 'Not Started');
+});
+
+test('setItemBlockers ignores unknown items and the item itself', () => {
+  setItemBlockers('b', ['b', 'missing', 'p']);
+  assert.deepEqual(getItem('b').blockedBy, ['p']);
+});
+
+test('removeItem removes sub-items and blocked-by links to them', () => {
+  setItemBlockers('b', ['c1', 'a']);
+  removeItem('p');
+  assert.deepEqual(getMilestone('m1').items.map(i => i.id), ['a']);
+  assert.deepEqual(getItem('b').blockedBy, ['a']);
+});
+
+test('moveItem moves an item with its sub-items and refuses deeper nesting', () => {
+  moveItem('p', 'm2', 0);
+  assert.deepEqual(getMilestone('m2').items.map(i => i.id), ['p', 'c1', 'c2', 'b']);
+  moveItem('p', 'm2', 0, { parentId: 'b' }); // p has sub-items
+  assert.equal(getItem('p').parentId, '');
+  moveItem('a', 'm2', 0, { parentId: 'b' });
+  assert.equal(getItem('a').parentId, 'b');
+});
+
+// --- Bulk Item Mutations ---
+
+test('updateItems changes several items in one event and rolls up parents', () => {
+  const events = captureEvents(() => updateItems(['c1', 'c2', 'p'], { status: 'Completed' }));
+  assert.equal(events.length, 1);
+  assert.equal(events[0].action, 'items-updated');
+  assert.deepEqual(events[0].itemIds, ['c1', 'c2', 'p']);
+  assert.equal(getItem('p').status, 'Completed');
+});
+
+test('removeItems removes the selection with sub-items in one event', () => {
+  const events = captureEvents(() => removeItems(['p', 'c1', 'a']));
+  assert.deepEqual(events.map(e => e.action), ['items-removed']);
+  assert.deepEqual(events[0].itemIds.sort(), ['a', 'c1', 'c2', 'p']);
+  assert.deepEqual(getMilestone('m1').items, []);
+  assert.deepEqual(getItem('b').blockedBy, []);
+});
+
+test('moveItems moves the selection to the end of a milestone as top-level items', () => {
+  moveItems(['c1', 'a'], 'm2');
+  assert.deepEqual(getMilestone('m2').items.map(i => i.id), ['b', 'c1', 'a']);
+  assert.equal(getItem('c1').parentId, '');
+  assert.deepEqual(getMilestone('m1').items.map(i => i.id), ['p', 'c2']);
+});
+
+test('duplicateItems copies items with their sub-items after the originals', () => {
+  const [copyId] = duplicateItems(['p']);
+  const items = getMilestone('m1').items;
+  assert.deepEqual(items.slice(3, 6).map(i => i.parentId), ['', copyId, copyId]);
+  assert.equal(items[3].id, copyId);
+  assert.equal(items[3].text, 'Parent');
+});
+
+// --- Statuses ---
+
+test('setRoadmapStatuses refuses an empty list', () => {
+  setRoadmapStatuses([]);
+  assert.equal(getRoadmapState().statuses.length, DEFAULT_STATUSES.length);
+});
+
+test('setRoadmapStatuses rewrites item statuses and rolls up parents in one event', () => {
+  const statuses = DEFAULT_STATUSES.map(s => (s.name === 'Not Started' ? { ...s, name: 'To Do' } : s));
+  const events = captureEvents(() => setRoadmapStatuses(statuses, status => (status === 'Not Started' ? 'To Do' : status)));
+  assert.equal(events.length, 1);
+  assert.equal(events[0].action, 'statuses-updated');
+  assert.deepEqual(events[0].itemIds, ['p', 'c1', 'c2', 'b']);
+  assert.equal(getItem('c1').status, 'To Do');
+  assert.equal(getItem('p').status, 'To Do'); // Rolled up from the renamed status, not reset
+});
+
+test('setRoadmapStatuses keeps item statuses without a mapping', () => {
+  const events = captureEvents(() => setRoadmapStatuses(DEFAULT_STATUSES.slice(1)));
+  assert.deepEqual(events, [{ action: 'statuses-updated', itemIds: [] }]);
+  assert.equal(getItem('a').status, 'In Progress');
+});
@@ -0,0 +1,95 @@
+// Tests for roadmapValidation.js: checking imported roadmap data against the export schema.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateRoadmapJson } from '../roadmapValidation.js';
+import { DEFAULT_STATUSES } from '../config.js';
+
+/**
+ * Builds roadmap data with a single milestone.
+ * @param {object} [milestoneFields={}] - Fields that differ from a valid milestone.
+ * @param {object} [itemFields={}] - Fields that differ from the milestone's valid item.
+ * @returns {object} The roadmap data.
+ */
+function makeRoadmap(milestoneFields = {}, itemFields = {}) {
+  return {
+    schemaVersion: 2,
+    roadmapName: 'Valid',
+    statuses: DEFAULT_STATUSES,
+    milestones: [{
+      id: 'm1', title: 'Alpha', purpose: '', currentCompletionDate: '2026-03-10', originalCompletionDate: '2026-03-01',
+      dependsOn: [], dateChanges: [{ from: '2026-03-01', to: '2026-03-10', changedAt: '2026-02-01T10:00:00.000Z', reason: '' }],
+      items: [{
+        id: 'i1', text: 'Spec', status: 'Completed', assignee: '', dueDate: '2026-03-01', effort: 3, effortUnit: 'points',
+        notes: '', parentId: '', blockedBy: [], ...itemFields
+      }],
+      ...milestoneFields
+    }]
+  };
+}
+
+test('a full export and minimal data are valid', () => {
+  assert.deepEqual(validateRoadmapJson(makeRoadmap()), []);
+  assert.deepEqual(validateRoadmapJson({ milestones: [{ items: [{}] }] }), []);
+});
+
+test('the roadmap must be an object with a milestone list', () => {
+  assert.deepEqual(validateRoadmapJson(null), ['The file does not contain a roadmap object.']);
+  assert.deepEqual(validateRoadmapJson([]), ['The file does not contain a roadmap object.']);
+  assert.deepEqual(validateRoadmapJson({ roadmapName: 7, milestones: {} }), ['roadmap.roadmapName must be text.', 'milestones must be a list.']);
+});
+
+test('items must be objects with text fields, a valid effort and due date', () => {
+  const roadmap = makeRoadmap({}, { text: 5, dueDate: '2026-02-30', effort: -1, effortUnit: 'hours' });
+  roadmap.milestones[0].items.push('Loose text');
+  assert.deepEqual(validateRoadmapJson(roadmap), [
+    'milestones[0].items[0].text must be text.',
+    'milestones[0].items[0].dueDate must be a date in YYYY-MM-DD format.',
+    'milestones[0].items[0].effort must be a non-negative number or null.',
+    'milestones[0].items[0].effortUnit must be "points" or "days".',
+    'milestones[0].items[1] must be an object.'
+  ]);
+  assert.deepEqual(validateRoadmapJson(makeRoadmap({ items: 'none' })), ['milestones[0].items must be a list.']);
+});
+
+test('milestone dates must be real YYYY-MM-DD dates, and may be empty', () => {
+  assert.deepEqual(validateRoadmapJson(makeRoadmap({ currentCompletionDate: '', originalCompletionDate: null })), []);
+  assert.deepEqual(validateRoadmapJson(makeRoadmap({ currentCompletionDate: '2026-13-01', originalCompletionDate: '03/01/2026' })), [
+    'milestones[0].currentCompletionDate must be a date in YYYY-MM-DD format.',
+    'milestones[0].originalCompletionDate must be a date in YYYY-MM-DD format.'
+  ]);
+});
+
+test('date changes need valid dates and a timestamp', () => {
+  assert.deepEqual(validateRoadmapJson(makeRoadmap({ dateChanges: 'moved' })), ['milestones[0].dateChanges must be a list.']);
+  const dateChanges = [{ from: '2026-02-30', to: '2026-03-10', changedAt: 'yesterday', reason: 3 }, null];
+  assert.deepEqual(validateRoadmapJson(makeRoadmap({ dateChanges })), [
+    'milestones[0].dateChanges[0].from must be a date in YYYY-MM-DD format.',
+    'milestones[0].dateChanges[0].reason must be text.',
+    'milestones[0].dateChanges[0].changedAt must be a date and time.',
+    'milestones[0].dateChanges[1] must be an object.'
+  ]);
+});
+
+test('dependencies and blockers must be lists of IDs', () => {
+  assert.deepEqual(validateRoadmapJson(makeRoadmap({ dependsOn: 'm0' }, { blockedBy: ['i2', 3], parentId: 4 })), [
+    'milestones[0].dependsOn must be a list of milestone IDs.',
+    'milestones[0].items[0].parentId must be text.',
+    'milestones[0].items[0].blockedBy must be a list of item IDs.'
+  ]);
+});
+
+test('statuses need a name and icon, and a known category and hex color if given', () => {
+  const statuses = [
+    { name: 'Open', icon: '📂' },
+    { name: ' ', icon: '❓' },
+    { name: 'Odd', icon: '❓', category: 'later', color: 'red', description: 1 }
+  ];
+  assert.deepEqual(validateRoadmapJson({ ...makeRoadmap(), statuses }), [
+    'statuses[1] must have a name and an icon.',
+    'statuses[2].category must be one of: todo, active, done, blocked, at-risk.',
+    'statuses[2].color must be a hex color like #1a2b3c.',
+    'statuses[2].description must be text.'
+  ]);
+  assert.deepEqual(validateRoadmapJson({ ...makeRoadmap(), statuses: {} }), ['statuses must be a list.']);
+});
@@ -0,0 +1,323 @@
+// timelineView.js
+// Renders the horizontal timeline (Gantt-style) view of milestones from the roadmap store.
+// Each milestone is drawn on a date axis with a slip bar from its original to its current target date,
+// and its target marker can be dragged to reschedule it.
+
+import { subscribe, getRoadmapState, getMilestone, rescheduleMilestone } from './roadmapStore.js';
+import { getDependencyConflicts, getCriticalPath } from './roadmapProgress.js';
+import { offerDownstreamShift } from './roadmapUi.js';
+import { toDayNumber, fromDayNumber, todayIsoDate, daysBetween, formatDisplayDate } from './dateUtils.js';
+
+// --- DOM Element References ---
+const timelineViewDiv = document.getElementById('timeline-view');
+
+// --- Constants ---
+const RANGE_PADDING_DAYS = 14; // Empty space before the earliest and after the latest date
+const MAX_AXIS_LABELS = 12;
+
+// --- State ---
+let isVisible = false;
+let dragState = null; // { milestoneId, marker, track, range, startX, startDay, currentDay }
+
+// --- Private Helper Functions ---
+
+/**
+ * Computes the day range shown on the axis from all milestone dates.
+ * @param {Array<object>} milestones - Milestones from the store.
+ * @returns {{ start: number, end: number } | null} Day numbers of the range, or null if no milestone has a date.
+ */
+function _computeRange(milestones) {
+  const days = [];
+  milestones.forEach(m => {
+    [m.currentCompletionDate, m.originalCompletionDate].forEach(date => {
+      const day = toDayNumber(date);
+      if (day !== null) days.push(day);
+    });
+  });
+  if (days.length === 0) return null;
+  return {
+    start: Math.min(...days) - RANGE_PADDING_DAYS,
+    end: Math.max(...days) + RANGE_PADDING_DAYS
+  };
+}
+
+/**
+ * Converts a day number to a horizontal position within the track.
+ * @param {number} day - Day number.
+ * @param {{ start: number, end: number }} range - The axis range.
+ * @returns {number} Position as a percentage (0-100).
+ */
+function _dayToPercent(day, range) {
+  return ((day - range.start) / (range.end - range.start)) * 100;
+}
+
+/**
+ * Builds the axis row with month labels.
+ * @param {{ start: number, end: number }} range - The axis range.
+ * @returns {HTMLElement} The axis row element.
+ */
+function _createAxisRow(range) {
+  const row = document.createElement('div');
+  row.classList.add('timeline-row', 'd-flex', 'align-items-end', 'mb-2');
+
+  const spacer = document.createElement('div');
+  spacer.classList.add('timeline-label');
+  row.appendChild(spacer);
+
+  const axis = document.createElement('div');
+  axis.classList.add('timeline-axis', 'timeline-track', 'border-bottom');
+
+  // Collect the first day of every month inside the range
+  const monthStarts = [];
+  const cursor = new Date(fromDayNumber(range.start) + 'T00:00:00');
+  cursor.setDate(1);
+  cursor.setMonth(cursor.getMonth() + 1);
+  while (true) {
+    const isoDate = `${cursor.getFullYear()}-${String(cursor.getMonth() + 1).padStart(2, '0')}-01`;
+    const day = toDayNumber(isoDate);
+    if (day > range.end) break;
+    monthStarts.push({ day, label: cursor.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }) });
+    cursor.setMonth(cursor.getMonth() + 1);
+  }
+
+  const step = Math.max(1, Math.ceil(monthStarts.length / MAX_AXIS_LABELS));
+  monthStarts.filter((_, index) => index % step === 0).forEach(({ day, label }) => {
+    const tick = document.createElement('span');
+    tick.classList.add('timeline-tick', 'small', 'text-muted');
+    tick.style.left = `${_dayToPercent(day, range)}%`;
+    tick.textContent = label;
+    axis.appendChild(tick);
+  });
+
+  row.appendChild(axis);
+  return row;
+}
+
+/**
+ * Builds the row for a single milestone: label, slip bar, original and target markers.
+ * @param {object} milestone - Milestone from the store.
+ * @param {{ start: number, end: number }} range - The axis range.
+ * @param {object} flags
+ * @param {boolean} flags.isCritical - Whether the milestone is on the critical path.
+ * @param {boolean} flags.hasConflict - Whether its target is earlier than that of a milestone it depends on.
+ * @returns {HTMLElement} The milestone row element.
+ */
+function _createMilestoneRow(milestone, range, { isCritical, hasConflict }) {
+  const row = document.createElement('div');
+  row.classList.add('timeline-row', 'd-flex', 'align-items-center', 'py-1');
+  row.classList.toggle('is-critical', isCritical);
+  row.dataset.milestoneId = milestone.id;
+
+  const label = document.createElement('div');
+  label.classList.add('timeline-label', 'small', 'fw-semibold', 'text-truncate', 'pe-2');
+  label.textContent = `${hasConflict ? '⚠ ' : ''}${milestone.title || 'Untitled Milestone'}`;
+  label.title = [milestone.title, isCritical && 'On the critical path', hasConflict && 'Target is before a milestone it depends on']
+    .filter(Boolean).join(' · ');
+  if (hasConflict) label.classList.add('text-danger');
+  row.appendChild(label);
+
+  const track = document.createElement('div');
+  track.classList.add('timeline-track');
+
+  const currentDay = toDayNumber(milestone.currentCompletionDate);
+  const originalDay = toDayNumber(milestone.originalCompletionDate);
+
+  // Slip bar between the original and the current target
+  if (currentDay !== null && originalDay !== null && currentDay !== originalDay) {
+    const slipBar = document.createElement('div');
+    const slipDays = daysBetween(milestone.originalCompletionDate, milestone.currentCompletionDate);
+    slipBar.classList.add('timeline-slip-bar', slipDays > 0 ? 'bg-danger' : 'bg-success');
+    slipBar.style.left = `${_dayToPercent(Math.min(currentDay, originalDay), range)}%`;
+    slipBar.style.width = `${_dayToPercent(Math.max(currentDay, originalDay), range) - _dayToPercent(Math.min(currentDay, originalDay), range)}%`;
+    slipBar.title = slipDays > 0 ? `Slipped ${slipDays} day(s)` : `Pulled in ${-slipDays} day(s)`;
+    track.appendChild(slipBar);
+  }
+
+  if (originalDay !== null && originalDay !== currentDay) {
+    const originalMarker = document.createElement('span');
+    originalMarker.classList.add('timeline-marker', 'timeline-marker-original');
+    originalMarker.style.left = `${_dayToPercent(originalDay, range)}%`;
+    originalMarker.title = `Original: ${formatDisplayDate(milestone.originalCompletionDate)}`;
+    track.appendChild(originalMarker);
+  }
+
+  if (currentDay !== null) {
+    const marker = document.createElement('span');
+    marker.classList.add('timeline-marker', 'timeline-marker-current', 'bg-primary');
+    marker.style.left = `${_dayToPercent(currentDay, range)}%`;
+    marker.title = `Target: ${formatDisplayDate(milestone.currentCompletionDate)} (drag to reschedule)`;
+    marker.setAttribute('role', 'slider');
+    marker.setAttribute('aria-label', `Target date for ${milestone.title}`);
+    marker.setAttribute('aria-valuetext', milestone.currentCompletionDate);
+    marker.dataset.milestoneId = milestone.id;
+    track.appendChild(marker);
+  }
+
+  row.appendChild(track);
+  return row;
+}
+
+/**
+ * Starts dragging a target marker.
+ * @param {PointerEvent} event - The pointerdown event.
+ */
+function _handlePointerDown(event) {
+  const marker = event.target.closest('.timeline-marker-current');
+  if (!marker) return;
+  const track = marker.closest('.timeline-track');
+  const milestone = getMilestone(marker.dataset.milestoneId);
+  if (!track || !milestone) return;
+
+  event.preventDefault();
+  marker.setPointerCapture?.(event.pointerId);
+  const startDay = toDayNumber(milestone.currentCompletionDate);
+  dragState = {
+    milestoneId: milestone.id,
+    marker,
+    track,
+    range: _computeRange(getRoadmapState().milestones),
+    startX: event.clientX,
+    startDay,
+    currentDay: startDay
+  };
+  marker.classList.add('is-dragging');
+}
+
+/**
+ * Moves the dragged marker, snapping to whole days.
+ * @param {PointerEvent} event - The pointermove event.
+ */
+function _handlePointerMove(event) {
+  if (!dragState) return;
+  const { marker, track, range, startX, startDay } = dragState;
+  const trackWidth = track.getBoundingClientRect().width || 1;
+  const daysPerPixel = (range.end - range.start) / trackWidth;
+  const newDay = Math.min(range.end, Math.max(range.start, startDay + Math.round((event.clientX - startX) * daysPerPixel)));
+
+  dragState.currentDay = newDay;
+  marker.style.left = `${_dayToPercent(newDay, range)}%`;
+  marker.title = `Target: ${formatDisplayDate(fromDayNumber(newDay))}`;
+}
+
+/**
+ * Finishes dragging and writes the new target date back to the milestone.
+ * As in the list view, the move is logged in the milestone's date-change history with an optional reason.
+ */
+function _handlePointerUp() {
+  if (!dragState) return;
+  const { milestoneId, startDay, currentDay, marker } = dragState;
+  dragState = null;
+  marker.classList.remove('is-dragging');
+
+  if (currentDay === startDay) return;
+  const milestone = getMilestone(milestoneId);
+  if (!milestone) return;
+  const newDate = fromDayNumber(currentDay);
+  const answer = prompt(`Reason for moving "${milestone.title}" from ${formatDisplayDate(milestone.currentCompletionDate)} to ${formatDisplayDate(newDate)} (optional):`, '');
+  rescheduleMilestone(milestoneId, newDate, { reason: answer ? answer.trim() : '' }); // Triggers re-render and autosave
+  offerDownstreamShift(milestoneId, milestone.currentCompletionDate, newDate);
+}
+
+/**
+ * Aborts a drag (e.g. the pointer was captured by the browser) and puts the marker back.
+ */
+function _handlePointerCancel() {
+  if (!dragState) return;
+  dragState.currentDay = dragState.startDay;
+  _handlePointerUp();
+  renderTimeline();
+}
+
+// --- Public API ---
+
+/**
+ * Renders the timeline from the current roadmap store state.
+ */
+export function renderTimeline() {
+  if (!timelineViewDiv) return;
+  timelineViewDiv.innerHTML = '';
+
+  const roadmap = getRoadmapState();
+  const { milestones } = roadmap;
+  const range = _computeRange(milestones);
+
+  if (!range) {
+    const emptyMessage = document.createElement('p');
+    emptyMessage.classList.add('text-center', 'text-muted', 'p-4', 'mb-0');
+    emptyMessage.textContent = 'Set target dates on your milestones to see them on the timeline.';
+    timelineViewDiv.appendChild(emptyMessage);
+    return;
+  }
+
+  const chart = document.createElement('div');
+  chart.classList.add('timeline-chart', 'position-relative');
+  chart.appendChild(_createAxisRow(range));
+
+  const criticalIds = new Set(getCriticalPath(roadmap));
+  const conflictIds = new Set(getDependencyConflicts(roadmap).map(conflict => conflict.milestoneId));
+  const undated = [];
+  milestones.forEach(milestone => {
+    if (toDayNumber(milestone.currentCompletionDate) === null && toDayNumber(milestone.originalCompletionDate) === null) {
+      undated.push(milestone.title || 'Untitled Milestone');
+      return;
+    }
+    chart.appendChild(_createMilestoneRow(milestone, range, {
+      isCritical: criticalIds.has(milestone.id),
+      hasConflict: conflictIds.has(milestone.id)
+    }));
+  });
+
+  // Today indicator
+  const today = toDayNumber(todayIsoDate());
+  if (today >= range.start && today <= range.end) {
+    const todayRow = document.createElement('div');
+    todayRow.classList.add('timeline-today-layer', 'd-flex');
+    const spacer = document.createElement('div');
+    spacer.classList.add('timeline-label');
+    const layer = document.createElement('div');
+    layer.classList.add('timeline-track');
+    const todayLine = document.createElement('span');
+    todayLine.classList.add('timeline-today');
+    todayLine.style.left = `${_dayToPercent(today, range)}%`;
+    todayLine.title = 'Today';
+    layer.appendChild(todayLine);
+    todayRow.appendChild(spacer);
+    todayRow.appendChild(layer);
+    chart.appendChild(todayRow);
+  }
+
+  timelineViewDiv.appendChild(chart);
+
+  if (undated.length > 0) {
+    const undatedNote = document.createElement('p');
+    undatedNote.classList.add('small', 'text-muted', 'mt-3', 'mb-0');
+    undatedNote.textContent = `Not shown (no target date): ${undated.join(', ')}`;
+    timelineViewDiv.appendChild(undatedNote);
+  }
+}
+
+/**
+ * Shows or hides the timeline view. The timeline re-renders from the store while visible.
+ * Exported for use by the main script's view switcher.
+ * @param {boolean} visible - Whether the timeline should be shown.
+ */
+export function setTimelineVisible(visible) {
+  isVisible = visible;
+  if (!timelineViewDiv) return;
+  timelineViewDiv.classList.toggle('d-none', !visible);
+  if (visible) renderTimeline();
+}
+
+// --- Event Listeners & Store Subscription ---
+
+if (timelineViewDiv) {
+  timelineViewDiv.addEventListener('pointerdown', _handlePointerDown);
+  timelineViewDiv.addEventListener('pointermove', _handlePointerMove);
+  timelineViewDiv.addEventListener('pointerup', _handlePointerUp);
+  timelineViewDiv.addEventListener('pointercancel', _handlePointerCancel);
+}
+
+subscribe(() => {
+  // Keep the timeline current while it is shown (but never mid-drag)
+  if (isVisible && !dragState) renderTimeline();
+});
@@ -0,0 +1,342 @@
+// versionHistory.js
+// Immutable version snapshots of saved roadmaps (Supabase table 'roadmap_versions').
+// Every manual save and a periodic autosave write a snapshot; the history drawer lists them,
+// shows a milestone/item-level diff between any two, and restores a version as the current state.
+
+import { supabase } from './supabaseClient.js';
+import { getRoadmapState, loadRoadmap } from './roadmapStore.js';
+import { diffRoadmaps, isDiffEmpty } from './roadmapDiff.js';
+import { formatDisplayDate } from './dateUtils.js';
+
+// --- DOM Element References ---
+const versionHistoryButton = document.getElementById('version-history-button');
+const versionListDiv = document.getElementById('version-list');
+const compareFromSelect = document.getElementById('version-compare-from');
+const compareToSelect = document.getElementById('version-compare-to');
+const versionDiffDiv = document.getElementById('version-diff-output');
+const versionStatusMessage = document.getElementById('version-status-message');
+
+// --- Constants ---
+const AUTOSAVE_VERSION_INTERVAL_MS = 10 * 60 * 1000; // At most one autosave snapshot every 10 minutes
+const MAX_LISTED_VERSIONS = 50;
+const CURRENT_STATE_OPTION = 'current'; // Compare option for the roadmap as currently edited
+
+// --- State ---
+let currentRoadmapId = null; // Supabase ID of the roadmap whose versions are shown
+let versions = []; // Fetched versions, newest first
+let lastAutoSaveVersionTime = 0;
+let lastVersionJson = null; // Milestones and statuses JSON of the last snapshot written in this session
+
+// --- Private Helper Functions ---
+
+/**
+ * Updates the status message in the history drawer.
+ * @param {string} message - The message to display.
+ * @param {boolean} [isError=false] - If true, style as an error.
+ */
+function _updateVersionStatusMessage(message, isError = false) {
+  if (!versionStatusMessage) return;
+  versionStatusMessage.textContent = message;
+  versionStatusMessage.classList.toggle('text-danger', isError);
+  versionStatusMessage.classList.toggle('text-muted', !isError);
+}
+
+/**
+ * Returns a short label for a version (save time and whether it was an autosave).
+ * @param {object} version - Version row from Supabase.
+ * @returns {string} The label.
+ */
+function _versionLabel(version) {
+  const savedAt = new Date(version.created_at).toLocaleString();
+  return version.source === 'autosave' ? `${savedAt} (autosave)` : savedAt;
+}
+
+/**
+ * Returns the roadmap data for a compare option.
+ * @param {string} optionValue - A version ID or CURRENT_STATE_OPTION.
+ * @returns {object | null} Roadmap data ({ roadmapName, milestones }), or null if not found.
+ */
+function _getComparedRoadmap(optionValue) {
+  if (optionValue === CURRENT_STATE_OPTION) {
+    return getRoadmapState();
+  }
+  const version = versions.find(v => String(v.id) === optionValue);
+  return version ? { roadmapName: version.title, milestones: version.roadmap_data, statuses: version.statuses } : null;
+}
+
+/**
+ * Renders the list of versions, each with a restore button.
+ */
+function _renderVersionList() {
+  if (!versionListDiv) return;
+  versionListDiv.innerHTML = '';
+
+  if (versions.length === 0) {
+    versionListDiv.innerHTML = '<span class="list-group-item text-muted small">No versions saved yet.</span>';
+    return;
+  }
+
+  versions.forEach(version => {
+    const row = document.createElement('div');
+    row.classList.add('list-group-item', 'd-flex', 'justify-content-between', 'align-items-center', 'gap-2');
+
+    const info = document.createElement('div');
+    info.classList.add('small', 'text-truncate');
+    const time = document.createElement('div');
+    time.classList.add('fw-semibold');
+    time.textContent = new Date(version.created_at).toLocaleString();
+    const details = document.createElement('div');
+    details.classList.add('text-muted', 'text-truncate');
+    const milestoneCount = Array.isArray(version.roadmap_data) ? version.roadmap_data.length : 0;
+    details.textContent = `${version.title || 'Untitled Roadmap'} · ${milestoneCount} milestone(s)`;
+    info.appendChild(time);
+    info.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.classList.add('d-flex', 'align-items-center', 'gap-2', 'flex-shrink-0');
+    if (version.source === 'autosave') {
+      const badge = document.createElement('span');
+      badge.classList.add('badge', 'bg-secondary');
+      badge.textContent = 'Autosave';
+      actions.appendChild(badge);
+    }
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.classList.add('version-restore-button', 'btn', 'btn-outline-primary', 'btn-sm');
+    restoreButton.dataset.versionId = version.id;
+    restoreButton.textContent = 'Restore';
+    actions.appendChild(restoreButton);
+
+    row.appendChild(info);
+    row.appendChild(actions);
+    versionListDiv.appendChild(row);
+  });
+}
+
+/**
+ * Fills the two compare dropdowns. Defaults to comparing the latest version with the current roadmap.
+ */
+function _populateCompareSelects() {
+  if (!compareFromSelect || !compareToSelect) return;
+  compareFromSelect.innerHTML = '';
+  compareToSelect.innerHTML = '';
+
+  compareToSelect.appendChild(new Option('Current roadmap', CURRENT_STATE_OPTION));
+  versions.forEach(version => {
+    compareFromSelect.appendChild(new Option(_versionLabel(version), version.id));
+    compareToSelect.appendChild(new Option(_versionLabel(version), version.id));
+  });
+
+  compareFromSelect.disabled = versions.length === 0;
+  compareToSelect.disabled = versions.length === 0;
+  compareToSelect.value = CURRENT_STATE_OPTION;
+}
+
+/**
+ * Appends one titled list of changes to the diff output.
+ * @param {string} title - Section heading.
+ * @param {Array<string>} lines - One text line per change.
+ * @param {string} [lineClass] - Optional Bootstrap text class for the lines.
+ */
+function _appendDiffSection(title, lines, lineClass) {
+  if (lines.length === 0) return;
+  const heading = document.createElement('h4');
+  heading.classList.add('h6', 'fw-semibold', 'mt-3', 'mb-1');
+  heading.textContent = `${title} (${lines.length})`;
+  const list = document.createElement('ul');
+  list.classList.add('small', 'mb-0', 'ps-3');
+  lines.forEach(line => {
+    const li = document.createElement('li');
+    if (lineClass) li.classList.add(lineClass);
+    li.textContent = line;
+    list.appendChild(li);
+  });
+  versionDiffDiv.appendChild(heading);
+  versionDiffDiv.appendChild(list);
+}
+
+/**
+ * Renders the diff between the two selected versions.
+ */
+function _renderDiff() {
+  if (!versionDiffDiv) return;
+  versionDiffDiv.innerHTML = '';
+
+  const before = _getComparedRoadmap(compareFromSelect?.value);
+  const after = _getComparedRoadmap(compareToSelect?.value);
+  if (!before || !after) {
+    versionDiffDiv.innerHTML = '<p class="small text-muted mb-0">Select two versions to compare.</p>';
+    return;
+  }
+
+  const diff = diffRoadmaps(before, after);
+  if (isDiffEmpty(diff)) {
+    versionDiffDiv.innerHTML = '<p class="small text-muted mb-0">No milestone or item changes between these versions.</p>';
+    return;
+  }
+
+  const itemLabel = ({ item, milestone }) => `${item.text || '(empty)'} — ${milestone.title || 'Untitled Milestone'}`;
+  _appendDiffSection('Milestones added', diff.milestonesAdded.map(m => m.title || 'Untitled Milestone'), 'text-success');
+  _appendDiffSection('Milestones removed', diff.milestonesRemoved.map(m => m.title || 'Untitled Milestone'), 'text-danger');
+  _appendDiffSection('Items added', diff.itemsAdded.map(itemLabel), 'text-success');
+  _appendDiffSection('Items removed', diff.itemsRemoved.map(itemLabel), 'text-danger');
+  _appendDiffSection('Status changes', diff.statusChanges.map(change => `${itemLabel(change)}: ${change.fromStatus} → ${change.toStatus}`));
+  _appendDiffSection('Date changes', diff.dateChanges.map(change => {
+    const from = formatDisplayDate(change.fromDate) || 'no date';
+    const to = formatDisplayDate(change.toDate) || 'no date';
+    let slip = '';
+    if (change.days > 0) slip = ` (slipped ${change.days} day(s))`;
+    if (change.days < 0) slip = ` (pulled in ${-change.days} day(s))`;
+    return `${change.milestone.title || 'Untitled Milestone'}: ${from} → ${to}${slip}`;
+  }));
+}
+
+/**
+ * Restores a version as the current roadmap state (undoable, and autosaved like any other edit).
+ * @param {string} versionId - The version to restore.
+ */
+function _restoreVersion(versionId) {
+  const version = versions.find(v => String(v.id) === versionId);
+  if (!version) return;
+  if (!confirm(`Restore the version saved ${new Date(version.created_at).toLocaleString()}? Your current roadmap will be replaced (you can undo this).`)) {
+    return;
+  }
+  // Versions saved before statuses were stored with the roadmap keep the current statuses
+  loadRoadmap({
+    roadmapName: version.title,
+    milestones: Array.isArray(version.roadmap_data) ? version.roadmap_data : [],
+    statuses: version.statuses
+  }, { action: 'version-restored' });
+  _updateVersionStatusMessage('Version restored.');
+  _renderDiff();
+}
+
+/**
+ * Handles clicks inside the version list (restore buttons).
+ * @param {Event} event - The click event object.
+ */
+function _handleVersionListClick(event) {
+  const restoreButton = event.target.closest('.version-restore-button');
+  if (restoreButton) {
+    _restoreVersion(restoreButton.dataset.versionId);
+  }
+}
+
+// --- Public API ---
+
+/**
+ * Sets which saved roadmap the history drawer belongs to (null when nothing is saved yet).
+ * Exported for use by the main script whenever the loaded roadmap changes.
+ * @param {string | null} roadmapId - Supabase ID of the roadmap.
+ */
+export function setVersionHistoryRoadmap(roadmapId) {
+  if (roadmapId === currentRoadmapId) return;
+  currentRoadmapId = roadmapId;
+  versions = [];
+  lastAutoSaveVersionTime = 0;
+  lastVersionJson = null;
+  if (versionHistoryButton) versionHistoryButton.disabled = !roadmapId;
+}
+
+/**
+ * Writes an immutable snapshot of a roadmap after it was saved.
+ * Manual saves always create a version; autosaves only when the content changed and the
+ * last autosave snapshot is older than AUTOSAVE_VERSION_INTERVAL_MS.
+ * @param {string} roadmapId - Supabase ID of the saved roadmap.
+ * @param {string} userId - ID of the logged-in user.
+ * @param {object} roadmapData - The saved roadmap ({ roadmapName, milestones, statuses }).
+ * @param {boolean} [isAutoSave=false] - Whether the save was an autosave.
+ */
+export async function recordRoadmapVersion(roadmapId, userId, roadmapData, isAutoSave = false) {
+  setVersionHistoryRoadmap(roadmapId);
+  const contentJson = JSON.stringify([roadmapData.milestones, roadmapData.statuses]);
+  if (isAutoSave) {
+    const now = Date.now();
+    if (contentJson === lastVersionJson || (now - lastAutoSaveVersionTime) < AUTOSAVE_VERSION_INTERVAL_MS) {
+      return;
+    }
+    lastAutoSaveVersionTime = now;
+  }
+
+  try {
+    const { error } = await supabase
+      .from('roadmap_versions')
+      .insert({
+        roadmap_id: roadmapId,
+        user_id: userId,
+        title: roadmapData.roadmapName || 'Untitled Roadmap',
+        roadmap_data: roadmapData.milestones, // Same shape as roadmaps.roadmap_data
+        statuses: roadmapData.statuses,
+        source: isAutoSave ? 'autosave' : 'manual'
+        // created_at is set by the database default
+      });
+    if (error) throw error;
+    lastVersionJson = contentJson;
+    console.log(`Saved ${isAutoSave ? 'autosave' : 'manual'} version of roadmap ${roadmapId}.`);
+  } catch (error) {
+    // The roadmap itself was saved; a missing snapshot is logged but not surfaced as a save error
+    console.error("Error saving roadmap version:", error);
+  }
+}
+
+/**
+ * Fetches the versions of the current roadmap and renders the history drawer.
+ */
+export async function loadVersionList() {
+  if (!versionListDiv) return;
+  if (!currentRoadmapId) {
+    versions = [];
+    versionListDiv.innerHTML = '<span class="list-group-item text-muted small">Save or load a roadmap to see its versions.</span>';
+    _populateCompareSelects();
+    _renderDiff();
+    return;
+  }
+
+  versionListDiv.innerHTML = '<span class="list-group-item text-muted small">Loading versions...</span>';
+  _updateVersionStatusMessage('');
+
+  const { data: { session } } = await supabase.auth.getSession();
+  if (!session?.user) {
+    versionListDiv.innerHTML = '<span class="list-group-item text-muted small">Please log in to see versions.</span>';
+    return;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('roadmap_versions')
+      .select('id, title, roadmap_data, statuses, source, created_at')
+      .eq('roadmap_id', currentRoadmapId)
+      .eq('user_id', session.user.id) // RLS enforces this too
+      .order('created_at', { ascending: false })
+      .limit(MAX_LISTED_VERSIONS);
+
+    if (error) {
+      console.error("Error fetching roadmap versions:", error);
+      versionListDiv.innerHTML = '<span class="list-group-item text-danger small">Error loading versions.</span>';
+      _updateVersionStatusMessage(`Error: ${error.message}`, true);
+      return;
+    }
+
+    versions = data || [];
+    _renderVersionList();
+    _populateCompareSelects();
+    _renderDiff();
+  } catch (error) {
+    console.error("Exception fetching roadmap versions:", error);
+    versionListDiv.innerHTML = '<span class="list-group-item text-danger small">An unexpected error occurred while loading versions.</span>';
+  }
+}
+
+/**
+ * Attaches the history drawer's event listeners.
+ * Exported to be called once during app initialization.
+ */
+export function initializeVersionHistory() {
+  if (versionHistoryButton) {
+    versionHistoryButton.disabled = !currentRoadmapId;
+    versionHistoryButton.addEventListener('click', loadVersionList); // The button also opens the drawer (data-bs-toggle)
+  }
+  if (versionListDiv) versionListDiv.addEventListener('click', _handleVersionListClick);
+  if (compareFromSelect) compareFromSelect.addEventListener('change', _renderDiff);
+  if (compareToSelect) compareToSelect.addEventListener('change', _renderDiff);
+}
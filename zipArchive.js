@@ -0,0 +1,119 @@
+// zipArchive.js
+// Writes ZIP archives in the browser, for the Office Open XML exports (.docx is a ZIP of XML parts).
+// Files are stored uncompressed: the parts are small, and every ZIP reader accepts stored entries.
+// Like roadmapStore.js, this module has no DOM access.
+
+// --- Constants ---
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const ZIP_VERSION = 20; // 2.0: the minimum version for stored files in folders
+const UTF8_NAMES_FLAG = 0x0800;
+
+// --- State ---
+let crcTable = null; // Built on first use
+
+// --- Private Helper Functions ---
+
+/**
+ * Calculates the CRC-32 checksum ZIP uses to verify each file.
+ * @param {Uint8Array} bytes - The file contents.
+ * @returns {number} The checksum (unsigned 32-bit).
+ */
+function _crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields of ZIP headers (local time, 2-second precision).
+ * @param {Date} date - The modification date.
+ * @returns {{ time: number, date: number }} The packed fields.
+ */
+function _toDosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: (Math.max(date.getFullYear() - 1980, 0) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// --- Public API ---
+
+/**
+ * Packs files into a ZIP archive, in the given order.
+ * @param {Array<{ name: string, content: string | Uint8Array }>} files - Paths inside the archive
+ *   (with "/" between folders) and their contents; strings are written as UTF-8.
+ * @param {Date} [modifiedAt=new Date()] - The modification time recorded for every file.
+ * @returns {Uint8Array} The archive bytes.
+ */
+export function createZip(files, modifiedAt = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = _toDosDateTime(modifiedAt);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const content = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+    const crc = _crc32(content);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+    local.setUint16(4, ZIP_VERSION, true);
+    local.setUint16(6, UTF8_NAMES_FLAG, true);
+    local.setUint16(8, 0, true); // Stored, not compressed
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, content.length, true); // Compressed size
+    local.setUint32(22, content.length, true); // Uncompressed size
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true); // No extra field
+    localParts.push(new Uint8Array(local.buffer), name, content);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+    central.setUint16(4, ZIP_VERSION, true); // Made by
+    central.setUint16(6, ZIP_VERSION, true); // Needed to extract
+    central.setUint16(8, UTF8_NAMES_FLAG, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, content.length, true);
+    central.setUint32(24, content.length, true);
+    central.setUint16(28, name.length, true);
+    // Extra field, comment, disk number and file attributes (offsets 30-41) stay 0
+    central.setUint32(42, offset, true);
+    centralParts.push(new Uint8Array(central.buffer), name);
+
+    offset += 30 + name.length + content.length;
+  });
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY_SIGNATURE, true);
+  end.setUint16(8, files.length, true); // Entries on this disk
+  end.setUint16(10, files.length, true); // Entries in total
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // Where the central directory starts
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+  let position = 0;
+  parts.forEach(part => {
+    archive.set(part, position);
+    position += part.length;
+  });
+  return archive;
+}